@@ -0,0 +1,104 @@
+/**
+ * Clock Sweeper Handler
+ * Runs on a schedule and ends online games where the side to move has run
+ * out of time without moving, or a disconnected player has not come back in
+ * time, since nobody else would notice the flag fall or the seat go empty
+ */
+
+const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+const { DynamoDBDocumentClient, GetCommand, QueryCommand } = require('@aws-sdk/lib-dynamodb');
+const { hasFlagged, getTimeoutResult } = require('./lib/clocks');
+const { finishGame, getAbandonmentResult } = require('./lib/games');
+const { getApiClient, sendMessage } = require('./lib/sockets');
+
+const ddbClient = new DynamoDBClient({});
+const docClient = DynamoDBDocumentClient.from(ddbClient);
+
+/**
+ * Get the active games whose deadline attribute (flagAt or abandonAt) has
+ * passed by now, from its index
+ */
+const getDueGames = async (attribute, now) => {
+    const games = [];
+    let lastKey;
+    
+    do {
+        const result = await docClient.send(new QueryCommand({
+            TableName: process.env.GAMES_TABLE,
+            IndexName: `status-${attribute}-index`,
+            KeyConditionExpression: '#status = :active AND #deadline <= :now',
+            ExpressionAttributeNames: { '#status': 'status', '#deadline': attribute },
+            ExpressionAttributeValues: { ':active': 'active', ':now': now },
+            ExclusiveStartKey: lastKey
+        }));
+        games.push(...result.Items);
+        lastKey = result.LastEvaluatedKey;
+    } while (lastKey);
+    
+    return games;
+};
+
+exports.handler = async () => {
+    const now = Date.now();
+    const apiClient = getApiClient();
+    const notify = (connectionId, message) => sendMessage(apiClient, connectionId, message);
+    
+    try {
+        const games = await getDueGames('flagAt', now);
+        let finished = 0;
+        
+        for (const game of games) {
+            // The index may lag behind a move that was just made
+            if (!hasFlagged(game, now)) continue;
+            
+            try {
+                if (await finishGame(game, getTimeoutResult(game), notify)) {
+                    finished++;
+                }
+            } catch (error) {
+                console.error(`Failed to end game ${game.gameId} on time:`, error);
+            }
+        }
+        
+        const abandonedGames = await getDueGames('abandonAt', now);
+        let forfeited = 0;
+        
+        for (const { gameId } of abandonedGames) {
+            try {
+                // The index only holds keys, and may lag behind a player
+                // who has just reconnected, so read the game itself
+                const result = await docClient.send(new GetCommand({
+                    TableName: process.env.GAMES_TABLE,
+                    Key: { gameId },
+                    ConsistentRead: true
+                }));
+                const game = result.Item;
+                const outcome = game && game.status === 'active' ? getAbandonmentResult(game, now) : null;
+                
+                if (outcome && await finishGame(game, outcome, notify)) {
+                    forfeited++;
+                }
+            } catch (error) {
+                console.error(`Failed to end abandoned game ${gameId}:`, error);
+            }
+        }
+        
+        if (games.length > 0) {
+            console.log(`Clock sweep: ${finished} of ${games.length} flagged games ended`);
+        }
+        if (abandonedGames.length > 0) {
+            console.log(`Clock sweep: ${forfeited} of ${abandonedGames.length} abandoned games ended`);
+        }
+        
+        return {
+            statusCode: 200,
+            body: JSON.stringify({ checked: games.length + abandonedGames.length, finished, forfeited })
+        };
+    } catch (error) {
+        console.error('Clock sweep error:', error);
+        return {
+            statusCode: 500,
+            body: 'Internal server error'
+        };
+    }
+};
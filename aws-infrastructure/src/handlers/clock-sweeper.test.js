@@ -0,0 +1,59 @@
+const { inboxes, setUp, putGame, getGame } = require('./test-helpers/local-handlers');
+
+setUp();
+
+// The handler is required once the environment is set up
+const clockSweeper = require('./clock-sweeper');
+
+// White and black play 1+0 games against each other
+beforeEach(() => {
+    setUp();
+    inboxes.set('white', []);
+    inboxes.set('black', []);
+});
+
+describe('clock sweeper', () => {
+    test('ends a game whose side to move has flagged and tells both players', async () => {
+        const now = Date.now();
+        await putGame('flagged', { timeControl: '1+0', turnStartedAt: now - 61000, flagAt: now - 1000 });
+        
+        const result = await clockSweeper.handler();
+        
+        expect(JSON.parse(result.body)).toMatchObject({ checked: 1, finished: 1 });
+        expect(await getGame('flagged')).toMatchObject({ status: 'finished', result: '0-1', resultReason: 'timeout' });
+        for (const connectionId of ['white', 'black']) {
+            expect(inboxes.get(connectionId)).toEqual([
+                expect.objectContaining({ type: 'game_over', gameId: 'flagged', result: '0-1', reason: 'timeout' })
+            ]);
+        }
+    });
+    
+    test('re-checks the clock, as the index can lag behind a move', async () => {
+        const now = Date.now();
+        
+        // White has just moved, but the index still has its old deadline
+        await putGame('moved', {
+            timeControl: '1+0',
+            currentTurn: 'black',
+            moves: [{ from: 'e2', to: 'e4' }],
+            clock: { white: 5000, black: 60000 },
+            turnStartedAt: now,
+            flagAt: now - 1000
+        });
+        
+        const result = await clockSweeper.handler();
+        
+        expect(JSON.parse(result.body)).toMatchObject({ checked: 1, finished: 0 });
+        expect(await getGame('moved')).toMatchObject({ status: 'active' });
+        expect(inboxes.get('white')).toEqual([]);
+    });
+    
+    test('leaves games with time on the clock alone', async () => {
+        await putGame('running', { timeControl: '1+0' });
+        
+        const result = await clockSweeper.handler();
+        
+        expect(JSON.parse(result.body)).toMatchObject({ checked: 0, finished: 0 });
+        expect(await getGame('running')).toMatchObject({ status: 'active' });
+    });
+});
@@ -1,16 +1,58 @@
 /**
  * WebSocket Connect Handler
- * Handles new WebSocket connections
+ * Handles new WebSocket connections, signed in with a Cognito ID token or,
+ * where the stack allows it, as guests
  */
 
 const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
 const { DynamoDBDocumentClient, PutCommand } = require('@aws-sdk/lib-dynamodb');
+const { AuthError, verifyToken, getPlayer } = require('./lib/auth');
 
 const client = new DynamoDBClient({});
 const docClient = DynamoDBDocumentClient.from(client);
 
+// Session ids a browser may present (as ?session=) to be recognised again
+const SESSION_ID_PATTERN = /^[A-Za-z0-9-]{16,64}$/;
+
+/**
+ * Get the stable identity games are seated by: the account of an
+ * authenticated player, otherwise the session id the browser keeps. Without
+ * either, the player cannot rejoin a game from another connection
+ */
+const getIdentity = (playerId, sessionId, connectionId) => {
+    if (playerId) return `player:${playerId}`;
+    if (sessionId && SESSION_ID_PATTERN.test(sessionId)) return `session:${sessionId}`;
+    return `connection:${connectionId}`;
+};
+
+const unauthorized = (message) => ({ statusCode: 401, body: message });
+
 exports.handler = async (event) => {
     const connectionId = event.requestContext.connectionId;
+    
+    // Browsers can't set headers on a WebSocket, so the ID token comes as ?token=
+    const query = event.queryStringParameters || {};
+    
+    let player = null;
+    if (query.token) {
+        try {
+            player = getPlayer(await verifyToken(query.token));
+        } catch (error) {
+            if (!(error instanceof AuthError)) {
+                console.error('Error verifying token:', error);
+                return { statusCode: 500, body: 'Failed to connect' };
+            }
+            console.log(`Rejected connection ${connectionId}: ${error.message}`);
+            return unauthorized(error.message);
+        }
+    } else if (process.env.ALLOW_GUESTS !== 'true') {
+        return unauthorized('Sign in to play online');
+    }
+    
+    // Guests play unrated games only
+    const playerId = player ? player.playerId : null;
+    const identity = getIdentity(playerId, query.session, connectionId);
+    
     const timestamp = new Date().toISOString();
     
     // TTL: 24 hours from now
@@ -21,6 +63,8 @@ exports.handler = async (event) => {
             TableName: process.env.CONNECTIONS_TABLE,
             Item: {
                 connectionId,
+                ...(player ? { playerId, nickname: player.nickname } : {}),
+                identity,
                 connectedAt: timestamp,
                 ttl
             }
@@ -0,0 +1,86 @@
+const { GetCommand } = require('@aws-sdk/lib-dynamodb');
+const { setUp } = require('./test-helpers/local-handlers');
+const { createLocalIdentityProvider } = require('./local/identity-provider');
+
+const identityProvider = createLocalIdentityProvider({ issuer: 'http://localhost/test-pool', clientId: 'test-client' });
+
+let database = setUp({ identityProvider });
+
+// The handler is required once the environment is set up
+const connect = require('./connect');
+
+const connectWith = (connectionId, queryStringParameters) => connect.handler({
+    requestContext: { connectionId, domainName: 'localhost', stage: 'local' },
+    queryStringParameters
+});
+
+const getConnection = async (connectionId) => (await database.send(new GetCommand({
+    TableName: process.env.CONNECTIONS_TABLE,
+    Key: { connectionId }
+}))).Item;
+
+beforeEach(() => {
+    database = setUp({ identityProvider });
+    process.env.ALLOW_GUESTS = 'true';
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('signed-in players', () => {
+    test('are recorded by their account and nickname', async () => {
+        const token = identityProvider.issueToken('Alice');
+        const sub = JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString()).sub;
+        
+        expect((await connectWith('c1', { token, session: 'a'.repeat(16) })).statusCode).toBe(200);
+        expect(await getConnection('c1')).toMatchObject({
+            connectionId: 'c1',
+            playerId: sub,
+            nickname: 'Alice',
+            identity: `player:${sub}`
+        });
+    });
+    
+    test('keep one identity across connections', async () => {
+        await connectWith('c1', { token: identityProvider.issueToken('Alice') });
+        await connectWith('c2', { token: identityProvider.issueToken('Alice') });
+        
+        expect((await getConnection('c1')).identity).toBe((await getConnection('c2')).identity);
+    });
+    
+    test('are turned away with a token that does not verify', async () => {
+        const expired = identityProvider.issueToken('Alice', { now: Date.now() - 2 * 3600 * 1000 });
+        
+        expect(await connectWith('c1', { token: expired })).toEqual({ statusCode: 401, body: 'Token expired' });
+        expect(await connectWith('c2', { token: 'not-a-token' })).toEqual({ statusCode: 401, body: 'Malformed token' });
+        expect(await getConnection('c1')).toBeUndefined();
+    });
+});
+
+describe('guests', () => {
+    test('are recorded by their browser session, without an account', async () => {
+        const session = '0123456789abcdef-guest';
+        await connectWith('c1', { session });
+        
+        const connection = await getConnection('c1');
+        expect(connection.identity).toBe(`session:${session}`);
+        expect(connection.playerId).toBeUndefined();
+    });
+    
+    test('fall back to their connection without a usable session id', async () => {
+        await connectWith('c1', { session: 'short' });
+        await connectWith('c2');
+        
+        expect((await getConnection('c1')).identity).toBe('connection:c1');
+        expect((await getConnection('c2')).identity).toBe('connection:c2');
+    });
+    
+    test('are turned away unless the stack allows them', async () => {
+        process.env.ALLOW_GUESTS = 'false';
+        
+        expect(await connectWith('c1', {})).toEqual({ statusCode: 401, body: 'Sign in to play online' });
+        expect((await connectWith('c2', { token: identityProvider.issueToken('Alice') })).statusCode).toBe(200);
+    });
+});
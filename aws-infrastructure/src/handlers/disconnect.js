@@ -4,15 +4,73 @@
  */
 
 const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
-const { DynamoDBDocumentClient, DeleteCommand, QueryCommand } = require('@aws-sdk/lib-dynamodb');
+const { DynamoDBDocumentClient, GetCommand, DeleteCommand, UpdateCommand } = require('@aws-sdk/lib-dynamodb');
+const { getApiClient, sendMessage } = require('./lib/sockets');
 
 const client = new DynamoDBClient({});
 const docClient = DynamoDBDocumentClient.from(client);
 
+// How long a disconnected player's seat is held before they forfeit
+const RECONNECT_GRACE_SECONDS = parseInt(process.env.RECONNECT_GRACE_SECONDS) || 60;
+
+const otherColor = (color) => (color === 'white' ? 'black' : 'white');
+
+/**
+ * Start the reconnect countdown for a player who dropped out of an active
+ * game, and tell their opponent how long the seat is held. The clock keeps
+ * running; the clock sweeper forfeits the game once the deadline passes
+ */
+const holdSeat = async (event, connectionId, gameId) => {
+    const gameResult = await docClient.send(new GetCommand({
+        TableName: process.env.GAMES_TABLE,
+        Key: { gameId }
+    }));
+    const game = gameResult.Item;
+    if (!game || game.status !== 'active') return;
+    
+    const color = game.players.white === connectionId ? 'white' :
+                  game.players.black === connectionId ? 'black' : null;
+    if (!color) return;
+    
+    const reconnectBy = Date.now() + RECONNECT_GRACE_SECONDS * 1000;
+    try {
+        // abandonAt is the earliest deadline, which the sweeper looks for
+        await docClient.send(new UpdateCommand({
+            TableName: process.env.GAMES_TABLE,
+            Key: { gameId },
+            UpdateExpression: 'SET reconnectBy.#color = :reconnectBy, abandonAt = if_not_exists(abandonAt, :reconnectBy)',
+            ConditionExpression: '#status = :active AND players.#color = :connectionId',
+            ExpressionAttributeNames: { '#status': 'status', '#color': color },
+            ExpressionAttributeValues: {
+                ':reconnectBy': reconnectBy,
+                ':active': 'active',
+                ':connectionId': connectionId
+            }
+        }));
+    } catch (error) {
+        // The game ended, or the player already came back on another connection
+        if (error.name === 'ConditionalCheckFailedException') return;
+        throw error;
+    }
+    
+    try {
+        await sendMessage(getApiClient(event), game.players[otherColor(color)], {
+            type: 'opponent_disconnected', gameId, color, reconnectBy
+        });
+    } catch (error) {
+        console.error('Failed to notify opponent of disconnect:', error);
+    }
+};
+
 exports.handler = async (event) => {
     const connectionId = event.requestContext.connectionId;
     
     try {
+        const connection = await docClient.send(new GetCommand({
+            TableName: process.env.CONNECTIONS_TABLE,
+            Key: { connectionId }
+        }));
+        
         // Remove from connections table
         await docClient.send(new DeleteCommand({
             TableName: process.env.CONNECTIONS_TABLE,
@@ -25,6 +83,41 @@ exports.handler = async (event) => {
             Key: { visitorId: connectionId }
         }));
         
+        // Close the private room the player was hosting, unless someone joined it
+        if (connection.Item && connection.Item.roomCode) {
+            try {
+                await docClient.send(new DeleteCommand({
+                    TableName: process.env.ROOMS_TABLE,
+                    Key: { code: connection.Item.roomCode },
+                    ConditionExpression: '#host.visitorId = :connectionId',
+                    ExpressionAttributeNames: { '#host': 'host' },
+                    ExpressionAttributeValues: { ':connectionId': connectionId }
+                }));
+            } catch (error) {
+                if (error.name !== 'ConditionalCheckFailedException') throw error;
+            }
+        }
+        
+        // Hold the player's seat if they were in a game
+        if (connection.Item && connection.Item.gameId) {
+            await holdSeat(event, connectionId, connection.Item.gameId);
+        }
+        
+        // Stop broadcasting the game the connection was watching
+        if (connection.Item && connection.Item.watching) {
+            try {
+                await docClient.send(new UpdateCommand({
+                    TableName: process.env.GAMES_TABLE,
+                    Key: { gameId: connection.Item.watching },
+                    UpdateExpression: 'REMOVE spectators.#connectionId',
+                    ConditionExpression: 'attribute_exists(gameId)',
+                    ExpressionAttributeNames: { '#connectionId': connectionId }
+                }));
+            } catch (error) {
+                console.error('Failed to remove spectator:', error);
+            }
+        }
+        
         console.log(`Connection closed: ${connectionId}`);
         
         return {
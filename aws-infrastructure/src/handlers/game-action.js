@@ -0,0 +1,248 @@
+/**
+ * Game Action Handler
+ * Handles resigning, draw offers, aborting and takebacks in multiplayer games
+ */
+
+const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+const { DynamoDBDocumentClient, GetCommand, UpdateCommand } = require('@aws-sdk/lib-dynamodb');
+const { restoreGame, getResult } = require('./lib/chess-engine');
+const { getClockState, handOverClock, getTimeoutResult } = require('./lib/clocks');
+const { ABORTED_RESULT, finishGame, notifySpectators } = require('./lib/games');
+const { getApiClient, sendMessage, reject } = require('./lib/sockets');
+
+const ddbClient = new DynamoDBClient({});
+const docClient = DynamoDBDocumentClient.from(ddbClient);
+
+const otherColor = (color) => (color === 'white' ? 'black' : 'white');
+
+/**
+ * Error thrown by an action to refuse the request
+ */
+class ActionError extends Error {
+    constructor(statusCode, code, message) {
+        super(message);
+        this.name = 'ActionError';
+        this.statusCode = statusCode;
+        this.code = code;
+    }
+}
+
+const staleGame = () => new ActionError(409, 'stale_position', 'The game changed before your request was applied');
+
+/**
+ * Change an active game, only at the move it was read at
+ */
+const updateGame = async (game, updateExpression, values = {}) => {
+    try {
+        await docClient.send(new UpdateCommand({
+            TableName: process.env.GAMES_TABLE,
+            Key: { gameId: game.gameId },
+            UpdateExpression: updateExpression,
+            ConditionExpression: '#status = :active AND size(moves) = :moveCount',
+            ExpressionAttributeNames: { '#status': 'status' },
+            ExpressionAttributeValues: {
+                ':active': 'active',
+                ':moveCount': (game.moves || []).length,
+                ...values
+            }
+        }));
+    } catch (error) {
+        if (error.name === 'ConditionalCheckFailedException') throw staleGame();
+        throw error;
+    }
+};
+
+/**
+ * End the game with the result of calling end(chessGame) on its position
+ */
+const endGame = async (context, end) => {
+    const chessGame = restoreGame(context.game);
+    end(chessGame);
+    if (!await finishGame(context.game, getResult(chessGame), context.notify)) throw staleGame();
+};
+
+/**
+ * Send a message to both players
+ */
+const notifyPlayers = (context, message) => Promise.all(['white', 'black'].map(async (color) => {
+    try {
+        await context.notify(context.game.players[color], message);
+    } catch (error) {
+        console.error(`Failed to notify ${color}:`, error);
+    }
+}));
+
+/**
+ * Refuse to answer an offer unless the opponent made it
+ */
+const requireOffer = (offeredBy, context, code, message) => {
+    if (offeredBy !== otherColor(context.color)) {
+        throw new ActionError(400, code, message);
+    }
+};
+
+/**
+ * Actions by route key; each gets { game, color, notify } for the player
+ * who sent it
+ */
+const ACTIONS = {
+    resign: (context) => endGame(context, chessGame => chessGame.resign(context.color)),
+    
+    // Only before the player's own first move, and the game is not rated
+    abort: async (context) => {
+        if ((context.game.moves || []).some(move => move.player === context.color)) {
+            throw new ActionError(400, 'cannot_abort', 'A game can only be aborted before your first move');
+        }
+        const outcome = { result: ABORTED_RESULT, reason: 'aborted' };
+        if (!await finishGame(context.game, outcome, context.notify)) throw staleGame();
+    },
+    
+    // Offering a draw while the opponent's offer is pending accepts it
+    offer_draw: async (context) => {
+        const { game, color } = context;
+        if (game.drawOffer === otherColor(color)) {
+            return endGame(context, chessGame => chessGame.agreeDraw());
+        }
+        if (game.drawOffer === color) {
+            throw new ActionError(400, 'offer_pending', 'You have already offered a draw');
+        }
+        
+        await updateGame(game, 'SET drawOffer = :color', { ':color': color });
+        await notifyPlayers(context, { type: 'draw_offered', gameId: game.gameId, by: color });
+    },
+    
+    accept_draw: async (context) => {
+        requireOffer(context.game.drawOffer, context, 'no_draw_offer', 'Your opponent has not offered a draw');
+        await endGame(context, chessGame => chessGame.agreeDraw());
+    },
+    
+    decline_draw: async (context) => {
+        const { game, color } = context;
+        requireOffer(game.drawOffer, context, 'no_draw_offer', 'Your opponent has not offered a draw');
+        
+        await updateGame(game, 'REMOVE drawOffer');
+        await notifyPlayers(context, { type: 'draw_declined', gameId: game.gameId, by: color });
+    },
+    
+    request_takeback: async (context) => {
+        const { game, color } = context;
+        if (!(game.moves || []).some(move => move.player === color)) {
+            throw new ActionError(400, 'no_move_to_take_back', 'You have no move to take back');
+        }
+        if (game.takebackRequest) {
+            throw new ActionError(400, 'offer_pending', 'A takeback has already been requested');
+        }
+        
+        await updateGame(game, 'SET takebackRequest = :color', { ':color': color });
+        await notifyPlayers(context, { type: 'takeback_requested', gameId: game.gameId, by: color });
+    },
+    
+    // Takes back the requester's last move, and the reply to it if there was one,
+    // so it is the requester's turn again
+    accept_takeback: async (context) => {
+        const { game, color } = context;
+        requireOffer(game.takebackRequest, context, 'no_takeback_request', 'Your opponent has not asked for a takeback');
+        
+        const requester = otherColor(color);
+        const plies = game.currentTurn === requester ? 2 : 1;
+        const moves = game.moves.slice(0, -plies);
+        const chessGame = restoreGame({ ...game, moves });
+        const now = Date.now();
+        
+        const clockUpdate = game.clock ? handOverClock(game, requester, now) : null;
+        if (game.clock && !clockUpdate) {
+            // The side to move ran out of time before the takeback
+            if (!await finishGame(game, getTimeoutResult(game), context.notify)) throw staleGame();
+            return;
+        }
+        
+        await updateGame(game,
+            'SET moves = :moves, currentTurn = :turn, fen = :fen, updatedAt = :updatedAt' +
+            (clockUpdate ? ', clock = :clock, turnStartedAt = :turnStartedAt, flagAt = :flagAt' : '') +
+            ' REMOVE takebackRequest, drawOffer',
+            {
+                ':moves': moves,
+                ':turn': chessGame.currentTurn,
+                ':fen': chessGame.toFEN(),
+                ':updatedAt': new Date(now).toISOString(),
+                ...(clockUpdate ? {
+                    ':clock': clockUpdate.clock,
+                    ':turnStartedAt': clockUpdate.turnStartedAt,
+                    ':flagAt': clockUpdate.flagAt
+                } : {})
+            });
+        
+        const takebackMessage = {
+            type: 'takeback_accepted',
+            gameId: game.gameId,
+            plies,
+            fen: chessGame.toFEN(),
+            currentTurn: chessGame.currentTurn,
+            ...(clockUpdate ? {
+                clock: getClockState({ ...game, ...clockUpdate, currentTurn: chessGame.currentTurn }, now)
+            } : {})
+        };
+        await notifyPlayers(context, takebackMessage);
+        await notifySpectators(game, { ...takebackMessage, ply: moves.length }, context.notify);
+    },
+    
+    decline_takeback: async (context) => {
+        const { game, color } = context;
+        requireOffer(game.takebackRequest, context, 'no_takeback_request', 'Your opponent has not asked for a takeback');
+        
+        await updateGame(game, 'REMOVE takebackRequest');
+        await notifyPlayers(context, { type: 'takeback_declined', gameId: game.gameId, by: color });
+    }
+};
+
+exports.handler = async (event) => {
+    const connectionId = event.requestContext.connectionId;
+    const body = JSON.parse(event.body || '{}');
+    const { action, gameId } = body;
+    const apiClient = getApiClient(event);
+    
+    if (!gameId || !Object.prototype.hasOwnProperty.call(ACTIONS, action)) {
+        return reject(apiClient, connectionId, action, 400, 'invalid_request', 'Missing gameId or unknown action', gameId);
+    }
+    
+    try {
+        const gameResult = await docClient.send(new GetCommand({
+            TableName: process.env.GAMES_TABLE,
+            Key: { gameId }
+        }));
+        
+        const game = gameResult.Item;
+        
+        if (!game) {
+            return reject(apiClient, connectionId, action, 404, 'game_not_found', 'Game not found', gameId);
+        }
+        
+        if (game.status !== 'active') {
+            return reject(apiClient, connectionId, action, 400, 'game_not_active', 'Game is not active', gameId);
+        }
+        
+        const color = game.players.white === connectionId ? 'white' :
+                      game.players.black === connectionId ? 'black' : null;
+        
+        if (!color) {
+            return reject(apiClient, connectionId, action, 403, 'not_a_player', 'You are not a player in this game', gameId);
+        }
+        
+        await ACTIONS[action]({
+            game,
+            color,
+            notify: (recipientId, message) => sendMessage(apiClient, recipientId, message)
+        });
+        
+        return { statusCode: 200, body: 'OK' };
+    } catch (error) {
+        if (error instanceof ActionError) {
+            return reject(apiClient, connectionId, action, error.statusCode, error.code, error.message, gameId);
+        }
+        console.error('Game action error:', error);
+        return {
+            statusCode: 500,
+            body: 'Internal server error'
+        };
+    }
+};
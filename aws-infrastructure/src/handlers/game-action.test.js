@@ -0,0 +1,158 @@
+const { setUp, createEvent, openConnections, lastMessage, putGame, getGame } = require('./test-helpers/local-handlers');
+
+setUp();
+
+// The handlers are required once the environment is set up
+const gameAction = require('./game-action');
+const gameMove = require('./game-move');
+
+const gameEvent = (connectionId, body) => createEvent(connectionId, { gameId: 'game-1', ...body });
+
+const act = (connectionId, action) => gameAction.handler(gameEvent(connectionId, { action }));
+
+const move = (connectionId, from, to) => gameMove.handler(gameEvent(connectionId, { action: 'move', move: { from, to } }));
+
+// White and black play game-1, which one spectator watches
+beforeEach(async () => {
+    setUp();
+    await openConnections(['white', 'black', 'spectator']);
+    await putGame('game-1', { spectators: { spectator: new Date().toISOString() } });
+});
+
+describe('requests', () => {
+    test('refuses unknown actions and requests without a game', async () => {
+        expect((await act('white', 'claim_win')).statusCode).toBe(400);
+        expect(lastMessage('white')).toMatchObject({ type: 'error', action: 'claim_win', code: 'invalid_request' });
+        
+        expect((await gameAction.handler(createEvent('white', { action: 'resign' }))).statusCode).toBe(400);
+        expect((await gameAction.handler(createEvent('white', { action: 'resign', gameId: 'game-2' }))).statusCode).toBe(404);
+        expect(lastMessage('white')).toMatchObject({ code: 'game_not_found', gameId: 'game-2' });
+    });
+    
+    test('only the players act on a game', async () => {
+        expect((await act('spectator', 'resign')).statusCode).toBe(403);
+        expect(lastMessage('spectator')).toMatchObject({ type: 'error', action: 'resign', code: 'not_a_player' });
+        expect((await getGame('game-1')).status).toBe('active');
+    });
+});
+
+describe('resign', () => {
+    test('ends the game for the opponent', async () => {
+        expect((await act('white', 'resign')).statusCode).toBe(200);
+        
+        for (const connectionId of ['white', 'black']) {
+            expect(lastMessage(connectionId)).toMatchObject({ type: 'game_over', result: '0-1', reason: 'resignation' });
+        }
+        expect(await getGame('game-1')).toMatchObject({ status: 'finished', result: '0-1', resultReason: 'resignation' });
+    });
+    
+    test('refuses actions on a finished game', async () => {
+        await act('white', 'resign');
+        
+        expect((await act('black', 'resign')).statusCode).toBe(400);
+        expect(lastMessage('black')).toMatchObject({ type: 'error', code: 'game_not_active' });
+    });
+});
+
+describe('abort', () => {
+    test('ends the game unrated before the first move', async () => {
+        expect((await act('black', 'abort')).statusCode).toBe(200);
+        
+        expect(lastMessage('white')).toMatchObject({ type: 'game_over', result: '*', reason: 'aborted' });
+        expect((await getGame('game-1')).status).toBe('aborted');
+    });
+    
+    test('is refused once the player has moved, but not their opponent', async () => {
+        await move('white', 'e2', 'e4');
+        
+        expect((await act('white', 'abort')).statusCode).toBe(400);
+        expect(lastMessage('white')).toMatchObject({ type: 'error', code: 'cannot_abort' });
+        
+        expect((await act('black', 'abort')).statusCode).toBe(200);
+        expect((await getGame('game-1')).status).toBe('aborted');
+    });
+});
+
+describe('draw offers', () => {
+    test('are sent to both players and declined by the opponent', async () => {
+        await act('white', 'offer_draw');
+        expect(lastMessage('black')).toMatchObject({ type: 'draw_offered', by: 'white' });
+        expect((await getGame('game-1')).drawOffer).toBe('white');
+        
+        expect((await act('white', 'offer_draw')).statusCode).toBe(400);
+        expect(lastMessage('white')).toMatchObject({ type: 'error', code: 'offer_pending' });
+        expect((await act('white', 'decline_draw')).statusCode).toBe(400);
+        expect(lastMessage('white')).toMatchObject({ type: 'error', code: 'no_draw_offer' });
+        
+        await act('black', 'decline_draw');
+        expect(lastMessage('white')).toMatchObject({ type: 'draw_declined', by: 'black' });
+        expect((await getGame('game-1')).drawOffer).toBeUndefined();
+    });
+    
+    test('end the game drawn when accepted', async () => {
+        expect((await act('black', 'accept_draw')).statusCode).toBe(400);
+        expect(lastMessage('black')).toMatchObject({ code: 'no_draw_offer' });
+        
+        await act('white', 'offer_draw');
+        await act('black', 'accept_draw');
+        
+        expect(lastMessage('white')).toMatchObject({ type: 'game_over', result: '1/2-1/2', reason: 'agreement' });
+        expect(await getGame('game-1')).toMatchObject({ status: 'finished', result: '1/2-1/2' });
+    });
+    
+    test('accept the opponent\'s pending offer when both offer', async () => {
+        await act('white', 'offer_draw');
+        await act('black', 'offer_draw');
+        
+        expect(lastMessage('white')).toMatchObject({ type: 'game_over', result: '1/2-1/2' });
+    });
+});
+
+describe('takebacks', () => {
+    test('need a move of the player\'s own to take back', async () => {
+        expect((await act('white', 'request_takeback')).statusCode).toBe(400);
+        expect(lastMessage('white')).toMatchObject({ type: 'error', code: 'no_move_to_take_back' });
+    });
+    
+    test('take back the requester\'s move and the reply to it', async () => {
+        await move('white', 'e2', 'e4');
+        await move('black', 'e7', 'e5');
+        await act('white', 'request_takeback');
+        expect(lastMessage('black')).toMatchObject({ type: 'takeback_requested', by: 'white' });
+        
+        expect((await act('white', 'accept_takeback')).statusCode).toBe(400);
+        expect(lastMessage('white')).toMatchObject({ type: 'error', code: 'no_takeback_request' });
+        
+        await act('black', 'accept_takeback');
+        
+        const game = await getGame('game-1');
+        expect(game.moves).toEqual([]);
+        expect(game.currentTurn).toBe('white');
+        expect(game.takebackRequest).toBeUndefined();
+        expect(lastMessage('white')).toMatchObject({ type: 'takeback_accepted', plies: 2, currentTurn: 'white', fen: game.fen });
+        expect(lastMessage('spectator')).toMatchObject({ type: 'takeback_accepted', ply: 0 });
+    });
+    
+    test('take back only the requester\'s move before the reply', async () => {
+        await move('white', 'e2', 'e4');
+        await act('white', 'request_takeback');
+        await act('black', 'accept_takeback');
+        
+        expect(lastMessage('white')).toMatchObject({ type: 'takeback_accepted', plies: 1, currentTurn: 'white' });
+        expect((await getGame('game-1')).moves).toEqual([]);
+    });
+    
+    test('are requested once, and can be declined', async () => {
+        await move('white', 'e2', 'e4');
+        await act('white', 'request_takeback');
+        
+        expect((await act('white', 'request_takeback')).statusCode).toBe(400);
+        expect(lastMessage('white')).toMatchObject({ type: 'error', code: 'offer_pending' });
+        
+        await act('black', 'decline_takeback');
+        expect(lastMessage('white')).toMatchObject({ type: 'takeback_declined', by: 'black' });
+        const game = await getGame('game-1');
+        expect(game.takebackRequest).toBeUndefined();
+        expect(game.currentTurn).toBe('black');
+    });
+});
@@ -0,0 +1,104 @@
+/**
+ * Game Archive Handler
+ * Pages through the finished games of the player on a connection, and
+ * sends any finished game as PGN to replay
+ */
+
+const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+const { DynamoDBDocumentClient, GetCommand } = require('@aws-sdk/lib-dynamodb');
+const { ArchiveError, getPlayerGames, toPGN } = require('./lib/archive');
+const { getApiClient, sendMessage, reject } = require('./lib/sockets');
+
+const ddbClient = new DynamoDBClient({});
+const docClient = DynamoDBDocumentClient.from(ddbClient);
+
+const listHistory = async (apiClient, connectionId, body) => {
+    const connection = await docClient.send(new GetCommand({
+        TableName: process.env.CONNECTIONS_TABLE,
+        Key: { connectionId }
+    }));
+    
+    // Histories are kept for signed-in players and browser sessions
+    const identity = connection.Item && connection.Item.identity;
+    if (!identity || identity.startsWith('connection:')) {
+        return reject(apiClient, connectionId, 'list_history', 400, 'no_history',
+            'Sign in, or connect with a session, to keep a history of your games');
+    }
+    
+    let page;
+    try {
+        page = await getPlayerGames(identity, body.filters || {}, body.cursor || null, body.pageSize);
+    } catch (error) {
+        if (error instanceof ArchiveError) {
+            return reject(apiClient, connectionId, 'list_history', 400, error.code, error.message);
+        }
+        throw error;
+    }
+    
+    await sendMessage(apiClient, connectionId, {
+        type: 'game_history',
+        games: page.games,
+        cursor: page.cursor,
+        // Lets the client tell a next page from a fresh first page
+        after: body.cursor || null
+    });
+    
+    return { statusCode: 200, body: 'OK' };
+};
+
+const getArchivedGame = async (apiClient, connectionId, gameId) => {
+    if (!gameId) {
+        return reject(apiClient, connectionId, 'get_game', 400, 'invalid_request', 'Missing gameId');
+    }
+    
+    const gameResult = await docClient.send(new GetCommand({
+        TableName: process.env.GAMES_TABLE,
+        Key: { gameId }
+    }));
+    const game = gameResult.Item;
+    
+    if (!game) {
+        return reject(apiClient, connectionId, 'get_game', 404, 'game_not_found', 'Game not found', gameId);
+    }
+    // Games in progress are followed with watch instead
+    if (game.status === 'active') {
+        return reject(apiClient, connectionId, 'get_game', 409, 'game_in_progress',
+            'The game is still being played', gameId);
+    }
+    
+    await sendMessage(apiClient, connectionId, {
+        type: 'archived_game',
+        gameId,
+        result: game.result,
+        reason: game.resultReason,
+        pgn: toPGN(game)
+    });
+    
+    return { statusCode: 200, body: 'OK' };
+};
+
+exports.handler = async (event) => {
+    const connectionId = event.requestContext.connectionId;
+    const body = JSON.parse(event.body || '{}');
+    const apiClient = getApiClient(event);
+    
+    try {
+        switch (body.action) {
+            case 'list_history':
+                return await listHistory(apiClient, connectionId, body);
+            case 'get_game':
+                return await getArchivedGame(apiClient, connectionId, body.gameId);
+            default:
+                return {
+                    statusCode: 400,
+                    body: 'Invalid action'
+                };
+        }
+    } catch (error) {
+        console.error('Game archive error:', error);
+        return {
+            statusCode: 500,
+            body: 'Internal server error'
+        };
+    }
+};
@@ -0,0 +1,107 @@
+const { setUp, createEvent, openConnection, lastMessage, seat, putGame } = require('./test-helpers/local-handlers');
+const { indexFinishedGame } = require('./lib/archive');
+
+setUp();
+
+// The handler is required once the environment is set up
+const gameArchive = require('./game-archive');
+
+const SESSION = 'session:aaaaaaaaaaaaaaaa-1';
+
+const send = (connectionId, body) => gameArchive.handler(createEvent(connectionId, body));
+
+/**
+ * Store a game the session played as white, finished on the given day
+ */
+const putFinishedGame = async (gameId, { result, reason = 'resignation', timeControl = '3+2', moves = [], day }) => {
+    const game = await putGame(gameId, {
+        white: seat('old-connection', { identity: SESSION, nickname: 'Alice' }),
+        black: seat('opponent', { identity: 'session:bbbbbbbbbbbbbbbb-2', rating: 1600 }),
+        timeControl,
+        createdAt: `${day}T12:00:00.000Z`,
+        status: 'finished',
+        result,
+        resultReason: reason,
+        moves
+    });
+    await indexFinishedGame(game, { result, reason, finishedAt: `${day}T12:30:00.000Z` });
+};
+
+beforeEach(async () => {
+    setUp();
+    await openConnection('player', { identity: SESSION });
+    await openConnection('guest', { identity: 'connection:guest' });
+    
+    await putFinishedGame('game-1', { result: '1-0', day: '2026-01-01' });
+    await putFinishedGame('game-2', { result: '0-1', timeControl: '10+5', day: '2026-01-02' });
+    await putFinishedGame('game-3', { result: '1/2-1/2', reason: 'agreement', day: '2026-01-03' });
+});
+
+describe('list_history', () => {
+    test('pages through the player\'s games, newest first', async () => {
+        await send('player', { action: 'list_history', pageSize: 2 });
+        const first = lastMessage('player');
+        expect(first).toMatchObject({ type: 'game_history', after: null });
+        expect(first.games.map(game => game.gameId)).toEqual(['game-3', 'game-2']);
+        expect(first.games[0]).toMatchObject({ color: 'white', outcome: 'draw', opponent: { rating: 1600 } });
+        
+        await send('player', { action: 'list_history', pageSize: 2, cursor: first.cursor });
+        const second = lastMessage('player');
+        expect(second).toMatchObject({ after: first.cursor, cursor: null });
+        expect(second.games.map(game => game.gameId)).toEqual(['game-1']);
+    });
+    
+    test('filters by outcome, time control and date', async () => {
+        await send('player', { action: 'list_history', filters: { result: 'loss' } });
+        expect(lastMessage('player').games.map(game => game.gameId)).toEqual(['game-2']);
+        
+        await send('player', { action: 'list_history', filters: { timeControl: 'blitz', to: '2026-01-02' } });
+        expect(lastMessage('player').games.map(game => game.gameId)).toEqual(['game-1']);
+    });
+    
+    test('refuses bad filters and cursors', async () => {
+        expect((await send('player', { action: 'list_history', filters: { result: 'won' } })).statusCode).toBe(400);
+        expect(lastMessage('player')).toMatchObject({ type: 'error', action: 'list_history', code: 'invalid_filter' });
+        
+        expect((await send('player', { action: 'list_history', cursor: 'nonsense' })).statusCode).toBe(400);
+        expect(lastMessage('player')).toMatchObject({ type: 'error', action: 'list_history', code: 'invalid_cursor' });
+    });
+    
+    test('a one-off connection has no history', async () => {
+        expect((await send('guest', { action: 'list_history' })).statusCode).toBe(400);
+        expect(lastMessage('guest')).toMatchObject({ type: 'error', action: 'list_history', code: 'no_history' });
+    });
+});
+
+describe('get_game', () => {
+    test('sends a finished game as PGN', async () => {
+        await putFinishedGame('mate', {
+            result: '0-1',
+            reason: 'checkmate',
+            moves: [{ from: 'f2', to: 'f3' }, { from: 'e7', to: 'e5' }, { from: 'g2', to: 'g4' }, { from: 'd8', to: 'h4' }],
+            day: '2026-01-04'
+        });
+        
+        expect((await send('guest', { action: 'get_game', gameId: 'mate' })).statusCode).toBe(200);
+        
+        const message = lastMessage('guest');
+        expect(message).toMatchObject({ type: 'archived_game', gameId: 'mate', result: '0-1', reason: 'checkmate' });
+        expect(message.pgn).toContain('[White "Alice"]');
+        expect(message.pgn).toContain('[Black "Guest"]');
+        expect(message.pgn).toContain('[Date "2026.01.04"]');
+        expect(message.pgn).toContain('[TimeControl "180+2"]');
+        expect(message.pgn).toContain('1. f3 e5 2. g4 Qh4# 0-1');
+    });
+    
+    test('refuses games that are missing, unknown or still being played', async () => {
+        expect((await send('guest', { action: 'get_game' })).statusCode).toBe(400);
+        expect(lastMessage('guest')).toMatchObject({ type: 'error', action: 'get_game', code: 'invalid_request' });
+        
+        expect((await send('guest', { action: 'get_game', gameId: 'nope' })).statusCode).toBe(404);
+        expect(lastMessage('guest')).toMatchObject({ code: 'game_not_found', gameId: 'nope' });
+        
+        await putGame('active', { white: seat('a'), black: seat('b') });
+        expect((await send('guest', { action: 'get_game', gameId: 'active' })).statusCode).toBe(409);
+        expect(lastMessage('guest')).toMatchObject({ code: 'game_in_progress', gameId: 'active' });
+    });
+});
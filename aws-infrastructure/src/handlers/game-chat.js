@@ -0,0 +1,132 @@
+/**
+ * Game Chat Handler
+ * Relays the players' chat messages to each other and to the game's
+ * spectators, and lets a player mute their opponent
+ */
+
+const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+const { DynamoDBDocumentClient, GetCommand, UpdateCommand } = require('@aws-sdk/lib-dynamodb');
+const { notifySpectators } = require('./lib/games');
+const { MAX_CHAT_LENGTH, normalizeMessage, filterChatMessage, takeChatAllowance } = require('./lib/chat');
+const { getApiClient, sendMessage, reject } = require('./lib/sockets');
+
+const ddbClient = new DynamoDBClient({});
+const docClient = DynamoDBDocumentClient.from(ddbClient);
+
+const otherColor = (color) => (color === 'white' ? 'black' : 'white');
+
+const sendChat = async (apiClient, connectionId, game, color, body) => {
+    const text = normalizeMessage(body.text);
+    if (!text) {
+        return reject(apiClient, connectionId, 'chat', 400, 'invalid_message', 'Type a message to send', game.gameId);
+    }
+    if (text.length > MAX_CHAT_LENGTH) {
+        return reject(apiClient, connectionId, 'chat', 400, 'message_too_long',
+            `Messages are at most ${MAX_CHAT_LENGTH} characters`, game.gameId);
+    }
+    if (!await takeChatAllowance(connectionId)) {
+        return reject(apiClient, connectionId, 'chat', 429, 'rate_limited',
+            'You are sending messages too quickly, wait a moment', game.gameId);
+    }
+    
+    const filtered = await filterChatMessage(text);
+    if (!filtered) {
+        return reject(apiClient, connectionId, 'chat', 400, 'message_blocked', 'That message can\'t be sent', game.gameId);
+    }
+    if (filtered.flagged) {
+        console.warn(`Filtered a chat message from ${color} in game ${game.gameId}`);
+    }
+    
+    const message = {
+        type: 'chat_message',
+        gameId: game.gameId,
+        from: color,
+        nickname: (game.nicknames || {})[color] || null,
+        text: filtered.text,
+        sentAt: Date.now()
+    };
+    
+    // The sender sees their message as filtered; an opponent who muted them does not see it
+    const opponent = otherColor(color);
+    const recipients = (game.chatMuted || {})[opponent] ? [connectionId] : [connectionId, game.players[opponent]];
+    const notify = (recipientId, chatMessage) => sendMessage(apiClient, recipientId, chatMessage);
+    await Promise.all(recipients.map(async (recipientId) => {
+        try {
+            await notify(recipientId, message);
+        } catch (error) {
+            console.error('Failed to deliver chat message:', error);
+        }
+    }));
+    await notifySpectators(game, message, notify);
+    
+    return { statusCode: 200, body: 'OK' };
+};
+
+/**
+ * Mute or unmute the opponent's chat for a player. The choice is kept on
+ * the game, so it lasts across reconnects
+ */
+const setMuted = async (apiClient, connectionId, game, color, muted) => {
+    await docClient.send(new UpdateCommand({
+        TableName: process.env.GAMES_TABLE,
+        Key: { gameId: game.gameId },
+        UpdateExpression: muted ? 'SET chatMuted.#color = :muted' : 'REMOVE chatMuted.#color',
+        ExpressionAttributeNames: { '#color': color },
+        ...(muted ? { ExpressionAttributeValues: { ':muted': true } } : {})
+    }));
+    
+    await sendMessage(apiClient, connectionId, {
+        type: 'chat_muted',
+        gameId: game.gameId,
+        muted
+    });
+    
+    return { statusCode: 200, body: 'OK' };
+};
+
+exports.handler = async (event) => {
+    const connectionId = event.requestContext.connectionId;
+    const body = JSON.parse(event.body || '{}');
+    const { action, gameId } = body;
+    const apiClient = getApiClient(event);
+    
+    if (!['chat', 'mute_chat', 'unmute_chat'].includes(action)) {
+        return {
+            statusCode: 400,
+            body: 'Invalid action'
+        };
+    }
+    if (!gameId) {
+        return reject(apiClient, connectionId, action, 400, 'invalid_request', 'Missing gameId');
+    }
+    
+    try {
+        const gameResult = await docClient.send(new GetCommand({
+            TableName: process.env.GAMES_TABLE,
+            Key: { gameId }
+        }));
+        const game = gameResult.Item;
+        
+        if (!game) {
+            return reject(apiClient, connectionId, action, 404, 'game_not_found', 'Game not found', gameId);
+        }
+        
+        // Only the players chat; spectators read along
+        const color = game.players.white === connectionId ? 'white' :
+                      game.players.black === connectionId ? 'black' : null;
+        if (!color) {
+            return reject(apiClient, connectionId, action, 403, 'not_a_player', 'You are not a player in this game', gameId);
+        }
+        
+        if (action === 'chat') {
+            return await sendChat(apiClient, connectionId, game, color, body);
+        }
+        return await setMuted(apiClient, connectionId, game, color, action === 'mute_chat');
+    } catch (error) {
+        console.error('Game chat error:', error);
+        return {
+            statusCode: 500,
+            body: 'Internal server error'
+        };
+    }
+};
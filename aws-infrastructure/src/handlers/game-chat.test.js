@@ -0,0 +1,83 @@
+const { inboxes, setUp, createEvent, openConnections, lastMessage, seat, putGame } = require('./test-helpers/local-handlers');
+const { MAX_CHAT_LENGTH, CHAT_RATE_LIMIT, setChatFilter, createWordFilter } = require('./lib/chat');
+
+setUp();
+
+// The handler is required once the environment is set up
+const gameChat = require('./game-chat');
+
+const send = (connectionId, body) => gameChat.handler(createEvent(connectionId, { gameId: 'game-1', ...body }));
+
+const chat = (connectionId, text) => send(connectionId, { action: 'chat', text });
+
+// White and black play game-1, which one spectator watches
+beforeEach(async () => {
+    setUp();
+    setChatFilter(createWordFilter([]));
+    
+    await openConnections(['white', 'black', 'spectator']);
+    await putGame('game-1', {
+        white: seat('white', { nickname: 'Alice' }),
+        spectators: { spectator: new Date().toISOString() }
+    });
+});
+
+describe('chat', () => {
+    test('reaches both players and the spectators', async () => {
+        expect((await chat('white', ' good luck ')).statusCode).toBe(200);
+        
+        for (const connectionId of ['white', 'black', 'spectator']) {
+            expect(lastMessage(connectionId)).toMatchObject({ type: 'chat_message', gameId: 'game-1', from: 'white', nickname: 'Alice', text: 'good luck' });
+        }
+    });
+    
+    test('spectators cannot chat', async () => {
+        expect((await chat('spectator', 'hello')).statusCode).toBe(403);
+        expect(lastMessage('spectator')).toMatchObject({ type: 'error', action: 'chat', code: 'not_a_player' });
+    });
+    
+    test('refuses empty and overlong messages', async () => {
+        expect((await chat('white', ' \n ')).statusCode).toBe(400);
+        expect(lastMessage('white')).toMatchObject({ code: 'invalid_message' });
+        
+        expect((await chat('white', 'x'.repeat(MAX_CHAT_LENGTH + 1))).statusCode).toBe(400);
+        expect(lastMessage('white')).toMatchObject({ code: 'message_too_long' });
+        expect(inboxes.get('black')).toEqual([]);
+    });
+    
+    test('limits how quickly a player can send', async () => {
+        for (let i = 0; i < CHAT_RATE_LIMIT; i++) {
+            expect((await chat('white', `message ${i}`)).statusCode).toBe(200);
+        }
+        
+        expect((await chat('white', 'one too many')).statusCode).toBe(429);
+        expect(lastMessage('white')).toMatchObject({ type: 'error', action: 'chat', code: 'rate_limited' });
+    });
+    
+    test('sends messages as filtered, or not at all', async () => {
+        const consoleWarn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        setChatFilter(createWordFilter(['darn']));
+        await chat('white', 'darn it');
+        expect(lastMessage('black')).toMatchObject({ text: '**** it' });
+        consoleWarn.mockRestore();
+        
+        setChatFilter(() => null);
+        expect((await chat('white', 'anything')).statusCode).toBe(400);
+        expect(lastMessage('white')).toMatchObject({ type: 'error', code: 'message_blocked' });
+    });
+});
+
+describe('mute_chat', () => {
+    test('keeps the opponent\'s messages from a player until unmuted', async () => {
+        await send('black', { action: 'mute_chat' });
+        expect(lastMessage('black')).toEqual({ type: 'chat_muted', gameId: 'game-1', muted: true });
+        
+        await chat('white', 'are you there?');
+        expect(lastMessage('black')).toMatchObject({ type: 'chat_muted' });
+        expect(lastMessage('white')).toMatchObject({ type: 'chat_message', text: 'are you there?' });
+        
+        await send('black', { action: 'unmute_chat' });
+        await chat('white', 'hello again');
+        expect(lastMessage('black')).toMatchObject({ type: 'chat_message', text: 'hello again' });
+    });
+});
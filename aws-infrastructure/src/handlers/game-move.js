@@ -1,41 +1,20 @@
 /**
  * Game Move Handler
- * Handles chess moves in multiplayer games
+ * Validates chess moves in multiplayer games against the shared rules engine
  */
 
 const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
-const { DynamoDBDocumentClient, GetCommand, UpdateCommand, DeleteCommand } = require('@aws-sdk/lib-dynamodb');
-const { ApiGatewayManagementApiClient, PostToConnectionCommand } = require('@aws-sdk/client-apigatewaymanagementapi');
+const { DynamoDBDocumentClient, GetCommand, UpdateCommand } = require('@aws-sdk/lib-dynamodb');
+const { MoveError, playMove, restoreGame, getResult } = require('./lib/chess-engine');
+const { rateFinishedGame } = require('./lib/ratings');
+const { getClockState, pressClock, getTimeoutResult } = require('./lib/clocks');
+const { finishGame, notifySpectators } = require('./lib/games');
+const { indexFinishedGame } = require('./lib/archive');
+const { getApiClient, sendMessage, reject } = require('./lib/sockets');
 
 const ddbClient = new DynamoDBClient({});
 const docClient = DynamoDBDocumentClient.from(ddbClient);
 
-const getApiClient = (event) => {
-    const domain = event.requestContext.domainName;
-    const stage = event.requestContext.stage;
-    return new ApiGatewayManagementApiClient({
-        endpoint: `https://${domain}/${stage}`
-    });
-};
-
-const sendMessage = async (apiClient, connectionId, message) => {
-    try {
-        await apiClient.send(new PostToConnectionCommand({
-            ConnectionId: connectionId,
-            Data: JSON.stringify(message)
-        }));
-    } catch (error) {
-        if (error.statusCode === 410) {
-            // Connection is stale, remove it
-            await docClient.send(new DeleteCommand({
-                TableName: process.env.CONNECTIONS_TABLE,
-                Key: { connectionId }
-            }));
-        }
-        throw error;
-    }
-};
-
 exports.handler = async (event) => {
     const connectionId = event.requestContext.connectionId;
     const body = JSON.parse(event.body || '{}');
@@ -43,10 +22,7 @@ exports.handler = async (event) => {
     const apiClient = getApiClient(event);
     
     if (!gameId || !move) {
-        return {
-            statusCode: 400,
-            body: 'Missing gameId or move'
-        };
+        return reject(apiClient, connectionId, 'move', 400, 'invalid_request', 'Missing gameId or move', gameId);
     }
     
     try {
@@ -59,17 +35,11 @@ exports.handler = async (event) => {
         const game = gameResult.Item;
         
         if (!game) {
-            return {
-                statusCode: 404,
-                body: 'Game not found'
-            };
+            return reject(apiClient, connectionId, 'move', 404, 'game_not_found', 'Game not found', gameId);
         }
         
         if (game.status !== 'active') {
-            return {
-                statusCode: 400,
-                body: 'Game is not active'
-            };
+            return reject(apiClient, connectionId, 'move', 400, 'game_not_active', 'Game is not active', gameId);
         }
         
         // Validate that it's the player's turn
@@ -77,38 +47,129 @@ exports.handler = async (event) => {
                            game.players.black === connectionId ? 'black' : null;
         
         if (!playerColor) {
-            return {
-                statusCode: 403,
-                body: 'You are not a player in this game'
-            };
+            return reject(apiClient, connectionId, 'move', 403, 'not_a_player', 'You are not a player in this game', gameId);
         }
         
         if (game.currentTurn !== playerColor) {
-            return {
-                statusCode: 400,
-                body: 'Not your turn'
-            };
+            return reject(apiClient, connectionId, 'move', 400, 'not_your_turn', 'Not your turn', gameId);
         }
         
-        // Update game state
+        // Charge the mover's clock; a move made after the flag fell loses on time instead
+        const now = Date.now();
+        const clockUpdate = game.clock ? pressClock(game, now) : null;
+        if (game.clock && !clockUpdate) {
+            const gameOverMessage = await finishGame(game, getTimeoutResult(game),
+                (recipientId, message) => sendMessage(apiClient, recipientId, message));
+            if (!gameOverMessage) {
+                return reject(apiClient, connectionId, 'move', 409, 'stale_position',
+                    'The game changed before your move was applied', gameId);
+            }
+            return { statusCode: 200, body: 'Flag fell' };
+        }
+        
+        // Rebuild the position and play the move through the rules engine
+        const chessGame = restoreGame(game);
+        let record;
+        try {
+            record = playMove(chessGame, move);
+        } catch (error) {
+            if (error instanceof MoveError) {
+                return reject(apiClient, connectionId, 'move', 400, error.code, error.message, gameId);
+            }
+            throw error;
+        }
+        
+        const acceptedMove = {
+            from: move.from,
+            to: move.to,
+            promotion: record.promotionPiece || null
+        };
+        const san = chessGame.getMoveNotation(record);
+        const fen = chessGame.toFEN();
+        const nextTurn = chessGame.currentTurn;
+        const outcome = getResult(chessGame);
+        const timestamp = new Date(now).toISOString();
+        
         const newMoves = [...(game.moves || []), {
-            ...move,
+            ...acceptedMove,
+            san,
             player: playerColor,
-            timestamp: new Date().toISOString()
+            timestamp
         }];
         
-        const nextTurn = playerColor === 'white' ? 'black' : 'white';
+        const setClauses = ['moves = :moves', 'currentTurn = :turn', 'fen = :fen', 'updatedAt = :updatedAt'];
+        if (outcome) {
+            setClauses.push('#status = :finished', '#result = :result', 'resultReason = :reason', 'finishedAt = :updatedAt');
+        }
+        if (clockUpdate) {
+            setClauses.push('clock = :clock', 'turnStartedAt = :turnStartedAt');
+        }
+        
+        // A move answers any pending draw offer or takeback request, and the
+        // sweeper finds games by flagAt and abandonAt, so a finished game
+        // drops them
+        const removeClauses = ['drawOffer', 'takebackRequest'];
+        if (clockUpdate && !outcome) {
+            setClauses.push('flagAt = :flagAt');
+        } else {
+            removeClauses.push('flagAt');
+        }
+        if (outcome) {
+            removeClauses.push('abandonAt');
+        }
         
-        await docClient.send(new UpdateCommand({
-            TableName: process.env.GAMES_TABLE,
-            Key: { gameId },
-            UpdateExpression: 'SET moves = :moves, currentTurn = :turn, updatedAt = :updatedAt',
-            ExpressionAttributeValues: {
-                ':moves': newMoves,
-                ':turn': nextTurn,
-                ':updatedAt': new Date().toISOString()
+        // Only apply the move to the position it was validated against
+        const previousMoveCount = (game.moves || []).length;
+        try {
+            await docClient.send(new UpdateCommand({
+                TableName: process.env.GAMES_TABLE,
+                Key: { gameId },
+                UpdateExpression: `SET ${setClauses.join(', ')} REMOVE ${removeClauses.join(', ')}`,
+                ConditionExpression: '#status = :active AND size(moves) = :previousMoveCount',
+                ExpressionAttributeNames: outcome
+                    ? { '#status': 'status', '#result': 'result' }
+                    : { '#status': 'status' },
+                ExpressionAttributeValues: {
+                    ':moves': newMoves,
+                    ':turn': nextTurn,
+                    ':fen': fen,
+                    ':updatedAt': timestamp,
+                    ':active': 'active',
+                    ':previousMoveCount': previousMoveCount,
+                    ...(outcome ? { ':finished': 'finished', ':result': outcome.result, ':reason': outcome.reason } : {}),
+                    ...(clockUpdate ? { ':clock': clockUpdate.clock, ':turnStartedAt': clockUpdate.turnStartedAt } : {}),
+                    ...(clockUpdate && !outcome ? { ':flagAt': clockUpdate.flagAt } : {})
+                }
+            }));
+        } catch (error) {
+            if (error.name === 'ConditionalCheckFailedException') {
+                return reject(apiClient, connectionId, 'move', 409, 'stale_position',
+                    'The game changed before your move was applied', gameId);
             }
-        }));
+            throw error;
+        }
+        
+        // Rate and archive the game; a failure here must not lose the accepted move
+        let ratingChanges = null;
+        if (outcome) {
+            try {
+                ratingChanges = await rateFinishedGame({ ...game, gameId }, outcome.result);
+            } catch (error) {
+                console.error('Failed to rate game:', error);
+            }
+            
+            try {
+                await indexFinishedGame({ ...game, gameId, moves: newMoves }, { ...outcome, finishedAt: timestamp, ratingChanges });
+            } catch (error) {
+                console.error('Failed to add game to player histories:', error);
+            }
+        }
+        
+        const clock = clockUpdate && getClockState({
+            ...clockUpdate,
+            currentTurn: nextTurn,
+            status: outcome ? 'finished' : 'active'
+        }, now);
         
         // Notify the opponent
         const opponentId = playerColor === 'white' ? game.players.black : game.players.white;
@@ -116,12 +177,27 @@ exports.handler = async (event) => {
         const moveMessage = {
             type: 'opponent_move',
             gameId,
-            move,
-            currentTurn: nextTurn
+            move: acceptedMove,
+            san,
+            fen,
+            currentTurn: nextTurn,
+            ...(clock ? { clock } : {})
+        };
+        
+        const gameOverMessage = outcome && {
+            type: 'game_over',
+            gameId,
+            result: outcome.result,
+            reason: outcome.reason,
+            ...(clock ? { clock } : {}),
+            ...(ratingChanges ? { ratings: ratingChanges } : {})
         };
         
         try {
             await sendMessage(apiClient, opponentId, moveMessage);
+            if (gameOverMessage) {
+                await sendMessage(apiClient, opponentId, gameOverMessage);
+            }
         } catch (error) {
             console.error('Failed to notify opponent:', error);
         }
@@ -130,9 +206,31 @@ exports.handler = async (event) => {
         await sendMessage(apiClient, connectionId, {
             type: 'move_confirmed',
             gameId,
-            move,
-            currentTurn: nextTurn
+            move: acceptedMove,
+            san,
+            fen,
+            currentTurn: nextTurn,
+            ...(clock ? { clock } : {})
         });
+        if (gameOverMessage) {
+            await sendMessage(apiClient, connectionId, gameOverMessage);
+        }
+        
+        // Broadcast the move to spectators; ply lets them notice a move they missed
+        const notify = (recipientId, message) => sendMessage(apiClient, recipientId, message);
+        await notifySpectators(game, {
+            type: 'move_played',
+            gameId,
+            move: acceptedMove,
+            san,
+            fen,
+            currentTurn: nextTurn,
+            ply: newMoves.length,
+            ...(clock ? { clock } : {})
+        }, notify);
+        if (gameOverMessage) {
+            await notifySpectators(game, gameOverMessage, notify);
+        }
         
         return { statusCode: 200, body: 'OK' };
     } catch (error) {
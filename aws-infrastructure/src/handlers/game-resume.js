@@ -0,0 +1,121 @@
+/**
+ * Game Resume Handler
+ * Seats a player who reconnected back in their game and sends them the
+ * full game state to pick up from
+ */
+
+const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+const { DynamoDBDocumentClient, GetCommand, UpdateCommand } = require('@aws-sdk/lib-dynamodb');
+const { setConnectionGame, getGameState, finishIfOverdue } = require('./lib/games');
+const { getApiClient, sendMessage, reject } = require('./lib/sockets');
+
+const ddbClient = new DynamoDBClient({});
+const docClient = DynamoDBDocumentClient.from(ddbClient);
+
+const otherColor = (color) => (color === 'white' ? 'black' : 'white');
+
+/**
+ * Move the seat to the player's new connection and stop their reconnect
+ * countdown. abandonAt is kept for the opponent's countdown, if they are
+ * away too. Returns the updated game, or null if it changed in between
+ */
+const takeSeat = async (game, color, identity, connectionId) => {
+    const opponentDeadline = (game.reconnectBy || {})[otherColor(color)];
+    
+    try {
+        const result = await docClient.send(new UpdateCommand({
+            TableName: process.env.GAMES_TABLE,
+            Key: { gameId: game.gameId },
+            UpdateExpression: 'SET players.#color = :connectionId' +
+                (opponentDeadline !== undefined ? ', abandonAt = :opponentDeadline' : '') +
+                ' REMOVE reconnectBy.#color' +
+                (opponentDeadline !== undefined ? '' : ', abandonAt'),
+            ConditionExpression: '#status = :active AND identities.#color = :identity AND ' +
+                (opponentDeadline !== undefined ? 'reconnectBy.#other = :opponentDeadline' : 'attribute_not_exists(reconnectBy.#other)'),
+            ExpressionAttributeNames: { '#status': 'status', '#color': color, '#other': otherColor(color) },
+            ExpressionAttributeValues: {
+                ':connectionId': connectionId,
+                ':active': 'active',
+                ':identity': identity,
+                ...(opponentDeadline !== undefined ? { ':opponentDeadline': opponentDeadline } : {})
+            },
+            ReturnValues: 'ALL_NEW'
+        }));
+        return result.Attributes;
+    } catch (error) {
+        if (error.name === 'ConditionalCheckFailedException') return null;
+        throw error;
+    }
+};
+
+exports.handler = async (event) => {
+    const connectionId = event.requestContext.connectionId;
+    const body = JSON.parse(event.body || '{}');
+    const { gameId } = body;
+    const apiClient = getApiClient(event);
+    
+    if (!gameId) {
+        return reject(apiClient, connectionId, 'resume_game', 400, 'invalid_request', 'Missing gameId');
+    }
+    
+    try {
+        const [connection, gameResult] = await Promise.all([
+            docClient.send(new GetCommand({
+                TableName: process.env.CONNECTIONS_TABLE,
+                Key: { connectionId }
+            })),
+            docClient.send(new GetCommand({
+                TableName: process.env.GAMES_TABLE,
+                Key: { gameId }
+            }))
+        ]);
+        
+        let game = gameResult.Item;
+        
+        if (!game) {
+            return reject(apiClient, connectionId, 'resume_game', 404, 'game_not_found', 'Game not found', gameId);
+        }
+        
+        // Seats belong to an account or browser session, not a connection
+        const identity = connection.Item && connection.Item.identity;
+        const identities = game.identities || {};
+        const color = identity && identities.white === identity ? 'white' :
+                      identity && identities.black === identity ? 'black' : null;
+        
+        if (!color) {
+            return reject(apiClient, connectionId, 'resume_game', 403, 'not_a_player', 'You are not a player in this game', gameId);
+        }
+        
+        // A player back after their deadline, or their flag, has lost already
+        game = await finishIfOverdue(game, (recipientId, message) => sendMessage(apiClient, recipientId, message));
+        
+        if (game.status === 'active') {
+            game = await takeSeat(game, color, identity, connectionId);
+            if (!game) {
+                return reject(apiClient, connectionId, 'resume_game', 409, 'stale_position', 'The game changed while resuming, try again', gameId);
+            }
+            
+            await setConnectionGame(connectionId, gameId);
+            
+            try {
+                await sendMessage(apiClient, game.players[otherColor(color)], {
+                    type: 'opponent_reconnected',
+                    gameId,
+                    color
+                });
+            } catch (error) {
+                console.error('Failed to notify opponent of reconnect:', error);
+            }
+        }
+        
+        await sendMessage(apiClient, connectionId, getGameState(game, color, Date.now()));
+        
+        return { statusCode: 200, body: 'OK' };
+    } catch (error) {
+        console.error('Resume error:', error);
+        return {
+            statusCode: 500,
+            body: 'Internal server error'
+        };
+    }
+};
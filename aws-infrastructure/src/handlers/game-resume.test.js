@@ -0,0 +1,120 @@
+const { PutCommand, UpdateCommand } = require('@aws-sdk/lib-dynamodb');
+const { inboxes, setUp, createEvent, lastMessage, seat, putGame, getGame } = require('./test-helpers/local-handlers');
+
+let database = setUp();
+
+// The handlers are required once the environment is set up
+const connectHandler = require('./connect');
+const disconnectHandler = require('./disconnect');
+const gameResume = require('./game-resume');
+
+const WHITE_SESSION = 'aaaaaaaaaaaaaaaa-1';
+const BLACK_SESSION = 'bbbbbbbbbbbbbbbb-2';
+
+const connect = (connectionId, session) => {
+    inboxes.set(connectionId, []);
+    return connectHandler.handler(createEvent(connectionId, null, { session }));
+};
+
+const disconnect = (connectionId) => {
+    inboxes.delete(connectionId);
+    return disconnectHandler.handler(createEvent(connectionId));
+};
+
+const resume = (connectionId, gameId) => gameResume.handler(createEvent(connectionId, { action: 'resume_game', gameId }));
+
+// Seat white and black in a game, tied to their connections
+beforeEach(async () => {
+    database = setUp();
+    
+    await connect('white', WHITE_SESSION);
+    await connect('black', BLACK_SESSION);
+    
+    const game = await putGame('game-1', {
+        white: seat('white', { identity: `session:${WHITE_SESSION}` }),
+        black: seat('black', { identity: `session:${BLACK_SESSION}` }),
+        timeControl: '5+0'
+    });
+    for (const connectionId of ['white', 'black']) {
+        await database.send(new PutCommand({
+            TableName: process.env.CONNECTIONS_TABLE,
+            Item: { connectionId, identity: game.identities[connectionId], gameId: 'game-1' }
+        }));
+    }
+});
+
+describe('resume_game', () => {
+    test('seats a returning player on their new connection', async () => {
+        await disconnect('white');
+        expect(lastMessage('black')).toMatchObject({ type: 'opponent_disconnected', color: 'white' });
+        
+        await connect('white-again', WHITE_SESSION);
+        const result = await resume('white-again', 'game-1');
+        
+        expect(result.statusCode).toBe(200);
+        expect(lastMessage('white-again')).toMatchObject({ type: 'game_state', gameId: 'game-1', color: 'white', status: 'active' });
+        expect(lastMessage('black')).toEqual({ type: 'opponent_reconnected', gameId: 'game-1', color: 'white' });
+        
+        const game = await getGame('game-1');
+        expect(game.players.white).toBe('white-again');
+        expect(game.reconnectBy).toEqual({});
+        expect(game.abandonAt).toBeUndefined();
+    });
+    
+    test('refuses someone who is not a player', async () => {
+        await connect('stranger', 'cccccccccccccccc-3');
+        
+        const result = await resume('stranger', 'game-1');
+        
+        expect(result.statusCode).toBe(403);
+        expect(lastMessage('stranger')).toEqual({
+            type: 'error', action: 'resume_game', code: 'not_a_player', message: 'You are not a player in this game', gameId: 'game-1'
+        });
+    });
+    
+    test('refuses a missing or unknown game', async () => {
+        expect((await resume('white')).statusCode).toBe(400);
+        expect(lastMessage('white')).toMatchObject({ type: 'error', action: 'resume_game', code: 'invalid_request' });
+        
+        expect((await resume('white', 'game-2')).statusCode).toBe(404);
+        expect(lastMessage('white')).toMatchObject({ type: 'error', action: 'resume_game', code: 'game_not_found', gameId: 'game-2' });
+    });
+    
+    test('a player back after their deadline has forfeited, before the sweeper runs', async () => {
+        await disconnect('white');
+        await database.send(new UpdateCommand({
+            TableName: process.env.GAMES_TABLE,
+            Key: { gameId: 'game-1' },
+            UpdateExpression: 'SET reconnectBy.white = :past',
+            ExpressionAttributeValues: { ':past': Date.now() - 1000 }
+        }));
+        
+        await connect('white-again', WHITE_SESSION);
+        const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+        expect((await resume('white-again', 'game-1')).statusCode).toBe(200);
+        
+        // game_over goes to the seat's old connection, which has gone
+        expect(consoleError).toHaveBeenCalledWith('Failed to notify white:', expect.objectContaining({ name: 'GoneException' }));
+        consoleError.mockRestore();
+        expect(lastMessage('black')).toMatchObject({ type: 'game_over', result: '0-1', reason: 'abandonment' });
+        expect(lastMessage('white-again')).toMatchObject({ type: 'game_state', status: 'finished', result: '0-1', reason: 'abandonment' });
+        expect((await getGame('game-1')).players.white).toBe('white');
+    });
+    
+    test('a player whose flag fell while away has lost on time', async () => {
+        await disconnect('white');
+        await database.send(new UpdateCommand({
+            TableName: process.env.GAMES_TABLE,
+            Key: { gameId: 'game-1' },
+            UpdateExpression: 'SET turnStartedAt = :past',
+            ExpressionAttributeValues: { ':past': Date.now() - 301000 }
+        }));
+        
+        await connect('white-again', WHITE_SESSION);
+        const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+        await resume('white-again', 'game-1');
+        consoleError.mockRestore();
+        
+        expect(lastMessage('white-again')).toMatchObject({ type: 'game_state', status: 'finished', result: '0-1', reason: 'timeout' });
+    });
+});
@@ -0,0 +1,311 @@
+/**
+ * Game Room Handler
+ * Private games between players who know each other: the host opens a room
+ * with an invite code, and the game starts when a second player joins it
+ */
+
+const { randomInt } = require('crypto');
+const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+const { DynamoDBDocumentClient, GetCommand, PutCommand, DeleteCommand, UpdateCommand, TransactWriteCommand } = require('@aws-sdk/lib-dynamodb');
+const { v4: uuidv4 } = require('uuid');
+const { getPlayerRating } = require('./lib/ratings');
+const { parseTimeControl } = require('./lib/time-controls');
+const { createGameItem, announceGame } = require('./lib/games');
+const { getApiClient, sendMessage, reject } = require('./lib/sockets');
+
+// Invite codes avoid letters and digits that are easy to mix up (0/O, 1/I)
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 6;
+
+// Codes to try before giving up, if the ones drawn are taken
+const MAX_CODE_ATTEMPTS = 5;
+
+// How long a room waits for the second player, in seconds
+const ROOM_TTL_SECONDS = 3600;
+
+// Colors the host may ask for
+const COLOR_PREFERENCES = ['white', 'black', 'random'];
+
+const ddbClient = new DynamoDBClient({});
+const docClient = DynamoDBDocumentClient.from(ddbClient);
+
+const createCode = () => Array.from({ length: CODE_LENGTH }, () => CODE_ALPHABET[randomInt(CODE_ALPHABET.length)]).join('');
+
+/**
+ * Read a code the way players type it: any case, with or without spaces
+ * and dashes. Returns null if it can't be an invite code
+ */
+const normalizeCode = (code) => {
+    const normalized = String(code || '').toUpperCase().replace(/[\s-]/g, '');
+    return normalized.length === CODE_LENGTH && [...normalized].every(char => CODE_ALPHABET.includes(char))
+        ? normalized
+        : null;
+};
+
+/**
+ * Get the player a connection belongs to, as seated in a game
+ */
+const getSeat = async (connectionId) => {
+    const connection = await docClient.send(new GetCommand({
+        TableName: process.env.CONNECTIONS_TABLE,
+        Key: { connectionId }
+    }));
+    const item = connection.Item || {};
+    const playerId = item.playerId || null;
+    const { rating } = await getPlayerRating(playerId);
+    
+    return {
+        seat: {
+            visitorId: connectionId,
+            ...(playerId ? { playerId, nickname: item.nickname } : {}),
+            identity: item.identity || `connection:${connectionId}`,
+            rating
+        },
+        roomCode: item.roomCode || null
+    };
+};
+
+/**
+ * Close the room a host has open, if it is still theirs and waiting
+ */
+const closeRoom = async (code, connectionId) => {
+    try {
+        await docClient.send(new DeleteCommand({
+            TableName: process.env.ROOMS_TABLE,
+            Key: { code },
+            ConditionExpression: '#host.visitorId = :connectionId',
+            ExpressionAttributeNames: { '#host': 'host' },
+            ExpressionAttributeValues: { ':connectionId': connectionId }
+        }));
+    } catch (error) {
+        if (error.name !== 'ConditionalCheckFailedException') throw error;
+    }
+};
+
+/**
+ * Open a room under a fresh invite code. Returns the room, or null if no
+ * free code was found
+ */
+const openRoom = async (host, timeControl, rated, color) => {
+    for (let attempt = 0; attempt < MAX_CODE_ATTEMPTS; attempt++) {
+        const room = {
+            code: createCode(),
+            host,
+            timeControl,
+            rated,
+            color,
+            createdAt: new Date().toISOString(),
+            ttl: Math.floor(Date.now() / 1000) + ROOM_TTL_SECONDS
+        };
+        
+        try {
+            await docClient.send(new PutCommand({
+                TableName: process.env.ROOMS_TABLE,
+                Item: room,
+                ConditionExpression: 'attribute_not_exists(code)'
+            }));
+            return room;
+        } catch (error) {
+            if (error.name !== 'ConditionalCheckFailedException') throw error;
+        }
+    }
+    return null;
+};
+
+const createRoom = async (apiClient, connectionId, body) => {
+    const timeControl = parseTimeControl(body.timeControl);
+    if (!timeControl) {
+        return reject(apiClient, connectionId, 'create_room', 400, 'invalid_time_control',
+            'Choose a time control written as minutes+increment, e.g. 3+2');
+    }
+    
+    const color = body.color || 'random';
+    if (!COLOR_PREFERENCES.includes(color)) {
+        return reject(apiClient, connectionId, 'create_room', 400, 'invalid_color',
+            'Choose white, black or random');
+    }
+    
+    const { seat, roomCode } = await getSeat(connectionId);
+    const rated = body.rated === true;
+    if (rated && !seat.playerId) {
+        return reject(apiClient, connectionId, 'create_room', 400, 'authentication_required',
+            'Sign in to play rated games');
+    }
+    
+    // A host has one room open at a time
+    if (roomCode) {
+        await closeRoom(roomCode, connectionId);
+    }
+    
+    const room = await openRoom(seat, timeControl, rated, color);
+    if (!room) {
+        return reject(apiClient, connectionId, 'create_room', 503, 'no_free_code',
+            'Could not find a free invite code, try again');
+    }
+    
+    // Remember the room on the connection, so it closes when the host leaves
+    await docClient.send(new UpdateCommand({
+        TableName: process.env.CONNECTIONS_TABLE,
+        Key: { connectionId },
+        UpdateExpression: 'SET roomCode = :code',
+        ExpressionAttributeValues: { ':code': room.code }
+    }));
+    
+    await sendMessage(apiClient, connectionId, {
+        type: 'room_created',
+        code: room.code,
+        timeControl,
+        rated,
+        color,
+        expiresAt: room.ttl * 1000
+    });
+    
+    return { statusCode: 200, body: 'OK' };
+};
+
+/**
+ * Seat the host and the player joining, and create the game in the same
+ * transaction that closes the room, so a room only ever starts one game.
+ * Private games are kept off the public list of games to watch. Returns
+ * the game, or null if the room was taken or closed in between
+ */
+const startRoomGame = async (room, guest) => {
+    const hostColor = room.color === 'random' ? (Math.random() < 0.5 ? 'white' : 'black') : room.color;
+    const guestColor = hostColor === 'white' ? 'black' : 'white';
+    const game = createGameItem(uuidv4(), {
+        [hostColor]: room.host,
+        [guestColor]: guest
+    }, { ...room, listed: false });
+    
+    try {
+        await docClient.send(new TransactWriteCommand({
+            TransactItems: [
+                {
+                    Delete: {
+                        TableName: process.env.ROOMS_TABLE,
+                        Key: { code: room.code },
+                        ConditionExpression: '#host.visitorId = :hostId',
+                        ExpressionAttributeNames: { '#host': 'host' },
+                        ExpressionAttributeValues: { ':hostId': room.host.visitorId }
+                    }
+                },
+                {
+                    Put: {
+                        TableName: process.env.GAMES_TABLE,
+                        Item: game,
+                        ConditionExpression: 'attribute_not_exists(gameId)'
+                    }
+                }
+            ]
+        }));
+    } catch (error) {
+        if (error.name === 'TransactionCanceledException') return null;
+        throw error;
+    }
+    
+    return game;
+};
+
+const joinRoom = async (apiClient, connectionId, body) => {
+    const code = normalizeCode(body.code);
+    if (!code) {
+        return reject(apiClient, connectionId, 'join_room', 400, 'invalid_code',
+            `Invite codes are ${CODE_LENGTH} letters and digits`);
+    }
+    
+    const roomResult = await docClient.send(new GetCommand({
+        TableName: process.env.ROOMS_TABLE,
+        Key: { code }
+    }));
+    
+    // Expired rooms linger until DynamoDB gets round to deleting them
+    const room = roomResult.Item;
+    if (!room || room.ttl <= Date.now() / 1000) {
+        return reject(apiClient, connectionId, 'join_room', 404, 'room_not_found',
+            'No room is waiting with that code');
+    }
+    
+    const { seat } = await getSeat(connectionId);
+    if (seat.identity === room.host.identity) {
+        return reject(apiClient, connectionId, 'join_room', 400, 'own_room',
+            'Share the code with your opponent to start the game');
+    }
+    if (room.rated && !seat.playerId) {
+        return reject(apiClient, connectionId, 'join_room', 400, 'authentication_required',
+            'Sign in to play rated games');
+    }
+    
+    const game = await startRoomGame(room, seat);
+    if (!game) {
+        return reject(apiClient, connectionId, 'join_room', 404, 'room_not_found',
+            'No room is waiting with that code');
+    }
+    
+    // The host's connection no longer has a room to close
+    try {
+        await docClient.send(new UpdateCommand({
+            TableName: process.env.CONNECTIONS_TABLE,
+            Key: { connectionId: room.host.visitorId },
+            UpdateExpression: 'REMOVE roomCode',
+            ConditionExpression: 'roomCode = :code',
+            ExpressionAttributeValues: { ':code': code }
+        }));
+    } catch (error) {
+        if (error.name !== 'ConditionalCheckFailedException') throw error;
+    }
+    
+    await announceGame(game, (recipientId, message) => sendMessage(apiClient, recipientId, message));
+    
+    return { statusCode: 200, body: 'OK' };
+};
+
+const cancelRoom = async (apiClient, connectionId) => {
+    const connection = await docClient.send(new GetCommand({
+        TableName: process.env.CONNECTIONS_TABLE,
+        Key: { connectionId }
+    }));
+    const roomCode = (connection.Item && connection.Item.roomCode) || null;
+    if (roomCode) {
+        await closeRoom(roomCode, connectionId);
+        await docClient.send(new UpdateCommand({
+            TableName: process.env.CONNECTIONS_TABLE,
+            Key: { connectionId },
+            UpdateExpression: 'REMOVE roomCode'
+        }));
+    }
+    
+    await sendMessage(apiClient, connectionId, {
+        type: 'room_closed',
+        code: roomCode
+    });
+    
+    return { statusCode: 200, body: 'OK' };
+};
+
+exports.handler = async (event) => {
+    const connectionId = event.requestContext.connectionId;
+    const body = JSON.parse(event.body || '{}');
+    const apiClient = getApiClient(event);
+    
+    try {
+        switch (body.action) {
+            case 'create_room':
+                return await createRoom(apiClient, connectionId, body);
+            case 'join_room':
+                return await joinRoom(apiClient, connectionId, body);
+            case 'cancel_room':
+                return await cancelRoom(apiClient, connectionId);
+            default:
+                return {
+                    statusCode: 400,
+                    body: 'Invalid action'
+                };
+        }
+    } catch (error) {
+        console.error('Game room error:', error);
+        return {
+            statusCode: 500,
+            body: 'Internal server error'
+        };
+    }
+};
@@ -0,0 +1,82 @@
+const { ScanCommand } = require('@aws-sdk/lib-dynamodb');
+const { inboxes, setUp, createEvent, lastMessage } = require('./test-helpers/local-handlers');
+
+let database = setUp();
+
+// The handlers are required once the environment is set up
+const connectHandler = require('./connect');
+const gameRoom = require('./game-room');
+
+const connect = (connectionId, session) => {
+    inboxes.set(connectionId, []);
+    return connectHandler.handler(createEvent(connectionId, null, { session }));
+};
+
+const send = (connectionId, body) => gameRoom.handler(createEvent(connectionId, body));
+
+const scan = async (tableName) => (await database.send(new ScanCommand({ TableName: tableName }))).Items;
+
+// The host opens a room as white and gets its invite code
+const createRoom = async () => {
+    await send('host', { action: 'create_room', timeControl: '5+0', color: 'white' });
+    return lastMessage('host').code;
+};
+
+beforeEach(async () => {
+    database = setUp();
+    await connect('host', 'aaaaaaaaaaaaaaaa-1');
+    await connect('guest', 'bbbbbbbbbbbbbbbb-2');
+});
+
+describe('private rooms', () => {
+    test('the guest joining with the code starts an unlisted game', async () => {
+        const code = await createRoom();
+        expect(lastMessage('host')).toMatchObject({ type: 'room_created', color: 'white', rated: false });
+        
+        const result = await send('guest', { action: 'join_room', code: code.toLowerCase() });
+        
+        expect(result.statusCode).toBe(200);
+        const [game] = await scan(process.env.GAMES_TABLE);
+        expect(game).toMatchObject({ players: { white: 'host', black: 'guest' }, listed: false, timeControl: { name: '5+0' } });
+        expect(lastMessage('host')).toMatchObject({ type: 'match_found', gameId: game.gameId, color: 'white' });
+        expect(lastMessage('guest')).toMatchObject({ type: 'match_found', gameId: game.gameId, color: 'black' });
+        expect(await scan(process.env.ROOMS_TABLE)).toEqual([]);
+    });
+    
+    test('a room starts only one game', async () => {
+        database.latency = 5;
+        const code = await createRoom();
+        await connect('other', 'cccccccccccccccc-3');
+        
+        const results = await Promise.all(['guest', 'other'].map(connectionId => send(connectionId, { action: 'join_room', code })));
+        
+        expect(results.map(result => result.statusCode).sort()).toEqual([200, 404]);
+        expect(await scan(process.env.GAMES_TABLE)).toHaveLength(1);
+    });
+    
+    test('the host cannot join their own room from another tab', async () => {
+        const code = await createRoom();
+        await connect('host-tab', 'aaaaaaaaaaaaaaaa-1');
+        
+        expect((await send('host-tab', { action: 'join_room', code })).statusCode).toBe(400);
+        expect(lastMessage('host-tab')).toMatchObject({ type: 'error', action: 'join_room', code: 'own_room' });
+    });
+    
+    test('refuses malformed and unknown codes', async () => {
+        expect((await send('guest', { action: 'join_room', code: 'NOPE' })).statusCode).toBe(400);
+        expect(lastMessage('guest')).toMatchObject({ type: 'error', action: 'join_room', code: 'invalid_code' });
+        
+        expect((await send('guest', { action: 'join_room', code: 'ABCDEF' })).statusCode).toBe(404);
+        expect(lastMessage('guest')).toMatchObject({ type: 'error', action: 'join_room', code: 'room_not_found' });
+    });
+    
+    test('a cancelled room can no longer be joined', async () => {
+        const code = await createRoom();
+        
+        await send('host', { action: 'cancel_room' });
+        expect(lastMessage('host')).toEqual({ type: 'room_closed', code });
+        
+        expect((await send('guest', { action: 'join_room', code })).statusCode).toBe(404);
+        expect(await scan(process.env.GAMES_TABLE)).toEqual([]);
+    });
+});
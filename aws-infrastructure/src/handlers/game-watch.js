@@ -0,0 +1,198 @@
+/**
+ * Game Watch Handler
+ * Lists the games being played, and subscribes spectators to a game: they
+ * get its current state, then every move and the result as they happen
+ */
+
+const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+const { DynamoDBDocumentClient, GetCommand, QueryCommand, UpdateCommand } = require('@aws-sdk/lib-dynamodb');
+const { getGameState, finishIfOverdue } = require('./lib/games');
+const { getApiClient, sendMessage, reject } = require('./lib/sockets');
+
+// Most spectators one game can have, to bound each move's broadcast
+const MAX_SPECTATORS = 100;
+
+// Newest active games read per list, before unlisted games are left out
+const LIST_READ_LIMIT = 50;
+
+// Games in the public list
+const LIST_SIZE = 20;
+
+const ddbClient = new DynamoDBClient({});
+const docClient = DynamoDBDocumentClient.from(ddbClient);
+
+const getGame = async (gameId) => {
+    const result = await docClient.send(new GetCommand({
+        TableName: process.env.GAMES_TABLE,
+        Key: { gameId },
+        ConsistentRead: true
+    }));
+    return result.Item;
+};
+
+/**
+ * Add a connection to a game's spectators. Returns the game as of joining,
+ * so no move is missed between its state and the first broadcast, or null
+ * if the game has ended or is full
+ */
+const addSpectator = async (gameId, connectionId) => {
+    try {
+        const result = await docClient.send(new UpdateCommand({
+            TableName: process.env.GAMES_TABLE,
+            Key: { gameId },
+            UpdateExpression: 'SET spectators.#connectionId = :watchedAt',
+            ConditionExpression: '#status = :active AND size(spectators) < :maxSpectators',
+            ExpressionAttributeNames: { '#status': 'status', '#connectionId': connectionId },
+            ExpressionAttributeValues: {
+                ':watchedAt': new Date().toISOString(),
+                ':active': 'active',
+                ':maxSpectators': MAX_SPECTATORS
+            },
+            ReturnValues: 'ALL_NEW'
+        }));
+        return result.Attributes;
+    } catch (error) {
+        if (error.name === 'ConditionalCheckFailedException') return null;
+        throw error;
+    }
+};
+
+/**
+ * Stop a connection watching a game
+ */
+const removeSpectator = async (gameId, connectionId) => {
+    await docClient.send(new UpdateCommand({
+        TableName: process.env.GAMES_TABLE,
+        Key: { gameId },
+        UpdateExpression: 'REMOVE spectators.#connectionId',
+        ConditionExpression: 'attribute_exists(gameId)',
+        ExpressionAttributeNames: { '#connectionId': connectionId }
+    }));
+};
+
+/**
+ * Record which game a connection watches, so its disconnect can take it
+ * off the game. Returns the game it watched before, if any
+ */
+const setWatching = async (connectionId, gameId) => {
+    try {
+        const result = await docClient.send(new UpdateCommand({
+            TableName: process.env.CONNECTIONS_TABLE,
+            Key: { connectionId },
+            UpdateExpression: 'SET watching = :gameId',
+            ConditionExpression: 'attribute_exists(connectionId)',
+            ExpressionAttributeValues: { ':gameId': gameId },
+            ReturnValues: 'ALL_OLD'
+        }));
+        return (result.Attributes && result.Attributes.watching) || null;
+    } catch (error) {
+        // The connection has gone; the next broadcast drops it from the game
+        if (error.name === 'ConditionalCheckFailedException') return null;
+        throw error;
+    }
+};
+
+const watchGame = async (apiClient, connectionId, gameId) => {
+    if (!gameId) {
+        return reject(apiClient, connectionId, 'watch', 400, 'invalid_request', 'Missing gameId');
+    }
+    
+    let game = await getGame(gameId);
+    if (!game) {
+        return reject(apiClient, connectionId, 'watch', 404, 'game_not_found', 'Game not found', gameId);
+    }
+    game = await finishIfOverdue(game, (recipientId, message) => sendMessage(apiClient, recipientId, message));
+    
+    if (game.status === 'active') {
+        const watched = await addSpectator(gameId, connectionId);
+        if (watched) {
+            game = watched;
+            
+            // A connection watches one game at a time
+            const previous = await setWatching(connectionId, gameId);
+            if (previous && previous !== gameId) {
+                try {
+                    await removeSpectator(previous, connectionId);
+                } catch (error) {
+                    console.error('Failed to stop watching the previous game:', error);
+                }
+            }
+        } else {
+            // Either the game just ended, and its final state is sent, or it is full
+            game = await getGame(gameId);
+            if (game.status === 'active') {
+                return reject(apiClient, connectionId, 'watch', 409, 'too_many_spectators',
+                    'This game has as many spectators as it can take', gameId);
+            }
+        }
+    }
+    
+    await sendMessage(apiClient, connectionId, getGameState(game, null, Date.now()));
+    
+    return { statusCode: 200, body: 'OK' };
+};
+
+/**
+ * A game as shown in the list of games to watch
+ */
+const toListedGame = (game) => ({
+    gameId: game.gameId,
+    timeControl: game.timeControl,
+    rated: game.rated,
+    ratings: game.ratings,
+    nicknames: game.nicknames || { white: null, black: null },
+    moves: (game.moves || []).length,
+    spectators: Object.keys(game.spectators || {}).length,
+    createdAt: game.createdAt
+});
+
+const listGames = async (apiClient, connectionId) => {
+    const activeGames = await docClient.send(new QueryCommand({
+        TableName: process.env.GAMES_TABLE,
+        IndexName: 'status-createdAt-index',
+        KeyConditionExpression: '#status = :active',
+        ExpressionAttributeNames: { '#status': 'status' },
+        ExpressionAttributeValues: { ':active': 'active' },
+        ScanIndexForward: false,
+        Limit: LIST_READ_LIMIT
+    }));
+    
+    // Newest first; games from private rooms are not listed, nor games
+    // that are over but that the sweeper has not ended yet
+    const notify = (recipientId, message) => sendMessage(apiClient, recipientId, message);
+    const listed = (activeGames.Items || []).filter(game => game.listed !== false);
+    const games = (await Promise.all(listed.map(game => finishIfOverdue(game, notify))))
+        .filter(game => game.status === 'active')
+        .slice(0, LIST_SIZE)
+        .map(toListedGame);
+    
+    await sendMessage(apiClient, connectionId, { type: 'game_list', games });
+    
+    return { statusCode: 200, body: 'OK' };
+};
+
+exports.handler = async (event) => {
+    const connectionId = event.requestContext.connectionId;
+    const body = JSON.parse(event.body || '{}');
+    const apiClient = getApiClient(event);
+    
+    try {
+        if (body.action === 'watch') {
+            return await watchGame(apiClient, connectionId, body.gameId);
+        }
+        if (body.action === 'list_games') {
+            return await listGames(apiClient, connectionId);
+        }
+        
+        return {
+            statusCode: 400,
+            body: 'Invalid action'
+        };
+    } catch (error) {
+        console.error('Game watch error:', error);
+        return {
+            statusCode: 500,
+            body: 'Internal server error'
+        };
+    }
+};
@@ -0,0 +1,94 @@
+const { setUp, createEvent, openConnections, lastMessage, putGame, getGame } = require('./test-helpers/local-handlers');
+
+setUp();
+
+// The handler is required once the environment is set up
+const gameWatch = require('./game-watch');
+
+const send = (connectionId, body) => gameWatch.handler(createEvent(connectionId, body));
+
+const getSpectators = async (gameId) => Object.keys((await getGame(gameId)).spectators);
+
+// The games' players are connected, to hear of games the watch requests end
+beforeEach(async () => {
+    setUp();
+    await openConnections(['spectator', 'white', 'black']);
+});
+
+describe('list_games', () => {
+    test('lists active public games only', async () => {
+        await putGame('public');
+        await putGame('private', { listed: false });
+        await putGame('over', { status: 'finished', result: '1-0' });
+        
+        await send('spectator', { action: 'list_games' });
+        
+        expect(lastMessage('spectator')).toMatchObject({ type: 'game_list', games: [{ gameId: 'public', moves: 0, spectators: 0 }] });
+    });
+    
+    test('ends and leaves out games whose flag has fallen', async () => {
+        await putGame('flagged', { turnStartedAt: Date.now() - 181000 });
+        
+        await send('spectator', { action: 'list_games' });
+        
+        expect(lastMessage('spectator')).toEqual({ type: 'game_list', games: [] });
+        expect(lastMessage('white')).toMatchObject({ type: 'game_over', gameId: 'flagged', result: '0-1', reason: 'timeout' });
+        expect((await getGame('flagged')).status).toBe('finished');
+    });
+});
+
+describe('watch', () => {
+    test('sends the game as a spectator sees it and follows it', async () => {
+        await putGame('game-1');
+        
+        expect((await send('spectator', { action: 'watch', gameId: 'game-1' })).statusCode).toBe(200);
+        
+        expect(lastMessage('spectator')).toMatchObject({ type: 'game_state', gameId: 'game-1', color: null, status: 'active', spectators: 1 });
+        expect(await getSpectators('game-1')).toEqual(['spectator']);
+    });
+    
+    test('watching another game stops watching the first', async () => {
+        await putGame('game-1');
+        await putGame('game-2');
+        
+        await send('spectator', { action: 'watch', gameId: 'game-1' });
+        await send('spectator', { action: 'watch', gameId: 'game-2' });
+        
+        expect(await getSpectators('game-1')).toEqual([]);
+        expect(await getSpectators('game-2')).toEqual(['spectator']);
+    });
+    
+    test('a finished game is sent with its result but not followed', async () => {
+        await putGame('over', { status: 'finished', result: '0-1', resultReason: 'resignation' });
+        
+        expect((await send('spectator', { action: 'watch', gameId: 'over' })).statusCode).toBe(200);
+        
+        expect(lastMessage('spectator')).toMatchObject({ type: 'game_state', status: 'finished', result: '0-1', reason: 'resignation' });
+        expect(await getSpectators('over')).toEqual([]);
+    });
+    
+    test('a game whose flag has fallen is ended and sent with its result', async () => {
+        await putGame('flagged', { turnStartedAt: Date.now() - 181000 });
+        
+        expect((await send('spectator', { action: 'watch', gameId: 'flagged' })).statusCode).toBe(200);
+        
+        expect(lastMessage('spectator')).toMatchObject({ type: 'game_state', status: 'finished', result: '0-1', reason: 'timeout' });
+        expect(await getSpectators('flagged')).toEqual([]);
+    });
+    
+    test('refuses a full game', async () => {
+        const spectators = Object.fromEntries(Array.from({ length: 100 }, (_, i) => [`watcher-${i}`, new Date().toISOString()]));
+        await putGame('popular', { spectators });
+        
+        expect((await send('spectator', { action: 'watch', gameId: 'popular' })).statusCode).toBe(409);
+        expect(lastMessage('spectator')).toMatchObject({ type: 'error', action: 'watch', code: 'too_many_spectators', gameId: 'popular' });
+    });
+    
+    test('refuses a missing or unknown game', async () => {
+        expect((await send('spectator', { action: 'watch' })).statusCode).toBe(400);
+        expect(lastMessage('spectator')).toEqual({ type: 'error', action: 'watch', code: 'invalid_request', message: 'Missing gameId' });
+        
+        expect((await send('spectator', { action: 'watch', gameId: 'nope' })).statusCode).toBe(404);
+        expect(lastMessage('spectator')).toMatchObject({ type: 'error', action: 'watch', code: 'game_not_found', gameId: 'nope' });
+    });
+});
@@ -0,0 +1,245 @@
+/**
+ * Game Archive
+ * Indexes finished games by player, so players can page through their past
+ * games with filters, and writes stored games as PGN
+ */
+
+const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+const { DynamoDBDocumentClient, PutCommand, QueryCommand } = require('@aws-sdk/lib-dynamodb');
+const { restoreGame, exportPGN } = require('./chess-engine');
+const { CATEGORIES } = require('./time-controls');
+
+const ddbClient = new DynamoDBClient({});
+const docClient = DynamoDBDocumentClient.from(ddbClient);
+
+// Games per page of a player's history, by default and at most
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 50;
+
+// Queries per page, so a filter that matches few games can't read a whole history
+const MAX_QUERIES_PER_PAGE = 5;
+
+const HISTORY_RESULTS = ['win', 'loss', 'draw'];
+const HISTORY_COLORS = ['white', 'black'];
+
+// PGN Termination tag for each way a game can end
+const TERMINATIONS = {
+    timeout: 'time forfeit',
+    'timeout-vs-lone-king': 'time forfeit',
+    abandonment: 'abandoned'
+};
+
+/**
+ * Error for a history request that can't be answered, with a code for the client
+ */
+class ArchiveError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = 'ArchiveError';
+        this.code = code;
+    }
+}
+
+const otherColor = (color) => (color === 'white' ? 'black' : 'white');
+
+/**
+ * Get how a result ('1-0', '0-1', '1/2-1/2') went for the player of a color
+ */
+const getOutcome = (result, color) => {
+    if (result === '1/2-1/2') return 'draw';
+    return (result === '1-0') === (color === 'white') ? 'win' : 'loss';
+};
+
+/**
+ * Add a finished game to both players' histories
+ * Only players who can come back for their history are indexed: signed-in
+ * players and browser sessions, not one-off connections
+ */
+const indexFinishedGame = async (game, { result, reason, finishedAt, ratingChanges = null }) => {
+    await Promise.all(['white', 'black'].map(async (color) => {
+        const identity = (game.identities || {})[color];
+        if (!identity || identity.startsWith('connection:')) return;
+        
+        const opponent = otherColor(color);
+        await docClient.send(new PutCommand({
+            TableName: process.env.PLAYER_GAMES_TABLE,
+            Item: {
+                identity,
+                finishedAt,
+                gameId: game.gameId,
+                color,
+                result,
+                outcome: getOutcome(result, color),
+                reason,
+                timeControl: game.timeControl.name,
+                category: game.timeControl.category,
+                rated: !!game.rated,
+                rating: (game.ratings || {})[color],
+                ...(ratingChanges ? { ratingChange: ratingChanges[color].change } : {}),
+                opponent: {
+                    nickname: (game.nicknames || {})[opponent] || null,
+                    rating: (game.ratings || {})[opponent]
+                },
+                moves: (game.moves || []).length
+            }
+        }));
+    }));
+};
+
+/**
+ * Read a date filter: an ISO date or date-time. A bare date as the end of a
+ * range covers that whole day
+ */
+const parseDate = (value, name, endOfDay) => {
+    if (value === undefined || value === null || value === '') return null;
+    
+    const text = String(value);
+    const time = Date.parse(/^\d{4}-\d{2}-\d{2}$/.test(text) && endOfDay ? `${text}T23:59:59.999Z` : text);
+    if (Number.isNaN(time)) {
+        throw new ArchiveError('invalid_filter', `${name} must be a date, e.g. 2024-05-01`);
+    }
+    return new Date(time).toISOString();
+};
+
+const encodeCursor = (key) => Buffer.from(JSON.stringify(key)).toString('base64url');
+
+const decodeCursor = (cursor, identity) => {
+    try {
+        const key = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        if (key.identity === identity && typeof key.finishedAt === 'string') return key;
+    } catch (error) {
+        // Reported below
+    }
+    throw new ArchiveError('invalid_cursor', 'That page of games is not available, start again from the first page');
+};
+
+/**
+ * Build the key condition and filter for a history request
+ * filters: { result: 'win' | 'loss' | 'draw', color, timeControl (e.g. '3+2'
+ * or a category such as 'blitz'), from, to (dates) }
+ */
+const buildHistoryQuery = (identity, filters) => {
+    const names = { '#identity': 'identity' };
+    const values = { ':identity': identity };
+    const conditions = [];
+    
+    if (filters.result !== undefined && filters.result !== null && filters.result !== '') {
+        if (!HISTORY_RESULTS.includes(filters.result)) {
+            throw new ArchiveError('invalid_filter', `result must be one of ${HISTORY_RESULTS.join(', ')}`);
+        }
+        conditions.push('outcome = :outcome');
+        values[':outcome'] = filters.result;
+    }
+    if (filters.color !== undefined && filters.color !== null && filters.color !== '') {
+        if (!HISTORY_COLORS.includes(filters.color)) {
+            throw new ArchiveError('invalid_filter', 'color must be white or black');
+        }
+        conditions.push('#color = :color');
+        names['#color'] = 'color';
+        values[':color'] = filters.color;
+    }
+    if (filters.timeControl !== undefined && filters.timeControl !== null && filters.timeControl !== '') {
+        const timeControl = String(filters.timeControl);
+        if (CATEGORIES.some(category => category.name === timeControl)) {
+            conditions.push('#category = :category');
+            names['#category'] = 'category';
+            values[':category'] = timeControl;
+        } else if (/^\d{1,3}\+\d{1,3}$/.test(timeControl)) {
+            conditions.push('timeControl = :timeControl');
+            values[':timeControl'] = timeControl;
+        } else {
+            throw new ArchiveError('invalid_filter', 'timeControl must be minutes+increment, e.g. 3+2, or a category such as blitz');
+        }
+    }
+    
+    // Dates narrow the key range rather than filter
+    const from = parseDate(filters.from, 'from', false);
+    const to = parseDate(filters.to, 'to', true);
+    let keyCondition = '#identity = :identity';
+    if (from && to) {
+        keyCondition += ' AND finishedAt BETWEEN :from AND :to';
+        Object.assign(values, { ':from': from, ':to': to });
+    } else if (from) {
+        keyCondition += ' AND finishedAt >= :from';
+        values[':from'] = from;
+    } else if (to) {
+        keyCondition += ' AND finishedAt <= :to';
+        values[':to'] = to;
+    }
+    
+    return {
+        KeyConditionExpression: keyCondition,
+        ...(conditions.length ? { FilterExpression: conditions.join(' AND ') } : {}),
+        ExpressionAttributeNames: names,
+        ExpressionAttributeValues: values
+    };
+};
+
+/**
+ * Get a page of a player's finished games, newest first
+ * Returns { games, cursor }: cursor fetches the next page, and is null on
+ * the last one. Throws an ArchiveError for invalid filters or cursors
+ */
+const getPlayerGames = async (identity, filters = {}, cursor = null, pageSize = DEFAULT_PAGE_SIZE) => {
+    const size = Math.min(Math.max(parseInt(pageSize) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const query = buildHistoryQuery(identity, filters);
+    let startKey = cursor ? decodeCursor(cursor, identity) : undefined;
+    const games = [];
+    
+    // Filtered queries can come back short; read on until the page is full.
+    // Each query reads no more than the page still needs, so its last key
+    // is exactly where the next page starts
+    for (let queries = 0; queries < MAX_QUERIES_PER_PAGE && games.length < size; queries++) {
+        const result = await docClient.send(new QueryCommand({
+            TableName: process.env.PLAYER_GAMES_TABLE,
+            ...query,
+            ScanIndexForward: false,
+            Limit: size - games.length,
+            ...(startKey ? { ExclusiveStartKey: startKey } : {})
+        }));
+        games.push(...(result.Items || []));
+        startKey = result.LastEvaluatedKey;
+        if (!startKey) break;
+    }
+    
+    return {
+        games: games.map(game => {
+            const { identity: _, ...entry } = game;
+            return entry;
+        }),
+        cursor: startKey ? encodeCursor(startKey) : null
+    };
+};
+
+const formatPGNDate = (isoDate) => isoDate.slice(0, 10).replace(/-/g, '.');
+
+/**
+ * Write a stored game as PGN, with the players, ratings, time control,
+ * result and how it ended
+ */
+const toPGN = (game) => {
+    const chessGame = restoreGame(game);
+    const nicknames = game.nicknames || {};
+    const ratings = game.ratings || {};
+    const timeControl = game.timeControl;
+    
+    return exportPGN(chessGame, {
+        Event: `${game.rated ? 'Rated' : 'Casual'} ${timeControl.category} game`,
+        Date: formatPGNDate(game.createdAt),
+        White: nicknames.white || 'Guest',
+        Black: nicknames.black || 'Guest',
+        Result: game.result || '*',
+        WhiteElo: ratings.white,
+        BlackElo: ratings.black,
+        TimeControl: `${timeControl.initial / 1000}+${timeControl.increment / 1000}`,
+        Termination: game.status === 'aborted' ? 'abandoned' : (TERMINATIONS[game.resultReason] || 'normal'),
+        GameId: game.gameId
+    });
+};
+
+module.exports = {
+    ArchiveError,
+    indexFinishedGame,
+    getPlayerGames,
+    toPGN
+};
@@ -0,0 +1,129 @@
+/**
+ * Player Authentication
+ * Verifies the Cognito ID tokens players connect with, against the signing
+ * keys the user pool publishes as a JWKS
+ */
+
+const crypto = require('crypto');
+
+// Tolerance for clock differences between Cognito and Lambda, in seconds
+const CLOCK_SKEW_SECONDS = 60;
+
+// Least time between fetches of the JWKS when a token names an unknown key
+const JWKS_REFETCH_INTERVAL = 60000;
+
+// Longest nickname shown to other players
+const MAX_NICKNAME_LENGTH = 24;
+
+/**
+ * Error for a token that can't be trusted
+ */
+class AuthError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'AuthError';
+    }
+}
+
+/**
+ * Get the issuer tokens must come from: the user pool's URL, unless
+ * COGNITO_ISSUER points somewhere else (like the local stand-in)
+ */
+const getIssuer = () => process.env.COGNITO_ISSUER ||
+    `https://cognito-idp.${process.env.AWS_REGION}.amazonaws.com/${process.env.COGNITO_USER_POOL_ID}`;
+
+const getJwksUrl = () => process.env.COGNITO_JWKS_URL || `${getIssuer()}/.well-known/jwks.json`;
+
+// Signing keys by key id, cached for the life of the Lambda container
+let signingKeys = new Map();
+let keysFetchedAt = 0;
+
+/**
+ * Get the public key a token was signed with, fetching the JWKS on first
+ * use and again (at most once a minute) when Cognito rotates its keys
+ */
+const getSigningKey = async (kid) => {
+    if (!signingKeys.has(kid) && Date.now() - keysFetchedAt >= JWKS_REFETCH_INTERVAL) {
+        const response = await fetch(getJwksUrl());
+        if (!response.ok) {
+            throw new Error(`Could not fetch the JWKS: ${response.status}`);
+        }
+        
+        const { keys } = await response.json();
+        signingKeys = new Map(keys
+            .filter(key => key.kty === 'RSA' && (!key.use || key.use === 'sig'))
+            .map(key => [key.kid, crypto.createPublicKey({ key, format: 'jwk' })]));
+        keysFetchedAt = Date.now();
+    }
+    return signingKeys.get(kid) || null;
+};
+
+const decodeSegment = (segment) => {
+    try {
+        return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+    } catch (error) {
+        throw new AuthError('Malformed token');
+    }
+};
+
+/**
+ * Verify a Cognito ID token and return its claims
+ * The token must be signed with RS256 by one of the pool's keys, issued by
+ * the pool for this app client, and not expired. Throws AuthError otherwise
+ */
+const verifyToken = async (token, now = Date.now()) => {
+    const segments = typeof token === 'string' ? token.split('.') : [];
+    if (segments.length !== 3) {
+        throw new AuthError('Malformed token');
+    }
+    
+    const [headerSegment, payloadSegment, signatureSegment] = segments;
+    const header = decodeSegment(headerSegment);
+    if (header.alg !== 'RS256' || !header.kid) {
+        throw new AuthError('Unsupported token signature');
+    }
+    
+    const key = await getSigningKey(header.kid);
+    if (!key) {
+        throw new AuthError('Token signed with an unknown key');
+    }
+    
+    const signed = Buffer.from(`${headerSegment}.${payloadSegment}`);
+    if (!crypto.verify('RSA-SHA256', signed, key, Buffer.from(signatureSegment, 'base64url'))) {
+        throw new AuthError('Invalid token signature');
+    }
+    
+    const claims = decodeSegment(payloadSegment);
+    if (claims.iss !== getIssuer()) {
+        throw new AuthError('Token from another issuer');
+    }
+    if (claims.token_use !== 'id' || claims.aud !== process.env.COGNITO_CLIENT_ID) {
+        throw new AuthError('Not an ID token for this app');
+    }
+    if (typeof claims.exp !== 'number' || claims.exp + CLOCK_SKEW_SECONDS <= now / 1000) {
+        throw new AuthError('Token expired');
+    }
+    if (typeof claims.sub !== 'string' || !claims.sub) {
+        throw new AuthError('Token has no subject');
+    }
+    
+    return claims;
+};
+
+/**
+ * Get the player an ID token's claims identify: their Cognito sub, and the
+ * name to show other players
+ */
+const getPlayer = (claims) => {
+    const name = claims.nickname || claims.preferred_username || claims['cognito:username'];
+    return {
+        playerId: claims.sub,
+        nickname: (typeof name === 'string' && name.trim().slice(0, MAX_NICKNAME_LENGTH)) || 'Player'
+    };
+};
+
+module.exports = {
+    AuthError,
+    verifyToken,
+    getPlayer
+};
@@ -0,0 +1,80 @@
+const { createLocalIdentityProvider } = require('../local/identity-provider');
+const { AuthError, verifyToken, getPlayer } = require('./auth');
+
+const identityProvider = createLocalIdentityProvider({ issuer: 'http://localhost/test-pool', clientId: 'test-client' });
+
+let fetchJwks;
+
+beforeEach(() => {
+    process.env.COGNITO_ISSUER = identityProvider.issuer;
+    process.env.COGNITO_JWKS_URL = identityProvider.jwksUrl;
+    process.env.COGNITO_CLIENT_ID = identityProvider.clientId;
+    fetchJwks = jest.spyOn(globalThis, 'fetch').mockImplementation(async () => new Response(JSON.stringify(identityProvider.jwks)));
+});
+
+afterEach(() => {
+    fetchJwks.mockRestore();
+});
+
+describe('verifyToken', () => {
+    test('returns the claims of a token the pool signed, fetching its keys once', async () => {
+        const claims = await verifyToken(identityProvider.issueToken('Alice'));
+        await verifyToken(identityProvider.issueToken('Bob'));
+        
+        expect(claims).toMatchObject({ iss: identityProvider.issuer, aud: 'test-client', token_use: 'id', nickname: 'Alice' });
+        expect(fetchJwks).toHaveBeenCalledTimes(1);
+        expect(fetchJwks).toHaveBeenCalledWith(identityProvider.jwksUrl);
+    });
+    
+    test('refuses tokens that are not signed JWTs', async () => {
+        await expect(verifyToken('not-a-token')).rejects.toThrow(new AuthError('Malformed token'));
+        await expect(verifyToken(undefined)).rejects.toThrow('Malformed token');
+        
+        const [, payload, signature] = identityProvider.issueToken('Alice').split('.');
+        const header = Buffer.from(JSON.stringify({ alg: 'none' })).toString('base64url');
+        await expect(verifyToken(`${header}.${payload}.${signature}`)).rejects.toThrow('Unsupported token signature');
+    });
+    
+    test('refuses a token whose claims were changed after signing', async () => {
+        const [header, payload, signature] = identityProvider.issueToken('Alice').split('.');
+        const claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+        const forged = Buffer.from(JSON.stringify({ ...claims, sub: 'someone-else' })).toString('base64url');
+        
+        await expect(verifyToken(`${header}.${forged}.${signature}`)).rejects.toThrow('Invalid token signature');
+    });
+    
+    test('refuses a token signed with a key the pool does not publish', async () => {
+        const other = createLocalIdentityProvider({ issuer: identityProvider.issuer, clientId: 'test-client' });
+        
+        await expect(verifyToken(other.issueToken('Alice'))).rejects.toThrow('Token signed with an unknown key');
+    });
+    
+    test('refuses tokens for another pool or app client', async () => {
+        const token = identityProvider.issueToken('Alice');
+        
+        process.env.COGNITO_CLIENT_ID = 'other-client';
+        await expect(verifyToken(token)).rejects.toThrow('Not an ID token for this app');
+        
+        process.env.COGNITO_ISSUER = 'http://localhost/other-pool';
+        await expect(verifyToken(token)).rejects.toThrow('Token from another issuer');
+    });
+    
+    test('refuses expired tokens, allowing a minute of clock skew', async () => {
+        const now = Date.now();
+        const token = identityProvider.issueToken('Alice', { expiresIn: 3600, now });
+        
+        await expect(verifyToken(token, now + 3630 * 1000)).resolves.toMatchObject({ nickname: 'Alice' });
+        await expect(verifyToken(token, now + 3661 * 1000)).rejects.toThrow('Token expired');
+    });
+});
+
+describe('getPlayer', () => {
+    test('identifies the player by their sub and shows their nickname', () => {
+        expect(getPlayer({ sub: 'abc', nickname: '  Alice  ' })).toEqual({ playerId: 'abc', nickname: 'Alice' });
+    });
+    
+    test('falls back to the username, shortened, then to a placeholder', () => {
+        expect(getPlayer({ sub: 'abc', 'cognito:username': 'x'.repeat(30) }).nickname).toBe('x'.repeat(24));
+        expect(getPlayer({ sub: 'abc', nickname: ' ' }).nickname).toBe('Player');
+    });
+});
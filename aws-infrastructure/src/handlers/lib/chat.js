@@ -0,0 +1,111 @@
+/**
+ * Game Chat
+ * Rate limits and filters the chat messages players send during a game.
+ * The filter is pluggable: the default masks the words listed in
+ * CHAT_BLOCKED_WORDS, and setChatFilter() puts another moderation step in
+ * its place
+ */
+
+const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+const { DynamoDBDocumentClient, UpdateCommand } = require('@aws-sdk/lib-dynamodb');
+
+const ddbClient = new DynamoDBClient({});
+const docClient = DynamoDBDocumentClient.from(ddbClient);
+
+// Longest chat message, in characters
+const MAX_CHAT_LENGTH = 200;
+
+// Messages a connection may send per window, and the window in milliseconds
+const CHAT_RATE_LIMIT = 5;
+const CHAT_RATE_WINDOW = 10000;
+
+/**
+ * Clean up a message as typed: control characters become spaces and the
+ * ends are trimmed. Returns '' for anything that is not text
+ */
+const normalizeMessage = (text) => (typeof text === 'string' ? text.replace(/[\u0000-\u001f\u007f]/g, ' ').trim() : '');
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Build a filter that masks whole words from a list, in any case
+ * A filter takes a message's text and returns { text, flagged }, with
+ * flagged true if it changed anything, or null to drop the message.
+ * It may be async
+ */
+const createWordFilter = (words) => {
+    const list = words.map(word => word.trim()).filter(Boolean);
+    if (list.length === 0) {
+        return (text) => ({ text, flagged: false });
+    }
+    
+    const pattern = new RegExp(`\\b(?:${list.map(escapeRegExp).join('|')})\\b`, 'gi');
+    return (text) => {
+        const masked = text.replace(pattern, word => '*'.repeat(word.length));
+        return { text: masked, flagged: masked !== text };
+    };
+};
+
+let chatFilter = createWordFilter((process.env.CHAT_BLOCKED_WORDS || '').split(','));
+
+/**
+ * Replace the chat filter, e.g. with a call to a moderation service
+ */
+const setChatFilter = (filter) => {
+    chatFilter = filter;
+};
+
+/**
+ * Run a message through the chat filter
+ */
+const filterChatMessage = async (text) => chatFilter(text);
+
+/**
+ * Count a chat message against its connection's rate limit, kept on the
+ * connection as a window start and a count. Returns false if the
+ * connection has sent too many messages lately
+ */
+const takeChatAllowance = async (connectionId, now = Date.now()) => {
+    const windowStart = now - CHAT_RATE_WINDOW;
+    
+    // Within the current window, while there is allowance left
+    try {
+        await docClient.send(new UpdateCommand({
+            TableName: process.env.CONNECTIONS_TABLE,
+            Key: { connectionId },
+            UpdateExpression: 'SET chatCount = chatCount + :one',
+            ConditionExpression: 'chatWindowStart > :windowStart AND chatCount < :limit',
+            ExpressionAttributeValues: { ':one': 1, ':windowStart': windowStart, ':limit': CHAT_RATE_LIMIT }
+        }));
+        return true;
+    } catch (error) {
+        if (error.name !== 'ConditionalCheckFailedException') throw error;
+    }
+    
+    // The first message, or the first since the window ran out
+    try {
+        await docClient.send(new UpdateCommand({
+            TableName: process.env.CONNECTIONS_TABLE,
+            Key: { connectionId },
+            UpdateExpression: 'SET chatWindowStart = :now, chatCount = :one',
+            ConditionExpression: 'attribute_exists(connectionId) AND ' +
+                '(attribute_not_exists(chatWindowStart) OR chatWindowStart <= :windowStart)',
+            ExpressionAttributeValues: { ':now': now, ':one': 1, ':windowStart': windowStart }
+        }));
+        return true;
+    } catch (error) {
+        if (error.name === 'ConditionalCheckFailedException') return false;
+        throw error;
+    }
+};
+
+module.exports = {
+    MAX_CHAT_LENGTH,
+    CHAT_RATE_LIMIT,
+    CHAT_RATE_WINDOW,
+    normalizeMessage,
+    createWordFilter,
+    setChatFilter,
+    filterChatMessage,
+    takeChatAllowance
+};
@@ -0,0 +1,29 @@
+const { normalizeMessage, createWordFilter } = require('./chat');
+
+describe('normalizeMessage', () => {
+    test('turns control characters into spaces and trims', () => {
+        expect(normalizeMessage('  good\ngame\u0007 ')).toBe('good game');
+    });
+    
+    test('gives an empty message for anything that is not text', () => {
+        expect(normalizeMessage(undefined)).toBe('');
+        expect(normalizeMessage({ text: 'hi' })).toBe('');
+    });
+});
+
+describe('createWordFilter', () => {
+    test('masks whole listed words in any case', () => {
+        const filter = createWordFilter(['darn', ' heck ']);
+        
+        expect(filter('Darn it, what the HECK')).toEqual({ text: '**** it, what the ****', flagged: true });
+        expect(filter('darning socks')).toEqual({ text: 'darning socks', flagged: false });
+    });
+    
+    test('treats listed words as plain text', () => {
+        expect(createWordFilter(['a.b'])('a.b axb')).toEqual({ text: '*** axb', flagged: true });
+    });
+    
+    test('lets everything through with an empty list', () => {
+        expect(createWordFilter(['', ' '])('anything')).toEqual({ text: 'anything', flagged: false });
+    });
+});
@@ -0,0 +1,143 @@
+/**
+ * Chess Engine
+ * Runs the browser rules engine (js/chess-pieces.js and js/chess-logic.js)
+ * inside Lambda so the server applies exactly the same rules as the client,
+ * and writes PGN with the browser's exporter (js/chess-pgn.js)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ENGINE_FILES = ['chess-pieces.js', 'chess-logic.js', 'chess-pgn.js'];
+
+const PROMOTION_PIECES = ['queen', 'rook', 'bishop', 'knight'];
+
+// Where to find the engine sources, in order of preference. The browser
+// sources win when run from the repository, so a copy left over from an
+// earlier packaging never stands in for the rules being worked on
+const ENGINE_DIRS = [
+    process.env.CHESS_ENGINE_DIR,
+    path.join(__dirname, '..', '..', '..', '..', 'js'), // the browser sources when run from the repository
+    path.join(__dirname, '..', 'engine') // copied by `npm run copy-engine` into the deployed package
+].filter(Boolean);
+
+/**
+ * Error raised when a move is rejected
+ * The code is sent to the client so it can react without parsing the message
+ */
+class MoveError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = 'MoveError';
+        this.code = code;
+    }
+}
+
+let engine = null;
+
+/**
+ * Load the engine scripts into a sandbox once per container
+ */
+const loadEngine = () => {
+    if (engine) return engine;
+    
+    const dir = ENGINE_DIRS.find(candidate => fs.existsSync(path.join(candidate, 'chess-logic.js')));
+    if (!dir) {
+        throw new Error(`Chess engine not found in ${ENGINE_DIRS.join(', ')}; run npm run copy-engine`);
+    }
+    
+    const source = ENGINE_FILES.map(file => fs.readFileSync(path.join(dir, file), 'utf8')).join('\n');
+    engine = vm.runInNewContext(`${source}\n;({ ChessGame, COLORS, exportPGN })`, {});
+    return engine;
+};
+
+/**
+ * Create a game at the starting position, or at a FEN position
+ */
+const createGame = (fen = null) => {
+    const game = new (loadEngine().ChessGame)();
+    if (fen) {
+        game.loadFEN(fen);
+    }
+    return game;
+};
+
+/**
+ * Play a move sent by a client: { from: 'e2', to: 'e4', promotion: null }
+ * Throws a MoveError if the move is malformed or illegal
+ * Returns the move history record
+ */
+const playMove = (game, move) => {
+    const from = move && typeof move.from === 'string' ? game.algebraicToSquare(move.from) : null;
+    const to = move && typeof move.to === 'string' ? game.algebraicToSquare(move.to) : null;
+    if (!from || !to) {
+        throw new MoveError('invalid_move', 'A move needs from and to squares, e.g. { "from": "e2", "to": "e4" }');
+    }
+    
+    if (game.gameOver) {
+        throw new MoveError('game_over', 'The game is already over');
+    }
+    
+    const moveInfo = game.getValidMoves(from.row, from.col).find(m => m.row === to.row && m.col === to.col);
+    if (!moveInfo) {
+        throw new MoveError('illegal_move', `${move.from}-${move.to} is not a legal move`);
+    }
+    
+    const promotion = move.promotion || null;
+    if (moveInfo.promotion && !PROMOTION_PIECES.includes(promotion)) {
+        throw new MoveError('invalid_promotion', `Promotion must be one of ${PROMOTION_PIECES.join(', ')}`);
+    }
+    if (!moveInfo.promotion && promotion) {
+        throw new MoveError('invalid_promotion', `${move.from}-${move.to} is not a promotion`);
+    }
+    
+    game.validMoves = [moveInfo];
+    game.makeMove(from.row, from.col, to.row, to.col, promotion);
+    game.validMoves = [];
+    
+    return game.moveHistory[game.moveHistory.length - 1];
+};
+
+/**
+ * Rebuild a stored game by replaying its moves
+ * Replaying (rather than loading the stored FEN) keeps the position history
+ * needed to detect repetition draws
+ */
+const restoreGame = (item) => {
+    const game = createGame(item.startFen || null);
+    for (const move of item.moves || []) {
+        playMove(game, move);
+    }
+    return game;
+};
+
+/**
+ * Get the result of a finished game: { result: '1-0' | '0-1' | '1/2-1/2', reason }
+ * Returns null while the game is still in progress
+ */
+const getResult = (game) => {
+    if (!game.gameOver) return null;
+    if (game.winner === 'draw') {
+        return { result: '1/2-1/2', reason: game.drawReason };
+    }
+    return {
+        result: game.winner === loadEngine().COLORS.WHITE ? '1-0' : '0-1',
+        reason: game.winReason
+    };
+};
+
+/**
+ * Write a game as PGN text with the given tags
+ */
+const exportPGN = (game, tags) => loadEngine().exportPGN(game, tags);
+
+module.exports = {
+    MoveError,
+    PROMOTION_PIECES,
+    createGame,
+    playMove,
+    restoreGame,
+    getResult,
+    exportPGN
+};
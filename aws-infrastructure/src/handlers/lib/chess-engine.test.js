@@ -0,0 +1,109 @@
+const fs = require('fs');
+const path = require('path');
+const { MoveError, createGame, playMove, restoreGame, getResult, exportPGN } = require('./chess-engine');
+
+const play = (game, ...moves) => moves.map(([from, to, promotion]) => playMove(game, { from, to, promotion }));
+
+const rejection = (game, move) => {
+    try {
+        playMove(game, move);
+    } catch (error) {
+        expect(error).toBeInstanceOf(MoveError);
+        return error.code;
+    }
+    throw new Error('The move was accepted');
+};
+
+describe('loading the engine', () => {
+    test('prefers the repository sources to a packaged copy', () => {
+        const dir = process.env.CHESS_ENGINE_DIR;
+        delete process.env.CHESS_ENGINE_DIR;
+        const existsSync = jest.spyOn(fs, 'existsSync').mockReturnValue(true);
+        const readFileSync = jest.spyOn(fs, 'readFileSync');
+        
+        try {
+            jest.isolateModules(() => {
+                require('./chess-engine').createGame();
+            });
+            expect(readFileSync).toHaveBeenCalledWith(path.join(__dirname, '..', '..', '..', '..', 'js', 'chess-logic.js'), 'utf8');
+            expect(readFileSync).not.toHaveBeenCalledWith(path.join(__dirname, '..', 'engine', 'chess-logic.js'), 'utf8');
+        } finally {
+            existsSync.mockRestore();
+            readFileSync.mockRestore();
+            if (dir !== undefined) {
+                process.env.CHESS_ENGINE_DIR = dir;
+            }
+        }
+    });
+});
+
+describe('playMove', () => {
+    test('plays legal moves and returns their records', () => {
+        const game = createGame();
+        const [record] = play(game, ['e2', 'e4']);
+        
+        expect(record).toMatchObject({ from: { row: 6, col: 4 }, to: { row: 4, col: 4 } });
+        expect(game.toFEN()).toBe('rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq e3 0 1');
+    });
+    
+    test.each([
+        [{}, 'invalid_move'],
+        [{ from: 'e2' }, 'invalid_move'],
+        [{ from: 'z9', to: 'e4' }, 'invalid_move'],
+        [{ from: 'e2', to: 'e5' }, 'illegal_move'],
+        [{ from: 'e7', to: 'e5' }, 'illegal_move'],
+        [{ from: 'e2', to: 'e4', promotion: 'queen' }, 'invalid_promotion']
+    ])('rejects %j with %s', (move, code) => {
+        expect(rejection(createGame(), move)).toBe(code);
+    });
+    
+    test('needs a known promotion piece', () => {
+        const fen = '8/4P3/8/8/8/8/k7/4K3 w - - 0 1';
+        
+        expect(rejection(createGame(fen), { from: 'e7', to: 'e8' })).toBe('invalid_promotion');
+        expect(rejection(createGame(fen), { from: 'e7', to: 'e8', promotion: 'king' })).toBe('invalid_promotion');
+        
+        const game = createGame(fen);
+        play(game, ['e7', 'e8', 'knight']);
+        expect(game.toFEN()).toBe('4N3/8/8/8/8/8/k7/4K3 b - - 0 1');
+    });
+    
+    test('rejects moves once the game is over', () => {
+        const game = createGame();
+        play(game, ['f2', 'f3'], ['e7', 'e5'], ['g2', 'g4'], ['d8', 'h4']);
+        
+        expect(rejection(game, { from: 'a2', to: 'a3' })).toBe('game_over');
+    });
+});
+
+describe('restoreGame and getResult', () => {
+    test('replays stored moves from the start or a FEN', () => {
+        const game = restoreGame({
+            startFen: '4k3/8/8/8/8/8/4P3/4K3 w - - 0 1',
+            moves: [{ from: 'e2', to: 'e4' }, { from: 'e8', to: 'd7' }]
+        });
+        
+        expect(game.toFEN()).toBe('8/3k4/8/8/4P3/8/8/4K3 w - - 1 2');
+        expect(getResult(game)).toBeNull();
+    });
+    
+    test('keeps the position history, so repetitions are detected', () => {
+        const shuffle = [{ from: 'g1', to: 'f3' }, { from: 'g8', to: 'f6' }, { from: 'f3', to: 'g1' }, { from: 'f6', to: 'g8' }];
+        const game = restoreGame({ moves: [].concat(shuffle, shuffle, shuffle, shuffle) });
+        
+        expect(getResult(game)).toEqual({ result: '1/2-1/2', reason: 'fivefold-repetition' });
+    });
+    
+    test('reports checkmate', () => {
+        const game = restoreGame({
+            moves: [{ from: 'f2', to: 'f3' }, { from: 'e7', to: 'e5' }, { from: 'g2', to: 'g4' }, { from: 'd8', to: 'h4' }]
+        });
+        
+        expect(getResult(game)).toEqual({ result: '0-1', reason: 'checkmate' });
+        expect(exportPGN(game, { Date: '2026.01.01' })).toContain('1. f3 e5 2. g4 Qh4# 0-1');
+    });
+    
+    test('rejects a stored illegal move', () => {
+        expect(() => restoreGame({ moves: [{ from: 'e2', to: 'e5' }] })).toThrow(MoveError);
+    });
+});
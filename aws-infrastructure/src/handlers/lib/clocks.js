@@ -0,0 +1,97 @@
+/**
+ * Game Clocks
+ * Keeps the authoritative clocks of online games in the game record:
+ * clock.white / clock.black hold each side's remaining milliseconds as of the
+ * start of the current turn, turnStartedAt is when the side to move started
+ * thinking (server time) and flagAt is when its flag falls
+ */
+
+const { restoreGame, getResult } = require('./chess-engine');
+
+const otherColor = (color) => (color === 'white' ? 'black' : 'white');
+
+/**
+ * Clock fields for a new game; white's clock starts running immediately
+ */
+const createClock = (timeControl, now = Date.now()) => ({
+    clock: { white: timeControl.initial, black: timeControl.initial },
+    turnStartedAt: now,
+    flagAt: now + timeControl.initial
+});
+
+/**
+ * Get a side's remaining time in milliseconds, including the running turn
+ */
+const getRemaining = (game, color, now = Date.now()) => {
+    const remaining = game.clock[color];
+    return color === game.currentTurn ? remaining - (now - game.turnStartedAt) : remaining;
+};
+
+/**
+ * Get both sides' remaining time to send to clients
+ * The side to move's clock is running as of the time of sending
+ */
+const getClockState = (game, now = Date.now()) => ({
+    white: Math.max(0, getRemaining(game, 'white', now)),
+    black: Math.max(0, getRemaining(game, 'black', now)),
+    running: game.status === 'active' ? game.currentTurn : null
+});
+
+/**
+ * Charge the side to move for its turn and add the increment
+ * Returns the clock fields after the move, or null if its flag has fallen
+ */
+const pressClock = (game, now = Date.now()) => {
+    const color = game.currentTurn;
+    const remaining = getRemaining(game, color, now);
+    if (remaining <= 0) return null;
+    
+    const clock = { ...game.clock, [color]: remaining + game.timeControl.increment };
+    return {
+        clock,
+        turnStartedAt: now,
+        flagAt: now + clock[otherColor(color)]
+    };
+};
+
+/**
+ * Stop the side to move's clock without an increment and start color's,
+ * for when a takeback hands the move to the other side
+ * Returns the clock fields, or null if the side to move has already flagged
+ */
+const handOverClock = (game, color, now = Date.now()) => {
+    const remaining = getRemaining(game, game.currentTurn, now);
+    if (remaining <= 0) return null;
+    
+    const clock = { ...game.clock, [game.currentTurn]: remaining };
+    return {
+        clock,
+        turnStartedAt: now,
+        flagAt: now + clock[color]
+    };
+};
+
+/**
+ * Check whether the side to move has run out of time
+ */
+const hasFlagged = (game, now = Date.now()) =>
+    Boolean(game.clock) && game.status === 'active' && getRemaining(game, game.currentTurn, now) <= 0;
+
+/**
+ * Get the result when the side to move runs out of time: a loss, or a draw if
+ * the opponent has only a king left
+ */
+const getTimeoutResult = (game) => {
+    const chessGame = restoreGame(game);
+    chessGame.timeout(game.currentTurn);
+    return getResult(chessGame);
+};
+
+module.exports = {
+    createClock,
+    getClockState,
+    pressClock,
+    handOverClock,
+    hasFlagged,
+    getTimeoutResult
+};
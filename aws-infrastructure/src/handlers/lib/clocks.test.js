@@ -0,0 +1,109 @@
+const { createClock, getClockState, pressClock, handOverClock, hasFlagged, getTimeoutResult } = require('./clocks');
+
+const BLITZ = { name: '3+2', initial: 180000, increment: 2000 };
+const START = 1000000;
+
+// An active game record at the start of white's first turn
+const createActiveGame = (timeControl = BLITZ, fields = {}) => ({
+    status: 'active',
+    currentTurn: 'white',
+    timeControl,
+    moves: [],
+    ...createClock(timeControl, START),
+    ...fields
+});
+
+describe('running the clocks', () => {
+    test('a new game starts white\'s clock at once', () => {
+        const game = createActiveGame();
+        
+        expect(game.flagAt).toBe(START + 180000);
+        expect(getClockState(game, START + 5000)).toEqual({ white: 175000, black: 180000, running: 'white' });
+    });
+    
+    test('pressing the clock charges the turn and adds the increment', () => {
+        const game = createActiveGame();
+        
+        expect(pressClock(game, START + 5000)).toEqual({
+            clock: { white: 177000, black: 180000 },
+            turnStartedAt: START + 5000,
+            flagAt: START + 5000 + 180000
+        });
+    });
+    
+    test('the increment is added on every move, so quick moves gain time', () => {
+        let game = createActiveGame();
+        
+        for (let move = 0; move < 10; move++) {
+            const now = game.turnStartedAt + 500;
+            game = { ...game, ...pressClock(game, now), currentTurn: game.currentTurn === 'white' ? 'black' : 'white' };
+        }
+        
+        expect(game.clock).toEqual({ white: 187500, black: 187500 });
+    });
+    
+    test('a flag that has fallen cannot be pressed', () => {
+        const game = createActiveGame();
+        
+        expect(pressClock(game, START + 180000)).toBeNull();
+        expect(handOverClock(game, 'black', START + 180001)).toBeNull();
+    });
+    
+    test('handing over the move adds no increment', () => {
+        const game = createActiveGame(BLITZ, { currentTurn: 'black' });
+        
+        expect(handOverClock(game, 'white', START + 4000)).toEqual({
+            clock: { white: 180000, black: 176000 },
+            turnStartedAt: START + 4000,
+            flagAt: START + 4000 + 180000
+        });
+    });
+    
+    test('a finished game shows no running clock and never reads below zero', () => {
+        const game = { ...createActiveGame(), status: 'finished' };
+        
+        expect(getClockState(game, START + 200000)).toEqual({ white: 0, black: 180000, running: null });
+    });
+});
+
+describe('hasFlagged', () => {
+    test('only the side to move can flag, once its time is gone', () => {
+        const game = createActiveGame();
+        
+        expect(hasFlagged(game, START + 179999)).toBe(false);
+        expect(hasFlagged(game, START + 180000)).toBe(true);
+        expect(hasFlagged({ ...game, clock: { white: 0, black: 180000 }, currentTurn: 'black' }, START + 1000)).toBe(false);
+    });
+    
+    test('untimed and finished games never flag', () => {
+        expect(hasFlagged({ ...createActiveGame(), clock: undefined }, START + 500000)).toBe(false);
+        expect(hasFlagged({ ...createActiveGame(), status: 'finished' }, START + 500000)).toBe(false);
+    });
+    
+    test('a flagAt left behind by a later move does not flag the game', () => {
+        // The index can still hold the deadline from before the last move
+        const game = { ...createActiveGame(), ...pressClock(createActiveGame(), START + 1000), currentTurn: 'black' };
+        
+        expect(hasFlagged({ ...game, flagAt: START + 1000 }, START + 2000)).toBe(false);
+    });
+});
+
+describe('getTimeoutResult', () => {
+    test('the side that flagged loses', () => {
+        const game = createActiveGame(BLITZ, { moves: [{ from: 'e2', to: 'e4' }], currentTurn: 'black' });
+        
+        expect(getTimeoutResult(game)).toEqual({ result: '1-0', reason: 'timeout' });
+    });
+    
+    test('flagging against a lone king is a draw', () => {
+        const game = createActiveGame(BLITZ, { startFen: '4k3/8/8/8/8/8/8/R3K3 w - - 0 1' });
+        
+        expect(getTimeoutResult(game)).toEqual({ result: '1/2-1/2', reason: 'timeout-vs-lone-king' });
+    });
+    
+    test('the lone king flagging still loses', () => {
+        const game = createActiveGame(BLITZ, { startFen: '4k3/8/8/8/8/8/8/R3K3 b - - 0 1', currentTurn: 'black' });
+        
+        expect(getTimeoutResult(game)).toEqual({ result: '1-0', reason: 'timeout' });
+    });
+});
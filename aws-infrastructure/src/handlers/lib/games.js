@@ -0,0 +1,287 @@
+/**
+ * Online Games
+ * Starts games between two seated players, keeps their spectators up to
+ * date, and ends games that finish outside of a normal move: on time, by
+ * resignation, by agreement, by being aborted or abandoned
+ */
+
+const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+const { DynamoDBDocumentClient, GetCommand, UpdateCommand } = require('@aws-sdk/lib-dynamodb');
+const { rateFinishedGame } = require('./ratings');
+const { createClock, getClockState, hasFlagged, getTimeoutResult } = require('./clocks');
+const { createGame } = require('./chess-engine');
+const { indexFinishedGame } = require('./archive');
+const { isGone } = require('./sockets');
+
+const ddbClient = new DynamoDBClient({});
+const docClient = DynamoDBDocumentClient.from(ddbClient);
+
+// Result of a game called off without a winner
+const ABORTED_RESULT = '*';
+
+const otherColor = (color) => (color === 'white' ? 'black' : 'white');
+
+/**
+ * Build the record of a new game, as stored in the games table
+ * seats holds the player in each color: { visitorId (their connection),
+ * playerId, nickname, identity, rating }. Unlisted games are left out of
+ * the public list of games to watch
+ */
+const createGameItem = (gameId, seats, { timeControl, rated, listed = true }) => ({
+    gameId,
+    status: 'active',
+    createdAt: new Date().toISOString(),
+    players: { white: seats.white.visitorId, black: seats.black.visitorId },
+    playerIds: {
+        white: seats.white.playerId || null,
+        black: seats.black.playerId || null
+    },
+    // Who may take each seat back after a disconnect
+    identities: {
+        white: seats.white.identity,
+        black: seats.black.identity
+    },
+    reconnectBy: {},
+    // Connections watching the game, by connection id
+    spectators: {},
+    // Colors whose player muted their opponent's chat
+    chatMuted: {},
+    listed,
+    timeControl,
+    rated,
+    ratings: { white: Math.round(seats.white.rating), black: Math.round(seats.black.rating) },
+    nicknames: { white: seats.white.nickname || null, black: seats.black.nickname || null },
+    ...createClock(timeControl),
+    currentTurn: 'white',
+    moves: [],
+    fen: createGame().toFEN()
+});
+
+/**
+ * Tell both players of a new game that it has started with match_found,
+ * sent with notify(connectionId, message). Each connection is tied to the
+ * game first, so a disconnect can be recognised and the seat held
+ */
+const announceGame = async (game, notify) => {
+    await Promise.all(Object.values(game.players).map(async (connectionId) => {
+        try {
+            await setConnectionGame(connectionId, game.gameId);
+        } catch (error) {
+            console.error('Failed to record the game on the connection:', error);
+        }
+    }));
+    
+    await Promise.all(Object.entries(game.players).map(([color, connectionId]) =>
+        notify(connectionId, {
+            type: 'match_found',
+            gameId: game.gameId,
+            color,
+            rated: game.rated,
+            ratings: game.ratings,
+            nicknames: game.nicknames,
+            timeControl: game.timeControl,
+            message: 'Match found! Game starting...'
+        })
+    ));
+};
+
+/**
+ * Everything a client needs to rebuild the game from scratch: a player
+ * seated as color, or a spectator (color null)
+ */
+const getGameState = (game, color, now) => {
+    const opponentReconnectBy = color && (game.reconnectBy || {})[otherColor(color)];
+    
+    return {
+        type: 'game_state',
+        gameId: game.gameId,
+        color,
+        status: game.status,
+        moves: (game.moves || []).map(({ from, to, promotion, san }) => ({ from, to, promotion, san })),
+        fen: game.fen,
+        currentTurn: game.currentTurn,
+        timeControl: game.timeControl,
+        rated: game.rated,
+        ratings: game.ratings,
+        nicknames: game.nicknames || { white: null, black: null },
+        spectators: Object.keys(game.spectators || {}).length,
+        // A finished game's clocks stopped when it ended
+        ...(game.clock ? {
+            clock: getClockState(game, game.status === 'active' ? now : Date.parse(game.finishedAt))
+        } : {}),
+        ...(game.drawOffer ? { drawOffer: game.drawOffer } : {}),
+        ...(game.takebackRequest ? { takebackRequest: game.takebackRequest } : {}),
+        ...(game.status === 'active' && opponentReconnectBy !== undefined ? { opponentReconnectBy } : {}),
+        ...(color ? { chatMuted: !!(game.chatMuted || {})[color] } : {}),
+        ...(game.status !== 'active' ? {
+            result: game.result,
+            reason: game.resultReason,
+            ...(game.ratingChanges ? { ratingChanges: game.ratingChanges } : {})
+        } : {})
+    };
+};
+
+/**
+ * Send a message to everyone watching a game with notify(connectionId,
+ * message). Spectators whose connection has gone are dropped from the game
+ */
+const notifySpectators = async (game, message, notify) => {
+    await Promise.all(Object.keys(game.spectators || {}).map(async (connectionId) => {
+        try {
+            await notify(connectionId, message);
+        } catch (error) {
+            if (!isGone(error)) {
+                console.error('Failed to notify spectator:', error);
+                return;
+            }
+            try {
+                await docClient.send(new UpdateCommand({
+                    TableName: process.env.GAMES_TABLE,
+                    Key: { gameId: game.gameId },
+                    UpdateExpression: 'REMOVE spectators.#connectionId',
+                    ConditionExpression: 'attribute_exists(gameId)',
+                    ExpressionAttributeNames: { '#connectionId': connectionId }
+                }));
+            } catch (removeError) {
+                console.error('Failed to drop spectator:', removeError);
+            }
+        }
+    }));
+};
+
+/**
+ * Finish an active game with an outcome ({ result, reason }), rate it, add
+ * it to the players' histories and send game_over to both players and its spectators with
+ * notify(connectionId, message)
+ * An ABORTED_RESULT outcome marks the game aborted and leaves it unrated.
+ * The game is only finished if it is still active at the move it was read
+ * at, so a game never ends twice. Returns the game_over message, or null if
+ * the game had already moved on
+ */
+const finishGame = async (game, outcome, notify) => {
+    const finishedAt = new Date();
+    const aborted = outcome.result === ABORTED_RESULT;
+    
+    try {
+        await docClient.send(new UpdateCommand({
+            TableName: process.env.GAMES_TABLE,
+            Key: { gameId: game.gameId },
+            UpdateExpression: 'SET #status = :endStatus, #result = :result, resultReason = :reason, ' +
+                'finishedAt = :finishedAt, updatedAt = :finishedAt REMOVE flagAt, abandonAt, drawOffer, takebackRequest',
+            ConditionExpression: '#status = :active AND size(moves) = :moveCount',
+            ExpressionAttributeNames: { '#status': 'status', '#result': 'result' },
+            ExpressionAttributeValues: {
+                ':endStatus': aborted ? 'aborted' : 'finished',
+                ':active': 'active',
+                ':result': outcome.result,
+                ':reason': outcome.reason,
+                ':finishedAt': finishedAt.toISOString(),
+                ':moveCount': (game.moves || []).length
+            }
+        }));
+    } catch (error) {
+        if (error.name === 'ConditionalCheckFailedException') return null;
+        throw error;
+    }
+    
+    let ratingChanges = null;
+    if (!aborted) {
+        try {
+            ratingChanges = await rateFinishedGame(game, outcome.result);
+        } catch (error) {
+            console.error('Failed to rate game:', error);
+        }
+        
+        try {
+            await indexFinishedGame(game, { ...outcome, finishedAt: finishedAt.toISOString(), ratingChanges });
+        } catch (error) {
+            console.error('Failed to add game to player histories:', error);
+        }
+    }
+    
+    const message = {
+        type: 'game_over',
+        gameId: game.gameId,
+        result: outcome.result,
+        reason: outcome.reason,
+        ...(game.clock ? { clock: getClockState({ ...game, status: 'finished' }, finishedAt.getTime()) } : {}),
+        ...(ratingChanges ? { ratings: ratingChanges } : {})
+    };
+    
+    await Promise.all(['white', 'black'].map(async (color) => {
+        try {
+            await notify(game.players[color], message);
+        } catch (error) {
+            console.error(`Failed to notify ${color}:`, error);
+        }
+    }));
+    await notifySpectators(game, message, notify);
+    
+    return message;
+};
+
+/**
+ * Get the outcome for players who disconnected and did not come back by
+ * their reconnectBy deadline: a forfeit for the one who left, or an aborted
+ * game if both are gone. Returns null while nobody's deadline has passed
+ */
+const getAbandonmentResult = (game, now = Date.now()) => {
+    const reconnectBy = game.reconnectBy || {};
+    const gone = ['white', 'black'].filter(color => reconnectBy[color] !== undefined && reconnectBy[color] <= now);
+    
+    if (gone.length === 0) return null;
+    if (gone.length === 2) return { result: ABORTED_RESULT, reason: 'abandoned' };
+    return { result: gone[0] === 'white' ? '0-1' : '1-0', reason: 'abandonment' };
+};
+
+/**
+ * End an active game that is already over: the side to move has flagged, or
+ * a disconnected player is past their reconnect deadline. The sweeper only
+ * runs once a minute, so requests that read a game call this rather than
+ * show a game that should have ended. Returns the game as it now stands
+ */
+const finishIfOverdue = async (game, notify, now = Date.now()) => {
+    if (game.status !== 'active') return game;
+    
+    const outcome = hasFlagged(game, now) ? getTimeoutResult(game) : getAbandonmentResult(game, now);
+    if (!outcome) return game;
+    
+    // Read the game back whether it ended here or changed in between
+    await finishGame(game, outcome, notify);
+    const result = await docClient.send(new GetCommand({
+        TableName: process.env.GAMES_TABLE,
+        Key: { gameId: game.gameId },
+        ConsistentRead: true
+    }));
+    return result.Item;
+};
+
+/**
+ * Record which game a connection is playing, so its disconnect can be
+ * tied to the game. Connections that have already gone are skipped
+ */
+const setConnectionGame = async (connectionId, gameId) => {
+    try {
+        await docClient.send(new UpdateCommand({
+            TableName: process.env.CONNECTIONS_TABLE,
+            Key: { connectionId },
+            UpdateExpression: 'SET gameId = :gameId',
+            ConditionExpression: 'attribute_exists(connectionId)',
+            ExpressionAttributeValues: { ':gameId': gameId }
+        }));
+    } catch (error) {
+        if (error.name !== 'ConditionalCheckFailedException') throw error;
+    }
+};
+
+module.exports = {
+    ABORTED_RESULT,
+    createGameItem,
+    announceGame,
+    getGameState,
+    notifySpectators,
+    finishGame,
+    getAbandonmentResult,
+    finishIfOverdue,
+    setConnectionGame
+};
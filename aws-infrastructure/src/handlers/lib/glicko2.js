@@ -0,0 +1,131 @@
+/**
+ * Glicko-2 Rating System
+ * Implements Mark Glickman's algorithm (http://www.glicko.net/glicko/glicko2.pdf)
+ * Each game is rated as its own rating period
+ */
+
+// Converts between the Glicko scale and the Glicko-2 scale
+const SCALE = 173.7178;
+
+const DEFAULT_RATING = {
+    rating: 1500,
+    ratingDeviation: 350,
+    volatility: 0.06
+};
+
+// Constrains how much the volatility can change per period
+const TAU = 0.5;
+
+// Convergence tolerance for the volatility iteration
+const EPSILON = 0.000001;
+
+const SCORES = {
+    '1-0': { white: 1, black: 0 },
+    '0-1': { white: 0, black: 1 },
+    '1/2-1/2': { white: 0.5, black: 0.5 }
+};
+
+const g = (phi) => 1 / Math.sqrt(1 + 3 * phi * phi / (Math.PI * Math.PI));
+
+const expectedScore = (mu, opponentMu, opponentPhi) => 1 / (1 + Math.exp(-g(opponentPhi) * (mu - opponentMu)));
+
+/**
+ * Find the new volatility with the Illinois algorithm (step 5 of the paper)
+ */
+const computeVolatility = (phi, sigma, v, delta) => {
+    const a = Math.log(sigma * sigma);
+    const f = (x) => {
+        const ex = Math.exp(x);
+        const d = phi * phi + v + ex;
+        return (ex * (delta * delta - phi * phi - v - ex)) / (2 * d * d) - (x - a) / (TAU * TAU);
+    };
+    
+    let A = a;
+    let B;
+    if (delta * delta > phi * phi + v) {
+        B = Math.log(delta * delta - phi * phi - v);
+    } else {
+        let k = 1;
+        while (f(a - k * TAU) < 0) k++;
+        B = a - k * TAU;
+    }
+    
+    let fA = f(A);
+    let fB = f(B);
+    while (Math.abs(B - A) > EPSILON) {
+        const C = A + (A - B) * fA / (fB - fA);
+        const fC = f(C);
+        if (fC * fB <= 0) {
+            A = B;
+            fA = fB;
+        } else {
+            fA = fA / 2;
+        }
+        B = C;
+        fB = fC;
+    }
+    
+    return Math.exp(A / 2);
+};
+
+/**
+ * Rate a player over one rating period
+ * results: [{ opponent: { rating, ratingDeviation }, score }] with score 1, 0.5 or 0
+ * Returns the player's new { rating, ratingDeviation, volatility }
+ */
+const updateRating = (player, results) => {
+    const mu = (player.rating - DEFAULT_RATING.rating) / SCALE;
+    const phi = player.ratingDeviation / SCALE;
+    const sigma = player.volatility;
+    
+    // A player who did not play only becomes less certain
+    if (results.length === 0) {
+        return {
+            rating: player.rating,
+            ratingDeviation: Math.min(Math.sqrt(phi * phi + sigma * sigma) * SCALE, DEFAULT_RATING.ratingDeviation),
+            volatility: sigma
+        };
+    }
+    
+    const opponents = results.map(({ opponent, score }) => {
+        const opponentMu = (opponent.rating - DEFAULT_RATING.rating) / SCALE;
+        const opponentPhi = opponent.ratingDeviation / SCALE;
+        return { score, g: g(opponentPhi), expected: expectedScore(mu, opponentMu, opponentPhi) };
+    });
+    
+    const v = 1 / opponents.reduce((sum, o) => sum + o.g * o.g * o.expected * (1 - o.expected), 0);
+    const improvement = opponents.reduce((sum, o) => sum + o.g * (o.score - o.expected), 0);
+    const delta = v * improvement;
+    
+    const newSigma = computeVolatility(phi, sigma, v, delta);
+    const phiStar = Math.sqrt(phi * phi + newSigma * newSigma);
+    const newPhi = 1 / Math.sqrt(1 / (phiStar * phiStar) + 1 / v);
+    const newMu = mu + newPhi * newPhi * improvement;
+    
+    return {
+        rating: newMu * SCALE + DEFAULT_RATING.rating,
+        ratingDeviation: newPhi * SCALE,
+        volatility: newSigma
+    };
+};
+
+/**
+ * Rate both players of a finished game
+ * Returns { white, black } new ratings
+ */
+const rateGame = (white, black, result) => {
+    const scores = SCORES[result];
+    if (!scores) {
+        throw new Error(`Cannot rate a game with result '${result}'`);
+    }
+    return {
+        white: updateRating(white, [{ opponent: black, score: scores.white }]),
+        black: updateRating(black, [{ opponent: white, score: scores.black }])
+    };
+};
+
+module.exports = {
+    DEFAULT_RATING,
+    updateRating,
+    rateGame
+};
@@ -0,0 +1,52 @@
+const { DEFAULT_RATING, updateRating, rateGame } = require('./glicko2');
+
+describe('updateRating', () => {
+    test('matches the worked example in Glickman\'s paper', () => {
+        const player = { rating: 1500, ratingDeviation: 200, volatility: 0.06 };
+        const updated = updateRating(player, [
+            { opponent: { rating: 1400, ratingDeviation: 30 }, score: 1 },
+            { opponent: { rating: 1550, ratingDeviation: 100 }, score: 0 },
+            { opponent: { rating: 1700, ratingDeviation: 300 }, score: 0 }
+        ]);
+        
+        expect(updated.rating).toBeCloseTo(1464.05, 2);
+        expect(updated.ratingDeviation).toBeCloseTo(151.52, 2);
+        expect(updated.volatility).toBeCloseTo(0.05999, 4);
+    });
+    
+    test('only widens the deviation of a player who did not play', () => {
+        const player = { rating: 1600, ratingDeviation: 50, volatility: 0.06 };
+        const updated = updateRating(player, []);
+        
+        expect(updated.rating).toBe(1600);
+        expect(updated.ratingDeviation).toBeCloseTo(Math.sqrt(50 * 50 + (0.06 * 173.7178) ** 2), 6);
+        expect(updated.volatility).toBe(0.06);
+    });
+    
+    test('never lets the deviation grow past a new player\'s', () => {
+        expect(updateRating(DEFAULT_RATING, []).ratingDeviation).toBe(DEFAULT_RATING.ratingDeviation);
+    });
+});
+
+describe('rateGame', () => {
+    test('moves equal players apart by the same amount', () => {
+        const { white, black } = rateGame(DEFAULT_RATING, DEFAULT_RATING, '1-0');
+        
+        expect(white.rating).toBeGreaterThan(DEFAULT_RATING.rating);
+        expect(white.rating - DEFAULT_RATING.rating).toBeCloseTo(DEFAULT_RATING.rating - black.rating, 6);
+        expect(white.ratingDeviation).toBeLessThan(DEFAULT_RATING.ratingDeviation);
+    });
+    
+    test('a draw with a stronger player gains rating', () => {
+        const weaker = { rating: 1400, ratingDeviation: 80, volatility: 0.06 };
+        const stronger = { rating: 1800, ratingDeviation: 80, volatility: 0.06 };
+        const { white, black } = rateGame(weaker, stronger, '1/2-1/2');
+        
+        expect(white.rating).toBeGreaterThan(weaker.rating);
+        expect(black.rating).toBeLessThan(stronger.rating);
+    });
+    
+    test('refuses a game without a decisive result or draw', () => {
+        expect(() => rateGame(DEFAULT_RATING, DEFAULT_RATING, '*')).toThrow("Cannot rate a game with result '*'");
+    });
+});
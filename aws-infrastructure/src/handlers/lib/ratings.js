@@ -0,0 +1,108 @@
+/**
+ * Player Ratings
+ * Stores a Glicko-2 rating per authenticated player and rates finished games
+ */
+
+const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+const { DynamoDBDocumentClient, GetCommand, TransactWriteCommand } = require('@aws-sdk/lib-dynamodb');
+const { DEFAULT_RATING, rateGame } = require('./glicko2');
+
+const ddbClient = new DynamoDBClient({});
+const docClient = DynamoDBDocumentClient.from(ddbClient);
+
+// Attempts to save new ratings when a player's rating changes concurrently
+const MAX_RATING_ATTEMPTS = 3;
+
+/**
+ * Get a player's rating record, or the default rating for a new or anonymous player
+ */
+const getPlayerRating = async (playerId) => {
+    if (!playerId) {
+        return { ...DEFAULT_RATING, gamesPlayed: 0 };
+    }
+    
+    const result = await docClient.send(new GetCommand({
+        TableName: process.env.PLAYERS_TABLE,
+        Key: { playerId }
+    }));
+    return result.Item || { playerId, ...DEFAULT_RATING, gamesPlayed: 0 };
+};
+
+/**
+ * Save a player's new rating, unless another game changed it since it was read
+ */
+const putPlayerRating = (previous, rating, timestamp) => ({
+    Put: {
+        TableName: process.env.PLAYERS_TABLE,
+        Item: {
+            playerId: previous.playerId,
+            ...rating,
+            gamesPlayed: previous.gamesPlayed + 1,
+            updatedAt: timestamp
+        },
+        ConditionExpression: 'attribute_not_exists(playerId) OR gamesPlayed = :gamesPlayed',
+        ExpressionAttributeValues: { ':gamesPlayed': previous.gamesPlayed }
+    }
+});
+
+/**
+ * Update both players' ratings for a finished rated game
+ * The game records the changes in the same transaction, so a game is rated
+ * at most once. Returns { white, black } as { rating, change } rounded to
+ * whole points, or null if the game is unrated or was already rated
+ */
+const rateFinishedGame = async (game, result) => {
+    if (!game.rated) return null;
+    
+    for (let attempt = 1; attempt <= MAX_RATING_ATTEMPTS; attempt++) {
+        const [white, black] = await Promise.all([
+            getPlayerRating(game.playerIds.white),
+            getPlayerRating(game.playerIds.black)
+        ]);
+        const updated = rateGame(white, black, result);
+        const changes = {
+            white: {
+                rating: Math.round(updated.white.rating),
+                change: Math.round(updated.white.rating) - Math.round(white.rating)
+            },
+            black: {
+                rating: Math.round(updated.black.rating),
+                change: Math.round(updated.black.rating) - Math.round(black.rating)
+            }
+        };
+        const timestamp = new Date().toISOString();
+        
+        try {
+            await docClient.send(new TransactWriteCommand({
+                TransactItems: [
+                    {
+                        Update: {
+                            TableName: process.env.GAMES_TABLE,
+                            Key: { gameId: game.gameId },
+                            UpdateExpression: 'SET ratingChanges = :changes',
+                            ConditionExpression: 'attribute_not_exists(ratingChanges)',
+                            ExpressionAttributeValues: { ':changes': changes }
+                        }
+                    },
+                    putPlayerRating(white, updated.white, timestamp),
+                    putPlayerRating(black, updated.black, timestamp)
+                ]
+            }));
+            return changes;
+        } catch (error) {
+            if (error.name !== 'TransactionCanceledException') throw error;
+            
+            // Already rated by another request
+            if (error.CancellationReasons[0].Code === 'ConditionalCheckFailed') return null;
+            
+            // Otherwise a player's rating changed under us, so read it again
+        }
+    }
+    
+    throw new Error(`Could not save ratings for game ${game.gameId}`);
+};
+
+module.exports = {
+    getPlayerRating,
+    rateFinishedGame
+};
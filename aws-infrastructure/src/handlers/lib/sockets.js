@@ -0,0 +1,76 @@
+/**
+ * WebSocket Messages
+ * Sends messages to clients over the stack's WebSocket API, forgetting
+ * connections that have gone, and refuses requests with typed errors
+ */
+
+const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+const { DynamoDBDocumentClient, DeleteCommand } = require('@aws-sdk/lib-dynamodb');
+const { ApiGatewayManagementApiClient, PostToConnectionCommand } = require('@aws-sdk/client-apigatewaymanagementapi');
+
+const ddbClient = new DynamoDBClient({});
+const docClient = DynamoDBDocumentClient.from(ddbClient);
+
+/**
+ * Get a client for the WebSocket API the event came in on, or for
+ * WEBSOCKET_ENDPOINT when a handler runs on a schedule without one
+ */
+const getApiClient = (event) => {
+    if (!event) {
+        return new ApiGatewayManagementApiClient({
+            endpoint: process.env.WEBSOCKET_ENDPOINT
+        });
+    }
+    
+    const domain = event.requestContext.domainName;
+    const stage = event.requestContext.stage;
+    return new ApiGatewayManagementApiClient({
+        endpoint: `https://${domain}/${stage}`
+    });
+};
+
+/**
+ * Check if a send failed because the connection has closed. The SDK throws
+ * GoneException, with the 410 only in its metadata
+ */
+const isGone = (error) => error.name === 'GoneException' ||
+    (error.$metadata !== undefined && error.$metadata.httpStatusCode === 410);
+
+const sendMessage = async (apiClient, connectionId, message) => {
+    try {
+        await apiClient.send(new PostToConnectionCommand({
+            ConnectionId: connectionId,
+            Data: JSON.stringify(message)
+        }));
+    } catch (error) {
+        if (isGone(error)) {
+            // Connection is stale, remove it
+            await docClient.send(new DeleteCommand({
+                TableName: process.env.CONNECTIONS_TABLE,
+                Key: { connectionId }
+            }));
+        }
+        throw error;
+    }
+};
+
+/**
+ * Refuse a request: tell the client why with a typed error message for the
+ * action it asked for, and return the handler's response
+ * gameId is left out of the message when the request has none
+ */
+const reject = async (apiClient, connectionId, action, statusCode, code, message, gameId) => {
+    try {
+        await sendMessage(apiClient, connectionId, { type: 'error', action, code, message, gameId });
+    } catch (error) {
+        console.error(`Failed to send ${action} error:`, error);
+    }
+    return { statusCode, body: message };
+};
+
+module.exports = {
+    getApiClient,
+    isGone,
+    sendMessage,
+    reject
+};
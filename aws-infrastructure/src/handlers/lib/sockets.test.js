@@ -0,0 +1,77 @@
+const { GetCommand, PutCommand } = require('@aws-sdk/lib-dynamodb');
+const { inboxes, setUp } = require('../test-helpers/local-handlers');
+
+const database = setUp();
+
+// The module is required once the environment is set up
+const { getApiClient, sendMessage, reject } = require('./sockets');
+
+const event = { requestContext: { connectionId: 'a', domainName: 'abc.execute-api.eu-west-1.amazonaws.com', stage: 'prod' } };
+
+beforeEach(() => {
+    inboxes.clear();
+    inboxes.set('a', []);
+});
+
+// How the SDK reports a closed connection
+const GONE = { name: 'GoneException', $metadata: { httpStatusCode: 410 } };
+
+describe('getApiClient', () => {
+    test('talks to the API the event came in on', async () => {
+        const endpoint = await getApiClient(event).config.endpoint();
+        
+        expect(`${endpoint.protocol}//${endpoint.hostname}${endpoint.path}`).toBe('https://abc.execute-api.eu-west-1.amazonaws.com/prod');
+    });
+    
+    test('falls back to WEBSOCKET_ENDPOINT without an event', async () => {
+        const endpoint = await getApiClient().config.endpoint();
+        
+        expect(`${endpoint.protocol}//${endpoint.hostname}`).toBe(process.env.WEBSOCKET_ENDPOINT);
+    });
+});
+
+describe('sendMessage', () => {
+    test('sends the message as JSON', async () => {
+        await sendMessage(getApiClient(event), 'a', { type: 'pong' });
+        
+        expect(inboxes.get('a')).toEqual([{ type: 'pong' }]);
+    });
+    
+    test('forgets a connection that has gone and rethrows', async () => {
+        await database.send(new PutCommand({ TableName: process.env.CONNECTIONS_TABLE, Item: { connectionId: 'gone' } }));
+        
+        await expect(sendMessage(getApiClient(event), 'gone', { type: 'pong' })).rejects.toMatchObject(GONE);
+        
+        const connection = await database.send(new GetCommand({ TableName: process.env.CONNECTIONS_TABLE, Key: { connectionId: 'gone' } }));
+        expect(connection.Item).toBeUndefined();
+    });
+});
+
+describe('reject', () => {
+    test('sends a typed error for the action and returns the response', async () => {
+        const response = await reject(getApiClient(event), 'a', 'move', 409, 'stale_position', 'The game has moved on', 'game-1');
+        
+        expect(response).toEqual({ statusCode: 409, body: 'The game has moved on' });
+        expect(inboxes.get('a')).toEqual([
+            { type: 'error', action: 'move', code: 'stale_position', message: 'The game has moved on', gameId: 'game-1' }
+        ]);
+    });
+    
+    test('leaves out a missing gameId', async () => {
+        await reject(getApiClient(event), 'a', 'join_room', 404, 'room_not_found', 'No room with that code');
+        
+        expect(inboxes.get('a')).toEqual([
+            { type: 'error', action: 'join_room', code: 'room_not_found', message: 'No room with that code' }
+        ]);
+    });
+    
+    test('still responds when the client has gone', async () => {
+        const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+        
+        const response = await reject(getApiClient(event), 'gone', 'watch', 404, 'game_not_found', 'Game not found');
+        
+        expect(response).toEqual({ statusCode: 404, body: 'Game not found' });
+        expect(consoleError).toHaveBeenCalledWith('Failed to send watch error:', expect.objectContaining(GONE));
+        consoleError.mockRestore();
+    });
+});
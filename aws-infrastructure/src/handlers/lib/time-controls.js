@@ -0,0 +1,59 @@
+/**
+ * Time Controls
+ * Parses the base+increment time controls online games are played at
+ */
+
+// Limits on what a client may request
+const MAX_BASE_MINUTES = 180;
+const MAX_INCREMENT_SECONDS = 180;
+
+// Categories by estimated game duration (base + 40 moves of increment), in seconds
+const CATEGORIES = [
+    { name: 'bullet', below: 180 },
+    { name: 'blitz', below: 480 },
+    { name: 'rapid', below: 1500 },
+    { name: 'classical', below: Infinity }
+];
+
+/**
+ * Get the category of a time control from its base and increment in milliseconds
+ */
+const getCategory = (initial, increment) => {
+    const estimatedSeconds = (initial + 40 * increment) / 1000;
+    return CATEGORIES.find(category => estimatedSeconds < category.below).name;
+};
+
+/**
+ * Parse a time control written as minutes+increment, e.g. "3+2"
+ * Returns { name, category, initial, increment } with times in
+ * milliseconds, or null if the time control is not valid for online play
+ */
+const parseTimeControl = (text) => {
+    const match = typeof text === 'string' && /^(\d{1,3})\+(\d{1,3})$/.exec(text.trim());
+    if (!match) return null;
+    
+    const minutes = parseInt(match[1]);
+    const seconds = parseInt(match[2]);
+    if (minutes < 1 || minutes > MAX_BASE_MINUTES || seconds > MAX_INCREMENT_SECONDS) return null;
+    
+    const initial = minutes * 60000;
+    const increment = seconds * 1000;
+    return {
+        name: `${minutes}+${seconds}`,
+        category: getCategory(initial, increment),
+        initial,
+        increment
+    };
+};
+
+/**
+ * Get the matchmaking pool for a time control and rated flag, e.g. "3+2/rated"
+ * Only players in the same pool are paired
+ */
+const getPoolKey = (timeControl, rated) => `${timeControl.name}/${rated ? 'rated' : 'casual'}`;
+
+module.exports = {
+    CATEGORIES,
+    parseTimeControl,
+    getPoolKey
+};
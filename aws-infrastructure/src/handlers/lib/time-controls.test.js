@@ -0,0 +1,44 @@
+const { parseTimeControl, getPoolKey } = require('./time-controls');
+
+describe('parseTimeControl', () => {
+    test('reads minutes+increment into milliseconds', () => {
+        expect(parseTimeControl(' 3+2 ')).toEqual({ name: '3+2', category: 'blitz', initial: 180000, increment: 2000 });
+    });
+    
+    test('writes the name without leading zeros', () => {
+        expect(parseTimeControl('05+00').name).toBe('5+0');
+    });
+    
+    test('categorizes by base time plus 40 moves of increment', () => {
+        expect(parseTimeControl('1+0').category).toBe('bullet');
+        expect(parseTimeControl('2+1').category).toBe('bullet');
+        expect(parseTimeControl('3+0').category).toBe('blitz');
+        expect(parseTimeControl('5+3').category).toBe('blitz');
+        expect(parseTimeControl('8+0').category).toBe('rapid');
+        expect(parseTimeControl('15+10').category).toBe('rapid');
+        expect(parseTimeControl('20+15').category).toBe('classical');
+        expect(parseTimeControl('25+0').category).toBe('classical');
+    });
+    
+    test('accepts the limits and refuses anything past them', () => {
+        expect(parseTimeControl('180+180')).not.toBeNull();
+        expect(parseTimeControl('181+0')).toBeNull();
+        expect(parseTimeControl('5+181')).toBeNull();
+        expect(parseTimeControl('0+5')).toBeNull();
+    });
+    
+    test('refuses anything not written as minutes+increment', () => {
+        for (const text of ['3', '3+', '+2', '3 + 2', '3+2.5', '-3+2', '1000+0', '', undefined, 180]) {
+            expect(parseTimeControl(text)).toBeNull();
+        }
+    });
+});
+
+describe('getPoolKey', () => {
+    test('keeps rated and casual games at one time control apart', () => {
+        const timeControl = parseTimeControl('3+2');
+        
+        expect(getPoolKey(timeControl, true)).toBe('3+2/rated');
+        expect(getPoolKey(timeControl, false)).toBe('3+2/casual');
+    });
+});
@@ -0,0 +1,285 @@
+#!/usr/bin/env node
+/**
+ * Local Development Server
+ * Runs the Lambda handlers without AWS: a WebSocket server stands in for the
+ * API Gateway WebSocket API, in-memory tables stand in for DynamoDB, and a
+ * sign-in page signing its own tokens stands in for the Cognito hosted UI.
+ * The frontend is served from the same port, already pointed at the server.
+ *
+ * Usage:
+ *   npm run dev                     Listen on http://localhost:3001
+ *   PORT=8080 npm run dev
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { randomUUID } = require('crypto');
+const { WebSocketServer, WebSocket } = require('ws');
+const { createLocalEnvironment } = require('./environment');
+const { createLocalIdentityProvider } = require('./identity-provider');
+
+const PORT = parseInt(process.env.PORT) || 3001;
+const STATIC_ROOT = path.join(__dirname, '..', '..', '..', '..');
+const TTL_SWEEP_INTERVAL = 10000;
+const CLOCK_SWEEP_INTERVAL = 1000;
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json',
+    '.png': 'image/png',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon'
+};
+
+// Open sockets by API Gateway connection id
+const sockets = new Map();
+
+const identityProvider = createLocalIdentityProvider({
+    issuer: `http://localhost:${PORT}/local-cognito`,
+    clientId: 'local-chess-client'
+});
+
+const database = createLocalEnvironment({
+    identityProvider,
+    getConnection: (connectionId) => {
+        const socket = sockets.get(connectionId);
+        if (!socket || socket.readyState !== WebSocket.OPEN) return null;
+        return {
+            send: (data) => socket.send(data),
+            close: () => socket.close(1000),
+            connectedAt: socket.connectedAt
+        };
+    }
+});
+
+// Handlers are required once the environment is set up
+const connect = require('../connect');
+const disconnect = require('../disconnect');
+const matchmaking = require('../matchmaking');
+const gameMove = require('../game-move');
+const gameAction = require('../game-action');
+const gameResume = require('../game-resume');
+const gameRoom = require('../game-room');
+const gameWatch = require('../game-watch');
+const gameChat = require('../game-chat');
+const gameArchive = require('../game-archive');
+const clockSweeper = require('../clock-sweeper');
+
+// Route keys as defined in template.yaml
+const ROUTES = {
+    matchmaking: matchmaking.handler,
+    join_queue: matchmaking.handler,
+    leave_queue: matchmaking.handler,
+    move: gameMove.handler,
+    resign: gameAction.handler,
+    offer_draw: gameAction.handler,
+    accept_draw: gameAction.handler,
+    decline_draw: gameAction.handler,
+    abort: gameAction.handler,
+    request_takeback: gameAction.handler,
+    accept_takeback: gameAction.handler,
+    decline_takeback: gameAction.handler,
+    resume_game: gameResume.handler,
+    create_room: gameRoom.handler,
+    join_room: gameRoom.handler,
+    cancel_room: gameRoom.handler,
+    watch: gameWatch.handler,
+    list_games: gameWatch.handler,
+    chat: gameChat.handler,
+    mute_chat: gameChat.handler,
+    unmute_chat: gameChat.handler,
+    list_history: gameArchive.handler,
+    get_game: gameArchive.handler
+};
+
+/**
+ * Build an API Gateway WebSocket event
+ */
+const createEvent = (socket, routeKey, eventType, extra = {}) => ({
+    requestContext: {
+        routeKey,
+        eventType,
+        connectionId: socket.connectionId,
+        connectedAt: socket.connectedAt.getTime(),
+        requestId: randomUUID(),
+        domainName: 'localhost',
+        stage: 'local'
+    },
+    isBase64Encoded: false,
+    ...extra
+});
+
+/**
+ * Run a handler, logging its result like the Lambda console would
+ */
+const invoke = async (routeKey, handler, event) => {
+    const startedAt = Date.now();
+    try {
+        const result = await handler(event);
+        console.log(`[${routeKey}] ${event.requestContext.connectionId} -> ${result && result.statusCode} (${Date.now() - startedAt} ms)`);
+        return result;
+    } catch (error) {
+        console.error(`[${routeKey}] ${event.requestContext.connectionId} threw:`, error);
+        return { statusCode: 500 };
+    }
+};
+
+/**
+ * Dispatch a client message by its action field ($request.body.action)
+ */
+const handleMessage = async (socket, data) => {
+    const body = data.toString();
+    let routeKey = null;
+    try {
+        routeKey = JSON.parse(body).action;
+    } catch (error) {
+        // Not JSON, so no route matches
+    }
+    
+    const handler = ROUTES[routeKey];
+    if (!handler) {
+        // API Gateway's reply when no route (and no $default route) matches
+        socket.send(JSON.stringify({ message: 'Forbidden', connectionId: socket.connectionId, requestId: randomUUID() }));
+        return;
+    }
+    
+    const result = await invoke(routeKey, handler, createEvent(socket, routeKey, 'MESSAGE', { body }));
+    if (result.statusCode >= 500 && socket.readyState === WebSocket.OPEN) {
+        socket.send(JSON.stringify({ message: 'Internal server error', connectionId: socket.connectionId, requestId: randomUUID() }));
+    }
+};
+
+const escapeHtml = (text) => text.replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+
+/**
+ * Stand in for the Cognito hosted UI's implicit grant: ask for a nickname,
+ * then send the browser back to redirect_uri with an ID token in the
+ * fragment. There is no password; any nickname signs in as that player
+ */
+const serveSignIn = (request, response, url) => {
+    const redirectUri = url.searchParams.get('redirect_uri') || `http://${request.headers.host}/`;
+    if (!redirectUri.startsWith(`http://${request.headers.host}/`)) {
+        response.writeHead(400).end('redirect_uri must be on this server');
+        return;
+    }
+    
+    const nickname = (url.searchParams.get('nickname') || '').trim();
+    if (nickname) {
+        const token = identityProvider.issueToken(nickname);
+        response.writeHead(302, { Location: `${redirectUri.split('#')[0]}#id_token=${token}&token_type=Bearer&expires_in=3600` });
+        response.end();
+        return;
+    }
+    
+    response.writeHead(200, { 'Content-Type': CONTENT_TYPES['.html'] });
+    response.end(`<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="UTF-8"><title>Sign in (local)</title></head>
+<body>
+    <h1>Sign in</h1>
+    <p>Local stand-in for the Cognito sign-in page. Any nickname works.</p>
+    <form method="get">
+        <input type="hidden" name="redirect_uri" value="${escapeHtml(redirectUri)}">
+        <input name="nickname" placeholder="Nickname" maxlength="24" required autofocus>
+        <button type="submit">Sign in</button>
+    </form>
+</body>
+</html>`);
+};
+
+/**
+ * Serve the frontend, pointing its WebSocket URL and sign-in page at this server
+ */
+const serveStatic = (request, response) => {
+    const url = new URL(request.url, `http://${request.headers.host}`);
+    if (url.pathname === '/local/sign-in') {
+        serveSignIn(request, response, url);
+        return;
+    }
+    
+    const filePath = path.normalize(path.join(STATIC_ROOT, decodeURIComponent(url.pathname === '/' ? '/index.html' : url.pathname)));
+    
+    // Only the frontend is served: not the backend sources or dotfiles like .git
+    const relative = path.relative(STATIC_ROOT, filePath).split(path.sep);
+    if (relative[0] === '..' || relative[0] === 'aws-infrastructure' || relative.some(part => part.startsWith('.'))) {
+        response.writeHead(403).end('Forbidden');
+        return;
+    }
+    
+    fs.readFile(filePath, (error, contents) => {
+        if (error) {
+            response.writeHead(404).end('Not found');
+            return;
+        }
+        
+        if (path.basename(filePath) === 'index.html') {
+            contents = contents.toString().replace(
+                /<meta name="chess-websocket-url" content="[^"]*">/,
+                `<meta name="chess-websocket-url" content="ws://${request.headers.host}">`
+            ).replace(
+                /<meta name="chess-sign-in-url" content="[^"]*">/,
+                '<meta name="chess-sign-in-url" content="/local/sign-in">'
+            );
+        }
+        
+        response.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream' });
+        response.end(contents);
+    });
+};
+
+const server = http.createServer(serveStatic);
+const wss = new WebSocketServer({ noServer: true });
+
+/**
+ * $connect runs before the upgrade completes, so a non-200 response rejects
+ * the connection as API Gateway does
+ */
+server.on('upgrade', async (request, socket, head) => {
+    const url = new URL(request.url, `http://${request.headers.host}`);
+    const query = Object.fromEntries(url.searchParams);
+    const pending = {
+        connectionId: randomUUID().replace(/-/g, '').slice(0, 16),
+        connectedAt: new Date()
+    };
+    
+    const result = await invoke('$connect', connect.handler, createEvent(pending, '$connect', 'CONNECT', {
+        headers: request.headers,
+        queryStringParameters: Object.keys(query).length > 0 ? query : undefined
+    }));
+    
+    if (!result || result.statusCode !== 200) {
+        const status = result && result.statusCode >= 400 ? result.statusCode : 403;
+        socket.end(`HTTP/1.1 ${status} ${http.STATUS_CODES[status]}\r\nConnection: close\r\n\r\n`);
+        return;
+    }
+    
+    wss.handleUpgrade(request, socket, head, (ws) => {
+        Object.assign(ws, pending);
+        sockets.set(ws.connectionId, ws);
+        
+        ws.on('message', (data) => handleMessage(ws, data));
+        ws.on('close', async () => {
+            sockets.delete(ws.connectionId);
+            await invoke('$disconnect', disconnect.handler, createEvent(ws, '$disconnect', 'DISCONNECT'));
+        });
+    });
+});
+
+// DynamoDB deletes expired items in the background
+const ttlTimer = setInterval(() => database.expireItems(), TTL_SWEEP_INTERVAL);
+ttlTimer.unref();
+
+// Stands in for the clock sweeper's schedule, more often so flags fall promptly
+const clockTimer = setInterval(() => clockSweeper.handler(), CLOCK_SWEEP_INTERVAL);
+clockTimer.unref();
+
+server.listen(PORT, () => {
+    console.log(`Game Vibe Chess dev server running at http://localhost:${PORT}`);
+    console.log(`WebSocket endpoint: ws://localhost:${PORT}`);
+    console.log(`Guests ${process.env.ALLOW_GUESTS === 'true' ? 'may play' : 'must sign in'} (ALLOW_GUESTS=${process.env.ALLOW_GUESTS})`);
+});
+
+module.exports = { server, database };
@@ -0,0 +1,125 @@
+/**
+ * Local AWS Environment
+ * Points the SDK clients the handlers create at in-memory stand-ins, so the
+ * handlers run unchanged without AWS. Set it up before requiring a handler.
+ */
+
+const { DynamoDBDocumentClient } = require('@aws-sdk/lib-dynamodb');
+const { ApiGatewayManagementApiClient } = require('@aws-sdk/client-apigatewaymanagementapi');
+const { MemoryDynamoDB, awsError } = require('./memory-dynamodb');
+
+/**
+ * Tables as defined in template.yaml
+ */
+const createTables = () => [
+    {
+        name: process.env.GAMES_TABLE,
+        partitionKey: 'gameId',
+        indexes: {
+            'status-createdAt-index': { partitionKey: 'status', sortKey: 'createdAt' },
+            'status-flagAt-index': { partitionKey: 'status', sortKey: 'flagAt' },
+            'status-abandonAt-index': { partitionKey: 'status', sortKey: 'abandonAt' }
+        }
+    },
+    {
+        name: process.env.CONNECTIONS_TABLE,
+        partitionKey: 'connectionId',
+        ttlAttribute: 'ttl'
+    },
+    {
+        name: process.env.MATCHMAKING_TABLE,
+        partitionKey: 'visitorId',
+        indexes: {
+            'status-requestedAt-index': { partitionKey: 'status', sortKey: 'requestedAt' },
+            'pool-requestedAt-index': { partitionKey: 'pool', sortKey: 'requestedAt' }
+        },
+        ttlAttribute: 'ttl'
+    },
+    {
+        name: process.env.ROOMS_TABLE,
+        partitionKey: 'code',
+        ttlAttribute: 'ttl'
+    },
+    {
+        name: process.env.PLAYERS_TABLE,
+        partitionKey: 'playerId'
+    },
+    {
+        name: process.env.PLAYER_GAMES_TABLE,
+        partitionKey: 'identity',
+        sortKey: 'finishedAt'
+    }
+];
+
+/**
+ * Serve an identity provider's JWKS from its URL, in place of Cognito's
+ * Other requests go out as usual
+ */
+const standInJwks = (identityProvider) => {
+    process.env.COGNITO_ISSUER = identityProvider.issuer;
+    process.env.COGNITO_JWKS_URL = identityProvider.jwksUrl;
+    process.env.COGNITO_CLIENT_ID = identityProvider.clientId;
+    
+    const realFetch = globalThis.fetch;
+    globalThis.fetch = async (url, options) => {
+        if (String(url) === identityProvider.jwksUrl) {
+            return new Response(JSON.stringify(identityProvider.jwks), {
+                status: 200,
+                headers: { 'Content-Type': 'application/json' }
+            });
+        }
+        return realFetch(url, options);
+    };
+};
+
+/**
+ * Set up the local environment and return its database
+ * getConnection(connectionId) returns { send(data), close(), connectedAt }
+ * for an open connection, or null once it has gone away. Tokens signed by
+ * identityProvider (see local/identity-provider.js) are accepted on
+ * $connect; guests may connect unless ALLOW_GUESTS is set to false
+ */
+const createLocalEnvironment = ({ getConnection, latency = 0, identityProvider = null }) => {
+    process.env.GAMES_TABLE = process.env.GAMES_TABLE || 'local-chess-games';
+    process.env.CONNECTIONS_TABLE = process.env.CONNECTIONS_TABLE || 'local-chess-connections';
+    process.env.MATCHMAKING_TABLE = process.env.MATCHMAKING_TABLE || 'local-chess-matchmaking';
+    process.env.PLAYERS_TABLE = process.env.PLAYERS_TABLE || 'local-chess-players';
+    process.env.ROOMS_TABLE = process.env.ROOMS_TABLE || 'local-chess-rooms';
+    process.env.PLAYER_GAMES_TABLE = process.env.PLAYER_GAMES_TABLE || 'local-chess-player-games';
+    process.env.WEBSOCKET_ENDPOINT = process.env.WEBSOCKET_ENDPOINT || 'http://localhost';
+    process.env.ALLOW_GUESTS = process.env.ALLOW_GUESTS || 'true';
+    
+    if (identityProvider) {
+        standInJwks(identityProvider);
+    }
+    
+    const database = new MemoryDynamoDB(createTables(), { latency });
+    
+    DynamoDBDocumentClient.prototype.send = (command) => database.send(command);
+    
+    ApiGatewayManagementApiClient.prototype.send = async (command) => {
+        const { ConnectionId: connectionId } = command.input;
+        const connection = getConnection(connectionId);
+        
+        if (!connection) {
+            throw awsError('GoneException', `Connection ${connectionId} is gone`, 410);
+        }
+        
+        switch (command.constructor.name) {
+            case 'PostToConnectionCommand':
+                connection.send(Buffer.isBuffer(command.input.Data) ? command.input.Data.toString() : command.input.Data);
+                return {};
+            case 'DeleteConnectionCommand':
+                connection.close();
+                return {};
+            case 'GetConnectionCommand':
+                return { ConnectedAt: connection.connectedAt, LastActiveAt: new Date() };
+            default:
+                throw awsError('UnknownOperationException', `${command.constructor.name} is not supported locally`);
+        }
+    };
+    
+    return database;
+};
+
+module.exports = { createLocalEnvironment };
@@ -0,0 +1,393 @@
+/**
+ * DynamoDB Expression Evaluator
+ * Implements the condition, key condition and update expression syntax the
+ * handlers use, for the local dev server's in-memory tables
+ */
+
+const COMPARATORS = ['=', '<>', '<', '<=', '>', '>='];
+
+/**
+ * Split an expression into tokens
+ */
+const tokenize = (text) => {
+    const tokens = [];
+    const pattern = /\s*(#[A-Za-z0-9_]+|:[A-Za-z0-9_]+|[A-Za-z_][A-Za-z0-9_]*|\d+|<>|<=|>=|[=<>()[\],.+-])/y;
+    let pos = 0;
+    
+    while (pos < text.length) {
+        if (/^\s*$/.test(text.slice(pos))) break;
+        pattern.lastIndex = pos;
+        const match = pattern.exec(text);
+        if (!match) {
+            throw new Error(`Invalid expression near '${text.slice(pos)}'`);
+        }
+        tokens.push(match[1]);
+        pos = pattern.lastIndex;
+    }
+    
+    return tokens;
+};
+
+/**
+ * Recursive descent parser over a token list
+ */
+class Parser {
+    constructor(text, { names = {}, values = {} }) {
+        this.tokens = tokenize(text);
+        this.pos = 0;
+        this.names = names;
+        this.values = values;
+    }
+
+    peek(offset = 0) {
+        return this.tokens[this.pos + offset];
+    }
+
+    next() {
+        return this.tokens[this.pos++];
+    }
+
+    isKeyword(word, offset = 0) {
+        const token = this.peek(offset);
+        return token !== undefined && token.toUpperCase() === word;
+    }
+
+    expect(token) {
+        const actual = this.next();
+        if (actual === undefined || actual.toUpperCase() !== token.toUpperCase()) {
+            throw new Error(`Expected '${token}' but found '${actual === undefined ? 'end of expression' : actual}'`);
+        }
+    }
+
+    done() {
+        return this.pos >= this.tokens.length;
+    }
+
+    /**
+     * path := name ('.' name | '[' index ']')*
+     * Returns the list of keys to follow from the item
+     */
+    parsePath() {
+        const keys = [this.parseName()];
+        
+        while (this.peek() === '.' || this.peek() === '[') {
+            if (this.next() === '.') {
+                keys.push(this.parseName());
+            } else {
+                keys.push(parseInt(this.next()));
+                this.expect(']');
+            }
+        }
+        
+        return keys;
+    }
+
+    parseName() {
+        const token = this.next();
+        if (token === undefined || !/^#|^[A-Za-z_]/.test(token)) {
+            throw new Error(`Expected an attribute name but found '${token}'`);
+        }
+        if (token.startsWith('#')) {
+            if (!(token in this.names)) throw new Error(`Missing ExpressionAttributeNames entry for ${token}`);
+            return this.names[token];
+        }
+        return token;
+    }
+
+    /**
+     * operand := value | size(path) | path
+     * Returns a function of the item
+     */
+    parseOperand() {
+        const token = this.peek();
+        
+        if (token && token.startsWith(':')) {
+            this.next();
+            if (!(token in this.values)) throw new Error(`Missing ExpressionAttributeValues entry for ${token}`);
+            const value = this.values[token];
+            return () => value;
+        }
+        
+        if (this.isKeyword('SIZE') && this.peek(1) === '(') {
+            this.next();
+            this.expect('(');
+            const path = this.parsePath();
+            this.expect(')');
+            return (item) => sizeOf(getPath(item, path));
+        }
+        
+        const path = this.parsePath();
+        return (item) => getPath(item, path);
+    }
+
+    /**
+     * condition := and (OR and)*
+     * Returns a predicate of the item
+     */
+    parseCondition() {
+        let left = this.parseAnd();
+        while (this.isKeyword('OR')) {
+            this.next();
+            const a = left;
+            const b = this.parseAnd();
+            left = (item) => a(item) || b(item);
+        }
+        return left;
+    }
+
+    parseAnd() {
+        let left = this.parseNot();
+        while (this.isKeyword('AND')) {
+            this.next();
+            const a = left;
+            const b = this.parseNot();
+            left = (item) => a(item) && b(item);
+        }
+        return left;
+    }
+
+    parseNot() {
+        if (this.isKeyword('NOT')) {
+            this.next();
+            const inner = this.parseNot();
+            return (item) => !inner(item);
+        }
+        return this.parsePrimary();
+    }
+
+    parsePrimary() {
+        if (this.peek() === '(') {
+            this.next();
+            const inner = this.parseCondition();
+            this.expect(')');
+            return inner;
+        }
+        
+        const fn = this.peek() && this.peek().toLowerCase();
+        if (this.peek(1) === '(' && ['attribute_exists', 'attribute_not_exists', 'begins_with', 'contains'].includes(fn)) {
+            this.next();
+            this.expect('(');
+            
+            if (fn === 'attribute_exists' || fn === 'attribute_not_exists') {
+                const path = this.parsePath();
+                this.expect(')');
+                return fn === 'attribute_exists'
+                    ? (item) => getPath(item, path) !== undefined
+                    : (item) => getPath(item, path) === undefined;
+            }
+            
+            const subject = this.parseOperand();
+            this.expect(',');
+            const operand = this.parseOperand();
+            this.expect(')');
+            
+            if (fn === 'begins_with') {
+                return (item) => {
+                    const value = subject(item);
+                    return typeof value === 'string' && value.startsWith(operand(item));
+                };
+            }
+            return (item) => {
+                const value = subject(item);
+                if (typeof value === 'string') return value.includes(operand(item));
+                if (Array.isArray(value)) return value.some(entry => isEqual(entry, operand(item)));
+                if (value instanceof Set) return value.has(operand(item));
+                return false;
+            };
+        }
+        
+        const left = this.parseOperand();
+        
+        if (this.isKeyword('BETWEEN')) {
+            this.next();
+            const low = this.parseOperand();
+            this.expect('AND');
+            const high = this.parseOperand();
+            return (item) => compare(left(item), '>=', low(item)) && compare(left(item), '<=', high(item));
+        }
+        
+        if (this.isKeyword('IN')) {
+            this.next();
+            this.expect('(');
+            const options = [this.parseOperand()];
+            while (this.peek() === ',') {
+                this.next();
+                options.push(this.parseOperand());
+            }
+            this.expect(')');
+            return (item) => options.some(option => compare(left(item), '=', option(item)));
+        }
+        
+        const comparator = this.next();
+        if (!COMPARATORS.includes(comparator)) {
+            throw new Error(`Expected a comparison but found '${comparator}'`);
+        }
+        const right = this.parseOperand();
+        return (item) => compare(left(item), comparator, right(item));
+    }
+
+    /**
+     * update := (SET action, ... | REMOVE path, ... | ADD path value, ...)+
+     * Returns a function that applies the update to an item in place
+     */
+    parseUpdate() {
+        const actions = [];
+        
+        while (!this.done()) {
+            const clause = this.next().toUpperCase();
+            do {
+                if (actions.length > 0 && this.peek() === ',') this.next();
+                
+                if (clause === 'SET') {
+                    const path = this.parsePath();
+                    this.expect('=');
+                    const value = this.parseSetValue();
+                    actions.push((item, source) => setPath(item, path, value(source)));
+                } else if (clause === 'REMOVE') {
+                    const path = this.parsePath();
+                    actions.push((item) => removePath(item, path));
+                } else if (clause === 'ADD') {
+                    const path = this.parsePath();
+                    const value = this.parseOperand();
+                    actions.push((item, source) => {
+                        const current = getPath(source, path);
+                        setPath(item, path, (current || 0) + value(source));
+                    });
+                } else {
+                    throw new Error(`Unsupported update clause '${clause}'`);
+                }
+            } while (this.peek() === ',');
+        }
+        
+        // Every action reads the item as it was before the update
+        return (item) => {
+            const source = clone(item);
+            for (const action of actions) {
+                action(item, source);
+            }
+        };
+    }
+
+    /**
+     * setValue := term (('+' | '-') term)?
+     * term := if_not_exists(path, operand) | list_append(operand, operand) | operand
+     */
+    parseSetValue() {
+        const left = this.parseSetTerm();
+        if (this.peek() !== '+' && this.peek() !== '-') return left;
+        
+        const operator = this.next();
+        const right = this.parseSetTerm();
+        return operator === '+'
+            ? (item) => left(item) + right(item)
+            : (item) => left(item) - right(item);
+    }
+
+    parseSetTerm() {
+        const fn = this.peek() && this.peek().toLowerCase();
+        
+        if (fn === 'if_not_exists' && this.peek(1) === '(') {
+            this.next();
+            this.expect('(');
+            const path = this.parsePath();
+            this.expect(',');
+            const fallback = this.parseOperand();
+            this.expect(')');
+            return (item) => {
+                const value = getPath(item, path);
+                return value === undefined ? fallback(item) : value;
+            };
+        }
+        
+        if (fn === 'list_append' && this.peek(1) === '(') {
+            this.next();
+            this.expect('(');
+            const first = this.parseOperand();
+            this.expect(',');
+            const second = this.parseOperand();
+            this.expect(')');
+            return (item) => [...(first(item) || []), ...(second(item) || [])];
+        }
+        
+        return this.parseOperand();
+    }
+}
+
+const clone = (value) => (value === undefined ? undefined : structuredClone(value));
+
+const getPath = (item, keys) => {
+    let value = item;
+    for (const key of keys) {
+        if (value === null || value === undefined || typeof value !== 'object') return undefined;
+        value = value[key];
+    }
+    return value;
+};
+
+const setPath = (item, keys, value) => {
+    let target = item;
+    for (const key of keys.slice(0, -1)) {
+        if (target[key] === null || typeof target[key] !== 'object') {
+            throw new Error(`The document path '${keys.join('.')}' is invalid for update`);
+        }
+        target = target[key];
+    }
+    target[keys[keys.length - 1]] = clone(value);
+};
+
+const removePath = (item, keys) => {
+    const parent = getPath(item, keys.slice(0, -1));
+    if (!parent || typeof parent !== 'object') return;
+    const key = keys[keys.length - 1];
+    if (Array.isArray(parent) && typeof key === 'number') {
+        parent.splice(key, 1);
+    } else {
+        delete parent[key];
+    }
+};
+
+const sizeOf = (value) => {
+    if (typeof value === 'string' || Array.isArray(value)) return value.length;
+    if (value instanceof Set) return value.size;
+    if (value && typeof value === 'object') return Object.keys(value).length;
+    return undefined;
+};
+
+const isEqual = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const compare = (a, comparator, b) => {
+    if (a === undefined || b === undefined) return comparator === '<>' && a !== b;
+    switch (comparator) {
+        case '=': return isEqual(a, b);
+        case '<>': return !isEqual(a, b);
+        case '<': return a < b;
+        case '<=': return a <= b;
+        case '>': return a > b;
+        case '>=': return a >= b;
+    }
+    return false;
+};
+
+/**
+ * Compile a condition or key condition expression into a predicate of an item
+ */
+const compileCondition = (expression, names, values) => {
+    const parser = new Parser(expression, { names, values });
+    const predicate = parser.parseCondition();
+    if (!parser.done()) {
+        throw new Error(`Unexpected '${parser.peek()}' in condition expression`);
+    }
+    return predicate;
+};
+
+/**
+ * Compile an update expression into a function that updates an item in place
+ */
+const compileUpdate = (expression, names, values) => new Parser(expression, { names, values }).parseUpdate();
+
+module.exports = {
+    compileCondition,
+    compileUpdate,
+    getPath,
+    clone
+};
@@ -0,0 +1,84 @@
+const { compileCondition, compileUpdate } = require('./expressions');
+
+describe('compileCondition', () => {
+    const game = {
+        gameId: 'g1',
+        status: 'active',
+        moves: ['e4', 'e5'],
+        players: { white: 'c1', black: 'c2' },
+        spectators: { s1: '2024-01-01T00:00:00.000Z' },
+        rating: 1500
+    };
+    
+    test('compares attributes, names and values', () => {
+        const names = { '#status': 'status' };
+        
+        expect(compileCondition('#status = :active', names, { ':active': 'active' })(game)).toBe(true);
+        expect(compileCondition('#status <> :active', names, { ':active': 'active' })(game)).toBe(false);
+        expect(compileCondition('players.white = :id', {}, { ':id': 'c1' })(game)).toBe(true);
+        expect(compileCondition('moves[1] = :move', {}, { ':move': 'e5' })(game)).toBe(true);
+        expect(compileCondition('rating BETWEEN :low AND :high', {}, { ':low': 1400, ':high': 1500 })(game)).toBe(true);
+        expect(compileCondition('#status IN (:a, :b)', names, { ':a': 'waiting', ':b': 'active' })(game)).toBe(true);
+    });
+    
+    test('combines conditions with AND, OR, NOT and parentheses', () => {
+        const values = { ':id': 'c2', ':other': 'c3' };
+        
+        expect(compileCondition('players.white = :id OR players.black = :id', {}, values)(game)).toBe(true);
+        expect(compileCondition('players.white = :id AND players.black = :id', {}, values)(game)).toBe(false);
+        expect(compileCondition('NOT (players.white = :other OR players.black = :other)', {}, values)(game)).toBe(true);
+    });
+    
+    test('evaluates the functions the handlers use', () => {
+        expect(compileCondition('attribute_exists(gameId)', {}, {})(game)).toBe(true);
+        expect(compileCondition('attribute_not_exists(result)', {}, {})(game)).toBe(true);
+        expect(compileCondition('size(spectators) < :max', {}, { ':max': 1 })(game)).toBe(false);
+        expect(compileCondition('size(moves) = :count', {}, { ':count': 2 })(game)).toBe(true);
+        expect(compileCondition('begins_with(gameId, :prefix)', {}, { ':prefix': 'g' })(game)).toBe(true);
+        expect(compileCondition('contains(moves, :move)', {}, { ':move': 'e4' })(game)).toBe(true);
+    });
+    
+    test('treats a missing attribute as unequal to anything', () => {
+        expect(compileCondition('result = :result', {}, { ':result': '1-0' })(game)).toBe(false);
+        expect(compileCondition('result <> :result', {}, { ':result': '1-0' })(game)).toBe(true);
+    });
+    
+    test('refuses placeholders without a value and unfinished expressions', () => {
+        expect(() => compileCondition('#status = :active', {}, { ':active': 'active' }))
+            .toThrow('Missing ExpressionAttributeNames entry for #status');
+        expect(() => compileCondition('gameId = :id', {}, {})).toThrow('Missing ExpressionAttributeValues entry for :id');
+        expect(() => compileCondition('gameId = :id gameId', {}, { ':id': 'g1' })).toThrow("Unexpected 'gameId'");
+    });
+});
+
+describe('compileUpdate', () => {
+    test('sets, removes and adds in one expression', () => {
+        const item = { gameId: 'g1', moves: ['e4'], drawOffer: 'white', version: 3, spectators: { s1: true } };
+        compileUpdate(
+            'SET moves = list_append(moves, :move), version = version + :one, #c = :now REMOVE drawOffer, spectators.s1 ADD count :one',
+            { '#c': 'updatedAt' },
+            { ':move': ['e5'], ':one': 1, ':now': 10 }
+        )(item);
+        
+        expect(item).toEqual({ gameId: 'g1', moves: ['e4', 'e5'], version: 4, updatedAt: 10, spectators: {}, count: 1 });
+    });
+    
+    test('keeps an existing value with if_not_exists', () => {
+        const item = { createdAt: 1 };
+        compileUpdate('SET createdAt = if_not_exists(createdAt, :now), seen = if_not_exists(seen, :now)', {}, { ':now': 2 })(item);
+        
+        expect(item).toEqual({ createdAt: 1, seen: 2 });
+    });
+    
+    test('reads every action from the item as it was before the update', () => {
+        const item = { a: 1, b: 2 };
+        compileUpdate('SET a = b, b = a', {}, {})(item);
+        
+        expect(item).toEqual({ a: 2, b: 1 });
+    });
+    
+    test('refuses to set a path under a missing map', () => {
+        expect(() => compileUpdate('SET chatMuted.white = :muted', {}, { ':muted': true })({}))
+            .toThrow("The document path 'chatMuted.white' is invalid for update");
+    });
+});
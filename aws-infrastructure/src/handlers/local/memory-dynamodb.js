@@ -0,0 +1,282 @@
+/**
+ * In-Memory DynamoDB
+ * Stands in for the stack's DynamoDB tables in the local dev server. It
+ * executes the lib-dynamodb document commands the handlers send, including
+ * condition expressions, global secondary index queries and TTL expiry
+ */
+
+const { compileCondition, compileUpdate, getPath, clone } = require('./expressions');
+
+/**
+ * Create an error shaped like the ones the AWS SDK throws
+ */
+const awsError = (name, message, httpStatusCode = 400) => {
+    const error = new Error(message);
+    error.name = name;
+    error.$fault = 'client';
+    error.$metadata = { httpStatusCode };
+    return error;
+};
+
+class MemoryDynamoDB {
+    /**
+     * Tables are described like the template's AWS::DynamoDB::Table resources:
+     * { name, partitionKey, sortKey?, indexes?: { name: { partitionKey, sortKey? } }, ttlAttribute? }
+     * latency delays each command by up to that many milliseconds, so
+     * concurrent requests interleave the way they do against the real service
+     */
+    constructor(tables, { latency = 0 } = {}) {
+        this.latency = latency;
+        this.tables = new Map();
+        for (const definition of tables) {
+            this.tables.set(definition.name, { ...definition, indexes: definition.indexes || {}, items: new Map() });
+        }
+    }
+
+    /**
+     * Execute a lib-dynamodb command (GetCommand, PutCommand, ...)
+     */
+    async send(command) {
+        const name = command.constructor.name.replace(/Command$/, '');
+        const operation = this[`execute${name}`];
+        if (!operation) {
+            throw awsError('UnknownOperationException', `${name} is not supported by the local DynamoDB`);
+        }
+        if (this.latency > 0) {
+            await new Promise(resolve => setTimeout(resolve, Math.random() * this.latency));
+        }
+        return operation.call(this, command.input);
+    }
+
+    getTable(tableName) {
+        const table = this.tables.get(tableName);
+        if (!table) {
+            throw awsError('ResourceNotFoundException', `Requested resource not found: Table: ${tableName} not found`);
+        }
+        return table;
+    }
+
+    /**
+     * Get the storage key for an item or key object
+     */
+    getItemKey(table, key) {
+        const keyNames = [table.partitionKey, table.sortKey].filter(Boolean);
+        for (const keyName of keyNames) {
+            if (key[keyName] === undefined) {
+                throw awsError('ValidationException', `One of the required keys was not given a value: ${keyName}`);
+            }
+        }
+        return JSON.stringify(keyNames.map(keyName => key[keyName]));
+    }
+
+    /**
+     * Throw ConditionalCheckFailedException unless the condition holds for the item
+     */
+    checkCondition(input, item) {
+        if (!input.ConditionExpression) return;
+        const condition = compileCondition(
+            input.ConditionExpression,
+            input.ExpressionAttributeNames,
+            input.ExpressionAttributeValues
+        );
+        if (!condition(item || {})) {
+            throw awsError('ConditionalCheckFailedException', 'The conditional request failed');
+        }
+    }
+
+    executeGet(input) {
+        const table = this.getTable(input.TableName);
+        const item = table.items.get(this.getItemKey(table, input.Key));
+        return { Item: clone(item) };
+    }
+
+    executePut(input) {
+        const table = this.getTable(input.TableName);
+        const key = this.getItemKey(table, input.Item);
+        const existing = table.items.get(key);
+        
+        this.checkCondition(input, existing);
+        table.items.set(key, clone(input.Item));
+        
+        return input.ReturnValues === 'ALL_OLD' ? { Attributes: clone(existing) } : {};
+    }
+
+    executeDelete(input) {
+        const table = this.getTable(input.TableName);
+        const key = this.getItemKey(table, input.Key);
+        const existing = table.items.get(key);
+        
+        this.checkCondition(input, existing);
+        table.items.delete(key);
+        
+        return input.ReturnValues === 'ALL_OLD' ? { Attributes: clone(existing) } : {};
+    }
+
+    executeUpdate(input) {
+        const table = this.getTable(input.TableName);
+        const key = this.getItemKey(table, input.Key);
+        const existing = table.items.get(key);
+        
+        this.checkCondition(input, existing);
+        
+        // Updating a missing item creates it from the key
+        const item = existing ? clone(existing) : clone(input.Key);
+        if (input.UpdateExpression) {
+            compileUpdate(input.UpdateExpression, input.ExpressionAttributeNames, input.ExpressionAttributeValues)(item);
+        }
+        table.items.set(key, item);
+        
+        switch (input.ReturnValues) {
+            case 'ALL_NEW':
+                return { Attributes: clone(item) };
+            case 'ALL_OLD':
+                return { Attributes: clone(existing) };
+            default:
+                return {};
+        }
+    }
+
+    executeQuery(input) {
+        const table = this.getTable(input.TableName);
+        const index = input.IndexName ? table.indexes[input.IndexName] : table;
+        if (!index) {
+            throw awsError('ValidationException', `The table does not have the specified index: ${input.IndexName}`);
+        }
+        
+        const keyCondition = compileCondition(
+            input.KeyConditionExpression,
+            input.ExpressionAttributeNames,
+            input.ExpressionAttributeValues
+        );
+        
+        // Items missing an index key attribute are not in the index
+        let items = [...table.items.values()]
+            .filter(item => item[index.partitionKey] !== undefined)
+            .filter(item => !index.sortKey || item[index.sortKey] !== undefined)
+            .filter(keyCondition);
+        
+        if (index.sortKey) {
+            items.sort((a, b) => (a[index.sortKey] < b[index.sortKey] ? -1 : a[index.sortKey] > b[index.sortKey] ? 1 : 0));
+        }
+        if (input.ScanIndexForward === false) {
+            items.reverse();
+        }
+        
+        return this.pageAndFilter(items, input);
+    }
+
+    /**
+     * Check every condition first, then apply every write, all or nothing
+     */
+    executeTransactWrite(input) {
+        const operations = input.TransactItems.map((entry) => {
+            const [type, operation] = Object.entries(entry)[0];
+            const table = this.getTable(operation.TableName);
+            const key = this.getItemKey(table, type === 'Put' ? operation.Item : operation.Key);
+            return { type, operation, table, key: `${operation.TableName}/${key}` };
+        });
+        
+        if (new Set(operations.map(({ key }) => key)).size !== operations.length) {
+            throw awsError('ValidationException', 'Transaction request cannot include multiple operations on one item');
+        }
+        
+        const reasons = operations.map(({ operation, table }) => {
+            try {
+                const key = this.getItemKey(table, operation.Item || operation.Key);
+                this.checkCondition(operation, table.items.get(key));
+                return { Code: 'None' };
+            } catch (error) {
+                if (error.name !== 'ConditionalCheckFailedException') throw error;
+                return { Code: 'ConditionalCheckFailed', Message: error.message };
+            }
+        });
+        
+        if (reasons.some(reason => reason.Code !== 'None')) {
+            const error = awsError(
+                'TransactionCanceledException',
+                `Transaction cancelled, please refer cancellation reasons for specific reasons [${reasons.map(reason => reason.Code).join(', ')}]`
+            );
+            error.CancellationReasons = reasons;
+            throw error;
+        }
+        
+        for (const { type, operation } of operations) {
+            if (type === 'ConditionCheck') continue;
+            const { ConditionExpression, ...write } = operation;
+            this[`execute${type}`](write);
+        }
+        
+        return {};
+    }
+
+    executeScan(input) {
+        const table = this.getTable(input.TableName);
+        return this.pageAndFilter([...table.items.values()], input);
+    }
+
+    /**
+     * Apply Limit and then FilterExpression, as DynamoDB does
+     */
+    pageAndFilter(items, input) {
+        let page = items;
+        let lastEvaluatedKey;
+        
+        if (input.ExclusiveStartKey) {
+            const startKey = JSON.stringify(input.ExclusiveStartKey);
+            const start = page.findIndex(item => JSON.stringify(this.pickKey(item, input)) === startKey);
+            page = page.slice(start + 1);
+        }
+        
+        if (input.Limit && page.length > input.Limit) {
+            page = page.slice(0, input.Limit);
+            lastEvaluatedKey = this.pickKey(page[page.length - 1], input);
+        }
+        
+        const scannedCount = page.length;
+        if (input.FilterExpression) {
+            page = page.filter(compileCondition(
+                input.FilterExpression,
+                input.ExpressionAttributeNames,
+                input.ExpressionAttributeValues
+            ));
+        }
+        
+        return {
+            Items: page.map(clone),
+            Count: page.length,
+            ScannedCount: scannedCount,
+            ...(lastEvaluatedKey ? { LastEvaluatedKey: lastEvaluatedKey } : {})
+        };
+    }
+
+    /**
+     * Get the key attributes (table and index) used to resume a query
+     */
+    pickKey(item, input) {
+        const table = this.getTable(input.TableName);
+        const index = input.IndexName ? table.indexes[input.IndexName] : {};
+        const keyNames = [table.partitionKey, table.sortKey, index.partitionKey, index.sortKey].filter(Boolean);
+        return Object.fromEntries(keyNames.map(keyName => [keyName, getPath(item, [keyName])]));
+    }
+
+    /**
+     * Delete items whose TTL attribute (epoch seconds) has passed
+     * Returns the number of items deleted
+     */
+    expireItems(nowSeconds = Math.floor(Date.now() / 1000)) {
+        let expired = 0;
+        for (const table of this.tables.values()) {
+            if (!table.ttlAttribute) continue;
+            for (const [key, item] of table.items) {
+                const ttl = item[table.ttlAttribute];
+                if (typeof ttl === 'number' && ttl < nowSeconds) {
+                    table.items.delete(key);
+                    expired++;
+                }
+            }
+        }
+        return expired;
+    }
+}
+
+module.exports = { MemoryDynamoDB, awsError };
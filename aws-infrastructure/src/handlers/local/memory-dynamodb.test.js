@@ -0,0 +1,178 @@
+const { GetCommand, PutCommand, DeleteCommand, UpdateCommand, QueryCommand, ScanCommand, TransactWriteCommand, BatchGetCommand } = require('@aws-sdk/lib-dynamodb');
+const { MemoryDynamoDB } = require('./memory-dynamodb');
+
+const createDatabase = () => new MemoryDynamoDB([
+    {
+        name: 'games',
+        partitionKey: 'gameId',
+        indexes: { 'status-createdAt-index': { partitionKey: 'status', sortKey: 'createdAt' } }
+    },
+    { name: 'rooms', partitionKey: 'code', ttlAttribute: 'ttl' },
+    { name: 'history', partitionKey: 'identity', sortKey: 'finishedAt' }
+]);
+
+const putGames = (database, games) => Promise.all(games.map(game =>
+    database.send(new PutCommand({ TableName: 'games', Item: game }))));
+
+describe('MemoryDynamoDB', () => {
+    let database;
+    
+    beforeEach(() => {
+        database = createDatabase();
+    });
+    
+    test('gets copies of the items it stores', async () => {
+        const item = { gameId: 'g1', moves: ['e4'] };
+        await database.send(new PutCommand({ TableName: 'games', Item: item }));
+        item.moves.push('e5');
+        
+        const { Item } = await database.send(new GetCommand({ TableName: 'games', Key: { gameId: 'g1' } }));
+        Item.moves.push('d5');
+        
+        expect(Item).toEqual({ gameId: 'g1', moves: ['e4', 'd5'] });
+        expect((await database.send(new GetCommand({ TableName: 'games', Key: { gameId: 'g1' } }))).Item.moves).toEqual(['e4']);
+        expect((await database.send(new GetCommand({ TableName: 'games', Key: { gameId: 'g2' } }))).Item).toBeUndefined();
+    });
+    
+    test('fails writes whose condition does not hold, the way DynamoDB does', async () => {
+        const put = () => database.send(new PutCommand({
+            TableName: 'games',
+            Item: { gameId: 'g1' },
+            ConditionExpression: 'attribute_not_exists(gameId)'
+        }));
+        await put();
+        
+        await expect(put()).rejects.toMatchObject({
+            name: 'ConditionalCheckFailedException',
+            $metadata: { httpStatusCode: 400 }
+        });
+        await expect(database.send(new DeleteCommand({
+            TableName: 'games',
+            Key: { gameId: 'g1' },
+            ConditionExpression: 'attribute_exists(result)'
+        }))).rejects.toMatchObject({ name: 'ConditionalCheckFailedException' });
+    });
+    
+    test('creates missing items on update and returns the values asked for', async () => {
+        const update = (ReturnValues) => database.send(new UpdateCommand({
+            TableName: 'games',
+            Key: { gameId: 'g1' },
+            UpdateExpression: 'SET version = if_not_exists(version, :zero) + :one',
+            ExpressionAttributeValues: { ':zero': 0, ':one': 1 },
+            ReturnValues
+        }));
+        
+        expect(await update('ALL_NEW')).toEqual({ Attributes: { gameId: 'g1', version: 1 } });
+        expect(await update('ALL_OLD')).toEqual({ Attributes: { gameId: 'g1', version: 1 } });
+        expect(await update()).toEqual({});
+    });
+    
+    test('refuses unknown tables, missing keys and unsupported commands', async () => {
+        await expect(database.send(new GetCommand({ TableName: 'players', Key: { playerId: 'p1' } })))
+            .rejects.toMatchObject({ name: 'ResourceNotFoundException' });
+        await expect(database.send(new PutCommand({ TableName: 'history', Item: { identity: 'player:p1' } })))
+            .rejects.toMatchObject({ name: 'ValidationException' });
+        await expect(database.send(new BatchGetCommand({ RequestItems: {} })))
+            .rejects.toMatchObject({ name: 'UnknownOperationException' });
+    });
+    
+    test('queries an index in sort key order, leaving out items without its keys', async () => {
+        await putGames(database, [
+            { gameId: 'g1', status: 'active', createdAt: '2024-01-02' },
+            { gameId: 'g2', status: 'active', createdAt: '2024-01-01' },
+            { gameId: 'g3', status: 'finished', createdAt: '2024-01-03' },
+            { gameId: 'g4', status: 'active' }
+        ]);
+        const query = (input) => database.send(new QueryCommand({
+            TableName: 'games',
+            IndexName: 'status-createdAt-index',
+            KeyConditionExpression: '#status = :active',
+            ExpressionAttributeNames: { '#status': 'status' },
+            ExpressionAttributeValues: { ':active': 'active' },
+            ...input
+        }));
+        
+        expect((await query()).Items.map(game => game.gameId)).toEqual(['g2', 'g1']);
+        expect((await query({ ScanIndexForward: false })).Items.map(game => game.gameId)).toEqual(['g1', 'g2']);
+        await expect(query({ IndexName: 'missing-index' })).rejects.toMatchObject({ name: 'ValidationException' });
+    });
+    
+    test('applies Limit before FilterExpression and pages from LastEvaluatedKey', async () => {
+        await Promise.all(['2024-01-01', '2024-01-02', '2024-01-03'].map((finishedAt, i) =>
+            database.send(new PutCommand({
+                TableName: 'history',
+                Item: { identity: 'player:p1', finishedAt, result: i === 0 ? 'draw' : 'win' }
+            }))));
+        const query = (ExclusiveStartKey) => database.send(new QueryCommand({
+            TableName: 'history',
+            KeyConditionExpression: 'identity = :identity',
+            FilterExpression: '#result = :win',
+            ExpressionAttributeNames: { '#result': 'result' },
+            ExpressionAttributeValues: { ':identity': 'player:p1', ':win': 'win' },
+            Limit: 2,
+            ExclusiveStartKey
+        }));
+        
+        const first = await query();
+        expect(first).toMatchObject({ Count: 1, ScannedCount: 2 });
+        expect(first.LastEvaluatedKey).toEqual({ identity: 'player:p1', finishedAt: '2024-01-02' });
+        
+        const second = await query(first.LastEvaluatedKey);
+        expect(second.Items.map(item => item.finishedAt)).toEqual(['2024-01-03']);
+        expect(second.LastEvaluatedKey).toBeUndefined();
+    });
+    
+    test('scans a whole table', async () => {
+        await putGames(database, [{ gameId: 'g1' }, { gameId: 'g2' }]);
+        
+        expect((await database.send(new ScanCommand({ TableName: 'games' }))).Count).toBe(2);
+    });
+    
+    test('writes all of a transaction or none of it', async () => {
+        await database.send(new PutCommand({ TableName: 'rooms', Item: { code: 'ABC234', host: 'c1' } }));
+        const transaction = (host) => database.send(new TransactWriteCommand({
+            TransactItems: [
+                {
+                    Delete: {
+                        TableName: 'rooms',
+                        Key: { code: 'ABC234' },
+                        ConditionExpression: 'host = :host',
+                        ExpressionAttributeValues: { ':host': host }
+                    }
+                },
+                { Put: { TableName: 'games', Item: { gameId: 'g1' }, ConditionExpression: 'attribute_not_exists(gameId)' } }
+            ]
+        }));
+        
+        await expect(transaction('c2')).rejects.toMatchObject({
+            name: 'TransactionCanceledException',
+            CancellationReasons: [{ Code: 'ConditionalCheckFailed' }, { Code: 'None' }]
+        });
+        expect((await database.send(new ScanCommand({ TableName: 'games' }))).Count).toBe(0);
+        
+        await transaction('c1');
+        expect((await database.send(new ScanCommand({ TableName: 'rooms' }))).Count).toBe(0);
+        expect((await database.send(new ScanCommand({ TableName: 'games' }))).Count).toBe(1);
+    });
+    
+    test('refuses a transaction that writes one item twice', async () => {
+        await expect(database.send(new TransactWriteCommand({
+            TransactItems: [
+                { Put: { TableName: 'games', Item: { gameId: 'g1' } } },
+                { Delete: { TableName: 'games', Key: { gameId: 'g1' } } }
+            ]
+        }))).rejects.toMatchObject({ name: 'ValidationException' });
+    });
+    
+    test('expires items whose TTL has passed, in tables that have one', async () => {
+        await Promise.all([
+            database.send(new PutCommand({ TableName: 'rooms', Item: { code: 'OLD', ttl: 99 } })),
+            database.send(new PutCommand({ TableName: 'rooms', Item: { code: 'NEW', ttl: 101 } })),
+            database.send(new PutCommand({ TableName: 'games', Item: { gameId: 'g1', ttl: 1 } }))
+        ]);
+        
+        expect(database.expireItems(100)).toBe(1);
+        expect((await database.send(new ScanCommand({ TableName: 'rooms' }))).Items).toEqual([{ code: 'NEW', ttl: 101 }]);
+        expect((await database.send(new ScanCommand({ TableName: 'games' }))).Count).toBe(1);
+    });
+});
@@ -4,37 +4,139 @@
  */
 
 const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
-const { DynamoDBDocumentClient, PutCommand, QueryCommand, DeleteCommand, UpdateCommand } = require('@aws-sdk/lib-dynamodb');
-const { ApiGatewayManagementApiClient, PostToConnectionCommand } = require('@aws-sdk/client-apigatewaymanagementapi');
+const { DynamoDBDocumentClient, GetCommand, PutCommand, QueryCommand, DeleteCommand, UpdateCommand, TransactWriteCommand } = require('@aws-sdk/lib-dynamodb');
 const { v4: uuidv4 } = require('uuid');
+const { getPlayerRating } = require('./lib/ratings');
+const { parseTimeControl, getPoolKey } = require('./lib/time-controls');
+const { createGameItem, announceGame } = require('./lib/games');
+const { getApiClient, sendMessage, reject } = require('./lib/sockets');
+
+// Waiting entries read per attempt, before the rating window is applied
+const QUEUE_READ_LIMIT = 50;
+
+// Queue entries to try claiming per read of the queue
+const MATCH_CANDIDATES = 5;
+
+// Reads of the queue before leaving the player to be paired by a later join
+const MAX_PAIRING_ATTEMPTS = 5;
+
+// How far apart two players' ratings may be: narrow at first, widening the
+// longer a player waits. Clients re-send join_queue while they wait so the
+// wider window gets a chance to find someone
+const RATING_WINDOW = {
+    initial: 100,
+    perSecond: 10,
+    max: 500
+};
 
 const ddbClient = new DynamoDBClient({});
 const docClient = DynamoDBDocumentClient.from(ddbClient);
 
-const getApiClient = (event) => {
-    const domain = event.requestContext.domainName;
-    const stage = event.requestContext.stage;
-    return new ApiGatewayManagementApiClient({
-        endpoint: `https://${domain}/${stage}`
+/**
+ * Get the rating window of a queue entry at the given time
+ */
+const getRatingWindow = (entry, now) => {
+    const waitedSeconds = Math.max(0, (now - Date.parse(entry.requestedAt)) / 1000);
+    return Math.min(RATING_WINDOW.initial + RATING_WINDOW.perSecond * waitedSeconds, RATING_WINDOW.max);
+};
+
+/**
+ * Two queued players can be paired if their ratings are within the wider of
+ * their two windows, and they are not the same player (account or browser
+ * session) on two connections
+ */
+const canPair = (entry, candidate, now) => {
+    if (candidate.visitorId === entry.visitorId) return false;
+    if (candidate.identity === entry.identity) return false;
+    
+    const window = Math.max(getRatingWindow(entry, now), getRatingWindow(candidate, now));
+    return Math.abs(entry.rating - candidate.rating) <= window;
+};
+
+/**
+ * Pair two queued players and create their game in one transaction
+ * Each queue entry is deleted only if it is still waiting, so concurrent
+ * joins can never put a player into two games. Throws
+ * TransactionCanceledException if either player was already claimed;
+ * CancellationReasons[0] is the opponent's entry and [1] the player's own.
+ * Both entries are in the same pool, so they agree on the time control and
+ * whether the game is rated
+ */
+const createMatch = async (opponent, player) => {
+    // Randomly assign colors
+    const opponentColor = Math.random() < 0.5 ? 'white' : 'black';
+    const playerColor = opponentColor === 'white' ? 'black' : 'white';
+    
+    const game = createGameItem(uuidv4(), {
+        [opponentColor]: opponent,
+        [playerColor]: player
+    }, player);
+    
+    const claimQueueEntry = (visitorId) => ({
+        Delete: {
+            TableName: process.env.MATCHMAKING_TABLE,
+            Key: { visitorId },
+            ConditionExpression: '#status = :waiting',
+            ExpressionAttributeNames: { '#status': 'status' },
+            ExpressionAttributeValues: { ':waiting': 'waiting' }
+        }
     });
+    
+    await docClient.send(new TransactWriteCommand({
+        TransactItems: [
+            claimQueueEntry(opponent.visitorId),
+            claimQueueEntry(player.visitorId),
+            {
+                Put: {
+                    TableName: process.env.GAMES_TABLE,
+                    Item: game,
+                    ConditionExpression: 'attribute_not_exists(gameId)'
+                }
+            }
+        ]
+    }));
+    
+    return game;
 };
 
-const sendMessage = async (apiClient, connectionId, message) => {
-    try {
-        await apiClient.send(new PostToConnectionCommand({
-            ConnectionId: connectionId,
-            Data: JSON.stringify(message)
+/**
+ * Claim the longest-waiting other player in the same pool and rating window
+ * The queue index only suggests candidates; createMatch decides who is still
+ * free. Returns null if no one suitable is waiting, or if a concurrent join
+ * has already paired this player
+ */
+const findMatch = async (entry) => {
+    for (let attempt = 0; attempt < MAX_PAIRING_ATTEMPTS; attempt++) {
+        const waitingPlayers = await docClient.send(new QueryCommand({
+            TableName: process.env.MATCHMAKING_TABLE,
+            IndexName: 'pool-requestedAt-index',
+            KeyConditionExpression: '#pool = :pool',
+            ExpressionAttributeNames: { '#pool': 'pool' },
+            ExpressionAttributeValues: { ':pool': entry.pool },
+            Limit: QUEUE_READ_LIMIT
         }));
-    } catch (error) {
-        if (error.statusCode === 410) {
-            // Connection is stale, remove it
-            await docClient.send(new DeleteCommand({
-                TableName: process.env.CONNECTIONS_TABLE,
-                Key: { connectionId }
-            }));
+        
+        const now = Date.now();
+        const candidates = (waitingPlayers.Items || [])
+            .filter(candidate => canPair(entry, candidate, now))
+            .slice(0, MATCH_CANDIDATES);
+        if (candidates.length === 0) return null;
+        
+        for (const opponent of candidates) {
+            try {
+                return await createMatch(opponent, entry);
+            } catch (error) {
+                if (error.name !== 'TransactionCanceledException') throw error;
+                
+                // Another join already paired this player (or they left the queue)
+                if (error.CancellationReasons[1].Code === 'ConditionalCheckFailed') return null;
+                
+                // Otherwise the opponent was taken, so try the next one
+            }
         }
-        throw error;
     }
+    
+    return null;
 };
 
 exports.handler = async (event) => {
@@ -45,89 +147,94 @@ exports.handler = async (event) => {
     
     try {
         if (action === 'join_queue') {
-            // Add player to matchmaking queue
-            const timestamp = new Date().toISOString();
+            // Look up who is playing: ratings belong to signed-in players
+            const connection = await docClient.send(new GetCommand({
+                TableName: process.env.CONNECTIONS_TABLE,
+                Key: { connectionId }
+            }));
+            const playerId = (connection.Item && connection.Item.playerId) || null;
+            const nickname = (connection.Item && connection.Item.nickname) || null;
+            const identity = (connection.Item && connection.Item.identity) || `connection:${connectionId}`;
+            const { rating, ratingDeviation } = await getPlayerRating(playerId);
+            
             const ttl = Math.floor(Date.now() / 1000) + 300; // 5 minute TTL
             
-            await docClient.send(new PutCommand({
-                TableName: process.env.MATCHMAKING_TABLE,
-                Item: {
+            let entry;
+            if (body.refresh) {
+                // Keep the player's place and pool; a refresh must not
+                // re-queue a player who was just paired
+                try {
+                    const result = await docClient.send(new UpdateCommand({
+                        TableName: process.env.MATCHMAKING_TABLE,
+                        Key: { visitorId: connectionId },
+                        UpdateExpression: 'SET #ttl = :ttl, rating = :rating, ratingDeviation = :ratingDeviation, identity = :identity',
+                        ConditionExpression: 'attribute_exists(visitorId)',
+                        ExpressionAttributeNames: { '#ttl': 'ttl' },
+                        ExpressionAttributeValues: {
+                            ':ttl': ttl,
+                            ':rating': rating,
+                            ':ratingDeviation': ratingDeviation,
+                            ':identity': identity
+                        },
+                        ReturnValues: 'ALL_NEW'
+                    }));
+                    entry = result.Attributes;
+                } catch (error) {
+                    if (error.name === 'ConditionalCheckFailedException') {
+                        return { statusCode: 200, body: 'OK' };
+                    }
+                    throw error;
+                }
+            } else {
+                const timeControl = parseTimeControl(body.timeControl);
+                if (!timeControl) {
+                    return reject(apiClient, connectionId, 'join_queue', 400, 'invalid_time_control',
+                        'Choose a time control written as minutes+increment, e.g. 3+2');
+                }
+                
+                const rated = body.rated === true;
+                if (rated && !playerId) {
+                    return reject(apiClient, connectionId, 'join_queue', 400, 'authentication_required',
+                        'Sign in to play rated games');
+                }
+                
+                // Add player to the queue for their time control and rated flag
+                entry = {
                     visitorId: connectionId,
                     status: 'waiting',
-                    requestedAt: timestamp,
+                    pool: getPoolKey(timeControl, rated),
+                    timeControl,
+                    rated,
+                    requestedAt: new Date().toISOString(),
+                    rating,
+                    ratingDeviation,
+                    ...(playerId ? { playerId, nickname } : {}),
+                    identity,
                     ttl
-                }
-            }));
+                };
+                await docClient.send(new PutCommand({
+                    TableName: process.env.MATCHMAKING_TABLE,
+                    Item: entry
+                }));
+            }
             
             // Notify player they're in queue
-            await sendMessage(apiClient, connectionId, {
-                type: 'matchmaking_status',
-                status: 'queued',
-                message: 'You are now in the matchmaking queue'
-            });
+            if (!body.refresh) {
+                await sendMessage(apiClient, connectionId, {
+                    type: 'matchmaking_status',
+                    status: 'queued',
+                    rating: Math.round(rating),
+                    timeControl: entry.timeControl,
+                    rated: entry.rated,
+                    message: `You are now in the ${entry.timeControl.category} ${entry.timeControl.name} queue`
+                });
+            }
             
-            // Try to find a match
-            const waitingPlayers = await docClient.send(new QueryCommand({
-                TableName: process.env.MATCHMAKING_TABLE,
-                IndexName: 'status-requestedAt-index',
-                KeyConditionExpression: '#status = :status',
-                ExpressionAttributeNames: { '#status': 'status' },
-                ExpressionAttributeValues: { ':status': 'waiting' },
-                Limit: 2
-            }));
+            // Try to pair with the longest-waiting player in the rating window
+            const match = await findMatch(entry);
             
-            if (waitingPlayers.Items && waitingPlayers.Items.length >= 2) {
-                const player1 = waitingPlayers.Items[0];
-                const player2 = waitingPlayers.Items[1];
-                
-                // Create a new game
-                const gameId = uuidv4();
-                const gameTimestamp = new Date().toISOString();
-                
-                // Randomly assign colors
-                const player1Color = Math.random() < 0.5 ? 'white' : 'black';
-                const player2Color = player1Color === 'white' ? 'black' : 'white';
-                
-                await docClient.send(new PutCommand({
-                    TableName: process.env.GAMES_TABLE,
-                    Item: {
-                        gameId,
-                        status: 'active',
-                        createdAt: gameTimestamp,
-                        players: {
-                            [player1Color]: player1.visitorId,
-                            [player2Color]: player2.visitorId
-                        },
-                        currentTurn: 'white',
-                        moves: [],
-                        board: null // Initial board state will be managed by client
-                    }
-                }));
-                
-                // Remove players from matchmaking queue
-                await Promise.all([
-                    docClient.send(new DeleteCommand({
-                        TableName: process.env.MATCHMAKING_TABLE,
-                        Key: { visitorId: player1.visitorId }
-                    })),
-                    docClient.send(new DeleteCommand({
-                        TableName: process.env.MATCHMAKING_TABLE,
-                        Key: { visitorId: player2.visitorId }
-                    }))
-                ]);
-                
-                // Notify both players
-                const matchFoundMessage = (color) => ({
-                    type: 'match_found',
-                    gameId,
-                    color,
-                    message: 'Match found! Game starting...'
-                });
-                
-                await Promise.all([
-                    sendMessage(apiClient, player1.visitorId, matchFoundMessage(player1Color)),
-                    sendMessage(apiClient, player2.visitorId, matchFoundMessage(player2Color))
-                ]);
+            if (match) {
+                await announceGame(match, (visitorId, message) => sendMessage(apiClient, visitorId, message));
             }
             
             return { statusCode: 200, body: 'OK' };
@@ -0,0 +1,196 @@
+const { ScanCommand, GetCommand, PutCommand } = require('@aws-sdk/lib-dynamodb');
+const { inboxes, setUp, createEvent, lastMessage } = require('./test-helpers/local-handlers');
+const { parseTimeControl, getPoolKey } = require('./lib/time-controls');
+
+let database = setUp();
+
+// The handler is required once the environment is set up
+const matchmaking = require('./matchmaking');
+
+// Every test starts with empty tables and no connections
+beforeEach(() => {
+    database = setUp();
+});
+
+const connect = (connectionId) => inboxes.set(connectionId, []);
+
+const send = (connectionId, body) => matchmaking.handler(createEvent(connectionId, body));
+
+const joinQueue = (connectionId, timeControl = '3+2', extra = {}) =>
+    send(connectionId, { action: 'join_queue', timeControl, ...extra });
+
+const getGames = async () => (await database.send(new ScanCommand({ TableName: process.env.GAMES_TABLE }))).Items;
+
+const getQueueEntry = async (visitorId) => (await database.send(new GetCommand({
+    TableName: process.env.MATCHMAKING_TABLE,
+    Key: { visitorId }
+}))).Item;
+
+describe('claiming queued players', () => {
+    test('pairs two players in the same pool into one game', async () => {
+        connect('a');
+        connect('b');
+        
+        await joinQueue('a');
+        expect(lastMessage('a')).toMatchObject({ type: 'matchmaking_status', status: 'queued' });
+        await joinQueue('b');
+        
+        const games = await getGames();
+        expect(games).toHaveLength(1);
+        expect(Object.values(games[0].players).sort()).toEqual(['a', 'b']);
+        expect(games[0].timeControl.name).toBe('3+2');
+        
+        for (const connectionId of ['a', 'b']) {
+            expect(lastMessage(connectionId)).toMatchObject({ type: 'match_found', gameId: games[0].gameId });
+            expect(await getQueueEntry(connectionId)).toBeUndefined();
+        }
+    });
+    
+    test('keeps time controls and rated games apart', async () => {
+        ['a', 'b', 'c'].forEach(connect);
+        
+        await joinQueue('a', '3+2');
+        await joinQueue('b', '10+5');
+        await joinQueue('c', '3+2', { rated: true });
+        
+        expect(await getGames()).toHaveLength(0);
+        expect(lastMessage('c')).toMatchObject({ type: 'error', code: 'authentication_required' });
+    });
+    
+    test('never pairs a player with themselves on another connection', async () => {
+        connect('a');
+        connect('b');
+        await joinQueue('a');
+        
+        // The same browser session joining again from a second tab
+        await database.send(new PutCommand({
+            TableName: process.env.CONNECTIONS_TABLE,
+            Item: { connectionId: 'b', identity: 'connection:a' }
+        }));
+        await joinQueue('b');
+        
+        expect(await getGames()).toHaveLength(0);
+    });
+    
+    test('puts no player into two games when everyone joins at once', async () => {
+        database.latency = 5;
+        const connectionIds = Array.from({ length: 12 }, (_, i) => `player-${i}`);
+        connectionIds.forEach(connect);
+        
+        const results = await Promise.all(connectionIds.map(id => joinQueue(id)));
+        expect(results.every(result => result.statusCode === 200)).toBe(true);
+        
+        const seated = (await getGames()).flatMap(game => Object.values(game.players));
+        expect(new Set(seated).size).toBe(seated.length);
+        
+        // Anyone left waiting is still in the queue, and no one else is
+        for (const connectionId of connectionIds) {
+            expect(Boolean(await getQueueEntry(connectionId))).toBe(!seated.includes(connectionId));
+        }
+    });
+    
+    test('a refresh does not put a paired player back in the queue', async () => {
+        connect('a');
+        connect('b');
+        await joinQueue('a');
+        await joinQueue('b');
+        
+        await joinQueue('a', undefined, { refresh: true });
+        
+        expect(await getQueueEntry('a')).toBeUndefined();
+        expect(await getGames()).toHaveLength(1);
+    });
+});
+
+describe('leaving the queue', () => {
+    test('removes the entry and confirms', async () => {
+        connect('a');
+        await joinQueue('a');
+        
+        await send('a', { action: 'leave_queue' });
+        
+        expect(await getQueueEntry('a')).toBeUndefined();
+        expect(lastMessage('a')).toMatchObject({ type: 'matchmaking_status', status: 'left_queue' });
+    });
+    
+    test('a player who left is never claimed', async () => {
+        connect('a');
+        connect('b');
+        await joinQueue('a');
+        await send('a', { action: 'leave_queue' });
+        
+        await joinQueue('b');
+        
+        expect(await getGames()).toHaveLength(0);
+        expect(await getQueueEntry('b')).toMatchObject({ status: 'waiting' });
+    });
+    
+    test('a refresh after leaving does not re-queue', async () => {
+        connect('a');
+        await joinQueue('a');
+        await send('a', { action: 'leave_queue' });
+        
+        const result = await joinQueue('a', undefined, { refresh: true });
+        
+        expect(result.statusCode).toBe(200);
+        expect(await getQueueEntry('a')).toBeUndefined();
+    });
+});
+
+describe('rating window', () => {
+    // Queue an opponent who has been waiting for a while
+    const queueOpponent = (rating, waitedSeconds) => {
+        const timeControl = parseTimeControl('3+2');
+        connect('opponent');
+        return database.send(new PutCommand({
+            TableName: process.env.MATCHMAKING_TABLE,
+            Item: {
+                visitorId: 'opponent',
+                status: 'waiting',
+                pool: getPoolKey(timeControl, false),
+                timeControl,
+                rated: false,
+                requestedAt: new Date(Date.now() - waitedSeconds * 1000).toISOString(),
+                rating,
+                ratingDeviation: 100,
+                identity: 'connection:opponent'
+            }
+        }));
+    };
+    
+    // A guest joins at the default rating of 1500
+    test.each([
+        [1590, 0, true],
+        [1650, 0, false],
+        [1650, 10, true],
+        [1790, 20, true],
+        [1850, 20, false],
+        [1990, 60, true],
+        [2050, 600, false]
+    ])('pairs 1500 with %i after %is of waiting: %s', async (rating, waitedSeconds, paired) => {
+        await queueOpponent(rating, waitedSeconds);
+        connect('a');
+        
+        await joinQueue('a');
+        
+        expect(await getGames()).toHaveLength(paired ? 1 : 0);
+    });
+    
+    test('a refresh finds an opponent once the window has widened', async () => {
+        await queueOpponent(1700, 0);
+        connect('a');
+        await joinQueue('a');
+        expect(await getGames()).toHaveLength(0);
+        
+        // Twenty seconds on, the opponent's window reaches 300
+        const later = Date.now() + 20000;
+        const now = jest.spyOn(Date, 'now').mockReturnValue(later);
+        try {
+            await joinQueue('a', undefined, { refresh: true });
+        } finally {
+            now.mockRestore();
+        }
+        
+        expect(await getGames()).toHaveLength(1);
+    });
+});
@@ -0,0 +1,143 @@
+#!/usr/bin/env node
+/**
+ * Matchmaking Concurrency Check
+ * Fires many concurrent join_queue requests at matchmaking.js, backed by the
+ * in-memory tables with random latency, and checks that no player ends up in
+ * two games, paired with themselves or in a game at another time control
+ *
+ * Usage:
+ *   npm run check:matchmaking
+ *   node scripts/check-matchmaking.js --players 40 --rounds 50
+ */
+
+const { randomUUID } = require('crypto');
+const { ScanCommand, GetCommand, DeleteCommand } = require('@aws-sdk/lib-dynamodb');
+const { createLocalEnvironment } = require('../local/environment');
+
+/**
+ * Parse command line arguments
+ */
+const parseArgs = (argv) => {
+    const options = { players: 20, rounds: 25, latency: 10 };
+    
+    for (let i = 0; i < argv.length; i++) {
+        const name = argv[i].replace(/^--/, '');
+        if (!(name in options) || !(parseInt(argv[i + 1]) > 0)) {
+            throw new Error(`Unknown argument '${argv[i]}'`);
+        }
+        options[name] = parseInt(argv[++i]);
+    }
+    
+    return options;
+};
+
+// Messages sent to each connection in the current round
+let inboxes = new Map();
+
+const database = createLocalEnvironment({
+    getConnection: (connectionId) => ({
+        send: (data) => inboxes.get(connectionId).push(JSON.parse(data)),
+        close: () => {},
+        connectedAt: new Date()
+    })
+});
+
+// The handler is required once the environment is set up
+const matchmaking = require('../matchmaking');
+
+// Players are spread over two pools, which must never be mixed
+const TIME_CONTROLS = ['3+2', '10+5'];
+
+const joinQueue = (connectionId, timeControl) => matchmaking.handler({
+    requestContext: { connectionId, routeKey: 'join_queue', domainName: 'localhost', stage: 'local' },
+    body: JSON.stringify({ action: 'join_queue', timeControl })
+});
+
+/**
+ * Join every player at once and return the problems found
+ */
+const runRound = async (players) => {
+    const problems = [];
+    const playerIds = Array.from({ length: players }, () => randomUUID());
+    const requested = new Map(playerIds.map(id => [id, TIME_CONTROLS[Math.floor(Math.random() * TIME_CONTROLS.length)]]));
+    inboxes = new Map(playerIds.map(id => [id, []]));
+    
+    const results = await Promise.all(playerIds.map(id => joinQueue(id, requested.get(id))));
+    results.filter(result => result.statusCode !== 200)
+        .forEach(result => problems.push(`join_queue returned ${result.statusCode}`));
+    
+    const games = (await database.send(new ScanCommand({ TableName: process.env.GAMES_TABLE }))).Items.filter(game => playerIds.includes(game.players.white));
+    
+    const gamesByPlayer = new Map();
+    for (const game of games) {
+        if (game.players.white === game.players.black) {
+            problems.push(`${game.players.white} was paired with themselves`);
+        }
+        for (const playerId of [game.players.white, game.players.black]) {
+            if (requested.get(playerId) !== game.timeControl.name) {
+                problems.push(`${playerId} asked for ${requested.get(playerId)} but got ${game.timeControl.name}`);
+            }
+        }
+        for (const playerId of [game.players.white, game.players.black]) {
+            gamesByPlayer.set(playerId, (gamesByPlayer.get(playerId) || 0) + 1);
+        }
+    }
+    
+    for (const playerId of playerIds) {
+        const gameCount = gamesByPlayer.get(playerId) || 0;
+        const matchMessages = inboxes.get(playerId).filter(message => message.type === 'match_found').length;
+        const queued = (await database.send(new GetCommand({
+            TableName: process.env.MATCHMAKING_TABLE,
+            Key: { visitorId: playerId }
+        }))).Item;
+        
+        if (gameCount > 1) problems.push(`${playerId} is in ${gameCount} games`);
+        if (matchMessages !== gameCount) problems.push(`${playerId} got ${matchMessages} match_found for ${gameCount} game(s)`);
+        if (gameCount > 0 && queued) problems.push(`${playerId} is still queued after being paired`);
+    }
+    
+    // Leave the queue empty for the next round
+    const waiting = playerIds.filter(playerId => !gamesByPlayer.has(playerId));
+    for (const playerId of waiting) {
+        await database.send(new DeleteCommand({
+            TableName: process.env.MATCHMAKING_TABLE,
+            Key: { visitorId: playerId }
+        }));
+    }
+    
+    return { problems, games: games.length, waiting: waiting.length };
+};
+
+const main = async () => {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(error.message);
+        process.exitCode = 2;
+        return;
+    }
+    
+    database.latency = options.latency;
+    
+    let failures = 0;
+    let totalGames = 0;
+    let totalWaiting = 0;
+    for (let round = 1; round <= options.rounds; round++) {
+        const { problems, games, waiting } = await runRound(options.players);
+        totalGames += games;
+        totalWaiting += waiting;
+        if (problems.length > 0) {
+            failures++;
+            console.log(`Round ${round}:\n  ${problems.join('\n  ')}`);
+        }
+    }
+    
+    console.log(`${options.rounds} rounds of ${options.players} concurrent joins: ${totalGames} games, ${totalWaiting} player(s) left waiting`);
+    console.log(failures === 0 ? 'No double pairings' : `${failures} round(s) failed`);
+    if (failures > 0) {
+        process.exitCode = 1;
+    }
+};
+
+main();
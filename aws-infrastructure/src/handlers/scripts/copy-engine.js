@@ -0,0 +1,19 @@
+/**
+ * Copy the browser rules engine into the Lambda package
+ * SAM only packages src/handlers, so the shared js/ sources are copied into
+ * engine/ before building; lib/chess-engine.js loads them from there
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ENGINE_FILES = ['chess-pieces.js', 'chess-logic.js', 'chess-pgn.js'];
+const sourceDir = path.join(__dirname, '..', '..', '..', '..', 'js');
+const targetDir = path.join(__dirname, '..', 'engine');
+
+fs.mkdirSync(targetDir, { recursive: true });
+
+for (const file of ENGINE_FILES) {
+    fs.copyFileSync(path.join(sourceDir, file), path.join(targetDir, file));
+    console.log(`Copied ${file} to ${path.relative(process.cwd(), targetDir)}`);
+}
@@ -0,0 +1,97 @@
+/**
+ * Handler Test Environment
+ * Runs the handlers against the local environment in the jest tests, with
+ * an inbox of the messages sent to each open connection
+ */
+
+const { GetCommand, PutCommand } = require('@aws-sdk/lib-dynamodb');
+const { createLocalEnvironment } = require('../local/environment');
+const { createGameItem } = require('../lib/games');
+const { parseTimeControl } = require('../lib/time-controls');
+
+// Messages sent to each open connection, by connection id. A connection
+// is open while it has an inbox
+const inboxes = new Map();
+
+let database = null;
+
+/**
+ * Set up the local environment with empty tables and no open connections,
+ * and return its database. Call it before requiring a handler, then again
+ * before each test. options go to createLocalEnvironment, e.g. an
+ * identityProvider
+ */
+const setUp = (options = {}) => {
+    inboxes.clear();
+    database = createLocalEnvironment({
+        getConnection: (connectionId) => inboxes.has(connectionId) ? {
+            send: (data) => inboxes.get(connectionId).push(JSON.parse(data)),
+            close: () => inboxes.delete(connectionId),
+            connectedAt: new Date()
+        } : null,
+        ...options
+    });
+    return database;
+};
+
+/**
+ * Build the event API Gateway passes a handler for a connection's request
+ */
+const createEvent = (connectionId, body, query) => ({
+    requestContext: { connectionId, domainName: 'localhost', stage: 'local' },
+    queryStringParameters: query,
+    body: body && JSON.stringify(body)
+});
+
+/**
+ * Open a connection with an empty inbox, recorded in the connections table
+ * with the fields given
+ */
+const openConnection = async (connectionId, fields = {}) => {
+    inboxes.set(connectionId, []);
+    await database.send(new PutCommand({ TableName: process.env.CONNECTIONS_TABLE, Item: { connectionId, ...fields } }));
+};
+
+const openConnections = async (connectionIds) => {
+    for (const connectionId of connectionIds) {
+        await openConnection(connectionId);
+    }
+};
+
+const lastMessage = (connectionId) => inboxes.get(connectionId).slice(-1)[0];
+
+/**
+ * A player seated by their connection, as a guest
+ */
+const seat = (visitorId, fields = {}) => ({ visitorId, identity: `connection:${visitorId}`, rating: 1500, ...fields });
+
+/**
+ * Store an active game between two seats, by default the connections named
+ * white and black, unrated at 3+2. Other fields are set on the stored item,
+ * which is returned
+ */
+const putGame = async (gameId, { white = seat('white'), black = seat('black'), timeControl = '3+2', rated = false, ...fields } = {}) => {
+    const game = {
+        ...createGameItem(gameId, { white, black }, { timeControl: parseTimeControl(timeControl), rated }),
+        ...fields
+    };
+    await database.send(new PutCommand({ TableName: process.env.GAMES_TABLE, Item: game }));
+    return game;
+};
+
+const getGame = async (gameId) => (await database.send(new GetCommand({
+    TableName: process.env.GAMES_TABLE,
+    Key: { gameId }
+}))).Item;
+
+module.exports = {
+    inboxes,
+    setUp,
+    createEvent,
+    openConnection,
+    openConnections,
+    lastMessage,
+    seat,
+    putGame,
+    getGame
+};
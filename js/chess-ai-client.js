@@ -0,0 +1,133 @@
+/**
+ * Chess AI Client Module
+ * Runs AI searches in a Web Worker so the page stays responsive
+ */
+
+class ChessAIClient {
+    constructor(workerUrl = 'js/chess-ai-worker.js') {
+        this.workerUrl = workerUrl;
+        this.worker = null;
+        this.pending = null;
+    }
+
+    /**
+     * Get the worker, creating it if needed
+     * Returns null where workers are unavailable (e.g. pages opened from file://)
+     */
+    getWorker() {
+        if (this.worker) return this.worker;
+        
+        try {
+            this.worker = new Worker(this.workerUrl);
+        } catch (error) {
+            console.warn('AI worker unavailable, searching on the main thread:', error);
+            return null;
+        }
+        
+        this.worker.onmessage = (event) => this.handleMessage(event.data);
+        this.worker.onerror = (event) => {
+            event.preventDefault();
+            this.worker = null;
+            this.fallBack(new Error(event.message || 'AI worker failed'));
+        };
+        
+        return this.worker;
+    }
+
+    /**
+     * Search for the best move in the game's current position
+     * Resolves with the move, or null if there is none or the search was cancelled
+     */
+    search(game, { difficulty, timeLimit = null, onProgress = null }) {
+        this.cancel();
+        
+        return new Promise((resolve, reject) => {
+            const pending = { resolve, reject, onProgress, game, difficulty, timeLimit };
+            this.pending = pending;
+            
+            const worker = this.getWorker();
+            if (worker) {
+                worker.postMessage({ type: 'search', fen: game.toFEN(), difficulty, timeLimit });
+                return;
+            }
+            
+            this.searchOnMainThread(pending);
+        });
+    }
+
+    /**
+     * Fallback: run the pending search on the main thread after the current frame
+     */
+    searchOnMainThread(pending) {
+        setTimeout(() => {
+            if (this.pending !== pending) return;
+            const ai = new ChessAI(pending.difficulty);
+            ai.onProgress = pending.onProgress;
+            try {
+                this.finish(ai.getBestMove(pending.game, pending.timeLimit));
+            } catch (error) {
+                this.finish(null, error);
+            }
+        }, 0);
+    }
+
+    /**
+     * Recover from a worker that failed mid-search, so the game does not stall
+     * waiting for a move: the search is run again on the main thread
+     */
+    fallBack(error) {
+        if (!this.pending) return;
+        console.warn('AI worker failed, searching on the main thread:', error);
+        this.searchOnMainThread(this.pending);
+    }
+
+    /**
+     * Handle a message from the worker
+     */
+    handleMessage(message) {
+        if (!this.pending) return;
+        
+        switch (message.type) {
+            case 'progress':
+                if (this.pending.onProgress) {
+                    this.pending.onProgress(message);
+                }
+                break;
+            case 'result':
+                this.finish(message.move);
+                break;
+            case 'error':
+                this.fallBack(new Error(message.message));
+                break;
+        }
+    }
+
+    /**
+     * Settle the pending search
+     */
+    finish(move, error = null) {
+        const pending = this.pending;
+        this.pending = null;
+        if (!pending) return;
+        
+        if (error) {
+            pending.reject(error);
+        } else {
+            pending.resolve(move);
+        }
+    }
+
+    /**
+     * Cancel the running search, if any
+     * The worker is terminated mid-search and recreated on the next request
+     */
+    cancel() {
+        if (!this.pending) return;
+        
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        this.finish(null);
+    }
+}
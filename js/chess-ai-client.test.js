@@ -0,0 +1,181 @@
+const { loadScripts } = require('./test-helpers/load-scripts');
+
+/**
+ * Stand-in for a Web Worker: records what is posted, and answers or fails
+ * when the test says so
+ */
+class FakeWorker {
+    constructor(url) {
+        this.url = url;
+        this.posted = [];
+        this.terminated = false;
+        FakeWorker.instances.push(this);
+    }
+    
+    postMessage(message) {
+        this.posted.push(message);
+    }
+    
+    reply(data) {
+        this.onmessage({ data });
+    }
+    
+    fail(message) {
+        this.onerror({ message, preventDefault: () => {} });
+    }
+    
+    terminate() {
+        this.terminated = true;
+    }
+}
+
+const ENGINE_FILES = ['chess-pieces.js', 'chess-logic.js', 'chess-ai.js'];
+
+const load = (Worker) => loadScripts([...ENGINE_FILES, 'chess-ai-client.js'], ['ChessGame', 'ChessAIClient'], {
+    Worker,
+    setTimeout,
+    console: { warn: () => {} }
+});
+
+const MATE_IN_ONE = '6k1/5ppp/8/8/8/8/8/R5K1 w - - 0 1';
+
+describe('ChessAIClient', () => {
+    let ChessGame;
+    let ChessAIClient;
+    
+    beforeEach(() => {
+        FakeWorker.instances = [];
+        ({ ChessGame, ChessAIClient } = load(FakeWorker));
+    });
+    
+    test('sends the position to the worker and resolves with its move', async () => {
+        const client = new ChessAIClient();
+        const progress = [];
+        const search = client.search(new ChessGame(), { difficulty: 'hard', timeLimit: 500, onProgress: info => progress.push(info) });
+        
+        const [worker] = FakeWorker.instances;
+        expect(worker.url).toBe('js/chess-ai-worker.js');
+        expect(worker.posted).toEqual([{
+            type: 'search',
+            fen: 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1',
+            difficulty: 'hard',
+            timeLimit: 500
+        }]);
+        
+        worker.reply({ type: 'progress', depth: 1, bestLine: ['e2e4'] });
+        worker.reply({ type: 'result', move: { from: { row: 6, col: 4 }, to: { row: 4, col: 4 } } });
+        
+        await expect(search).resolves.toEqual({ from: { row: 6, col: 4 }, to: { row: 4, col: 4 } });
+        expect(progress).toEqual([{ type: 'progress', depth: 1, bestLine: ['e2e4'] }]);
+    });
+    
+    test('cancelling stops the worker and resolves with no move', async () => {
+        const client = new ChessAIClient();
+        const search = client.search(new ChessGame(), { difficulty: 'medium' });
+        
+        client.cancel();
+        
+        await expect(search).resolves.toBeNull();
+        expect(FakeWorker.instances[0].terminated).toBe(true);
+        
+        // The next search starts a fresh worker
+        client.search(new ChessGame(), { difficulty: 'medium' });
+        expect(FakeWorker.instances).toHaveLength(2);
+    });
+    
+    test('a new search cancels the one still running', async () => {
+        const client = new ChessAIClient();
+        const first = client.search(new ChessGame(), { difficulty: 'medium' });
+        const second = client.search(new ChessGame(), { difficulty: 'easy' });
+        
+        await expect(first).resolves.toBeNull();
+        FakeWorker.instances[1].reply({ type: 'result', move: null });
+        await expect(second).resolves.toBeNull();
+    });
+    
+    test('searches again on the main thread when the worker fails mid-search', async () => {
+        const client = new ChessAIClient();
+        const game = new ChessGame();
+        game.loadFEN(MATE_IN_ONE);
+        
+        const crashed = client.search(game, { difficulty: 'hard', timeLimit: 2000 });
+        FakeWorker.instances[0].fail('Out of memory');
+        
+        await expect(crashed).resolves.toMatchObject({ from: { row: 7, col: 0 }, to: { row: 0, col: 0 } });
+        expect(client.worker).toBeNull();
+        
+        // The next search starts a fresh worker
+        client.search(game, { difficulty: 'hard' });
+        expect(FakeWorker.instances).toHaveLength(2);
+    });
+    
+    test('searches again on the main thread when the worker reports an error', async () => {
+        const client = new ChessAIClient();
+        const game = new ChessGame();
+        game.loadFEN(MATE_IN_ONE);
+        
+        const search = client.search(game, { difficulty: 'hard', timeLimit: 2000 });
+        FakeWorker.instances[0].reply({ type: 'error', message: 'Invalid FEN' });
+        
+        await expect(search).resolves.toMatchObject({ from: { row: 7, col: 0 }, to: { row: 0, col: 0 } });
+    });
+    
+    test('rejects when the main-thread search fails too', async () => {
+        const client = new ChessAIClient();
+        const game = new ChessGame();
+        game.getAllValidMoves = () => { throw new Error('Corrupt position'); };
+        
+        const search = client.search(game, { difficulty: 'medium' });
+        FakeWorker.instances[0].fail('Out of memory');
+        
+        await expect(search).rejects.toThrow('Corrupt position');
+    });
+    
+    test('searches on the main thread where workers are unavailable', async () => {
+        ({ ChessGame, ChessAIClient } = load(function () {
+            throw new Error('Workers are not allowed from file://');
+        }));
+        const game = new ChessGame();
+        game.loadFEN(MATE_IN_ONE);
+        
+        const move = await new ChessAIClient().search(game, { difficulty: 'hard', timeLimit: 2000 });
+        
+        expect(move).toMatchObject({ from: { row: 7, col: 0 }, to: { row: 0, col: 0 } });
+    });
+    
+    test('a cancelled main-thread search never resolves with a move', async () => {
+        ({ ChessGame, ChessAIClient } = load(undefined));
+        const client = new ChessAIClient();
+        
+        const search = client.search(new ChessGame(), { difficulty: 'medium' });
+        client.cancel();
+        
+        await expect(search).resolves.toBeNull();
+    });
+});
+
+describe('AI worker', () => {
+    test('answers a search request with the best move', () => {
+        const worker = { posted: [], postMessage(message) { this.posted.push(message); } };
+        loadScripts([...ENGINE_FILES, 'chess-ai-worker.js'], [], { self: worker, importScripts: () => {} });
+        
+        worker.onmessage({ data: { type: 'search', fen: MATE_IN_ONE, difficulty: 'hard', timeLimit: 2000 } });
+        
+        // Progress streams in as each depth completes, then the result
+        const result = worker.posted.pop();
+        expect(result.type).toBe('result');
+        expect(result.move).toMatchObject({ from: { row: 7, col: 0 }, to: { row: 0, col: 0 } });
+        expect(worker.posted.length).toBeGreaterThan(0);
+        expect(worker.posted.every(message => message.type === 'progress')).toBe(true);
+        expect(worker.posted.pop().bestLine[0]).toBe('a1a8');
+    });
+    
+    test('reports a bad request as an error', () => {
+        const worker = { posted: [], postMessage(message) { this.posted.push(message); } };
+        loadScripts([...ENGINE_FILES, 'chess-ai-worker.js'], [], { self: worker, importScripts: () => {} });
+        
+        worker.onmessage({ data: { type: 'search', fen: 'not a position', difficulty: 'hard' } });
+        
+        expect(worker.posted).toEqual([{ type: 'error', message: expect.any(String) }]);
+    });
+});
@@ -0,0 +1,28 @@
+/**
+ * Chess AI Worker
+ * Runs ChessAI searches off the main thread
+ */
+
+importScripts('chess-pieces.js', 'chess-logic.js', 'chess-ai.js');
+
+const game = new ChessGame();
+const ai = new ChessAI();
+
+// Stream search progress back to the page
+ai.onProgress = (progress) => {
+    self.postMessage({ type: 'progress', ...progress });
+};
+
+self.onmessage = (event) => {
+    const { type, fen, difficulty, timeLimit } = event.data;
+    if (type !== 'search') return;
+    
+    try {
+        game.loadFEN(fen);
+        ai.setDifficulty(difficulty);
+        const move = ai.getBestMove(game, timeLimit);
+        self.postMessage({ type: 'result', move });
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+};
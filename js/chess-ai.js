@@ -1,11 +1,65 @@
 /**
  * Chess AI Module
- * Implements minimax algorithm with alpha-beta pruning
+ * Implements iterative deepening negamax with alpha-beta pruning,
+ * a transposition table and quiescence search
  */
 
+// Score for delivering checkmate; mates found sooner score higher
+const MATE_SCORE = 100000;
+
+// Deepest ply the search (including quiescence) will reach
+const MAX_SEARCH_PLY = 64;
+
+// The AI accepts a draw offer when it is at least a pawn worse
+const DRAW_ACCEPT_SCORE = -100;
+
+// Transposition table entries kept between moves before it is cleared
+const TRANSPOSITION_TABLE_LIMIT = 500000;
+
+// Zobrist keys as pairs of 32-bit halves, generated from a fixed seed
+const ZOBRIST_KEYS = (() => {
+    let seed = 0x2545F491;
+    const random = () => {
+        // xorshift32
+        seed ^= seed << 13;
+        seed ^= seed >>> 17;
+        seed ^= seed << 5;
+        return seed >>> 0;
+    };
+    const key = () => [random(), random()];
+    
+    const pieces = {};
+    for (const color of Object.values(COLORS)) {
+        pieces[color] = {};
+        for (const type of Object.values(PIECES)) {
+            pieces[color][type] = Array.from({ length: 64 }, key);
+        }
+    }
+    
+    return {
+        pieces,
+        blackToMove: key(),
+        castling: {
+            white: { kingside: key(), queenside: key() },
+            black: { kingside: key(), queenside: key() }
+        },
+        enPassantFile: Array.from({ length: 8 }, key)
+    };
+})();
+
 class ChessAI {
     constructor(difficulty = 'medium') {
         this.setDifficulty(difficulty);
+        this.nodes = 0;
+        
+        // Search tables: transposition entries by Zobrist hash, killer moves
+        // by ply and history scores by side to move and from/to squares
+        this.transpositionTable = new Map();
+        this.killers = [];
+        this.history = new Int32Array(2 * 4096);
+        
+        // Called with { depth, bestLine, score, nodes } as the search improves
+        this.onProgress = null;
     }
 
     setDifficulty(difficulty) {
@@ -13,26 +67,47 @@ class ChessAI {
         switch (difficulty) {
             case 'easy':
                 this.maxDepth = 2;
+                this.timeLimit = null;
                 this.randomFactor = 0.3; // 30% chance of random move
                 break;
             case 'medium':
                 this.maxDepth = 3;
+                this.timeLimit = null;
                 this.randomFactor = 0.1; // 10% chance of suboptimal move
                 break;
             case 'hard':
-                this.maxDepth = 4;
+                this.maxDepth = 8;
+                this.timeLimit = 3000; // Deepen until time runs out
                 this.randomFactor = 0; // Always optimal move
                 break;
             default:
                 this.maxDepth = 3;
+                this.timeLimit = null;
                 this.randomFactor = 0.1;
         }
     }
 
+    /**
+     * Work out how long to think from the AI's remaining clock time:
+     * an even share of the time left for the moves still to play in the
+     * stage (or an assumed 30 in sudden death) plus most of any bonus
+     */
+    getTimeBudget(clock, color) {
+        const remaining = clock.getRemaining(color);
+        const stage = clock.getStage(color);
+        const movesToGo = clock.getMovesToGo(color) || 30;
+        
+        const budget = remaining / movesToGo + stage.bonus * 0.75;
+        return Math.max(50, Math.min(budget, remaining / 2));
+    }
+
     /**
      * Get the best move for the AI
+     * Searches with iterative deepening up to the difficulty's depth; if a
+     * time limit (ms) is given, the search stops when it runs out and
+     * returns the best move from the last completed iteration
      */
-    getBestMove(game) {
+    getBestMove(game, timeLimit = null) {
         const color = game.currentTurn;
         const moves = game.getAllValidMoves(color);
         
@@ -43,513 +118,350 @@ class ChessAI {
             return moves[Math.floor(Math.random() * moves.length)];
         }
         
-        let bestMove = null;
-        let bestScore = -Infinity;
-        const alpha = -Infinity;
-        const beta = Infinity;
+        const limit = timeLimit || this.timeLimit;
+        this.deadline = limit ? Date.now() + limit : Infinity;
+        this.timeUp = false;
+        this.nodes = 0;
+        this.killers = [];
+        this.history.fill(0);
+        if (this.transpositionTable.size > TRANSPOSITION_TABLE_LIMIT) {
+            this.transpositionTable.clear();
+        }
         
-        // Sort moves for better alpha-beta pruning
-        const sortedMoves = this.sortMoves(moves, game);
+        let bestMove = null;
         
-        for (const move of sortedMoves) {
-            // Save game state
-            const originalBoard = copyBoard(game.board);
-            const originalEnPassant = game.enPassantTarget;
-            const originalTurn = game.currentTurn;
+        for (let depth = 1; depth <= this.maxDepth; depth++) {
+            const result = this.searchRoot(game, moves, depth);
             
-            // Make the move
-            game.board = copyBoard(game.board);
-            this.makeSimulatedMove(game, move);
-            game.currentTurn = color === COLORS.WHITE ? COLORS.BLACK : COLORS.WHITE;
+            // Discard an iteration that was cut short by the clock
+            if (this.timeUp) break;
             
-            // Evaluate using minimax
-            const score = this.minimax(game, this.maxDepth - 1, alpha, beta, false, color);
+            bestMove = result.move;
+            this.reportProgress(game, depth, result.score);
             
-            // Restore game state
-            game.board = originalBoard;
-            game.enPassantTarget = originalEnPassant;
-            game.currentTurn = originalTurn;
-            
-            if (score > bestScore) {
-                bestScore = score;
-                bestMove = move;
-            }
+            // No point searching deeper once a forced mate is found
+            if (Math.abs(result.score) >= MATE_SCORE - MAX_SEARCH_PLY) break;
         }
         
-        return bestMove;
+        return bestMove || moves[0];
     }
 
     /**
-     * Minimax algorithm with alpha-beta pruning
+     * Search every root move to the given depth
+     * Returns the best move and its score
      */
-    minimax(game, depth, alpha, beta, isMaximizing, aiColor) {
-        // Check for terminal state or depth limit
-        if (depth === 0) {
-            return this.evaluateBoard(game, aiColor);
-        }
+    searchRoot(game, moves, depth) {
+        const hash = this.getPositionHash(game);
+        const entry = this.transpositionTable.get(hash);
+        const orderedMoves = this.orderMoves(moves, game, entry ? entry.move : null, 0);
         
-        const currentColor = game.currentTurn;
-        const moves = this.getAllValidMovesForMinimax(game, currentColor);
+        let alpha = -Infinity;
+        let bestMove = orderedMoves[0];
         
-        if (moves.length === 0) {
-            // Check for checkmate or stalemate
-            const isCheck = this.isKingInCheck(game, currentColor);
-            if (isCheck) {
-                // Checkmate - very bad for the player in check
-                return isMaximizing ? -100000 + (this.maxDepth - depth) : 100000 - (this.maxDepth - depth);
-            } else {
-                // Stalemate
-                return 0;
+        for (const move of orderedMoves) {
+            const score = -this.searchChild(game, move, depth - 1, -Infinity, -alpha, 1);
+            if (this.timeUp) break;
+            
+            if (score > alpha) {
+                alpha = score;
+                bestMove = move;
             }
         }
         
-        if (isMaximizing) {
-            let maxScore = -Infinity;
-            
-            for (const move of moves) {
-                const originalBoard = copyBoard(game.board);
-                const originalEnPassant = game.enPassantTarget;
-                
-                this.makeSimulatedMove(game, move);
-                game.currentTurn = currentColor === COLORS.WHITE ? COLORS.BLACK : COLORS.WHITE;
-                
-                const score = this.minimax(game, depth - 1, alpha, beta, false, aiColor);
-                
-                game.board = originalBoard;
-                game.enPassantTarget = originalEnPassant;
-                game.currentTurn = currentColor;
-                
-                maxScore = Math.max(maxScore, score);
-                alpha = Math.max(alpha, score);
-                
-                if (beta <= alpha) break; // Beta cutoff
-            }
-            
-            return maxScore;
-        } else {
-            let minScore = Infinity;
-            
-            for (const move of moves) {
-                const originalBoard = copyBoard(game.board);
-                const originalEnPassant = game.enPassantTarget;
-                
-                this.makeSimulatedMove(game, move);
-                game.currentTurn = currentColor === COLORS.WHITE ? COLORS.BLACK : COLORS.WHITE;
-                
-                const score = this.minimax(game, depth - 1, alpha, beta, true, aiColor);
-                
-                game.board = originalBoard;
-                game.enPassantTarget = originalEnPassant;
-                game.currentTurn = currentColor;
-                
-                minScore = Math.min(minScore, score);
-                beta = Math.min(beta, score);
-                
-                if (beta <= alpha) break; // Alpha cutoff
-            }
-            
-            return minScore;
+        if (!this.timeUp) {
+            this.storeTransposition(hash, depth, alpha, 'exact', bestMove, 0);
         }
+        
+        return { move: bestMove, score: alpha };
     }
 
     /**
-     * Sort moves for better alpha-beta pruning
+     * Make a move on the board, search the resulting position and restore it
      */
-    sortMoves(moves, game) {
-        return moves.sort((a, b) => {
-            let scoreA = 0;
-            let scoreB = 0;
-            
-            // Prioritize captures - use move's capture flag and get piece value from board
-            if (a.to.capture) {
-                const capturedPieceA = game.getPiece(a.to.row, a.to.col);
-                scoreA += 10 + (capturedPieceA ? PIECE_VALUES[capturedPieceA.type] / 100 : 0);
-            }
-            if (b.to.capture) {
-                const capturedPieceB = game.getPiece(b.to.row, b.to.col);
-                scoreB += 10 + (capturedPieceB ? PIECE_VALUES[capturedPieceB.type] / 100 : 0);
-            }
-            
-            // Prioritize center control
-            const centerDist = (row, col) => Math.abs(row - 3.5) + Math.abs(col - 3.5);
-            scoreA -= centerDist(a.to.row, a.to.col);
-            scoreB -= centerDist(b.to.row, b.to.col);
-            
-            return scoreB - scoreA;
-        });
+    searchChild(game, move, depth, alpha, beta, ply, quiescence = false) {
+        const record = game.applyMove(move);
+        
+        const score = quiescence
+            ? this.quiescence(game, alpha, beta, ply)
+            : this.negamax(game, depth, alpha, beta, ply);
+        
+        game.unapplyMove(record);
+        
+        return score;
     }
 
     /**
-     * Make a simulated move (for AI evaluation)
+     * Negamax search with alpha-beta pruning and a transposition table
+     * Scores are from the point of view of the side to move
      */
-    makeSimulatedMove(game, move) {
-        const piece = game.getPiece(move.from.row, move.from.col);
-        if (!piece) return;
-        
-        // Handle en passant
-        if (move.to.enPassant) {
-            const capturedRow = piece.color === COLORS.WHITE ? move.to.row + 1 : move.to.row - 1;
-            game.setPiece(capturedRow, move.to.col, null);
+    negamax(game, depth, alpha, beta, ply) {
+        // Abandon the search once the time budget is spent
+        if (this.timeUp || Date.now() > this.deadline) {
+            this.timeUp = true;
+            return 0;
         }
         
-        // Handle castling
-        if (move.to.castling) {
-            if (move.to.castling === 'kingside') {
-                const rook = game.getPiece(move.from.row, 7);
-                game.setPiece(move.from.row, 7, null);
-                game.setPiece(move.from.row, 5, rook);
-            } else {
-                const rook = game.getPiece(move.from.row, 0);
-                game.setPiece(move.from.row, 0, null);
-                game.setPiece(move.from.row, 3, rook);
-            }
+        if (depth <= 0) {
+            return this.quiescence(game, alpha, beta, ply);
         }
         
-        // Move piece
-        game.setPiece(move.to.row, move.to.col, piece);
-        game.setPiece(move.from.row, move.from.col, null);
+        this.nodes++;
         
-        // Handle promotion (always promote to queen for AI)
-        if (move.to.promotion) {
-            const promotedPiece = createPiece(PIECES.QUEEN, piece.color);
-            game.setPiece(move.to.row, move.to.col, promotedPiece);
+        const hash = this.getPositionHash(game);
+        const entry = this.transpositionTable.get(hash);
+        if (entry && entry.depth >= depth) {
+            const score = this.scoreFromTransposition(entry.score, ply);
+            if (entry.flag === 'exact') return score;
+            if (entry.flag === 'lower' && score >= beta) return score;
+            if (entry.flag === 'upper' && score <= alpha) return score;
         }
         
-        // Update en passant target
-        if (move.to.twoStep) {
-            game.enPassantTarget = {
-                row: piece.color === COLORS.WHITE ? move.to.row + 1 : move.to.row - 1,
-                col: move.to.col
-            };
-        } else {
-            game.enPassantTarget = null;
+        const color = game.currentTurn;
+        const moves = game.getAllValidMoves(color);
+        
+        if (moves.length === 0) {
+            // Checkmate (sooner is worse) or stalemate
+            return game.isInCheck(color) ? -MATE_SCORE + ply : 0;
         }
+        
+        const originalAlpha = alpha;
+        let bestScore = -Infinity;
+        let bestMove = null;
+        
+        for (const move of this.orderMoves(moves, game, entry ? entry.move : null, ply)) {
+            const score = -this.searchChild(game, move, depth - 1, -beta, -alpha, ply + 1);
+            if (this.timeUp) return 0;
+            
+            if (score > bestScore) {
+                bestScore = score;
+                bestMove = move;
+            }
+            alpha = Math.max(alpha, score);
+            
+            if (alpha >= beta) {
+                // Remember quiet moves that cause cutoffs for ordering siblings
+                if (!move.to.capture && !move.to.enPassant) {
+                    this.recordKiller(move, ply);
+                    this.history[this.getHistoryIndex(move, color)] += depth * depth;
+                }
+                break;
+            }
+        }
+        
+        const flag = bestScore <= originalAlpha ? 'upper' : bestScore >= beta ? 'lower' : 'exact';
+        this.storeTransposition(hash, depth, bestScore, flag, bestMove, ply);
+        
+        return bestScore;
     }
 
     /**
-     * Get all valid moves for minimax (simplified version)
+     * Capture-only search at the horizon so exchanges are played out
+     * before the position is evaluated
      */
-    getAllValidMovesForMinimax(game, color) {
-        const moves = [];
+    quiescence(game, alpha, beta, ply) {
+        if (this.timeUp || Date.now() > this.deadline) {
+            this.timeUp = true;
+            return 0;
+        }
         
-        for (let row = 0; row < 8; row++) {
-            for (let col = 0; col < 8; col++) {
-                const piece = game.getPiece(row, col);
-                if (piece && piece.color === color) {
-                    const pieceMoves = this.getValidMovesForMinimax(game, row, col, piece);
-                    for (const m of pieceMoves) {
-                        moves.push({
-                            from: { row, col },
-                            to: m,
-                            piece
-                        });
-                    }
-                }
-            }
+        this.nodes++;
+        
+        const color = game.currentTurn;
+        const standPat = this.evaluateBoard(game, color);
+        if (standPat >= beta || ply >= MAX_SEARCH_PLY) return standPat;
+        alpha = Math.max(alpha, standPat);
+        
+        const captures = game.getAllValidMoves(color)
+            .filter(move => move.to.capture || move.to.enPassant || move.to.promotion);
+        
+        for (const move of this.orderMoves(captures, game, null, ply)) {
+            const score = -this.searchChild(game, move, 0, -beta, -alpha, ply + 1, true);
+            if (this.timeUp) return 0;
+            
+            if (score >= beta) return score;
+            alpha = Math.max(alpha, score);
         }
         
-        return moves;
+        return alpha;
     }
 
     /**
-     * Get valid moves for a piece in minimax context
+     * Order moves for better alpha-beta pruning: the transposition table
+     * move first, then captures by most valuable victim / least valuable
+     * attacker, then killer moves, then quiet moves by history score
      */
-    getValidMovesForMinimax(game, row, col, piece) {
-        const rawMoves = this.getRawMovesForMinimax(game, row, col, piece);
-        const validMoves = [];
+    orderMoves(moves, game, hashMove, ply) {
+        const killers = this.killers[ply] || [];
         
-        for (const move of rawMoves) {
-            const originalBoard = copyBoard(game.board);
-            
-            // Simulate move
-            game.board = copyBoard(game.board);
+        const scoreMove = (move) => {
+            const key = this.getMoveKey(move);
+            if (key === hashMove) return 1000000;
             
-            // Handle en passant
-            if (move.enPassant) {
-                const capturedRow = piece.color === COLORS.WHITE ? move.row + 1 : move.row - 1;
-                game.setPiece(capturedRow, move.col, null);
-            }
-            
-            // Handle castling
-            if (move.castling) {
-                if (move.castling === 'kingside') {
-                    const rook = game.getPiece(row, 7);
-                    game.setPiece(row, 7, null);
-                    game.setPiece(row, 5, rook);
-                } else {
-                    const rook = game.getPiece(row, 0);
-                    game.setPiece(row, 0, null);
-                    game.setPiece(row, 3, rook);
-                }
+            const attacker = game.getPiece(move.from.row, move.from.col);
+            if (move.to.capture || move.to.enPassant || move.to.promotion) {
+                const victim = game.getPiece(move.to.row, move.to.col);
+                const victimValue = victim ? PIECE_VALUES[victim.type] : PIECE_VALUES.pawn;
+                const promotionValue = move.to.promotion ? PIECE_VALUES.queen : 0;
+                return 100000 + victimValue * 10 + promotionValue - PIECE_VALUES[attacker.type] / 100;
             }
             
-            game.setPiece(move.row, move.col, piece);
-            game.setPiece(row, col, null);
-            
-            // Check if move leaves king in check
-            if (!this.isKingInCheck(game, piece.color)) {
-                validMoves.push(move);
-            }
+            if (key === killers[0]) return 90000;
+            if (key === killers[1]) return 80000;
             
-            game.board = originalBoard;
-        }
+            return Math.min(this.history[this.getHistoryIndex(move, attacker.color)], 70000);
+        };
         
-        return validMoves;
+        return moves
+            .map(move => ({ move, score: scoreMove(move) }))
+            .sort((a, b) => b.score - a.score)
+            .map(entry => entry.move);
     }
 
     /**
-     * Get raw moves for AI (simplified)
+     * Remember a quiet move that caused a cutoff at this ply
      */
-    getRawMovesForMinimax(game, row, col, piece) {
-        const moves = [];
-        
-        switch (piece.type) {
-            case PIECES.PAWN:
-                this.getPawnMovesForMinimax(game, row, col, piece, moves);
-                break;
-            case PIECES.ROOK:
-                this.getSlidingMovesForMinimax(game, row, col, piece, moves, [[0, 1], [0, -1], [1, 0], [-1, 0]]);
-                break;
-            case PIECES.KNIGHT:
-                this.getKnightMovesForMinimax(game, row, col, piece, moves);
-                break;
-            case PIECES.BISHOP:
-                this.getSlidingMovesForMinimax(game, row, col, piece, moves, [[1, 1], [1, -1], [-1, 1], [-1, -1]]);
-                break;
-            case PIECES.QUEEN:
-                this.getSlidingMovesForMinimax(game, row, col, piece, moves, [
-                    [0, 1], [0, -1], [1, 0], [-1, 0],
-                    [1, 1], [1, -1], [-1, 1], [-1, -1]
-                ]);
-                break;
-            case PIECES.KING:
-                this.getKingMovesForMinimax(game, row, col, piece, moves);
-                break;
+    recordKiller(move, ply) {
+        const key = this.getMoveKey(move);
+        const killers = this.killers[ply] || (this.killers[ply] = []);
+        if (killers[0] !== key) {
+            killers[1] = killers[0];
+            killers[0] = key;
         }
-        
-        return moves;
     }
 
-    getPawnMovesForMinimax(game, row, col, piece, moves) {
-        const direction = piece.color === COLORS.WHITE ? -1 : 1;
-        const startRow = piece.color === COLORS.WHITE ? 6 : 1;
-        const promotionRow = piece.color === COLORS.WHITE ? 0 : 7;
+    /**
+     * Get a compact numeric key for a move (from square * 64 + to square)
+     */
+    getMoveKey(move) {
+        return (move.from.row * 8 + move.from.col) * 64 + move.to.row * 8 + move.to.col;
+    }
 
-        // Forward move
-        const oneStep = row + direction;
-        if (oneStep >= 0 && oneStep <= 7 && !game.getPiece(oneStep, col)) {
-            moves.push({ row: oneStep, col, promotion: oneStep === promotionRow });
-            
-            if (row === startRow) {
-                const twoStep = row + 2 * direction;
-                if (!game.getPiece(twoStep, col)) {
-                    moves.push({ row: twoStep, col, twoStep: true });
-                }
+    /**
+     * Get the history table index for a move: side to move and from/to squares
+     */
+    getHistoryIndex(move, color) {
+        return (color === COLORS.WHITE ? 0 : 4096) + this.getMoveKey(move);
+    }
+
+    /**
+     * Compute the Zobrist hash of the current position
+     * Combines two 32-bit halves into a 52-bit number usable as a Map key
+     */
+    getPositionHash(game) {
+        let high = 0;
+        let low = 0;
+        const mix = (key) => {
+            high ^= key[0];
+            low ^= key[1];
+        };
+        
+        for (let row = 0; row < 8; row++) {
+            for (let col = 0; col < 8; col++) {
+                const piece = game.board[row][col];
+                if (piece) mix(ZOBRIST_KEYS.pieces[piece.color][piece.type][row * 8 + col]);
             }
         }
-
-        // Captures
-        for (const dc of [-1, 1]) {
-            const newRow = row + direction;
-            const newCol = col + dc;
-            
-            if (newRow >= 0 && newRow <= 7 && newCol >= 0 && newCol <= 7) {
-                const target = game.getPiece(newRow, newCol);
-                
-                if (target && target.color !== piece.color) {
-                    moves.push({ row: newRow, col: newCol, capture: true, promotion: newRow === promotionRow });
-                }
-                
-                if (game.enPassantTarget && 
-                    game.enPassantTarget.row === newRow && 
-                    game.enPassantTarget.col === newCol) {
-                    moves.push({ row: newRow, col: newCol, enPassant: true, capture: true });
-                }
+        
+        if (game.currentTurn === COLORS.BLACK) mix(ZOBRIST_KEYS.blackToMove);
+        
+        for (const color of [COLORS.WHITE, COLORS.BLACK]) {
+            for (const side of ['kingside', 'queenside']) {
+                if (game.castlingRights[color][side]) mix(ZOBRIST_KEYS.castling[color][side]);
             }
         }
+        
+        if (game.enPassantTarget) mix(ZOBRIST_KEYS.enPassantFile[game.enPassantTarget.col]);
+        
+        return (high & 0xFFFFF) * 4294967296 + (low >>> 0);
     }
 
-    getSlidingMovesForMinimax(game, row, col, piece, moves, directions) {
-        for (const [dr, dc] of directions) {
-            let r = row + dr;
-            let c = col + dc;
-            
-            while (r >= 0 && r <= 7 && c >= 0 && c <= 7) {
-                const target = game.getPiece(r, c);
-                
-                if (!target) {
-                    moves.push({ row: r, col: c });
-                } else {
-                    if (target.color !== piece.color) {
-                        moves.push({ row: r, col: c, capture: true });
-                    }
-                    break;
-                }
-                
-                r += dr;
-                c += dc;
-            }
-        }
+    /**
+     * Store a search result in the transposition table, keeping the deeper entry
+     * Mate scores are stored relative to this position rather than the root
+     */
+    storeTransposition(hash, depth, score, flag, move, ply) {
+        const existing = this.transpositionTable.get(hash);
+        if (existing && existing.depth > depth) return;
+        
+        let storedScore = score;
+        if (score >= MATE_SCORE - MAX_SEARCH_PLY) storedScore += ply;
+        else if (score <= -MATE_SCORE + MAX_SEARCH_PLY) storedScore -= ply;
+        
+        this.transpositionTable.set(hash, {
+            depth,
+            score: storedScore,
+            flag,
+            move: move ? this.getMoveKey(move) : null
+        });
     }
 
-    getKnightMovesForMinimax(game, row, col, piece, moves) {
-        const offsets = [
-            [-2, -1], [-2, 1], [-1, -2], [-1, 2],
-            [1, -2], [1, 2], [2, -1], [2, 1]
-        ];
-        
-        for (const [dr, dc] of offsets) {
-            const r = row + dr;
-            const c = col + dc;
-            
-            if (r >= 0 && r <= 7 && c >= 0 && c <= 7) {
-                const target = game.getPiece(r, c);
-                if (!target || target.color !== piece.color) {
-                    moves.push({ row: r, col: c, capture: !!target });
-                }
-            }
-        }
+    /**
+     * Convert a stored transposition score back to one relative to the root
+     */
+    scoreFromTransposition(score, ply) {
+        if (score >= MATE_SCORE - MAX_SEARCH_PLY) return score - ply;
+        if (score <= -MATE_SCORE + MAX_SEARCH_PLY) return score + ply;
+        return score;
     }
 
-    getKingMovesForMinimax(game, row, col, piece, moves) {
-        const offsets = [
-            [-1, -1], [-1, 0], [-1, 1],
-            [0, -1],          [0, 1],
-            [1, -1],  [1, 0], [1, 1]
-        ];
-        
-        for (const [dr, dc] of offsets) {
-            const r = row + dr;
-            const c = col + dc;
+    /**
+     * Follow transposition table moves from the current position to
+     * recover the principal variation
+     */
+    getPrincipalVariation(game, maxLength) {
+        const line = [];
+        const records = [];
+        const seen = new Set();
+        
+        while (line.length < maxLength) {
+            const hash = this.getPositionHash(game);
+            const entry = this.transpositionTable.get(hash);
+            if (!entry || entry.move === null || seen.has(hash)) break;
+            seen.add(hash);
             
-            if (r >= 0 && r <= 7 && c >= 0 && c <= 7) {
-                const target = game.getPiece(r, c);
-                if (!target || target.color !== piece.color) {
-                    moves.push({ row: r, col: c, capture: !!target });
-                }
-            }
+            const move = game.getAllValidMoves(game.currentTurn)
+                .find(candidate => this.getMoveKey(candidate) === entry.move);
+            if (!move) break;
+            
+            records.push(game.applyMove(move));
+            line.push(move);
         }
         
-        // Castling
-        if (!piece.hasMoved && !this.isKingInCheck(game, piece.color)) {
-            const opponentColor = piece.color === COLORS.WHITE ? COLORS.BLACK : COLORS.WHITE;
-            
-            // Kingside
-            const kingsideRook = game.getPiece(row, 7);
-            if (kingsideRook && kingsideRook.type === PIECES.ROOK && !kingsideRook.hasMoved) {
-                if (!game.getPiece(row, 5) && !game.getPiece(row, 6)) {
-                    if (!this.isSquareAttackedForMinimax(game, row, 5, opponentColor) && 
-                        !this.isSquareAttackedForMinimax(game, row, 6, opponentColor)) {
-                        moves.push({ row, col: 6, castling: 'kingside' });
-                    }
-                }
-            }
-            
-            // Queenside
-            const queensideRook = game.getPiece(row, 0);
-            if (queensideRook && queensideRook.type === PIECES.ROOK && !queensideRook.hasMoved) {
-                if (!game.getPiece(row, 1) && !game.getPiece(row, 2) && !game.getPiece(row, 3)) {
-                    if (!this.isSquareAttackedForMinimax(game, row, 2, opponentColor) && 
-                        !this.isSquareAttackedForMinimax(game, row, 3, opponentColor)) {
-                        moves.push({ row, col: 2, castling: 'queenside' });
-                    }
-                }
-            }
+        // Restore the position
+        while (records.length > 0) {
+            game.unapplyMove(records.pop());
         }
+        
+        return line;
     }
 
     /**
-     * Check if king is in check
+     * Report a completed iteration to the onProgress callback
      */
-    isKingInCheck(game, color) {
-        // Find king
-        let kingRow = -1, kingCol = -1;
-        for (let r = 0; r < 8; r++) {
-            for (let c = 0; c < 8; c++) {
-                const p = game.getPiece(r, c);
-                if (p && p.type === PIECES.KING && p.color === color) {
-                    kingRow = r;
-                    kingCol = c;
-                    break;
-                }
-            }
-            if (kingRow !== -1) break;
-        }
-        
-        if (kingRow === -1) return false;
-        
-        const opponentColor = color === COLORS.WHITE ? COLORS.BLACK : COLORS.WHITE;
-        return this.isSquareAttackedForMinimax(game, kingRow, kingCol, opponentColor);
+    reportProgress(game, depth, score) {
+        if (!this.onProgress) return;
+        
+        this.onProgress({
+            depth,
+            bestLine: this.getPrincipalVariation(game, depth).map(move => this.toCoordinateNotation(move)),
+            score,
+            nodes: this.nodes
+        });
     }
 
     /**
-     * Check if square is attacked
+     * Convert a move to coordinate notation (e.g. "e2e4", "e7e8q")
      */
-    isSquareAttackedForMinimax(game, row, col, byColor) {
-        // Check pawn attacks
-        const pawnDir = byColor === COLORS.WHITE ? 1 : -1;
-        for (const dc of [-1, 1]) {
-            const pr = row + pawnDir;
-            const pc = col + dc;
-            if (pr >= 0 && pr <= 7 && pc >= 0 && pc <= 7) {
-                const p = game.getPiece(pr, pc);
-                if (p && p.type === PIECES.PAWN && p.color === byColor) return true;
-            }
-        }
-        
-        // Check knight attacks
-        const knightOffsets = [
-            [-2, -1], [-2, 1], [-1, -2], [-1, 2],
-            [1, -2], [1, 2], [2, -1], [2, 1]
-        ];
-        for (const [dr, dc] of knightOffsets) {
-            const nr = row + dr;
-            const nc = col + dc;
-            if (nr >= 0 && nr <= 7 && nc >= 0 && nc <= 7) {
-                const p = game.getPiece(nr, nc);
-                if (p && p.type === PIECES.KNIGHT && p.color === byColor) return true;
-            }
-        }
-        
-        // Check king attacks
-        const kingOffsets = [
-            [-1, -1], [-1, 0], [-1, 1],
-            [0, -1],          [0, 1],
-            [1, -1],  [1, 0], [1, 1]
-        ];
-        for (const [dr, dc] of kingOffsets) {
-            const kr = row + dr;
-            const kc = col + dc;
-            if (kr >= 0 && kr <= 7 && kc >= 0 && kc <= 7) {
-                const p = game.getPiece(kr, kc);
-                if (p && p.type === PIECES.KING && p.color === byColor) return true;
-            }
-        }
-        
-        // Check sliding piece attacks (rook, bishop, queen)
-        const directions = [
-            { dirs: [[0, 1], [0, -1], [1, 0], [-1, 0]], types: [PIECES.ROOK, PIECES.QUEEN] },
-            { dirs: [[1, 1], [1, -1], [-1, 1], [-1, -1]], types: [PIECES.BISHOP, PIECES.QUEEN] }
-        ];
-        
-        for (const { dirs, types } of directions) {
-            for (const [dr, dc] of dirs) {
-                let r = row + dr;
-                let c = col + dc;
-                
-                while (r >= 0 && r <= 7 && c >= 0 && c <= 7) {
-                    const p = game.getPiece(r, c);
-                    if (p) {
-                        if (p.color === byColor && types.includes(p.type)) return true;
-                        break;
-                    }
-                    r += dr;
-                    c += dc;
-                }
-            }
-        }
-        
-        return false;
+    toCoordinateNotation(move) {
+        const square = ({ row, col }) => 'abcdefgh'[col] + (8 - row);
+        return square(move.from) + square(move.to) + (move.to.promotion ? 'q' : '');
+    }
+
+    /**
+     * Decide whether to accept a draw offer in the current position
+     */
+    acceptsDraw(game, aiColor) {
+        return this.evaluateBoard(game, aiColor) <= DRAW_ACCEPT_SCORE;
     }
 
     /**
@@ -591,10 +503,10 @@ class ChessAI {
         
         // Check/checkmate evaluation
         const opponentColor = aiColor === COLORS.WHITE ? COLORS.BLACK : COLORS.WHITE;
-        if (this.isKingInCheck(game, opponentColor)) {
+        if (game.isInCheck(opponentColor)) {
             score += 50;
         }
-        if (this.isKingInCheck(game, aiColor)) {
+        if (game.isInCheck(aiColor)) {
             score -= 50;
         }
         
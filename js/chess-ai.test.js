@@ -0,0 +1,164 @@
+const { loadScripts } = require('./test-helpers/load-scripts');
+
+const { ChessGame, ChessAI, ChessClock, parseTimeControl } = loadScripts(
+    ['chess-pieces.js', 'chess-logic.js', 'chess-clock.js', 'chess-ai.js'],
+    ['ChessGame', 'ChessAI', 'ChessClock', 'parseTimeControl']
+);
+
+const fromFEN = (fen) => {
+    const game = new ChessGame();
+    game.loadFEN(fen);
+    return game;
+};
+
+const play = (game, ...moves) => {
+    for (const san of moves) {
+        const move = game.parseSAN(san);
+        game.validMoves = game.getValidMoves(move.from.row, move.from.col);
+        game.makeMove(move.from.row, move.from.col, move.to.row, move.to.col, move.promotionPiece);
+        game.validMoves = [];
+    }
+    return game;
+};
+
+// An AI that always plays its best move, searching to a fixed depth
+const createAI = (maxDepth) => {
+    const ai = new ChessAI('hard');
+    ai.maxDepth = maxDepth;
+    return ai;
+};
+
+const bestMove = (fen, maxDepth) => {
+    const ai = createAI(maxDepth);
+    return ai.toCoordinateNotation(ai.getBestMove(fromFEN(fen)));
+};
+
+describe('getBestMove', () => {
+    test.each([
+        ['white', '6k1/5ppp/8/8/8/8/8/R5K1 w - - 0 1', 'a1a8'],
+        ['black', 'r5k1/8/8/8/8/8/5PPP/6K1 b - - 0 1', 'a8a1']
+    ])('finds mate in one for %s', (color, fen, move) => {
+        expect(bestMove(fen, 3)).toBe(move);
+    });
+    
+    test('wins a hanging queen', () => {
+        expect(bestMove('k7/8/8/3q4/8/8/8/K2R4 w - - 0 1', 2)).toBe('d1d5');
+    });
+    
+    test('plays out captures at the horizon instead of taking a defended pawn with the queen', () => {
+        expect(bestMove('k7/8/2p5/3p4/8/8/8/K2Q4 w - - 0 1', 1)).not.toBe('d1d5');
+    });
+    
+    test('leaves the position as it found it', () => {
+        const game = play(new ChessGame(), 'e4', 'e5', 'Nf3', 'Nc6', 'Bb5');
+        const fen = game.toFEN();
+        
+        createAI(3).getBestMove(game);
+        
+        expect(game.toFEN()).toBe(fen);
+        expect(game.moveHistory).toHaveLength(5);
+        expect(game.getMoveNotation(game.moveHistory[4])).toBe('Bb5');
+    });
+    
+    test('has no move when the game is over', () => {
+        expect(createAI(2).getBestMove(fromFEN('7k/5QQ1/8/8/8/8/8/K7 b - - 0 1'))).toBeNull();
+    });
+    
+    test('reports each completed depth with its principal variation', () => {
+        const ai = createAI(3);
+        const progress = [];
+        ai.onProgress = (info) => progress.push(info);
+        
+        const move = ai.getBestMove(fromFEN('k7/8/8/3q4/8/8/8/K2R4 w - - 0 1'));
+        
+        expect(progress.map(info => info.depth)).toEqual([1, 2, 3]);
+        for (const info of progress) {
+            expect(info.bestLine[0]).toBe(ai.toCoordinateNotation(move));
+            expect(info.bestLine.length).toBeLessThanOrEqual(info.depth);
+            expect(info.nodes).toBeGreaterThan(0);
+        }
+    });
+    
+    test('stops deepening when the time limit runs out', () => {
+        const ai = createAI(64);
+        const game = new ChessGame();
+        const startedAt = Date.now();
+        
+        const move = ai.getBestMove(game, 100);
+        
+        expect(Date.now() - startedAt).toBeLessThan(2000);
+        expect(game.getAllValidMoves(game.currentTurn)).toContainEqual(move);
+    });
+});
+
+describe('getPositionHash', () => {
+    const hash = (game) => new ChessAI().getPositionHash(game);
+    
+    test('is the same however the position was reached', () => {
+        const first = play(new ChessGame(), 'Nf3', 'Nf6', 'Nc3');
+        const second = play(new ChessGame(), 'Nc3', 'Nf6', 'Nf3');
+        
+        expect(hash(first)).toBe(hash(second));
+    });
+    
+    test.each([
+        ['side to move', '4k3/8/8/8/8/8/8/4K3 w - - 0 1', '4k3/8/8/8/8/8/8/4K3 b - - 0 1'],
+        ['castling rights', 'r3k2r/8/8/8/8/8/8/R3K2R w KQkq - 0 1', 'r3k2r/8/8/8/8/8/8/R3K2R w Kkq - 0 1'],
+        ['en passant file', 'rnbqkbnr/pppp1ppp/8/8/3Pp3/8/PPP1PPPP/RNBQKBNR b KQkq d3 0 2', 'rnbqkbnr/pppp1ppp/8/8/3Pp3/8/PPP1PPPP/RNBQKBNR b KQkq - 0 2']
+    ])('tells positions apart by %s', (name, a, b) => {
+        expect(hash(fromFEN(a))).not.toBe(hash(fromFEN(b)));
+    });
+    
+    test('ignores the move counters', () => {
+        expect(hash(fromFEN('4k3/8/8/8/8/8/8/4K3 w - - 0 1'))).toBe(hash(fromFEN('4k3/8/8/8/8/8/8/4K3 w - - 12 40')));
+    });
+});
+
+describe('transposition table', () => {
+    test('keeps mate scores relative to the position they were stored at', () => {
+        const ai = new ChessAI();
+        
+        ai.storeTransposition(1, 3, 100000 - 5, 'exact', null, 2);
+        
+        expect(ai.transpositionTable.get(1).score).toBe(100000 - 3);
+        expect(ai.scoreFromTransposition(ai.transpositionTable.get(1).score, 4)).toBe(100000 - 7);
+    });
+    
+    test('keeps the deeper of two entries', () => {
+        const ai = new ChessAI();
+        
+        ai.storeTransposition(1, 4, 30, 'exact', null, 0);
+        ai.storeTransposition(1, 2, -30, 'exact', null, 0);
+        
+        expect(ai.transpositionTable.get(1)).toMatchObject({ depth: 4, score: 30 });
+    });
+});
+
+describe('clock and draw decisions', () => {
+    test('spends an even share of the clock plus most of the increment', () => {
+        const clock = new ChessClock(parseTimeControl('5+2'), () => 0);
+        
+        expect(new ChessAI().getTimeBudget(clock, 'white')).toBe(300000 / 30 + 1500);
+    });
+    
+    test('shares the time out over the moves left to the time control', () => {
+        const clock = new ChessClock(parseTimeControl('40/90:30'), () => 0);
+        
+        expect(new ChessAI().getTimeBudget(clock, 'white')).toBe(5400000 / 40);
+    });
+    
+    test('never thinks for more than half the time left', () => {
+        const clock = new ChessClock(parseTimeControl('1+30'), () => 0);
+        clock.setTimes({ white: 1000, black: 60000 });
+        
+        expect(new ChessAI().getTimeBudget(clock, 'white')).toBe(500);
+    });
+    
+    test('accepts a draw only when it is worse off', () => {
+        const ai = new ChessAI();
+        const losing = fromFEN('k7/8/8/8/8/8/8/KQ6 b - - 0 1');
+        
+        expect(ai.acceptsDraw(losing, 'black')).toBe(true);
+        expect(ai.acceptsDraw(losing, 'white')).toBe(false);
+    });
+});
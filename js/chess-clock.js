@@ -0,0 +1,193 @@
+/**
+ * Chess Clock Module
+ * Handles time controls, increments, delays and flag detection
+ */
+
+// Preset time controls offered in the mode selection screen
+const TIME_CONTROL_PRESETS = {
+    'none': 'No clock',
+    '1+0': 'Bullet 1+0',
+    '3+2': 'Blitz 3+2',
+    '5d3': 'Blitz 5 min, 3s delay',
+    '5b3': 'Blitz 5 min, 3s Bronstein',
+    '10+5': 'Rapid 10+5',
+    '90+30': 'Classical 90+30',
+    '40/90+30:30+30': 'Classical 40/90+30, then 30+30'
+};
+
+/**
+ * Parse a time control string into clock stages
+ *
+ * Stages are separated by ':' and each one is written as
+ * [moves/]minutes[+increment | dDelay | bDelay] with bonus values in seconds:
+ *   "5"              - 5 minutes sudden death
+ *   "3+2"            - 3 minutes, 2 second Fischer increment
+ *   "5d3"            - 5 minutes, 3 second simple delay
+ *   "5b3"            - 5 minutes, 3 second Bronstein delay
+ *   "40/90+30:30+30" - 90 minutes for 40 moves, then 30 minutes, 30s increment
+ *
+ * Returns null for "none"
+ */
+function parseTimeControl(text) {
+    if (!text || text === 'none') return null;
+    
+    const bonusTypes = { '+': 'increment', 'd': 'simple', 'b': 'bronstein' };
+    
+    return text.split(':').map((stageText, index, stages) => {
+        const match = /^(?:(\d+)\/)?(\d+(?:\.\d+)?)(?:([+db])(\d+(?:\.\d+)?))?$/.exec(stageText.trim());
+        if (!match) {
+            throw new Error(`Invalid time control stage '${stageText}'`);
+        }
+        
+        const [, moves, minutes, bonusSymbol, bonusSeconds] = match;
+        if (!moves && index < stages.length - 1) {
+            throw new Error('Only the last time control stage can be sudden death');
+        }
+        
+        return {
+            moves: moves ? parseInt(moves) : null,
+            time: Math.round(parseFloat(minutes) * 60000),
+            bonusType: bonusSymbol ? bonusTypes[bonusSymbol] : null,
+            bonus: bonusSeconds ? Math.round(parseFloat(bonusSeconds) * 1000) : 0
+        };
+    });
+}
+
+class ChessClock {
+    constructor(stages, now = () => Date.now()) {
+        this.stages = stages;
+        this.now = now;
+        this.reset();
+    }
+
+    reset() {
+        const initialTime = this.stages[0].time;
+        this.players = {
+            white: { remaining: initialTime, stage: 0, stageMoves: 0 },
+            black: { remaining: initialTime, stage: 0, stageMoves: 0 }
+        };
+        this.activeColor = null;
+        this.turnStartedAt = null;
+        this.flagged = null;
+    }
+
+    /**
+     * Start running the clock for a color
+     */
+    start(color = COLORS.WHITE) {
+        if (this.flagged) return;
+        this.activeColor = color;
+        this.turnStartedAt = this.now();
+    }
+
+    /**
+     * Stop the clock, charging the running player for time used so far
+     */
+    stop() {
+        if (!this.activeColor) return;
+        this.players[this.activeColor].remaining = Math.max(0, this.getRemaining(this.activeColor));
+        this.activeColor = null;
+        this.turnStartedAt = null;
+    }
+
+    /**
+     * Hand the clock to a color without applying any bonus (e.g. after undo)
+     */
+    setActiveColor(color) {
+        this.stop();
+        this.start(color);
+    }
+
+    /**
+     * Set both players' remaining time from an authoritative source (e.g. the
+     * game server) and run the clock for a color, or for nobody if null
+     */
+    setTimes(times, running = null) {
+        this.players.white.remaining = times.white;
+        this.players.black.remaining = times.black;
+        this.activeColor = null;
+        this.turnStartedAt = null;
+        if (running) {
+            this.start(running);
+        }
+    }
+
+    /**
+     * Get the current stage for a color
+     */
+    getStage(color) {
+        return this.stages[this.players[color].stage];
+    }
+
+    /**
+     * Get remaining time in milliseconds, including the running turn
+     */
+    getRemaining(color) {
+        const player = this.players[color];
+        if (color !== this.activeColor) return player.remaining;
+        
+        const elapsed = this.now() - this.turnStartedAt;
+        const stage = this.getStage(color);
+        
+        // Simple delay: the clock only starts counting down after the delay
+        const charged = stage.bonusType === 'simple' ? Math.max(0, elapsed - stage.bonus) : elapsed;
+        return player.remaining - charged;
+    }
+
+    /**
+     * Get the number of moves left in the current stage, or null in sudden death
+     */
+    getMovesToGo(color) {
+        const stage = this.getStage(color);
+        return stage.moves ? stage.moves - this.players[color].stageMoves : null;
+    }
+
+    /**
+     * Check whether the running player has run out of time
+     * Returns the flagged color, or null
+     */
+    checkFlag() {
+        if (this.flagged) return this.flagged;
+        if (!this.activeColor || this.getRemaining(this.activeColor) > 0) return null;
+        
+        this.flagged = this.activeColor;
+        this.players[this.flagged].remaining = 0;
+        this.activeColor = null;
+        this.turnStartedAt = null;
+        return this.flagged;
+    }
+
+    /**
+     * Complete the running player's move: charge the time used, apply
+     * increment or delay, advance the stage if its move quota is met and
+     * start the opponent's clock
+     * Returns false if the player's flag fell before the move was made
+     */
+    press() {
+        const color = this.activeColor;
+        if (!color) return !this.flagged;
+        if (this.checkFlag()) return false;
+        
+        const player = this.players[color];
+        const stage = this.getStage(color);
+        const elapsed = this.now() - this.turnStartedAt;
+        
+        player.remaining = this.getRemaining(color);
+        if (stage.bonusType === 'increment') {
+            player.remaining += stage.bonus;
+        } else if (stage.bonusType === 'bronstein') {
+            player.remaining += Math.min(elapsed, stage.bonus);
+        }
+        
+        // Move to the next stage; a final stage with a move quota repeats
+        player.stageMoves++;
+        if (stage.moves && player.stageMoves >= stage.moves) {
+            player.stage = Math.min(player.stage + 1, this.stages.length - 1);
+            player.stageMoves = 0;
+            player.remaining += this.getStage(color).time;
+        }
+        
+        this.start(color === COLORS.WHITE ? COLORS.BLACK : COLORS.WHITE);
+        return true;
+    }
+}
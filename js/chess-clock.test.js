@@ -0,0 +1,151 @@
+const { loadScripts } = require('./test-helpers/load-scripts');
+
+const { parseTimeControl, ChessClock } = loadScripts(['chess-pieces.js', 'chess-clock.js'], ['parseTimeControl', 'ChessClock']);
+
+// A clock on a hand-driven time source
+const createClock = (timeControl) => {
+    const time = { now: 0 };
+    const clock = new ChessClock(parseTimeControl(timeControl), () => time.now);
+    return { clock, time };
+};
+
+describe('parseTimeControl', () => {
+    test.each([
+        ['5', [{ moves: null, time: 300000, bonusType: null, bonus: 0 }]],
+        ['3+2', [{ moves: null, time: 180000, bonusType: 'increment', bonus: 2000 }]],
+        ['5d3', [{ moves: null, time: 300000, bonusType: 'simple', bonus: 3000 }]],
+        ['5b3', [{ moves: null, time: 300000, bonusType: 'bronstein', bonus: 3000 }]],
+        ['0.5+0.5', [{ moves: null, time: 30000, bonusType: 'increment', bonus: 500 }]],
+        ['40/90+30:30+30', [
+            { moves: 40, time: 5400000, bonusType: 'increment', bonus: 30000 },
+            { moves: null, time: 1800000, bonusType: 'increment', bonus: 30000 }
+        ]]
+    ])('reads %s', (text, stages) => {
+        expect(JSON.parse(JSON.stringify(parseTimeControl(text)))).toEqual(stages);
+    });
+    
+    test('has no clock for none', () => {
+        expect(parseTimeControl('none')).toBeNull();
+        expect(parseTimeControl('')).toBeNull();
+    });
+    
+    test.each(['3+', 'x', '5x3', '90+30:30+30'])('rejects %s', (text) => {
+        expect(() => parseTimeControl(text)).toThrow();
+    });
+});
+
+describe('ChessClock', () => {
+    test('charges the running side and adds the increment', () => {
+        const { clock, time } = createClock('3+2');
+        clock.start();
+        
+        time.now = 5000;
+        expect(clock.getRemaining('white')).toBe(175000);
+        expect(clock.press()).toBe(true);
+        
+        expect(clock.getRemaining('white')).toBe(177000);
+        expect(clock.activeColor).toBe('black');
+    });
+    
+    test('a simple delay passes before the clock counts down', () => {
+        const { clock, time } = createClock('5d3');
+        clock.start();
+        
+        time.now = 2000;
+        expect(clock.getRemaining('white')).toBe(300000);
+        time.now = 5000;
+        expect(clock.getRemaining('white')).toBe(298000);
+        clock.press();
+        expect(clock.getRemaining('white')).toBe(298000);
+    });
+    
+    test('Bronstein gives back the time used, up to the delay', () => {
+        const { clock, time } = createClock('5b3');
+        clock.start();
+        
+        time.now = 2000;
+        clock.press();
+        expect(clock.getRemaining('white')).toBe(300000);
+        
+        time.now = 12000;
+        clock.press();
+        expect(clock.getRemaining('black')).toBe(293000);
+    });
+    
+    test('adds the next stage\'s time once the move quota is met', () => {
+        const { clock, time } = createClock('2/1:1+0');
+        clock.start();
+        
+        for (let move = 0; move < 4; move++) {
+            time.now += 1000;
+            clock.press();
+        }
+        
+        expect(clock.getRemaining('white')).toBe(60000 - 2000 + 60000);
+        expect(clock.getStage('white').moves).toBeNull();
+        expect(clock.getMovesToGo('white')).toBeNull();
+    });
+    
+    test('counts down the moves to the time control', () => {
+        const { clock } = createClock('40/90+30:30+30');
+        clock.start();
+        
+        expect(clock.getMovesToGo('white')).toBe(40);
+        clock.press();
+        expect(clock.getMovesToGo('white')).toBe(39);
+        expect(clock.getMovesToGo('black')).toBe(40);
+    });
+    
+    test('flags the running side at zero and stops', () => {
+        const { clock, time } = createClock('1+0');
+        clock.start();
+        
+        time.now = 59999;
+        expect(clock.checkFlag()).toBeNull();
+        time.now = 60000;
+        expect(clock.checkFlag()).toBe('white');
+        
+        expect(clock.getRemaining('white')).toBe(0);
+        expect(clock.activeColor).toBeNull();
+        expect(clock.press()).toBe(false);
+        
+        clock.start('black');
+        expect(clock.activeColor).toBeNull();
+    });
+    
+    test('a move made after the flag fell does not count', () => {
+        const { clock, time } = createClock('1+5');
+        clock.start();
+        
+        time.now = 61000;
+        expect(clock.press()).toBe(false);
+        expect(clock.flagged).toBe('white');
+        expect(clock.getRemaining('white')).toBe(0);
+    });
+    
+    test('stopping keeps the time used, and handing over adds no bonus', () => {
+        const { clock, time } = createClock('3+2');
+        clock.start();
+        
+        time.now = 4000;
+        clock.stop();
+        time.now = 10000;
+        expect(clock.getRemaining('white')).toBe(176000);
+        
+        clock.start('white');
+        time.now = 11000;
+        clock.setActiveColor('black');
+        expect(clock.getRemaining('white')).toBe(175000);
+        expect(clock.activeColor).toBe('black');
+    });
+    
+    test('takes its times from the server', () => {
+        const { clock, time } = createClock('3+2');
+        
+        clock.setTimes({ white: 12000, black: 34000 }, 'black');
+        time.now = 1000;
+        
+        expect(clock.getRemaining('white')).toBe(12000);
+        expect(clock.getRemaining('black')).toBe(33000);
+    });
+});
@@ -14,12 +14,28 @@ class ChessGame {
         this.selectedPiece = null;
         this.validMoves = [];
         this.moveHistory = [];
+        // Every move played, undone ones included: each node's first child
+        // continues its line, the others are variations. moveHistory holds
+        // the moves from the root to the current node
+        this.moveTree = { move: null, parent: null, children: [] };
+        this.currentNode = this.moveTree;
         this.capturedPieces = { white: [], black: [] };
         this.enPassantTarget = null;
         this.gameOver = false;
         this.winner = null;
         this.isCheck = false;
         this.lastMove = null;
+        this.castlingRights = {
+            white: { kingside: true, queenside: true },
+            black: { kingside: true, queenside: true }
+        };
+        this.halfmoveClock = 0;
+        this.fullmoveNumber = 1;
+        this.startFEN = null;
+        this.comment = null;
+        this.drawReason = null;
+        this.winReason = null;
+        this.positionHistory = [this.getPositionKey()];
     }
 
     /**
@@ -55,20 +71,73 @@ class ChessGame {
     }
 
     /**
-     * Check if a position is under attack by the opponent
+     * Check if a square is attacked by the given color, looking outwards
+     * from the square for pawns, knights, kings and sliding pieces
      */
     isSquareAttacked(row, col, byColor) {
-        for (let r = 0; r < 8; r++) {
-            for (let c = 0; c < 8; c++) {
-                const piece = this.getPiece(r, c);
-                if (piece && piece.color === byColor) {
-                    const moves = this.getRawMoves(r, c, piece, true);
-                    if (moves.some(m => m.row === row && m.col === col)) {
-                        return true;
+        // Check pawn attacks
+        const pawnDir = byColor === COLORS.WHITE ? 1 : -1;
+        for (const dc of [-1, 1]) {
+            const pr = row + pawnDir;
+            const pc = col + dc;
+            if (pr >= 0 && pr <= 7 && pc >= 0 && pc <= 7) {
+                const p = this.getPiece(pr, pc);
+                if (p && p.type === PIECES.PAWN && p.color === byColor) return true;
+            }
+        }
+        
+        // Check knight attacks
+        const knightOffsets = [
+            [-2, -1], [-2, 1], [-1, -2], [-1, 2],
+            [1, -2], [1, 2], [2, -1], [2, 1]
+        ];
+        for (const [dr, dc] of knightOffsets) {
+            const nr = row + dr;
+            const nc = col + dc;
+            if (nr >= 0 && nr <= 7 && nc >= 0 && nc <= 7) {
+                const p = this.getPiece(nr, nc);
+                if (p && p.type === PIECES.KNIGHT && p.color === byColor) return true;
+            }
+        }
+        
+        // Check king attacks
+        const kingOffsets = [
+            [-1, -1], [-1, 0], [-1, 1],
+            [0, -1],          [0, 1],
+            [1, -1],  [1, 0], [1, 1]
+        ];
+        for (const [dr, dc] of kingOffsets) {
+            const kr = row + dr;
+            const kc = col + dc;
+            if (kr >= 0 && kr <= 7 && kc >= 0 && kc <= 7) {
+                const p = this.getPiece(kr, kc);
+                if (p && p.type === PIECES.KING && p.color === byColor) return true;
+            }
+        }
+        
+        // Check sliding piece attacks (rook, bishop, queen)
+        const directions = [
+            { dirs: [[0, 1], [0, -1], [1, 0], [-1, 0]], types: [PIECES.ROOK, PIECES.QUEEN] },
+            { dirs: [[1, 1], [1, -1], [-1, 1], [-1, -1]], types: [PIECES.BISHOP, PIECES.QUEEN] }
+        ];
+        
+        for (const { dirs, types } of directions) {
+            for (const [dr, dc] of dirs) {
+                let r = row + dr;
+                let c = col + dc;
+                
+                while (r >= 0 && r <= 7 && c >= 0 && c <= 7) {
+                    const p = this.getPiece(r, c);
+                    if (p) {
+                        if (p.color === byColor && types.includes(p.type)) return true;
+                        break;
                     }
+                    r += dr;
+                    c += dc;
                 }
             }
         }
+        
         return false;
     }
 
@@ -85,12 +154,12 @@ class ChessGame {
     /**
      * Get raw moves for a piece (without checking for check)
      */
-    getRawMoves(row, col, piece, attackOnly = false) {
+    getRawMoves(row, col, piece) {
         const moves = [];
         
         switch (piece.type) {
             case PIECES.PAWN:
-                this.getPawnMoves(row, col, piece, moves, attackOnly);
+                this.getPawnMoves(row, col, piece, moves);
                 break;
             case PIECES.ROOK:
                 this.getSlidingMoves(row, col, piece, moves, [[0, 1], [0, -1], [1, 0], [-1, 0]]);
@@ -108,7 +177,7 @@ class ChessGame {
                 ]);
                 break;
             case PIECES.KING:
-                this.getKingMoves(row, col, piece, moves, attackOnly);
+                this.getKingMoves(row, col, piece, moves);
                 break;
         }
         
@@ -118,23 +187,21 @@ class ChessGame {
     /**
      * Get pawn moves
      */
-    getPawnMoves(row, col, piece, moves, attackOnly) {
+    getPawnMoves(row, col, piece, moves) {
         const direction = piece.color === COLORS.WHITE ? -1 : 1;
         const startRow = piece.color === COLORS.WHITE ? 6 : 1;
         const promotionRow = piece.color === COLORS.WHITE ? 0 : 7;
 
-        // Forward move (not for attack checking)
-        if (!attackOnly) {
-            const oneStep = row + direction;
-            if (oneStep >= 0 && oneStep <= 7 && !this.getPiece(oneStep, col)) {
-                moves.push({ row: oneStep, col, promotion: oneStep === promotionRow });
-                
-                // Two step from starting position
-                if (row === startRow) {
-                    const twoStep = row + 2 * direction;
-                    if (!this.getPiece(twoStep, col)) {
-                        moves.push({ row: twoStep, col, twoStep: true });
-                    }
+        // Forward move
+        const oneStep = row + direction;
+        if (oneStep >= 0 && oneStep <= 7 && !this.getPiece(oneStep, col)) {
+            moves.push({ row: oneStep, col, promotion: oneStep === promotionRow });
+            
+            // Two step from starting position
+            if (row === startRow) {
+                const twoStep = row + 2 * direction;
+                if (!this.getPiece(twoStep, col)) {
+                    moves.push({ row: twoStep, col, twoStep: true });
                 }
             }
         }
@@ -147,15 +214,12 @@ class ChessGame {
             if (newRow >= 0 && newRow <= 7 && newCol >= 0 && newCol <= 7) {
                 const target = this.getPiece(newRow, newCol);
                 
-                if (attackOnly) {
-                    // For attack checking, pawns attack diagonally
-                    moves.push({ row: newRow, col: newCol });
-                } else if (target && target.color !== piece.color) {
+                if (target && target.color !== piece.color) {
                     moves.push({ row: newRow, col: newCol, capture: true, promotion: newRow === promotionRow });
                 }
                 
                 // En passant
-                if (!attackOnly && this.enPassantTarget && 
+                if (this.enPassantTarget && 
                     this.enPassantTarget.row === newRow && 
                     this.enPassantTarget.col === newCol) {
                     moves.push({ row: newRow, col: newCol, enPassant: true, capture: true });
@@ -215,7 +279,7 @@ class ChessGame {
     /**
      * Get king moves
      */
-    getKingMoves(row, col, piece, moves, attackOnly) {
+    getKingMoves(row, col, piece, moves) {
         const offsets = [
             [-1, -1], [-1, 0], [-1, 1],
             [0, -1],          [0, 1],
@@ -234,8 +298,9 @@ class ChessGame {
             }
         }
         
-        // Castling (not for attack checking)
-        if (!attackOnly && !piece.hasMoved && !this.isInCheck(piece.color)) {
+        // Castling
+        const rights = this.castlingRights[piece.color];
+        if ((rights.kingside || rights.queenside) && !this.isInCheck(piece.color)) {
             this.getCastlingMoves(row, col, piece, moves);
         }
     }
@@ -245,10 +310,15 @@ class ChessGame {
      */
     getCastlingMoves(row, col, piece, moves) {
         const opponentColor = piece.color === COLORS.WHITE ? COLORS.BLACK : COLORS.WHITE;
+        const rights = this.castlingRights[piece.color];
+        
+        // Castling rights only make sense with the king on its home square
+        if (col !== 4 || row !== (piece.color === COLORS.WHITE ? 7 : 0)) return;
         
         // Kingside castling
         const kingsideRook = this.getPiece(row, 7);
-        if (kingsideRook && kingsideRook.type === PIECES.ROOK && !kingsideRook.hasMoved) {
+        if (rights.kingside && kingsideRook && kingsideRook.type === PIECES.ROOK &&
+            kingsideRook.color === piece.color) {
             if (!this.getPiece(row, 5) && !this.getPiece(row, 6)) {
                 if (!this.isSquareAttacked(row, 5, opponentColor) && 
                     !this.isSquareAttacked(row, 6, opponentColor)) {
@@ -259,7 +329,8 @@ class ChessGame {
         
         // Queenside castling
         const queensideRook = this.getPiece(row, 0);
-        if (queensideRook && queensideRook.type === PIECES.ROOK && !queensideRook.hasMoved) {
+        if (rights.queenside && queensideRook && queensideRook.type === PIECES.ROOK &&
+            queensideRook.color === piece.color) {
             if (!this.getPiece(row, 1) && !this.getPiece(row, 2) && !this.getPiece(row, 3)) {
                 if (!this.isSquareAttacked(row, 2, opponentColor) && 
                     !this.isSquareAttacked(row, 3, opponentColor)) {
@@ -280,52 +351,104 @@ class ChessGame {
         const validMoves = [];
         
         for (const move of rawMoves) {
-            // Simulate the move
-            const originalBoard = copyBoard(this.board);
-            const originalEnPassant = this.enPassantTarget;
-            
-            this.simulateMove(row, col, move.row, move.col, move);
+            const record = this.applyMove({ from: { row, col }, to: move });
             
             // Check if king is in check after the move
             if (!this.isInCheck(piece.color)) {
                 validMoves.push(move);
             }
             
-            // Restore the board
-            this.board = originalBoard;
-            this.enPassantTarget = originalEnPassant;
+            this.unapplyMove(record);
         }
         
         return validMoves;
     }
 
     /**
-     * Simulate a move (for validation)
+     * Apply a move ({ from, to: moveInfo }) to the position without any game
+     * bookkeeping (history, captured pieces, game over state)
+     * Returns a record that unapplyMove() uses to restore the position exactly
      */
-    simulateMove(fromRow, fromCol, toRow, toCol, moveInfo) {
-        const piece = this.getPiece(fromRow, fromCol);
+    applyMove(move, promotionPiece = PIECES.QUEEN) {
+        const { from, to } = move;
+        const piece = this.getPiece(from.row, from.col);
+        
+        const record = {
+            from: { row: from.row, col: from.col },
+            to: { row: to.row, col: to.col },
+            piece,
+            captured: this.getPiece(to.row, to.col),
+            castling: to.castling,
+            enPassant: to.enPassant,
+            promotion: to.promotion,
+            promotionPiece: to.promotion ? promotionPiece : null,
+            previousEnPassant: this.enPassantTarget,
+            previousCastlingRights: this.copyCastlingRights(),
+            previousHalfmoveClock: this.halfmoveClock
+        };
         
         // Handle en passant capture
-        if (moveInfo && moveInfo.enPassant) {
-            const capturedRow = piece.color === COLORS.WHITE ? toRow + 1 : toRow - 1;
-            this.setPiece(capturedRow, toCol, null);
+        if (to.enPassant) {
+            const capturedRow = piece.color === COLORS.WHITE ? to.row + 1 : to.row - 1;
+            record.captured = this.getPiece(capturedRow, to.col);
+            this.setPiece(capturedRow, to.col, null);
         }
         
         // Handle castling
-        if (moveInfo && moveInfo.castling) {
-            if (moveInfo.castling === 'kingside') {
-                const rook = this.getPiece(fromRow, 7);
-                this.setPiece(fromRow, 7, null);
-                this.setPiece(fromRow, 5, rook);
-            } else {
-                const rook = this.getPiece(fromRow, 0);
-                this.setPiece(fromRow, 0, null);
-                this.setPiece(fromRow, 3, rook);
-            }
+        if (to.castling) {
+            const [rookFromCol, rookToCol] = to.castling === 'kingside' ? [7, 5] : [0, 3];
+            this.setPiece(from.row, rookToCol, this.getPiece(from.row, rookFromCol));
+            this.setPiece(from.row, rookFromCol, null);
+        }
+        
+        // Move the piece, promoting if needed
+        const movedPiece = record.promotionPiece ? createPiece(record.promotionPiece, piece.color) : piece;
+        this.setPiece(to.row, to.col, movedPiece);
+        this.setPiece(from.row, from.col, null);
+        
+        // Set en passant target
+        this.enPassantTarget = to.twoStep ? { row: (from.row + to.row) / 2, col: to.col } : null;
+        
+        // Update castling rights, move counters and turn
+        this.updateCastlingRights(piece, from.row, from.col, to.row, to.col);
+        this.halfmoveClock = piece.type === PIECES.PAWN || record.captured ? 0 : this.halfmoveClock + 1;
+        if (piece.color === COLORS.BLACK) {
+            this.fullmoveNumber++;
         }
+        this.currentTurn = piece.color === COLORS.WHITE ? COLORS.BLACK : COLORS.WHITE;
         
-        this.setPiece(toRow, toCol, piece);
-        this.setPiece(fromRow, fromCol, null);
+        return record;
+    }
+
+    /**
+     * Take back a move applied with applyMove(), restoring the board,
+     * en passant target, castling rights, move counters and turn
+     */
+    unapplyMove(record) {
+        const { from, to, piece } = record;
+        
+        this.setPiece(from.row, from.col, piece);
+        if (record.enPassant) {
+            const capturedRow = piece.color === COLORS.WHITE ? to.row + 1 : to.row - 1;
+            this.setPiece(to.row, to.col, null);
+            this.setPiece(capturedRow, to.col, record.captured);
+        } else {
+            this.setPiece(to.row, to.col, record.captured);
+        }
+        
+        if (record.castling) {
+            const [rookFromCol, rookToCol] = record.castling === 'kingside' ? [7, 5] : [0, 3];
+            this.setPiece(from.row, rookFromCol, this.getPiece(from.row, rookToCol));
+            this.setPiece(from.row, rookToCol, null);
+        }
+        
+        this.enPassantTarget = record.previousEnPassant;
+        this.castlingRights = record.previousCastlingRights;
+        this.halfmoveClock = record.previousHalfmoveClock;
+        if (piece.color === COLORS.BLACK) {
+            this.fullmoveNumber--;
+        }
+        this.currentTurn = piece.color;
     }
 
     /**
@@ -338,88 +461,242 @@ class ChessGame {
         const moveInfo = this.validMoves.find(m => m.row === toRow && m.col === toCol);
         if (!moveInfo) return false;
         
+        // Disambiguation depends on the position before the move
+        const disambiguation = this.getDisambiguation(fromRow, fromCol, toRow, toCol, piece);
+        const previousHasMoved = piece.hasMoved;
+        
+        const record = this.applyMove(
+            { from: { row: fromRow, col: fromCol }, to: moveInfo },
+            promotionPiece || PIECES.QUEEN
+        );
+        
         // Store move for history
         const move = {
-            from: { row: fromRow, col: fromCol },
-            to: { row: toRow, col: toCol },
-            piece: { ...piece },
-            captured: null,
-            castling: moveInfo.castling,
-            enPassant: moveInfo.enPassant,
-            promotion: moveInfo.promotion,
-            promotionPiece: promotionPiece,
-            previousEnPassant: this.enPassantTarget
+            ...record,
+            piece: { ...piece, hasMoved: previousHasMoved },
+            captured: record.captured ? { ...record.captured } : null,
+            disambiguation,
+            check: false,
+            checkmate: false
         };
         
-        // Handle capture
-        let capturedPiece = this.getPiece(toRow, toCol);
+        if (record.captured) {
+            this.capturedPieces[piece.color].push(record.captured);
+        }
         
-        // Handle en passant capture
-        if (moveInfo.enPassant) {
-            const capturedRow = piece.color === COLORS.WHITE ? toRow + 1 : toRow - 1;
-            capturedPiece = this.getPiece(capturedRow, toCol);
-            this.setPiece(capturedRow, toCol, null);
+        // Mark the moved pieces
+        piece.hasMoved = true;
+        this.getPiece(toRow, toCol).hasMoved = true;
+        if (moveInfo.castling) {
+            this.getPiece(fromRow, moveInfo.castling === 'kingside' ? 5 : 3).hasMoved = true;
         }
         
-        if (capturedPiece) {
-            move.captured = { ...capturedPiece };
-            this.capturedPieces[piece.color].push(capturedPiece);
+        // Store last move for highlighting
+        this.lastMove = { from: { row: fromRow, col: fromCol }, to: { row: toRow, col: toCol } };
+        
+        // Add to history. Playing a move that was undone follows it again,
+        // any other move starts a variation
+        this.moveHistory.push(move);
+        let node = this.currentNode.children.find(child => this.isSameMove(child.move, move));
+        if (node) {
+            if (node.move.comment) {
+                move.comment = node.move.comment;
+            }
+            node.move = move;
+        } else {
+            node = { move, parent: this.currentNode, children: [] };
+            this.currentNode.children.push(node);
         }
+        this.currentNode = node;
         
-        // Handle castling
-        if (moveInfo.castling) {
-            if (moveInfo.castling === 'kingside') {
-                const rook = this.getPiece(fromRow, 7);
-                rook.hasMoved = true;
-                this.setPiece(fromRow, 7, null);
-                this.setPiece(fromRow, 5, rook);
-            } else {
-                const rook = this.getPiece(fromRow, 0);
-                rook.hasMoved = true;
-                this.setPiece(fromRow, 0, null);
-                this.setPiece(fromRow, 3, rook);
+        // Record the position for repetition detection
+        this.positionHistory.push(this.getPositionKey());
+        
+        // Check game state
+        this.checkGameState();
+        
+        // Record check/mate for notation
+        move.check = this.isCheck;
+        move.checkmate = this.isCheck && this.gameOver && this.winner !== 'draw';
+        
+        return true;
+    }
+
+    /**
+     * Get the SAN disambiguation for a move: the origin file, rank or both,
+     * whichever is needed to tell it apart from the same piece type moving
+     * to the same square
+     */
+    getDisambiguation(fromRow, fromCol, toRow, toCol, piece) {
+        if (piece.type === PIECES.PAWN || piece.type === PIECES.KING) return '';
+        
+        const rivals = [];
+        for (let row = 0; row < 8; row++) {
+            for (let col = 0; col < 8; col++) {
+                if (row === fromRow && col === fromCol) continue;
+                const other = this.getPiece(row, col);
+                if (!other || other.type !== piece.type || other.color !== piece.color) continue;
+                if (this.getValidMoves(row, col).some(m => m.row === toRow && m.col === toCol)) {
+                    rivals.push({ row, col });
+                }
             }
         }
         
-        // Move the piece
-        piece.hasMoved = true;
-        this.setPiece(toRow, toCol, piece);
-        this.setPiece(fromRow, fromCol, null);
+        if (rivals.length === 0) return '';
         
-        // Handle pawn promotion
-        if (moveInfo.promotion && promotionPiece) {
-            const promotedPiece = createPiece(promotionPiece, piece.color);
-            promotedPiece.hasMoved = true;
-            this.setPiece(toRow, toCol, promotedPiece);
+        const file = 'abcdefgh'[fromCol];
+        const rank = '87654321'[fromRow];
+        if (!rivals.some(r => r.col === fromCol)) return file;
+        if (!rivals.some(r => r.row === fromRow)) return rank;
+        return file + rank;
+    }
+
+    /**
+     * Copy the castling rights so they can be restored on undo
+     */
+    copyCastlingRights() {
+        return {
+            white: { ...this.castlingRights.white },
+            black: { ...this.castlingRights.black }
+        };
+    }
+
+    /**
+     * Revoke castling rights affected by a move: a king move loses both sides,
+     * and a rook leaving or being captured on its corner loses that side
+     */
+    updateCastlingRights(piece, fromRow, fromCol, toRow, toCol) {
+        if (piece.type === PIECES.KING) {
+            this.castlingRights[piece.color].kingside = false;
+            this.castlingRights[piece.color].queenside = false;
         }
         
-        // Set en passant target
-        if (moveInfo.twoStep) {
-            this.enPassantTarget = {
-                row: piece.color === COLORS.WHITE ? toRow + 1 : toRow - 1,
-                col: toCol
-            };
-        } else {
-            this.enPassantTarget = null;
+        for (const [row, col] of [[fromRow, fromCol], [toRow, toCol]]) {
+            const color = row === 7 ? COLORS.WHITE : row === 0 ? COLORS.BLACK : null;
+            if (!color) continue;
+            if (col === 7) this.castlingRights[color].kingside = false;
+            if (col === 0) this.castlingRights[color].queenside = false;
         }
+    }
+
+    /**
+     * Get a key identifying the position for repetition purposes: placement,
+     * side to move, castling rights, and the en passant square only when an
+     * en passant capture is actually legal
+     */
+    getPositionKey() {
+        const [placement, turn, castling] = this.toFEN().split(' ');
+        let enPassant = '-';
         
-        // Store last move for highlighting
-        this.lastMove = { from: { row: fromRow, col: fromCol }, to: { row: toRow, col: toCol } };
+        if (this.enPassantTarget) {
+            const { row, col } = this.enPassantTarget;
+            const pawnRow = this.currentTurn === COLORS.WHITE ? row + 1 : row - 1;
+            for (const pawnCol of [col - 1, col + 1]) {
+                const pawn = this.getPiece(pawnRow, pawnCol);
+                if (pawn && pawn.type === PIECES.PAWN && pawn.color === this.currentTurn &&
+                    this.getValidMoves(pawnRow, pawnCol).some(m => m.enPassant)) {
+                    enPassant = this.squareToAlgebraic(this.enPassantTarget);
+                    break;
+                }
+            }
+        }
         
-        // Add to history
-        this.moveHistory.push(move);
+        return `${placement} ${turn} ${castling} ${enPassant}`;
+    }
+
+    /**
+     * Count how many times the current position has occurred
+     */
+    getRepetitionCount() {
+        const key = this.positionHistory[this.positionHistory.length - 1];
+        return this.positionHistory.filter(k => k === key).length;
+    }
+
+    /**
+     * Check if neither side has enough material to deliver checkmate:
+     * at most one knight or bishop besides the kings, or only bishops that
+     * all stand on squares of one color, whichever side they belong to
+     */
+    isInsufficientMaterial() {
+        const minors = [];
         
-        // Switch turn
-        this.currentTurn = this.currentTurn === COLORS.WHITE ? COLORS.BLACK : COLORS.WHITE;
+        for (let row = 0; row < 8; row++) {
+            for (let col = 0; col < 8; col++) {
+                const piece = this.getPiece(row, col);
+                if (!piece || piece.type === PIECES.KING) continue;
+                if (piece.type !== PIECES.BISHOP && piece.type !== PIECES.KNIGHT) return false;
+                minors.push({ type: piece.type, squareColor: (row + col) % 2 });
+            }
+        }
         
-        // Check game state
-        this.checkGameState();
+        if (minors.length <= 1) return true;
+        
+        return minors.every(m => m.type === PIECES.BISHOP && m.squareColor === minors[0].squareColor);
+    }
+
+    /**
+     * Get the reason a draw could be claimed in the current position, if any
+     */
+    getClaimableDraw() {
+        if (this.gameOver) return null;
+        if (this.getRepetitionCount() >= 3) return 'threefold-repetition';
+        if (this.halfmoveClock >= 100) return 'fifty-move-rule';
+        return null;
+    }
+
+    /**
+     * Claim a draw by threefold repetition or the fifty-move rule
+     */
+    claimDraw() {
+        const reason = this.getClaimableDraw();
+        if (!reason) return false;
         
+        this.gameOver = true;
+        this.winner = 'draw';
+        this.drawReason = reason;
         return true;
     }
 
     /**
-     * Check for checkmate, stalemate
+     * End the game because a player's flag fell
+     * A timeout against a lone king is scored as a draw
+     */
+    timeout(color) {
+        const opponentColor = color === COLORS.WHITE ? COLORS.BLACK : COLORS.WHITE;
+        const opponentHasOnlyKing = this.board.every(row => row.every(piece =>
+            !piece || piece.color !== opponentColor || piece.type === PIECES.KING
+        ));
+        
+        this.gameOver = true;
+        if (opponentHasOnlyKing) {
+            this.winner = 'draw';
+            this.drawReason = 'timeout-vs-lone-king';
+        } else {
+            this.winner = opponentColor;
+            this.winReason = 'timeout';
+        }
+    }
+
+    /**
+     * End the game because a player resigned
+     */
+    resign(color) {
+        this.gameOver = true;
+        this.winner = color === COLORS.WHITE ? COLORS.BLACK : COLORS.WHITE;
+        this.winReason = 'resignation';
+    }
+
+    /**
+     * End the game in a draw both players agreed to
+     */
+    agreeDraw() {
+        this.gameOver = true;
+        this.winner = 'draw';
+        this.drawReason = 'agreement';
+    }
+
+    /**
+     * Check for checkmate, stalemate and automatic draws
      */
     checkGameState() {
         this.isCheck = this.isInCheck(this.currentTurn);
@@ -446,70 +723,71 @@ class ChessGame {
             if (this.isCheck) {
                 // Checkmate
                 this.winner = this.currentTurn === COLORS.WHITE ? COLORS.BLACK : COLORS.WHITE;
+                this.winReason = 'checkmate';
             } else {
                 // Stalemate
                 this.winner = 'draw';
+                this.drawReason = 'stalemate';
             }
+            return;
         }
+        
+        // Draws that end the game without a claim
+        const drawReason = this.isInsufficientMaterial() ? 'insufficient-material'
+            : this.getRepetitionCount() >= 5 ? 'fivefold-repetition'
+            : this.halfmoveClock >= 150 ? 'seventy-five-move-rule'
+            : null;
+        
+        if (drawReason) {
+            this.gameOver = true;
+            this.winner = 'draw';
+            this.drawReason = drawReason;
+        }
+    }
+
+    /**
+     * Check if two move records move the same piece the same way
+     */
+    isSameMove(a, b) {
+        return a.from.row === b.from.row && a.from.col === b.from.col &&
+            a.to.row === b.to.row && a.to.col === b.to.col &&
+            a.promotionPiece === b.promotionPiece;
     }
 
     /**
      * Undo the last move
+     * It stays in the move tree to be redone, unless discarded because it
+     * should never have been played
      */
-    undoMove() {
+    undoMove(discard = false) {
         if (this.moveHistory.length === 0) return false;
         
         const move = this.moveHistory.pop();
+        this.positionHistory.pop();
         
-        // Restore the piece to original position
-        const piece = move.promotion && move.promotionPiece 
-            ? createPiece(PIECES.PAWN, move.piece.color)
-            : { ...move.piece };
-        
-        // Restore hasMoved flag
-        piece.hasMoved = move.piece.hasMoved;
+        const node = this.currentNode;
+        this.currentNode = node.parent;
+        if (discard) {
+            this.currentNode.children.splice(this.currentNode.children.indexOf(node), 1);
+        }
         
-        this.setPiece(move.from.row, move.from.col, piece);
-        this.setPiece(move.to.row, move.to.col, null);
+        // Restore the board, en passant target, castling rights, move counters and turn
+        this.unapplyMove({ ...move, piece: { ...move.piece } });
         
-        // Restore captured piece
         if (move.captured) {
-            if (move.enPassant) {
-                const capturedRow = piece.color === COLORS.WHITE ? move.to.row + 1 : move.to.row - 1;
-                this.setPiece(capturedRow, move.to.col, move.captured);
-            } else {
-                this.setPiece(move.to.row, move.to.col, move.captured);
-            }
-            
-            // Remove from captured pieces
-            const capturedList = this.capturedPieces[piece.color];
-            capturedList.pop();
+            this.capturedPieces[move.piece.color].pop();
         }
         
-        // Restore castling
+        // A castling rook had not moved before
         if (move.castling) {
-            if (move.castling === 'kingside') {
-                const rook = this.getPiece(move.from.row, 5);
-                rook.hasMoved = false;
-                this.setPiece(move.from.row, 5, null);
-                this.setPiece(move.from.row, 7, rook);
-            } else {
-                const rook = this.getPiece(move.from.row, 3);
-                rook.hasMoved = false;
-                this.setPiece(move.from.row, 3, null);
-                this.setPiece(move.from.row, 0, rook);
-            }
+            this.getPiece(move.from.row, move.castling === 'kingside' ? 7 : 0).hasMoved = false;
         }
         
-        // Restore en passant target
-        this.enPassantTarget = move.previousEnPassant;
-        
-        // Switch turn back
-        this.currentTurn = this.currentTurn === COLORS.WHITE ? COLORS.BLACK : COLORS.WHITE;
-        
         // Reset game state
         this.gameOver = false;
         this.winner = null;
+        this.drawReason = null;
+        this.winReason = null;
         this.isCheck = this.isInCheck(this.currentTurn);
         
         // Update last move
@@ -523,6 +801,119 @@ class ChessGame {
         return true;
     }
 
+    /**
+     * Play again the move undone last, following the line it was on
+     */
+    redoMove() {
+        const next = this.currentNode.children[0];
+        return next ? this.replayMove(next.move) : false;
+    }
+
+    /**
+     * Play a recorded move in the current position
+     */
+    replayMove(move) {
+        this.validMoves = this.getValidMoves(move.from.row, move.from.col);
+        const moved = this.makeMove(move.from.row, move.from.col, move.to.row, move.to.col, move.promotionPiece);
+        this.validMoves = [];
+        return moved;
+    }
+
+    /**
+     * Get the nodes from the root of the move tree down to a node
+     */
+    getNodePath(node) {
+        const path = [];
+        for (let current = node; current.parent; current = current.parent) {
+            path.unshift(current);
+        }
+        return path;
+    }
+
+    /**
+     * Check if a node is still in this game's move tree
+     */
+    hasNode(node) {
+        let current = node;
+        while (current.parent) {
+            if (!current.parent.children.includes(current)) return false;
+            current = current.parent;
+        }
+        return current === this.moveTree;
+    }
+
+    /**
+     * Check if a node leads to the current position, or is the current node
+     */
+    isOnCurrentLine(node) {
+        for (let current = this.currentNode; current; current = current.parent) {
+            if (current === node) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Move the game to the position after a node of its move tree, undoing
+     * moves back to where the lines meet and replaying the node's line
+     */
+    goToNode(node) {
+        if (!this.hasNode(node)) return false;
+        
+        const path = this.getNodePath(node);
+        while (this.currentNode.parent && !path.includes(this.currentNode)) {
+            this.undoMove();
+        }
+        for (const next of path.slice(this.moveHistory.length)) {
+            this.replayMove(next.move);
+        }
+        return true;
+    }
+
+    /**
+     * Make a variation the main line, at its own branch and at every branch
+     * above it
+     */
+    promoteVariation(node) {
+        if (!this.hasNode(node)) return false;
+        
+        for (let current = node; current.parent; current = current.parent) {
+            const siblings = current.parent.children;
+            siblings.splice(siblings.indexOf(current), 1);
+            siblings.unshift(current);
+        }
+        return true;
+    }
+
+    /**
+     * Delete a node and the moves after it from the move tree. When the
+     * current position is in it, the game goes back to where it branched
+     */
+    deleteVariation(node) {
+        if (!node.parent || !this.hasNode(node)) return false;
+        
+        if (this.isOnCurrentLine(node)) {
+            this.goToNode(node.parent);
+        }
+        node.parent.children.splice(node.parent.children.indexOf(node), 1);
+        return true;
+    }
+
+    /**
+     * Get a new game at the position after a node of the move tree,
+     * replayed from the start. This game is left untouched
+     */
+    getPositionAt(node) {
+        const position = new ChessGame();
+        if (this.startFEN) {
+            position.loadFEN(this.startFEN);
+        }
+        
+        for (const next of this.getNodePath(node)) {
+            position.replayMove(next.move);
+        }
+        return position;
+    }
+
     /**
      * Get all valid moves for a color
      */
@@ -549,7 +940,7 @@ class ChessGame {
     }
 
     /**
-     * Convert move to algebraic notation
+     * Convert move to standard algebraic notation (SAN)
      */
     getMoveNotation(move) {
         const files = 'abcdefgh';
@@ -562,43 +953,249 @@ class ChessGame {
         let notation = '';
         
         // Castling
-        if (move.castling === 'kingside') return 'O-O';
-        if (move.castling === 'queenside') return 'O-O-O';
-        
-        // Piece letter (except pawn)
-        if (piece.type !== PIECES.PAWN) {
-            const pieceLetters = {
-                [PIECES.KING]: 'K',
-                [PIECES.QUEEN]: 'Q',
-                [PIECES.ROOK]: 'R',
-                [PIECES.BISHOP]: 'B',
-                [PIECES.KNIGHT]: 'N'
-            };
-            notation += pieceLetters[piece.type];
-        }
-        
-        // Capture notation
-        if (move.captured) {
-            if (piece.type === PIECES.PAWN) {
-                notation += files[from.col];
+        if (move.castling === 'kingside') {
+            notation = 'O-O';
+        } else if (move.castling === 'queenside') {
+            notation = 'O-O-O';
+        } else {
+            // Piece letter (except pawn) and disambiguation
+            if (piece.type !== PIECES.PAWN) {
+                notation += SAN_PIECE_LETTERS[piece.type] + (move.disambiguation || '');
+            }
+            
+            // Capture notation
+            if (move.captured) {
+                if (piece.type === PIECES.PAWN) {
+                    notation += files[from.col];
+                }
+                notation += 'x';
+            }
+            
+            // Destination square
+            notation += files[to.col] + ranks[to.row];
+            
+            // Promotion
+            if (move.promotion && move.promotionPiece) {
+                notation += '=' + SAN_PIECE_LETTERS[move.promotionPiece];
             }
-            notation += 'x';
         }
         
-        // Destination square
-        notation += files[to.col] + ranks[to.row];
-        
-        // Promotion
-        if (move.promotion && move.promotionPiece) {
-            const promotionLetters = {
-                [PIECES.QUEEN]: 'Q',
-                [PIECES.ROOK]: 'R',
-                [PIECES.BISHOP]: 'B',
-                [PIECES.KNIGHT]: 'N'
-            };
-            notation += '=' + promotionLetters[move.promotionPiece];
+        // Check and checkmate markers
+        if (move.checkmate) {
+            notation += '#';
+        } else if (move.check) {
+            notation += '+';
         }
         
         return notation;
     }
+
+    /**
+     * Resolve a SAN string to a legal move in the current position
+     * Returns { from, to, piece, promotionPiece } or throws if the move is
+     * malformed, illegal or ambiguous
+     */
+    parseSAN(san) {
+        const text = san.trim().replace(/[+#?!]+$/, '');
+        const moves = this.getAllValidMoves(this.currentTurn);
+        
+        if (/^(O-O(-O)?|0-0(-0)?)$/.test(text)) {
+            const side = text.length > 3 ? 'queenside' : 'kingside';
+            const castle = moves.find(m => m.to.castling === side);
+            if (!castle) throw new Error(`Illegal move '${san}'`);
+            return { ...castle, promotionPiece: null };
+        }
+        
+        const match = /^([NBRQK])?([a-h])?([1-8])?x?([a-h][1-8])(?:=?([NBRQ]))?$/.exec(text);
+        if (!match) throw new Error(`Invalid move '${san}'`);
+        
+        const letterTypes = Object.fromEntries(
+            Object.entries(SAN_PIECE_LETTERS).map(([type, letter]) => [letter, type])
+        );
+        const [, pieceLetter, fromFile, fromRank, target, promotionLetter] = match;
+        const type = pieceLetter ? letterTypes[pieceLetter] : PIECES.PAWN;
+        const to = this.algebraicToSquare(target);
+        
+        const candidates = moves.filter(m =>
+            m.piece.type === type &&
+            m.to.row === to.row && m.to.col === to.col &&
+            (!fromFile || m.from.col === fromFile.charCodeAt(0) - 97) &&
+            (!fromRank || m.from.row === 8 - parseInt(fromRank))
+        );
+        
+        if (candidates.length === 0) throw new Error(`Illegal move '${san}'`);
+        if (candidates.length > 1) throw new Error(`Ambiguous move '${san}'`);
+        
+        const move = candidates[0];
+        if (move.to.promotion && !promotionLetter) {
+            throw new Error(`Move '${san}' is missing its promotion piece`);
+        }
+        if (!move.to.promotion && promotionLetter) {
+            throw new Error(`Move '${san}' cannot promote`);
+        }
+        
+        return { ...move, promotionPiece: promotionLetter ? letterTypes[promotionLetter] : null };
+    }
+
+    /**
+     * Load a position from a FEN string
+     */
+    loadFEN(fen) {
+        const fields = fen.trim().split(/\s+/);
+        if (fields.length !== 6) {
+            throw new Error(`Invalid FEN: expected 6 fields, got ${fields.length}`);
+        }
+        
+        const [placement, turn, castling, enPassant, halfmove, fullmove] = fields;
+        const pieceTypes = {
+            k: PIECES.KING, q: PIECES.QUEEN, r: PIECES.ROOK,
+            b: PIECES.BISHOP, n: PIECES.KNIGHT, p: PIECES.PAWN
+        };
+        
+        // Piece placement
+        const rows = placement.split('/');
+        if (rows.length !== 8) {
+            throw new Error('Invalid FEN: piece placement must have 8 ranks');
+        }
+        
+        const board = Array(8).fill(null).map(() => Array(8).fill(null));
+        rows.forEach((rankText, row) => {
+            let col = 0;
+            for (const char of rankText) {
+                if (/[1-8]/.test(char)) {
+                    col += parseInt(char);
+                } else if (pieceTypes[char.toLowerCase()] && col < 8) {
+                    const color = char === char.toUpperCase() ? COLORS.WHITE : COLORS.BLACK;
+                    board[row][col] = createPiece(pieceTypes[char.toLowerCase()], color);
+                    col++;
+                } else {
+                    throw new Error(`Invalid FEN: unexpected '${char}' on rank ${8 - row}`);
+                }
+            }
+            if (col !== 8) {
+                throw new Error(`Invalid FEN: rank ${8 - row} does not describe 8 squares`);
+            }
+        });
+        
+        // Side to move
+        if (turn !== 'w' && turn !== 'b') {
+            throw new Error(`Invalid FEN: side to move must be 'w' or 'b', got '${turn}'`);
+        }
+        
+        // Castling rights
+        if (!/^(-|K?Q?k?q?)$/.test(castling)) {
+            throw new Error(`Invalid FEN: bad castling field '${castling}'`);
+        }
+        
+        // En passant target
+        let enPassantTarget = null;
+        if (enPassant !== '-') {
+            enPassantTarget = this.algebraicToSquare(enPassant);
+            if (!enPassantTarget || enPassantTarget.row !== (turn === 'w' ? 2 : 5)) {
+                throw new Error(`Invalid FEN: bad en passant square '${enPassant}'`);
+            }
+        }
+        
+        // Move counters
+        if (!/^\d+$/.test(halfmove) || !/^\d+$/.test(fullmove) || parseInt(fullmove) < 1) {
+            throw new Error('Invalid FEN: bad halfmove clock or fullmove number');
+        }
+        
+        this.reset();
+        this.board = board;
+        this.currentTurn = turn === 'w' ? COLORS.WHITE : COLORS.BLACK;
+        this.castlingRights = {
+            white: { kingside: castling.includes('K'), queenside: castling.includes('Q') },
+            black: { kingside: castling.includes('k'), queenside: castling.includes('q') }
+        };
+        this.enPassantTarget = enPassantTarget;
+        this.halfmoveClock = parseInt(halfmove);
+        this.fullmoveNumber = parseInt(fullmove);
+        
+        // Keep hasMoved flags consistent with the position
+        for (let row = 0; row < 8; row++) {
+            for (let col = 0; col < 8; col++) {
+                const piece = board[row][col];
+                if (!piece) continue;
+                const homeRow = piece.color === COLORS.WHITE ? 7 : 0;
+                const rights = this.castlingRights[piece.color];
+                if (piece.type === PIECES.PAWN) {
+                    piece.hasMoved = row !== (piece.color === COLORS.WHITE ? 6 : 1);
+                } else if (piece.type === PIECES.KING) {
+                    piece.hasMoved = !(rights.kingside || rights.queenside);
+                } else if (piece.type === PIECES.ROOK && row === homeRow && (col === 0 || col === 7)) {
+                    piece.hasMoved = !(col === 7 ? rights.kingside : rights.queenside);
+                } else {
+                    piece.hasMoved = true;
+                }
+            }
+        }
+        
+        this.startFEN = this.toFEN();
+        this.positionHistory = [this.getPositionKey()];
+        this.checkGameState();
+    }
+
+    /**
+     * Export the current position as a FEN string
+     */
+    toFEN() {
+        const pieceLetters = {
+            [PIECES.KING]: 'k',
+            [PIECES.QUEEN]: 'q',
+            [PIECES.ROOK]: 'r',
+            [PIECES.BISHOP]: 'b',
+            [PIECES.KNIGHT]: 'n',
+            [PIECES.PAWN]: 'p'
+        };
+        
+        const ranks = [];
+        for (let row = 0; row < 8; row++) {
+            let rankText = '';
+            let empty = 0;
+            for (let col = 0; col < 8; col++) {
+                const piece = this.getPiece(row, col);
+                if (!piece) {
+                    empty++;
+                    continue;
+                }
+                if (empty > 0) {
+                    rankText += empty;
+                    empty = 0;
+                }
+                const letter = pieceLetters[piece.type];
+                rankText += piece.color === COLORS.WHITE ? letter.toUpperCase() : letter;
+            }
+            if (empty > 0) rankText += empty;
+            ranks.push(rankText);
+        }
+        
+        const { white, black } = this.castlingRights;
+        const castling = (white.kingside ? 'K' : '') + (white.queenside ? 'Q' : '') +
+                         (black.kingside ? 'k' : '') + (black.queenside ? 'q' : '');
+        
+        return [
+            ranks.join('/'),
+            this.currentTurn === COLORS.WHITE ? 'w' : 'b',
+            castling || '-',
+            this.enPassantTarget ? this.squareToAlgebraic(this.enPassantTarget) : '-',
+            this.halfmoveClock,
+            this.fullmoveNumber
+        ].join(' ');
+    }
+
+    /**
+     * Convert a board square to algebraic coordinates (e.g. "e4")
+     */
+    squareToAlgebraic(square) {
+        return 'abcdefgh'[square.col] + '87654321'[square.row];
+    }
+
+    /**
+     * Convert algebraic coordinates (e.g. "e4") to a board square
+     */
+    algebraicToSquare(text) {
+        if (!/^[a-h][1-8]$/.test(text)) return null;
+        return { row: 8 - parseInt(text[1]), col: text.charCodeAt(0) - 97 };
+    }
 }
@@ -0,0 +1,443 @@
+const { loadScripts } = require('./test-helpers/load-scripts');
+
+const { ChessGame, COLORS } = loadScripts(['chess-pieces.js', 'chess-logic.js'], ['ChessGame', 'COLORS']);
+
+const START_FEN = 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1';
+
+const fromFEN = (fen) => {
+    const game = new ChessGame();
+    game.loadFEN(fen);
+    return game;
+};
+
+describe('FEN', () => {
+    test('the starting position round-trips', () => {
+        expect(new ChessGame().toFEN()).toBe(START_FEN);
+        expect(fromFEN(START_FEN).toFEN()).toBe(START_FEN);
+    });
+    
+    test.each([
+        'r3k2r/pppppppp/8/8/8/8/PPPPPPPP/R3K2R w KQkq - 0 1',
+        'r3k2r/pppppppp/8/8/8/8/PPPPPPPP/R3K2R b Kq - 3 17',
+        'r3k2r/pppppppp/8/8/8/8/PPPPPPPP/R3K2R w - - 12 40',
+        'rnbqkbnr/ppp1p1pp/8/3pPp2/8/8/PPPP1PPP/RNBQKBNR w KQkq f6 0 3',
+        'rnbqkbnr/pppp1ppp/8/8/3Pp3/8/PPP1PPPP/RNBQKBNR b KQkq d3 0 2',
+        '8/8/8/8/8/8/6k1/4K2R w K - 99 120'
+    ])('%s round-trips', (fen) => {
+        expect(fromFEN(fen).toFEN()).toBe(fen);
+    });
+    
+    test('castling rights decide which castling moves are legal', () => {
+        const kingMoves = (fen) => {
+            const game = fromFEN(fen);
+            return game.getValidMoves(7, 4).filter(move => move.castling).map(move => move.castling).sort();
+        };
+        
+        expect(kingMoves('r3k2r/8/8/8/8/8/8/R3K2R w KQkq - 0 1')).toEqual(['kingside', 'queenside']);
+        expect(kingMoves('r3k2r/8/8/8/8/8/8/R3K2R w Q - 0 1')).toEqual(['queenside']);
+        expect(kingMoves('r3k2r/8/8/8/8/8/8/R3K2R w kq - 0 1')).toEqual([]);
+    });
+    
+    test('the en passant square allows the capture', () => {
+        const game = fromFEN('rnbqkbnr/ppp1p1pp/8/3pPp2/8/8/PPPP1PPP/RNBQKBNR w KQkq f6 0 3');
+        const capture = game.getValidMoves(3, 4).find(move => move.enPassant);
+        
+        expect(capture).toMatchObject({ row: 2, col: 5 });
+    });
+    
+    test('moves update the en passant square and the move counters', () => {
+        const game = new ChessGame();
+        const play = (san) => {
+            const move = game.parseSAN(san);
+            game.validMoves = game.getValidMoves(move.from.row, move.from.col);
+            game.makeMove(move.from.row, move.from.col, move.to.row, move.to.col, move.promotionPiece);
+        };
+        
+        play('e4');
+        expect(game.toFEN()).toBe('rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq e3 0 1');
+        play('Nf6');
+        play('Nc3');
+        expect(game.toFEN()).toBe('rnbqkb1r/pppppppp/5n2/8/4P3/2N5/PPPP1PPP/R1BQKBNR b KQkq - 2 2');
+        play('Rg8');
+        expect(game.toFEN()).toBe('rnbqkbr1/pppppppp/5n2/8/4P3/2N5/PPPP1PPP/R1BQKBNR w KQq - 3 3');
+    });
+    
+    test('the side to move is loaded', () => {
+        expect(fromFEN('4k3/8/8/8/8/8/8/4K3 b - - 0 1').currentTurn).toBe(COLORS.BLACK);
+    });
+    
+    test.each([
+        ['rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq -', /expected 6 fields/],
+        ['rnbqkbnr/pppppppp/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1', /8 ranks/],
+        ['rnbqkbnr/ppppxppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1', /unexpected 'x'/],
+        ['rnbqkbnr/ppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1', /does not describe 8 squares/],
+        ['rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR x KQkq - 0 1', /side to move/],
+        ['rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQxq - 0 1', /castling field/],
+        ['rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq e5 0 1', /en passant square/],
+        ['rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - -1 1', /halfmove clock or fullmove number/],
+        ['rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 0', /halfmove clock or fullmove number/]
+    ])('rejects %s', (fen, message) => {
+        expect(() => fromFEN(fen)).toThrow(message);
+    });
+});
+
+describe('draws', () => {
+    const play = (game, ...moves) => {
+        for (const san of moves) {
+            const move = game.parseSAN(san);
+            game.validMoves = game.getValidMoves(move.from.row, move.from.col);
+            game.makeMove(move.from.row, move.from.col, move.to.row, move.to.col, move.promotionPiece);
+            game.validMoves = [];
+        }
+    };
+    const shuffle = ['Nf3', 'Nf6', 'Ng1', 'Ng8'];
+    
+    test('threefold repetition can be claimed', () => {
+        const game = new ChessGame();
+        play(game, ...shuffle);
+        expect(game.getRepetitionCount()).toBe(2);
+        expect(game.getClaimableDraw()).toBeNull();
+        
+        play(game, ...shuffle);
+        expect(game.getRepetitionCount()).toBe(3);
+        expect(game.getClaimableDraw()).toBe('threefold-repetition');
+        expect(game.gameOver).toBe(false);
+        
+        expect(game.claimDraw()).toBe(true);
+        expect(game).toMatchObject({ gameOver: true, winner: 'draw', drawReason: 'threefold-repetition' });
+    });
+    
+    test('fivefold repetition ends the game', () => {
+        const game = new ChessGame();
+        play(game, ...shuffle, ...shuffle, ...shuffle);
+        expect(game.gameOver).toBe(false);
+        
+        play(game, ...shuffle);
+        expect(game).toMatchObject({ gameOver: true, winner: 'draw', drawReason: 'fivefold-repetition' });
+    });
+    
+    test('positions with different castling rights are not repetitions', () => {
+        const game = fromFEN('r3k2r/8/8/8/8/8/8/R3K2R w KQkq - 0 1');
+        play(game, 'Ke2', 'Ke7', 'Ke1', 'Ke8');
+        
+        expect(game.getRepetitionCount()).toBe(1);
+    });
+    
+    test('the fifty-move rule can be claimed after 100 halfmoves', () => {
+        const game = fromFEN('4k3/8/8/8/8/8/8/R3K3 w - - 99 80');
+        expect(game.getClaimableDraw()).toBeNull();
+        
+        play(game, 'Ra2');
+        expect(game.getClaimableDraw()).toBe('fifty-move-rule');
+        expect(game.gameOver).toBe(false);
+    });
+    
+    test('a pawn move or capture resets the halfmove clock', () => {
+        const game = fromFEN('4k3/8/8/3p4/8/8/4P3/R3K3 w - - 98 80');
+        play(game, 'e4', 'dxe4');
+        
+        expect(game.halfmoveClock).toBe(0);
+    });
+    
+    test('the seventy-five-move rule ends the game after 150 halfmoves', () => {
+        const game = fromFEN('4k3/8/8/8/8/8/8/R3K3 w - - 149 100');
+        play(game, 'Ra2');
+        
+        expect(game).toMatchObject({ gameOver: true, winner: 'draw', drawReason: 'seventy-five-move-rule' });
+    });
+    
+    test('checkmate on the last move beats the seventy-five-move rule', () => {
+        const game = fromFEN('6k1/5ppp/8/8/8/8/8/R5K1 w - - 149 100');
+        play(game, 'Ra8#');
+        
+        expect(game).toMatchObject({ gameOver: true, winner: COLORS.WHITE, winReason: 'checkmate' });
+    });
+    
+    test.each([
+        ['K vs K', '4k3/8/8/8/8/8/8/4K3 w - - 0 1'],
+        ['K+B vs K', '4k3/8/8/8/8/8/8/2B1K3 w - - 0 1'],
+        ['K+N vs K', '4k3/8/8/8/8/8/8/1N2K3 w - - 0 1'],
+        ['K+B vs K+B, bishops on one color', '3bk3/8/8/8/8/8/8/2B1K3 w - - 0 1'],
+        ['K+B+B vs K, bishops on one color', '4k3/8/8/8/8/8/3B4/2B1K3 w - - 0 1'],
+        ['K+B+B vs K+B, all on one color', '4kb2/8/8/8/8/8/3B4/2B1K3 w - - 0 1']
+    ])('%s is a dead position', (name, fen) => {
+        const game = fromFEN(fen);
+        
+        expect(game.isInsufficientMaterial()).toBe(true);
+        expect(game).toMatchObject({ gameOver: true, winner: 'draw', drawReason: 'insufficient-material' });
+    });
+    
+    test.each([
+        ['K+P vs K', '4k3/8/8/8/8/8/4P3/4K3 w - - 0 1'],
+        ['K+R vs K', '4k3/8/8/8/8/8/8/R3K3 w - - 0 1'],
+        ['K+B vs K+B, bishops on both colors', '2b1k3/8/8/8/8/8/8/2B1K3 w - - 0 1'],
+        ['K+B+B vs K, bishops on both colors', '4k3/8/8/8/8/8/8/2B1KB2 w - - 0 1'],
+        ['K+N vs K+N', '1n2k3/8/8/8/8/8/8/1N2K3 w - - 0 1'],
+        ['K+N+N vs K', '4k3/8/8/8/8/8/8/1N2KN2 w - - 0 1'],
+        ['K+B vs K+N', '1n2k3/8/8/8/8/8/8/2B1K3 w - - 0 1']
+    ])('%s can still be won', (name, fen) => {
+        const game = fromFEN(fen);
+        
+        expect(game.isInsufficientMaterial()).toBe(false);
+        expect(game.gameOver).toBe(false);
+    });
+    
+    test('capturing down to a dead position ends the game', () => {
+        const game = fromFEN('4k3/8/8/8/8/8/3r4/2B1K3 w - - 0 1');
+        play(game, 'Kxd2');
+        
+        expect(game).toMatchObject({ gameOver: true, drawReason: 'insufficient-material' });
+    });
+});
+
+describe('SAN', () => {
+    const notate = (fen, from, to, promotionPiece = null) => {
+        const game = fromFEN(fen);
+        const a = game.algebraicToSquare(from);
+        const b = game.algebraicToSquare(to);
+        game.validMoves = game.getValidMoves(a.row, a.col);
+        expect(game.makeMove(a.row, a.col, b.row, b.col, promotionPiece)).toBe(true);
+        return game.getMoveNotation(game.moveHistory[0]);
+    };
+    
+    test.each([
+        ['a pawn push', START_FEN, 'e2', 'e4', null, 'e4'],
+        ['a piece move', START_FEN, 'g1', 'f3', null, 'Nf3'],
+        ['a pawn capture', 'rnbqkbnr/ppp1pppp/8/3p4/4P3/8/PPPP1PPP/RNBQKBNR w KQkq - 0 2', 'e4', 'd5', null, 'exd5'],
+        ['en passant', 'rnbqkbnr/ppp1p1pp/8/3pPp2/8/8/PPPP1PPP/RNBQKBNR w KQkq f6 0 3', 'e5', 'f6', null, 'exf6'],
+        ['castling kingside', 'r3k2r/8/8/8/8/8/8/R3K2R w KQkq - 0 1', 'e1', 'g1', null, 'O-O'],
+        ['castling queenside', 'r3k2r/8/8/8/8/8/8/R3K2R b KQkq - 0 1', 'e8', 'c8', null, 'O-O-O'],
+        ['disambiguation by file', '4k3/8/8/8/8/8/8/1N2KN2 w - - 0 1', 'b1', 'd2', null, 'Nbd2'],
+        ['disambiguation by rank', '4k3/8/8/R7/8/8/8/R3K3 w - - 0 1', 'a1', 'a3', null, 'R1a3'],
+        ['disambiguation by file and rank', '4k3/8/8/8/8/Q7/8/Q1Q1K3 w - - 0 1', 'a1', 'b2', null, 'Qa1b2'],
+        ['no disambiguation for a pinned twin', '4k3/4r3/8/8/8/8/4N3/1N2K3 w - - 0 1', 'b1', 'd2', null, 'Nd2'],
+        ['a promotion', '8/4P3/8/8/8/8/k7/4K3 w - - 0 1', 'e7', 'e8', 'queen', 'e8=Q'],
+        ['an underpromotion with capture', '5r2/4P3/8/8/8/8/k7/4K3 w - - 0 1', 'e7', 'f8', 'knight', 'exf8=N'],
+        ['check', '4k3/8/8/8/8/8/8/R3K3 w - - 0 1', 'a1', 'a8', null, 'Ra8+'],
+        ['checkmate', '6k1/5ppp/8/8/8/8/8/R5K1 w - - 0 1', 'a1', 'a8', null, 'Ra8#'],
+        ['a promotion with check', 'k7/4P3/8/8/8/8/8/4K3 w - - 0 1', 'e7', 'e8', 'rook', 'e8=R+']
+    ])('writes %s', (name, fen, from, to, promotionPiece, san) => {
+        expect(notate(fen, from, to, promotionPiece)).toBe(san);
+    });
+    
+    test.each([
+        ['the start position', START_FEN],
+        ['Kiwipete', 'r3k2r/p1ppqpb1/bn2pnp1/3PN3/1p2P3/2N2Q1p/PPPBBPPP/R3K2R w KQkq - 0 1'],
+        ['promotions', 'n1n5/PPPk4/8/8/8/8/4Kppp/5N1N b - - 0 1'],
+        ['twin knights and rooks', 'R6R/3Q4/1Q4Q1/4Q3/2Q4Q/Q4Q2/pp1Q4/kBNN1KB1 w - - 0 1']
+    ])('parseSAN reads back the SAN of every legal move in %s', (name, fen) => {
+        const position = fromFEN(fen);
+        const moves = position.getAllValidMoves(position.currentTurn);
+        
+        for (const move of moves) {
+            for (const promotionPiece of move.to.promotion ? ['queen', 'rook', 'bishop', 'knight'] : [null]) {
+                const game = fromFEN(fen);
+                game.validMoves = game.getValidMoves(move.from.row, move.from.col);
+                game.makeMove(move.from.row, move.from.col, move.to.row, move.to.col, promotionPiece);
+                const san = game.getMoveNotation(game.moveHistory[0]);
+                
+                const parsed = fromFEN(fen).parseSAN(san);
+                expect({ san, from: parsed.from, to: { row: parsed.to.row, col: parsed.to.col }, promotionPiece: parsed.promotionPiece })
+                    .toEqual({ san, from: move.from, to: { row: move.to.row, col: move.to.col }, promotionPiece });
+            }
+        }
+    });
+    
+    test('parseSAN accepts annotations and zeros for castling', () => {
+        const game = fromFEN('r3k2r/8/8/8/8/8/8/R3K2R w KQkq - 0 1');
+        
+        expect(game.parseSAN('0-0-0!?').to.castling).toBe('queenside');
+        expect(game.parseSAN('Rb1+').from).toEqual({ row: 7, col: 0 });
+    });
+    
+    test.each([
+        ['Nd2', '4k3/8/8/8/8/8/8/1N2KN2 w - - 0 1', "Ambiguous move 'Nd2'"],
+        ['Nd3', '4k3/8/8/8/8/8/8/1N2KN2 w - - 0 1', "Illegal move 'Nd3'"],
+        ['Zz9', START_FEN, "Invalid move 'Zz9'"],
+        ['e8', '8/4P3/8/8/8/8/k7/4K3 w - - 0 1', "Move 'e8' is missing its promotion piece"],
+        ['e4=Q', START_FEN, "Move 'e4=Q' cannot promote"],
+        ['O-O', START_FEN, "Illegal move 'O-O'"]
+    ])('parseSAN rejects %s', (san, fen, message) => {
+        expect(() => fromFEN(fen).parseSAN(san)).toThrow(message);
+    });
+});
+
+describe('applyMove and unapplyMove', () => {
+    const PROMOTION_PIECES = ['queen', 'rook', 'bishop', 'knight'];
+    
+    // Everything a move can change, down to each piece's hasMoved flag
+    const snapshot = (game) => JSON.stringify({ fen: game.toFEN(), board: game.board, castlingRights: game.castlingRights });
+    
+    // Apply every legal move and reply, checking each is taken back exactly
+    const checkRestores = (game, depth) => {
+        if (depth === 0) return;
+        
+        const before = snapshot(game);
+        for (const move of game.getAllValidMoves(game.currentTurn)) {
+            for (const promotionPiece of move.to.promotion ? PROMOTION_PIECES : [undefined]) {
+                const record = game.applyMove(move, promotionPiece);
+                checkRestores(game, depth - 1);
+                game.unapplyMove(record);
+                expect(snapshot(game)).toBe(before);
+            }
+        }
+    };
+    
+    test.each([
+        ['Kiwipete', 'r3k2r/p1ppqpb1/bn2pnp1/3PN3/1p2P3/2N2Q1p/PPPBBPPP/R3K2R w KQkq - 0 1'],
+        ['promotions', 'r3k2r/Pppp1ppp/1b3nbN/nP6/BBP1P3/q4N2/Pp1P2PP/R2Q1RK1 w kq - 0 1'],
+        ['en passant', 'rnbqkbnr/ppp1p1pp/8/3pPp2/8/8/PPPP1PPP/RNBQKBNR w KQkq f6 0 3']
+    ])('restores the position exactly in %s', (name, fen) => {
+        checkRestores(fromFEN(fen), 2);
+    });
+    
+    test('castling rights lost in the search stay lost when the king comes back', () => {
+        const game = fromFEN('r3k2r/8/8/8/8/8/8/R3K2R w KQkq - 0 1');
+        const find = (from, to) => game.getAllValidMoves(game.currentTurn)
+            .find(move => game.squareToAlgebraic(move.from) === from && game.squareToAlgebraic(move.to) === to);
+        
+        game.applyMove(find('e1', 'f1'));
+        game.applyMove(find('a8', 'b8'));
+        game.applyMove(find('f1', 'e1'));
+        game.applyMove(find('b8', 'a8'));
+        
+        expect(game.toFEN()).toBe('r3k2r/8/8/8/8/8/8/R3K2R w k - 4 3');
+        expect(game.getAllValidMoves(game.currentTurn).some(move => move.to.castling)).toBe(false);
+    });
+    
+    test('promotes to the piece asked for, a queen by default', () => {
+        const game = fromFEN('8/4P3/8/8/8/8/k7/4K3 w - - 0 1');
+        const [push] = game.getValidMoves(1, 4);
+        
+        const record = game.applyMove({ from: { row: 1, col: 4 }, to: push }, 'knight');
+        expect(game.toFEN()).toBe('4N3/8/8/8/8/8/k7/4K3 b - - 0 1');
+        game.unapplyMove(record);
+        
+        game.applyMove({ from: { row: 1, col: 4 }, to: push });
+        expect(game.toFEN()).toBe('4Q3/8/8/8/8/8/k7/4K3 b - - 0 1');
+    });
+});
+
+describe('move tree', () => {
+    const play = (game, ...moves) => moves.forEach(san => game.replayMove(game.parseSAN(san)));
+    
+    const line = (game) => game.moveHistory.map(move => game.getMoveNotation(move)).join(' ');
+    
+    const notation = (game, node) => game.getMoveNotation(node.move);
+    
+    test('undone moves can be redone', () => {
+        const game = new ChessGame();
+        play(game, 'e4', 'e5', 'Nf3');
+        const fen = game.toFEN();
+        
+        game.undoMove();
+        game.undoMove();
+        expect(line(game)).toBe('e4');
+        
+        expect(game.redoMove()).toBe(true);
+        expect(game.redoMove()).toBe(true);
+        expect(game.redoMove()).toBe(false);
+        expect(game.toFEN()).toBe(fen);
+        expect(game.moveTree.children).toHaveLength(1);
+    });
+    
+    test('a different move after undoing starts a variation and keeps the main line', () => {
+        const game = new ChessGame();
+        play(game, 'e4', 'e5', 'Nf3');
+        game.undoMove();
+        game.undoMove();
+        play(game, 'c5');
+        
+        const e4 = game.moveTree.children[0];
+        expect(e4.children.map(node => notation(game, node))).toEqual(['e5', 'c5']);
+        expect(notation(game, e4.children[0].children[0])).toBe('Nf3');
+        
+        // Playing the undone move again follows it rather than adding another
+        game.undoMove();
+        play(game, 'e5');
+        expect(e4.children).toHaveLength(2);
+        expect(game.redoMove()).toBe(true);
+        expect(line(game)).toBe('e4 e5 Nf3');
+    });
+    
+    test('a discarded move leaves the tree', () => {
+        const game = new ChessGame();
+        play(game, 'e4', 'e5');
+        game.undoMove(true);
+        
+        expect(game.moveTree.children[0].children).toEqual([]);
+        expect(game.redoMove()).toBe(false);
+    });
+    
+    test('goes to a node in another line, replaying its moves', () => {
+        const game = new ChessGame();
+        play(game, 'e4', 'e5', 'Nf3');
+        game.undoMove();
+        game.undoMove();
+        play(game, 'c5', 'Nf3', 'd6');
+        const sicilianFEN = game.toFEN();
+        const nf3 = game.moveTree.children[0].children[0].children[0];
+        
+        expect(game.goToNode(nf3)).toBe(true);
+        expect(line(game)).toBe('e4 e5 Nf3');
+        
+        game.goToNode(game.moveTree);
+        expect(game.toFEN()).toBe(START_FEN);
+        
+        game.goToNode(game.moveTree.children[0].children[1].children[0].children[0]);
+        expect(game.toFEN()).toBe(sicilianFEN);
+    });
+    
+    test('gets the position at a node without moving the game', () => {
+        const game = fromFEN('4k3/8/8/8/8/8/4P3/4K3 w - - 0 1');
+        play(game, 'e4', 'Kd7', 'e5');
+        const e4 = game.moveTree.children[0];
+        
+        expect(game.getPositionAt(e4).toFEN()).toBe('4k3/8/8/8/4P3/8/8/4K3 b - e3 0 1');
+        expect(line(game)).toBe('e4 Kd7 e5');
+    });
+    
+    test('promotes a variation at its own branch and every branch above', () => {
+        const game = new ChessGame();
+        play(game, 'e4', 'e5');
+        game.undoMove();
+        play(game, 'c5', 'Nf3');
+        game.goToNode(game.moveTree);
+        play(game, 'd4');
+        
+        const c5 = game.moveTree.children[0].children[1];
+        expect(game.promoteVariation(c5.children[0])).toBe(true);
+        
+        expect(notation(game, game.moveTree.children[0])).toBe('e4');
+        expect(game.moveTree.children[0].children[0]).toBe(c5);
+        expect(line(game)).toBe('d4');
+    });
+    
+    test('deleting the line the game is on goes back to where it branched', () => {
+        const game = new ChessGame();
+        play(game, 'e4', 'e5');
+        game.undoMove();
+        play(game, 'c5', 'Nf3');
+        const e4 = game.moveTree.children[0];
+        const c5 = e4.children[1];
+        
+        expect(game.deleteVariation(c5)).toBe(true);
+        
+        expect(line(game)).toBe('e4');
+        expect(e4.children.map(node => notation(game, node))).toEqual(['e5']);
+        expect(game.hasNode(c5)).toBe(false);
+        expect(game.deleteVariation(c5)).toBe(false);
+        expect(game.deleteVariation(game.moveTree)).toBe(false);
+    });
+    
+    test('deleting another line leaves the game where it is', () => {
+        const game = new ChessGame();
+        play(game, 'e4', 'e5');
+        game.undoMove();
+        play(game, 'c5');
+        
+        game.deleteVariation(game.moveTree.children[0].children[0]);
+        
+        expect(line(game)).toBe('e4 c5');
+    });
+});
@@ -0,0 +1,555 @@
+/**
+ * Chess Network Module
+ * WebSocket client for online play through the API Gateway backend
+ */
+
+// Time controls offered for online play (minutes+increment), by category
+const ONLINE_TIME_CONTROLS = {
+    '1+0': 'Bullet 1+0',
+    '2+1': 'Bullet 2+1',
+    '3+0': 'Blitz 3+0',
+    '3+2': 'Blitz 3+2',
+    '5+3': 'Blitz 5+3',
+    '10+0': 'Rapid 10+0',
+    '10+5': 'Rapid 10+5',
+    '15+10': 'Rapid 15+10',
+    '30+0': 'Classical 30+0',
+    '30+20': 'Classical 30+20'
+};
+
+// How often to re-send join_queue while waiting, so the server can retry
+// pairing with a wider rating window
+const QUEUE_REFRESH_INTERVAL = 10000;
+
+// localStorage key of this browser's session id
+const SESSION_STORAGE_KEY = 'chess-session-id';
+
+// This page's session id, once read or created
+let currentSessionId = null;
+
+// localStorage key of the signed-in player's Cognito ID token
+const ID_TOKEN_STORAGE_KEY = 'chess-id-token';
+
+/**
+ * Get the WebSocket endpoint (the stack's WebSocketApiEndpoint output)
+ * A ?ws= query parameter overrides the <meta name="chess-websocket-url"> tag
+ */
+function getWebSocketUrl() {
+    const override = new URLSearchParams(window.location.search).get('ws');
+    if (override) return override;
+    
+    const meta = document.querySelector('meta[name="chess-websocket-url"]');
+    return meta ? meta.content : null;
+}
+
+/**
+ * Get the id this browser presents on every connection, so the server can
+ * seat it back in its game after a reconnect. Kept in localStorage so it
+ * lasts across reloads; without storage it lasts for the page
+ */
+function getSessionId() {
+    if (currentSessionId) return currentSessionId;
+    
+    let sessionId = null;
+    try {
+        sessionId = localStorage.getItem(SESSION_STORAGE_KEY);
+    } catch (error) {
+        // Storage is unavailable, e.g. blocked by privacy settings
+    }
+    
+    if (!sessionId) {
+        sessionId = window.crypto && crypto.randomUUID ? crypto.randomUUID() :
+            Array.from({ length: 32 }, () => Math.floor(Math.random() * 16).toString(16)).join('');
+        try {
+            localStorage.setItem(SESSION_STORAGE_KEY, sessionId);
+        } catch (error) {
+            // Keep the id for this page only
+        }
+    }
+    
+    currentSessionId = sessionId;
+    return sessionId;
+}
+
+/**
+ * Get the sign-in page to send the player to, or null if none is configured
+ * It is the Cognito hosted UI (the stack's SignInUrl output), which returns
+ * to this page with an ID token in the URL fragment
+ */
+function getSignInUrl() {
+    const meta = document.querySelector('meta[name="chess-sign-in-url"]');
+    if (!meta || !meta.content) return null;
+    
+    const url = new URL(meta.content, window.location.href);
+    url.searchParams.set('redirect_uri', window.location.origin + window.location.pathname);
+    return url.toString();
+}
+
+/**
+ * Keep the ID token the sign-in page returned in the URL fragment, and
+ * take it out of the address bar
+ */
+function readSignInRedirect() {
+    const params = new URLSearchParams(window.location.hash.slice(1));
+    const token = params.get('id_token');
+    if (!token) return;
+    
+    try {
+        localStorage.setItem(ID_TOKEN_STORAGE_KEY, token);
+    } catch (error) {
+        console.warn('Could not keep the sign-in token:', error);
+    }
+    history.replaceState(null, '', window.location.pathname + window.location.search);
+}
+
+/**
+ * Decode the claims of an ID token, or null if it is malformed
+ * The server verifies tokens; the client only reads them
+ */
+function decodeTokenClaims(token) {
+    try {
+        const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+        return JSON.parse(decodeURIComponent(Array.from(atob(payload),
+            char => '%' + char.charCodeAt(0).toString(16).padStart(2, '0')).join('')));
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Get the signed-in player's ID token, or null if they are not signed in
+ * or it has expired
+ */
+function getIdToken() {
+    let token = null;
+    try {
+        token = localStorage.getItem(ID_TOKEN_STORAGE_KEY);
+    } catch (error) {
+        return null;
+    }
+    if (!token) return null;
+    
+    const claims = decodeTokenClaims(token);
+    if (!claims || claims.exp * 1000 <= Date.now()) {
+        signOut();
+        return null;
+    }
+    return token;
+}
+
+/**
+ * Get the signed-in player as { nickname }, or null for a guest
+ */
+function getSignedInPlayer() {
+    const token = getIdToken();
+    if (!token) return null;
+    
+    const claims = decodeTokenClaims(token);
+    return { nickname: claims.nickname || claims['cognito:username'] || 'Player' };
+}
+
+/**
+ * Forget the signed-in player's token
+ */
+function signOut() {
+    try {
+        localStorage.removeItem(ID_TOKEN_STORAGE_KEY);
+    } catch (error) {
+        // Nothing was kept
+    }
+}
+
+/**
+ * Get the link that opens this page and joins a private room
+ */
+function getRoomLink(code) {
+    return `${window.location.origin}${window.location.pathname}?room=${encodeURIComponent(code)}`;
+}
+
+/**
+ * Get the invite code of the room link this page was opened with, if any,
+ * and take it out of the address bar so a reload does not join again
+ */
+function readRoomLink() {
+    const params = new URLSearchParams(window.location.search);
+    const code = params.get('room');
+    if (!code) return null;
+    
+    params.delete('room');
+    const search = params.toString();
+    history.replaceState(null, '', window.location.pathname + (search ? `?${search}` : '') + window.location.hash);
+    return code;
+}
+
+/**
+ * Convert a move to its wire format: { from: 'e2', to: 'e4', promotion }
+ */
+function toNetworkMove(move) {
+    const square = ({ row, col }) => 'abcdefgh'[col] + (8 - row);
+    return {
+        from: square(move.from),
+        to: square(move.to),
+        promotion: move.promotionPiece || null
+    };
+}
+
+/**
+ * Convert a move from its wire format back to board coordinates
+ */
+function fromNetworkMove(move) {
+    const square = (text) => ({ row: 8 - parseInt(text[1]), col: text.charCodeAt(0) - 97 });
+    return {
+        from: square(move.from),
+        to: square(move.to),
+        promotion: move.promotion || null
+    };
+}
+
+class ChessNetworkClient {
+    constructor(url) {
+        this.url = url;
+        this.socket = null;
+        // The connection attempt in flight, shared by every caller until it settles
+        this.connecting = null;
+        this.gameId = null;
+        this.color = null;
+        this.queueTimer = null;
+        
+        // Callbacks for server messages
+        this.onStatus = null;
+        this.onMatchFound = null;
+        this.onRoomStatus = null;
+        this.onOpponentMove = null;
+        this.onMovePlayed = null;
+        this.onMoveConfirmed = null;
+        this.onGameOver = null;
+        this.onDrawOffer = null;
+        this.onTakebackRequest = null;
+        this.onOfferDeclined = null;
+        this.onTakeback = null;
+        this.onGameState = null;
+        this.onOpponentPresence = null;
+        this.onGameList = null;
+        this.onGameHistory = null;
+        this.onArchivedGame = null;
+        this.onChatMessage = null;
+        this.onChatMuted = null;
+        this.onError = null;
+        this.onDisconnect = null;
+    }
+
+    /**
+     * Open the WebSocket connection if it is not already open
+     * Resolves once the connection is ready; calls made while it is being
+     * opened wait for the same connection
+     */
+    connect() {
+        if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+            return Promise.resolve();
+        }
+        if (this.connecting) {
+            return this.connecting;
+        }
+        if (!this.url) {
+            return Promise.reject(new Error('No game server is configured'));
+        }
+        
+        this.connecting = new Promise((resolve, reject) => {
+            const url = new URL(this.url);
+            url.searchParams.set('session', getSessionId());
+            
+            // Signed-in players connect with their ID token; the server verifies it
+            const token = getIdToken();
+            if (token) {
+                url.searchParams.set('token', token);
+            }
+            const socket = new WebSocket(url.toString());
+            this.socket = socket;
+            
+            const settled = () => {
+                if (this.socket === socket) {
+                    this.connecting = null;
+                }
+            };
+            
+            socket.onopen = () => {
+                settled();
+                resolve();
+            };
+            socket.onmessage = (event) => this.handleMessage(event.data);
+            socket.onerror = () => {
+                settled();
+                reject(new Error('Could not connect to the game server'));
+            };
+            socket.onclose = () => {
+                // Closed before it opened, e.g. by disconnect()
+                reject(new Error('Could not connect to the game server'));
+                if (this.socket !== socket) return;
+                this.socket = null;
+                this.connecting = null;
+                this.stopQueueRefresh();
+                if (this.onDisconnect) {
+                    this.onDisconnect();
+                }
+            };
+        });
+        return this.connecting;
+    }
+
+    /**
+     * Close the connection without reporting a disconnect
+     */
+    disconnect() {
+        this.stopQueueRefresh();
+        const socket = this.socket;
+        this.socket = null;
+        this.connecting = null;
+        this.gameId = null;
+        this.color = null;
+        if (socket) {
+            socket.close();
+        }
+    }
+
+    /**
+     * Send an action to the server
+     */
+    send(action, payload = {}) {
+        if (!this.socket || this.socket.readyState !== WebSocket.OPEN) {
+            throw new Error('Not connected to the game server');
+        }
+        this.socket.send(JSON.stringify({ action, ...payload }));
+    }
+
+    /**
+     * Connect and join the matchmaking queue for a time control, e.g. '3+2'
+     * Only players asking for the same time control and rated flag are paired
+     */
+    async joinQueue(timeControl, rated = false) {
+        await this.connect();
+        this.send('join_queue', { timeControl, rated });
+        
+        this.stopQueueRefresh();
+        this.queueTimer = setInterval(() => {
+            if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+                this.send('join_queue', { refresh: true });
+            }
+        }, QUEUE_REFRESH_INTERVAL);
+    }
+
+    /**
+     * Stop re-sending join_queue
+     */
+    stopQueueRefresh() {
+        if (this.queueTimer) {
+            clearInterval(this.queueTimer);
+            this.queueTimer = null;
+        }
+    }
+
+    /**
+     * Leave the matchmaking queue
+     */
+    leaveQueue() {
+        this.stopQueueRefresh();
+        if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+            this.send('leave_queue');
+        }
+    }
+
+    /**
+     * Connect and open a private room for a time control, e.g. '3+2'
+     * color is the color the host wants: 'white', 'black' or 'random'.
+     * The server answers with the room's invite code
+     */
+    async createRoom(timeControl, color = 'random', rated = false) {
+        await this.connect();
+        this.send('create_room', { timeControl, color, rated });
+    }
+
+    /**
+     * Connect and join a private room by its invite code, which starts the game
+     */
+    async joinRoom(code) {
+        await this.connect();
+        this.send('join_room', { code });
+    }
+
+    /**
+     * Close the private room this client opened
+     */
+    cancelRoom() {
+        if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+            this.send('cancel_room');
+        }
+    }
+
+    /**
+     * Send a move made on this client's board
+     */
+    sendMove(move) {
+        this.send('move', { gameId: this.gameId, move: toNetworkMove(move) });
+    }
+
+    /**
+     * Connect and ask to be seated back in a game this browser was playing,
+     * e.g. after a reload or a dropped connection. The server answers with
+     * the full game state
+     */
+    async resumeGame(gameId) {
+        await this.connect();
+        this.send('resume_game', { gameId });
+    }
+
+    /**
+     * Send a chat message to the opponent (and the game's spectators)
+     */
+    sendChat(text) {
+        this.send('chat', { gameId: this.gameId, text });
+    }
+
+    /**
+     * Stop or start receiving the opponent's chat messages
+     */
+    setChatMuted(muted) {
+        this.send(muted ? 'mute_chat' : 'unmute_chat', { gameId: this.gameId });
+    }
+
+    /**
+     * Connect and watch a game as a spectator. The server answers with the
+     * game state, then sends every move and the result as they happen
+     */
+    async watchGame(gameId) {
+        await this.connect();
+        this.send('watch', { gameId });
+    }
+
+    /**
+     * Connect and ask for the list of games being played
+     */
+    async listGames() {
+        await this.connect();
+        this.send('list_games');
+    }
+
+    /**
+     * Connect and ask for a page of our finished games, newest first
+     * filters: { result, color, timeControl, from, to }; cursor is the one
+     * the previous page came with, to get the next page
+     */
+    async listHistory(filters = {}, cursor = null) {
+        await this.connect();
+        this.send('list_history', { filters, cursor });
+    }
+
+    /**
+     * Connect and ask for a finished game as PGN, to replay it
+     */
+    async getArchivedGame(gameId) {
+        await this.connect();
+        this.send('get_game', { gameId });
+    }
+
+    /**
+     * Send a game action for the current game: 'resign', 'abort',
+     * 'offer_draw', 'accept_draw', 'decline_draw', 'request_takeback',
+     * 'accept_takeback' or 'decline_takeback'
+     */
+    sendGameAction(action) {
+        this.send(action, { gameId: this.gameId });
+    }
+
+    /**
+     * Dispatch a message from the server to its callback
+     */
+    handleMessage(data) {
+        let message;
+        try {
+            message = JSON.parse(data);
+        } catch (error) {
+            console.warn('Ignoring malformed server message:', data);
+            return;
+        }
+        
+        switch (message.type) {
+            case 'matchmaking_status':
+                if (this.onStatus) this.onStatus(message);
+                break;
+            case 'room_created':
+            case 'room_closed':
+                if (this.onRoomStatus) this.onRoomStatus(message);
+                break;
+            case 'match_found':
+                this.stopQueueRefresh();
+                this.gameId = message.gameId;
+                this.color = message.color;
+                if (this.onMatchFound) this.onMatchFound(message);
+                break;
+            case 'opponent_move':
+                if (message.gameId !== this.gameId) return;
+                if (this.onOpponentMove) this.onOpponentMove(fromNetworkMove(message.move), message);
+                break;
+            case 'move_played':
+                if (message.gameId !== this.gameId) return;
+                if (this.onMovePlayed) this.onMovePlayed(fromNetworkMove(message.move), message);
+                break;
+            case 'move_confirmed':
+                if (message.gameId !== this.gameId) return;
+                if (this.onMoveConfirmed) this.onMoveConfirmed(message);
+                break;
+            case 'game_over':
+                if (message.gameId !== this.gameId) return;
+                if (this.onGameOver) this.onGameOver(message);
+                break;
+            case 'draw_offered':
+                if (message.gameId !== this.gameId) return;
+                if (this.onDrawOffer) this.onDrawOffer(message);
+                break;
+            case 'takeback_requested':
+                if (message.gameId !== this.gameId) return;
+                if (this.onTakebackRequest) this.onTakebackRequest(message);
+                break;
+            case 'draw_declined':
+            case 'takeback_declined':
+                if (message.gameId !== this.gameId) return;
+                if (this.onOfferDeclined) this.onOfferDeclined(message);
+                break;
+            case 'takeback_accepted':
+                if (message.gameId !== this.gameId) return;
+                if (this.onTakeback) this.onTakeback(message);
+                break;
+            case 'game_state':
+                this.gameId = message.gameId;
+                this.color = message.color;
+                if (this.onGameState) this.onGameState(message);
+                break;
+            case 'opponent_disconnected':
+            case 'opponent_reconnected':
+                if (message.gameId !== this.gameId) return;
+                if (this.onOpponentPresence) this.onOpponentPresence(message);
+                break;
+            case 'chat_message':
+                if (message.gameId !== this.gameId) return;
+                if (this.onChatMessage) this.onChatMessage(message);
+                break;
+            case 'chat_muted':
+                if (message.gameId !== this.gameId) return;
+                if (this.onChatMuted) this.onChatMuted(message);
+                break;
+            case 'game_list':
+                if (this.onGameList) this.onGameList(message);
+                break;
+            case 'game_history':
+                if (this.onGameHistory) this.onGameHistory(message);
+                break;
+            case 'archived_game':
+                if (this.onArchivedGame) this.onArchivedGame(message);
+                break;
+            case 'error':
+                if (this.onError) this.onError(message);
+                break;
+            default:
+                console.warn('Unknown server message:', message.type);
+        }
+    }
+}
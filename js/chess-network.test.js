@@ -0,0 +1,133 @@
+const { loadScripts } = require('./test-helpers/load-scripts');
+
+/**
+ * Stand-in for the browser WebSocket: records what is sent, and opens,
+ * fails or closes when the test says so
+ */
+class FakeWebSocket {
+    constructor(url) {
+        this.url = url;
+        this.readyState = FakeWebSocket.CONNECTING;
+        this.sent = [];
+        FakeWebSocket.instances.push(this);
+    }
+    
+    send(data) {
+        this.sent.push(JSON.parse(data));
+    }
+    
+    open() {
+        this.readyState = FakeWebSocket.OPEN;
+        this.onopen();
+    }
+    
+    fail() {
+        this.onerror();
+        this.close();
+    }
+    
+    close() {
+        if (this.readyState === FakeWebSocket.CLOSED) return;
+        this.readyState = FakeWebSocket.CLOSED;
+        this.onclose();
+    }
+}
+Object.assign(FakeWebSocket, { CONNECTING: 0, OPEN: 1, CLOSING: 2, CLOSED: 3, instances: [] });
+
+const storage = new Map();
+const crypto = { randomUUID: () => 'session-1' };
+const { ChessNetworkClient } = loadScripts(['chess-network.js'], ['ChessNetworkClient'], {
+    WebSocket: FakeWebSocket,
+    URL,
+    URLSearchParams,
+    window: { location: { search: '', hash: '', origin: 'http://localhost', pathname: '/', href: 'http://localhost/' }, crypto },
+    document: { querySelector: () => null },
+    localStorage: {
+        getItem: key => (storage.has(key) ? storage.get(key) : null),
+        setItem: (key, value) => storage.set(key, String(value)),
+        removeItem: key => storage.delete(key)
+    },
+    crypto,
+    setInterval,
+    clearInterval
+});
+
+beforeEach(() => {
+    FakeWebSocket.instances = [];
+});
+
+describe('ChessNetworkClient.connect', () => {
+    test('opens one socket for calls made while it is connecting', async () => {
+        const client = new ChessNetworkClient('wss://example.test/dev');
+        const first = client.connect();
+        const second = client.connect();
+        
+        expect(second).toBe(first);
+        expect(FakeWebSocket.instances).toHaveLength(1);
+        expect(FakeWebSocket.instances[0].url).toBe('wss://example.test/dev?session=session-1');
+        
+        FakeWebSocket.instances[0].open();
+        await expect(Promise.all([first, second])).resolves.toBeDefined();
+        
+        await client.connect();
+        expect(FakeWebSocket.instances).toHaveLength(1);
+    });
+    
+    test('joins the queue once on the shared connection', async () => {
+        const client = new ChessNetworkClient('wss://example.test/dev');
+        const joined = Promise.all([client.joinQueue('3+2'), client.joinQueue('3+2')]);
+        FakeWebSocket.instances[0].open();
+        await joined;
+        client.stopQueueRefresh();
+        
+        expect(FakeWebSocket.instances).toHaveLength(1);
+        expect(FakeWebSocket.instances[0].sent).toEqual([
+            { action: 'join_queue', timeControl: '3+2', rated: false },
+            { action: 'join_queue', timeControl: '3+2', rated: false }
+        ]);
+    });
+    
+    test('tries again after a failed attempt', async () => {
+        const client = new ChessNetworkClient('wss://example.test/dev');
+        const failed = client.connect();
+        FakeWebSocket.instances[0].fail();
+        await expect(failed).rejects.toThrow('Could not connect to the game server');
+        
+        const retried = client.connect();
+        expect(FakeWebSocket.instances).toHaveLength(2);
+        FakeWebSocket.instances[1].open();
+        await expect(retried).resolves.toBeUndefined();
+    });
+    
+    test('disconnecting while connecting closes the socket and settles the attempt', async () => {
+        const client = new ChessNetworkClient('wss://example.test/dev');
+        client.onDisconnect = jest.fn();
+        const pending = client.connect();
+        client.disconnect();
+        
+        await expect(pending).rejects.toThrow('Could not connect to the game server');
+        expect(FakeWebSocket.instances[0].readyState).toBe(FakeWebSocket.CLOSED);
+        expect(client.onDisconnect).not.toHaveBeenCalled();
+        
+        client.connect();
+        expect(FakeWebSocket.instances).toHaveLength(2);
+    });
+    
+    test('reports a dropped connection and reconnects on the next call', async () => {
+        const client = new ChessNetworkClient('wss://example.test/dev');
+        client.onDisconnect = jest.fn();
+        const connected = client.connect();
+        FakeWebSocket.instances[0].open();
+        await connected;
+        
+        FakeWebSocket.instances[0].close();
+        expect(client.onDisconnect).toHaveBeenCalledTimes(1);
+        
+        client.connect();
+        expect(FakeWebSocket.instances).toHaveLength(2);
+    });
+    
+    test('rejects without a configured server', async () => {
+        await expect(new ChessNetworkClient(null).connect()).rejects.toThrow('No game server is configured');
+    });
+});
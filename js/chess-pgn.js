@@ -0,0 +1,364 @@
+/**
+ * Chess PGN Module
+ * Exports games as PGN and replays PGN text through ChessGame
+ */
+
+const PGN_SEVEN_TAG_ROSTER = ['Event', 'Site', 'Date', 'Round', 'White', 'Black', 'Result'];
+
+const PGN_RESULTS = ['1-0', '0-1', '1/2-1/2', '*'];
+
+/**
+ * Error raised when PGN text cannot be parsed or replayed
+ */
+class PGNParseError extends Error {
+    constructor(message, line, column) {
+        super(`${message} (line ${line}, column ${column})`);
+        this.name = 'PGNParseError';
+        this.line = line;
+        this.column = column;
+    }
+}
+
+/**
+ * Get the PGN result string for a game
+ */
+function getPGNResult(game) {
+    if (!game.gameOver || !game.winner) return '*';
+    if (game.winner === 'draw') return '1/2-1/2';
+    return game.winner === COLORS.WHITE ? '1-0' : '0-1';
+}
+
+/**
+ * Write a comment as a brace comment, which cannot contain a closing brace
+ */
+function formatPGNComment(comment) {
+    return `{${comment.replace(/}/g, '')}}`;
+}
+
+/**
+ * Escape a PGN tag value
+ */
+function escapePGNTagValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+}
+
+/**
+ * Get the movetext tokens for a line of the move tree, starting with one
+ * node and following the first child of each node after it. Variations of
+ * the moves on the line are written in parentheses after them
+ */
+function getPGNLineTokens(game, node, moveNumber, color, isVariation) {
+    const tokens = [];
+    let needsNumber = true;
+    
+    for (let current = node; current; current = current.children[0]) {
+        const move = current.move;
+        if (color === COLORS.WHITE) {
+            tokens.push(`${moveNumber}.`);
+        } else if (needsNumber) {
+            tokens.push(`${moveNumber}...`);
+        }
+        
+        tokens.push(game.getMoveNotation(move));
+        needsNumber = false;
+        
+        if (move.comment) {
+            tokens.push(formatPGNComment(move.comment));
+            needsNumber = true;
+        }
+        
+        // The first move of a variation is written by whoever started it
+        const variations = current === node && isVariation ? [] : current.parent.children.slice(1);
+        for (const variation of variations) {
+            const variationTokens = getPGNLineTokens(game, variation, moveNumber, color, true);
+            variationTokens[0] = `(${variationTokens[0]}`;
+            variationTokens[variationTokens.length - 1] += ')';
+            tokens.push(...variationTokens);
+            needsNumber = true;
+        }
+        
+        if (color === COLORS.BLACK) moveNumber++;
+        color = color === COLORS.WHITE ? COLORS.BLACK : COLORS.WHITE;
+    }
+    
+    return tokens;
+}
+
+/**
+ * Export a game as PGN text, with the variations in its move tree
+ * The result is only given for the end of the main line
+ */
+function exportPGN(game, tags = {}) {
+    const now = new Date();
+    const date = `${now.getFullYear()}.${String(now.getMonth() + 1).padStart(2, '0')}.${String(now.getDate()).padStart(2, '0')}`;
+    const atMainlineEnd = game.getNodePath(game.currentNode).every(node => node.parent.children[0] === node) &&
+        game.currentNode.children.length === 0;
+    const result = atMainlineEnd ? getPGNResult(game) : '*';
+    
+    const allTags = {
+        Event: 'Casual Game',
+        Site: 'Game Vibe Chess',
+        Date: date,
+        Round: '-',
+        White: '?',
+        Black: '?',
+        ...tags,
+        Result: game.gameOver ? result : (tags.Result || result)
+    };
+    
+    if (game.startFEN) {
+        allTags.SetUp = '1';
+        allTags.FEN = game.startFEN;
+    }
+    
+    // Seven Tag Roster first, in order, then any extra tags
+    const tagNames = [
+        ...PGN_SEVEN_TAG_ROSTER,
+        ...Object.keys(allTags).filter(name => !PGN_SEVEN_TAG_ROSTER.includes(name))
+    ];
+    const tagLines = tagNames.map(name => `[${name} "${escapePGNTagValue(allTags[name])}"]`);
+    
+    // Move text tokens
+    const tokens = [];
+    const startFields = game.startFEN ? game.startFEN.split(' ') : null;
+    const moveNumber = startFields ? parseInt(startFields[5]) : 1;
+    const color = startFields && startFields[1] === 'b' ? COLORS.BLACK : COLORS.WHITE;
+    
+    if (game.comment) {
+        tokens.push(formatPGNComment(game.comment));
+    }
+    
+    const mainline = game.moveTree.children[0];
+    if (mainline) {
+        tokens.push(...getPGNLineTokens(game, mainline, moveNumber, color, false));
+    }
+    
+    tokens.push(allTags.Result);
+    
+    // Wrap movetext at 80 columns
+    const lines = [];
+    let line = '';
+    for (const token of tokens) {
+        if (line && line.length + 1 + token.length > 80) {
+            lines.push(line);
+            line = token;
+        } else {
+            line = line ? `${line} ${token}` : token;
+        }
+    }
+    if (line) lines.push(line);
+    
+    return `${tagLines.join('\n')}\n\n${lines.join('\n')}\n`;
+}
+
+/**
+ * Split PGN text into tokens with line/column positions
+ */
+function tokenizePGN(text) {
+    const tokens = [];
+    let pos = 0;
+    let line = 1;
+    let column = 1;
+    
+    const advance = (count) => {
+        for (let i = 0; i < count; i++) {
+            if (text[pos] === '\n') {
+                line++;
+                column = 1;
+            } else {
+                column++;
+            }
+            pos++;
+        }
+    };
+    
+    while (pos < text.length) {
+        const char = text[pos];
+        const start = { line, column };
+        
+        if (/\s/.test(char)) {
+            advance(1);
+            continue;
+        }
+        
+        // Escape mechanism: lines starting with % are ignored
+        if (char === '%' && column === 1) {
+            while (pos < text.length && text[pos] !== '\n') advance(1);
+            continue;
+        }
+        
+        // Rest-of-line comment
+        if (char === ';') {
+            let end = text.indexOf('\n', pos);
+            if (end === -1) end = text.length;
+            tokens.push({ type: 'comment', value: text.slice(pos + 1, end).trim(), ...start });
+            advance(end - pos);
+            continue;
+        }
+        
+        // Brace comment
+        if (char === '{') {
+            const end = text.indexOf('}', pos);
+            if (end === -1) {
+                throw new PGNParseError('Unterminated comment', start.line, start.column);
+            }
+            tokens.push({ type: 'comment', value: text.slice(pos + 1, end).trim(), ...start });
+            advance(end - pos + 1);
+            continue;
+        }
+        
+        // Tag pair
+        if (char === '[') {
+            const match = /^\[\s*([A-Za-z0-9_]+)\s+"((?:[^"\\]|\\.)*)"\s*\]/.exec(text.slice(pos));
+            if (!match) {
+                throw new PGNParseError('Malformed tag pair', start.line, start.column);
+            }
+            tokens.push({
+                type: 'tag',
+                name: match[1],
+                value: match[2].replace(/\\(["\\])/g, '$1'),
+                ...start
+            });
+            advance(match[0].length);
+            continue;
+        }
+        
+        if (char === '(' || char === ')') {
+            tokens.push({ type: char, ...start });
+            advance(1);
+            continue;
+        }
+        
+        // Symbol: move number, SAN, result or NAG
+        const match = /^[^\s{}()[\];]+/.exec(text.slice(pos));
+        const symbol = match[0];
+        
+        if (PGN_RESULTS.includes(symbol)) {
+            tokens.push({ type: 'result', value: symbol, ...start });
+        } else if (/^\$\d+$/.test(symbol)) {
+            tokens.push({ type: 'nag', value: symbol, ...start });
+        } else if (/^\d+\.*$/.test(symbol)) {
+            tokens.push({ type: 'number', value: symbol, ...start });
+        } else {
+            // Move numbers may be glued to the move ("1.e4")
+            const glued = /^(\d+\.+)(.+)$/.exec(symbol);
+            if (glued) {
+                tokens.push({ type: 'number', value: glued[1], ...start });
+                tokens.push({ type: 'san', value: glued[2], line, column: column + glued[1].length });
+            } else {
+                tokens.push({ type: 'san', value: symbol, ...start });
+            }
+        }
+        advance(symbol.length);
+    }
+    
+    return tokens;
+}
+
+/**
+ * Parse PGN text and replay its moves into a game, variations included
+ * The game is left at the end of the main line
+ * Returns the tags and result of the first game in the text
+ */
+function loadPGN(game, text) {
+    const tokens = tokenizePGN(text);
+    const tags = {};
+    let index = 0;
+    
+    while (index < tokens.length && tokens[index].type === 'tag') {
+        tags[tokens[index].name] = tokens[index].value;
+        index++;
+    }
+    
+    game.reset();
+    if (tags.FEN) {
+        try {
+            game.loadFEN(tags.FEN);
+        } catch (error) {
+            throw new PGNParseError(error.message, 1, 1);
+        }
+    }
+    
+    let result = '*';
+    // Where to carry on after each open variation
+    const variationStarts = [];
+    
+    for (; index < tokens.length; index++) {
+        const token = tokens[index];
+        
+        // A variation replaces the move before it
+        if (token.type === '(') {
+            if (game.moveHistory.length === 0) {
+                throw new PGNParseError('Variation before any move', token.line, token.column);
+            }
+            variationStarts.push(game.currentNode);
+            game.undoMove();
+            continue;
+        }
+        if (token.type === ')') {
+            if (variationStarts.length === 0) {
+                throw new PGNParseError("Unexpected ')'", token.line, token.column);
+            }
+            game.goToNode(variationStarts.pop());
+            continue;
+        }
+        
+        if (token.type === 'tag') {
+            throw new PGNParseError('Tag pair inside movetext', token.line, token.column);
+        }
+        
+        if (token.type === 'result') {
+            if (variationStarts.length > 0) {
+                throw new PGNParseError('Result inside a variation', token.line, token.column);
+            }
+            result = token.value;
+            break;
+        }
+        
+        if (token.type === 'comment') {
+            const lastMove = game.moveHistory[game.moveHistory.length - 1];
+            const target = lastMove || game;
+            target.comment = target.comment ? `${target.comment} ${token.value}` : token.value;
+            continue;
+        }
+        
+        if (token.type !== 'san') continue;
+        
+        if (game.gameOver) {
+            throw new PGNParseError(`Move '${token.value}' after the game has ended`, token.line, token.column);
+        }
+        
+        let move;
+        try {
+            move = game.parseSAN(token.value);
+        } catch (error) {
+            throw new PGNParseError(error.message, token.line, token.column);
+        }
+        
+        game.replayMove(move);
+    }
+    
+    if (variationStarts.length > 0) {
+        const last = tokens[tokens.length - 1];
+        throw new PGNParseError('Unterminated variation', last.line, last.column);
+    }
+    
+    return { tags, result };
+}
+
+/**
+ * End a game its moves leave undecided with the result from its PGN: a win
+ * as the loser's resignation, a draw as agreed. A game its moves decided
+ * keeps its own result
+ */
+function applyPGNResult(game, result) {
+    if (game.gameOver) return;
+    
+    if (result === '1-0') {
+        game.resign(COLORS.BLACK);
+    } else if (result === '0-1') {
+        game.resign(COLORS.WHITE);
+    } else if (result === '1/2-1/2') {
+        game.agreeDraw();
+    }
+}
@@ -0,0 +1,201 @@
+const { loadScripts } = require('./test-helpers/load-scripts');
+
+const { ChessGame, COLORS, PGNParseError, tokenizePGN, loadPGN, exportPGN, applyPGNResult } = loadScripts(
+    ['chess-pieces.js', 'chess-logic.js', 'chess-pgn.js'],
+    ['ChessGame', 'COLORS', 'PGNParseError', 'tokenizePGN', 'loadPGN', 'exportPGN', 'applyPGNResult']
+);
+
+const TAGS = { Date: '2026.01.01' };
+
+const load = (text) => {
+    const game = new ChessGame();
+    return { game, ...loadPGN(game, text) };
+};
+
+const movetext = (game) => exportPGN(game, TAGS).split('\n\n')[1].trim();
+
+const line = (game) => game.moveHistory.map(move => game.getMoveNotation(move)).join(' ');
+
+describe('tokenizePGN', () => {
+    test('splits tags, numbers, moves, NAGs, comments, variations and results', () => {
+        const tokens = tokenizePGN('[Event "A \\"quoted\\" name"]\n1.e4 $1 {best} (1. d4 ; solid\n) e5 1-0');
+        
+        expect(tokens.map(token => [token.type, token.value])).toEqual([
+            ['tag', 'A "quoted" name'],
+            ['number', '1.'],
+            ['san', 'e4'],
+            ['nag', '$1'],
+            ['comment', 'best'],
+            ['(', undefined],
+            ['number', '1.'],
+            ['san', 'd4'],
+            ['comment', 'solid'],
+            [')', undefined],
+            ['san', 'e5'],
+            ['result', '1-0']
+        ]);
+        expect(tokens[0].name).toBe('Event');
+    });
+    
+    test('records the line and column of each token', () => {
+        const tokens = tokenizePGN('1. e4\n  e5');
+        
+        expect(tokens[2]).toMatchObject({ value: 'e5', line: 2, column: 3 });
+    });
+    
+    test('skips % escape lines', () => {
+        expect(tokenizePGN('% ignored\n1. e4').map(token => token.value)).toEqual(['1.', 'e4']);
+    });
+    
+    test('rejects an unterminated comment', () => {
+        expect(() => tokenizePGN('1. e4 {never closed')).toThrow(PGNParseError);
+        expect(() => tokenizePGN('1. e4 {never closed')).toThrow('Unterminated comment (line 1, column 7)');
+    });
+    
+    test('rejects a malformed tag pair', () => {
+        expect(() => tokenizePGN('[Event unquoted]')).toThrow('Malformed tag pair');
+    });
+});
+
+describe('loadPGN', () => {
+    test('replays the main line and returns the tags and result', () => {
+        const { game, tags, result } = load('[White "Anna"]\n[Black "Ben"]\n\n1. e4 e5 2. Nf3 Nc6 3. Bb5 a6 *');
+        
+        expect(line(game)).toBe('e4 e5 Nf3 Nc6 Bb5 a6');
+        expect(tags).toEqual({ White: 'Anna', Black: 'Ben' });
+        expect(result).toBe('*');
+    });
+    
+    test('attaches comments to the game and to the move before them', () => {
+        const { game } = load('{Opening} 1. e4 {King pawn} e5 ; symmetrical\n*');
+        
+        expect(game.comment).toBe('Opening');
+        expect(game.moveHistory[0].comment).toBe('King pawn');
+        expect(game.moveHistory[1].comment).toBe('symmetrical');
+    });
+    
+    test('keeps nested variations in the move tree and ends on the main line', () => {
+        const { game } = load('1. e4 e5 (1... c5 2. Nf3 (2. c3 d5) d6) 2. Nf3 *');
+        const c5 = game.moveTree.children[0].children[1];
+        
+        expect(line(game)).toBe('e4 e5 Nf3');
+        expect(game.getMoveNotation(c5.move)).toBe('c5');
+        expect(c5.children.map(node => game.getMoveNotation(node.move))).toEqual(['Nf3', 'c3']);
+        expect(game.getMoveNotation(c5.children[1].children[0].move)).toBe('d5');
+    });
+    
+    test('starts from the FEN tag', () => {
+        const fen = '4k3/8/8/8/8/8/4P3/4K3 b - - 0 1';
+        const { game } = load(`[SetUp "1"]\n[FEN "${fen}"]\n\n1... Kd7 2. e4 *`);
+        
+        expect(game.startFEN).toBe(fen);
+        expect(game.toFEN()).toBe('8/3k4/8/8/4P3/8/8/4K3 b - e3 0 2');
+    });
+    
+    test.each([
+        ['1. e4 (1. d4 d5', 'Unterminated variation'],
+        ['1. e4 ) e5', "Unexpected ')' (line 1, column 7)"],
+        ['( 1. e4 )', 'Variation before any move'],
+        ['1. e4 (1. d4 1-0)', 'Result inside a variation'],
+        ['1. e4 e5 2. Ke3', "(line 1, column 13)"],
+        ['1. f3 e5 2. g4 Qh4# 3. a3', "Move 'a3' after the game has ended"],
+        ['[FEN "not a fen"]\n\n*', 'Invalid FEN']
+    ])('rejects %j', (text, message) => {
+        expect(() => load(text)).toThrow(PGNParseError);
+        expect(() => load(text)).toThrow(message);
+    });
+});
+
+describe('exportPGN', () => {
+    test('writes the Seven Tag Roster first and the result last', () => {
+        const { game } = load('[Annotator "Me"]\n\n1. f3 e5 2. g4 Qh4# 0-1');
+        const pgn = exportPGN(game, { ...TAGS, White: 'Anna' });
+        
+        expect(pgn.split('\n').slice(0, 8)).toEqual([
+            '[Event "Casual Game"]',
+            '[Site "Game Vibe Chess"]',
+            '[Date "2026.01.01"]',
+            '[Round "-"]',
+            '[White "Anna"]',
+            '[Black "?"]',
+            '[Result "0-1"]',
+            ''
+        ]);
+        expect(movetext(game)).toBe('1. f3 e5 2. g4 Qh4# 0-1');
+    });
+    
+    test.each([
+        '{Before} 1. e4 {After e4} 1... e5 2. Nf3 *',
+        '1. e4 e5 (1... c5 2. Nf3 (2. c3 d5) 2... d6) 2. Nf3 Nc6 (2... d6 3. d4) 3. Bb5 *',
+        '1. d4 (1. e4 e5 (1... e6) 2. Nf3) (1. c4) 1... d5 *'
+    ])('round-trips %s', (text) => {
+        const { game } = load(text);
+        const pgn = exportPGN(game, TAGS);
+        
+        expect(movetext(game)).toBe(text);
+        expect(exportPGN(load(pgn).game, TAGS)).toBe(pgn);
+    });
+    
+    test('round-trips a game from a FEN with Black to move', () => {
+        const text = '[SetUp "1"]\n[FEN "4k3/8/8/8/8/8/4P3/4K3 b - - 0 1"]\n\n1... Kd7 (1... Ke7 2. e4) 2. e4 *';
+        const { game } = load(text);
+        const pgn = exportPGN(game, TAGS);
+        
+        expect(pgn).toContain('[SetUp "1"]\n[FEN "4k3/8/8/8/8/8/4P3/4K3 b - - 0 1"]');
+        expect(movetext(game)).toBe('1... Kd7 (1... Ke7 2. e4) 2. e4 *');
+        expect(exportPGN(load(pgn).game, TAGS)).toBe(pgn);
+    });
+    
+    test('drops closing braces from comments so they stay well formed', () => {
+        const { game } = load('1. e4 ; a {braced} remark\n*');
+        const pgn = exportPGN(game, TAGS);
+        
+        expect(movetext(game)).toBe('1. e4 {a {braced remark} *');
+        expect(load(pgn).game.moveHistory[0].comment).toBe('a {braced remark');
+    });
+    
+    test('wraps movetext at 80 columns', () => {
+        const { game } = load('1. Nf3 Nf6 2. Ng1 Ng8 3. Nf3 Nf6 4. Ng1 Ng8 5. Nc3 Nc6 6. Nb1 Nb8 7. Nc3 Nc6 8. Nb1 Nb8 *');
+        const lines = exportPGN(game, TAGS).split('\n\n')[1].trim().split('\n');
+        
+        expect(lines.length).toBeGreaterThan(1);
+        expect(lines.every(text => text.length <= 80)).toBe(true);
+    });
+    
+    test('gives no result while the game is away from the end of the main line', () => {
+        const { game } = load('1. f3 e5 (1... e6) 2. g4 Qh4# 0-1');
+        game.goToNode(game.moveTree.children[0].children[1]);
+        
+        expect(movetext(game)).toBe('1. f3 e5 (1... e6) 2. g4 Qh4# *');
+    });
+});
+
+describe('applyPGNResult', () => {
+    test.each([
+        ['1-0', COLORS.WHITE, 'resignation'],
+        ['0-1', COLORS.BLACK, 'resignation']
+    ])('ends the game on %s', (result, winner, reason) => {
+        const { game } = load(`1. e4 e5 ${result}`);
+        applyPGNResult(game, result);
+        
+        expect(game).toMatchObject({ gameOver: true, winner, winReason: reason });
+        expect(movetext(game)).toBe(`1. e4 e5 ${result}`);
+    });
+    
+    test('ends the game in an agreed draw', () => {
+        const { game } = load('1. e4 e5 1/2-1/2');
+        applyPGNResult(game, '1/2-1/2');
+        
+        expect(game).toMatchObject({ gameOver: true, winner: 'draw', drawReason: 'agreement' });
+    });
+    
+    test('leaves unfinished games and games the moves decided alone', () => {
+        const unfinished = load('1. e4 e5 *').game;
+        applyPGNResult(unfinished, '*');
+        expect(unfinished.gameOver).toBe(false);
+        
+        const mated = load('1. f3 e5 2. g4 Qh4# 1-0').game;
+        applyPGNResult(mated, '1-0');
+        expect(mated).toMatchObject({ winner: COLORS.BLACK, winReason: 'checkmate' });
+    });
+});
@@ -37,6 +37,15 @@ const PIECE_SYMBOLS = {
     }
 };
 
+// Piece letters used in standard algebraic notation
+const SAN_PIECE_LETTERS = {
+    king: 'K',
+    queen: 'Q',
+    rook: 'R',
+    bishop: 'B',
+    knight: 'N'
+};
+
 // Piece values for AI evaluation
 const PIECE_VALUES = {
     king: 10000,
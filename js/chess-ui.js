@@ -10,21 +10,44 @@ class ChessUI {
         this.turnDisplay = document.getElementById('turn-display');
         this.gameStatus = document.getElementById('game-status');
         this.moveList = document.getElementById('move-list');
+        this.navigationButtons = {
+            first: document.getElementById('nav-first-btn'),
+            previous: document.getElementById('nav-prev-btn'),
+            next: document.getElementById('nav-next-btn'),
+            last: document.getElementById('nav-last-btn')
+        };
         this.capturedByWhite = document.getElementById('captured-by-white');
         this.capturedByBlack = document.getElementById('captured-by-black');
+        this.whiteClock = document.getElementById('white-clock');
+        this.blackClock = document.getElementById('black-clock');
+        this.aiThinking = document.getElementById('ai-thinking');
+        this.aiThinkingStatus = document.getElementById('ai-thinking-status');
         this.promotionModal = document.getElementById('promotion-modal');
         this.promotionPieces = document.getElementById('promotion-pieces');
         this.gameOverModal = document.getElementById('game-over-modal');
         this.gameOverTitle = document.getElementById('game-over-title');
         this.gameOverMessage = document.getElementById('game-over-message');
+        this.gameOverRating = document.getElementById('game-over-rating');
+        this.offerPrompt = document.getElementById('offer-prompt');
+        this.offerPromptText = document.getElementById('offer-prompt-text');
+        this.offerAcceptBtn = document.getElementById('offer-accept-btn');
+        this.offerDeclineBtn = document.getElementById('offer-decline-btn');
         
         this.selectedSquare = null;
         this.flipped = false;
         this.pendingPromotion = null;
+        this.clock = null;
+        this.readOnly = false;
+        
+        // Move tree node shown while browsing the moves, or null for the live
+        // position. The browsed position is a copy, kept while it is shown
+        this.viewNode = null;
+        this.viewPosition = null;
         
         // Callbacks for integration with main app (AI mode, etc.)
         this.onMoveComplete = null;
         this.onPromotionComplete = null;
+        this.onVariationDeleted = null;
         this.canInteract = null;
         
         this.initBoard();
@@ -66,15 +89,18 @@ class ChessUI {
     }
 
     /**
-     * Render the current board state
+     * Render the current board state, or the earlier position being browsed
      */
     render() {
         const squares = this.boardElement.querySelectorAll('.square');
+        const position = this.getDisplayedPosition();
+        const live = position === this.game;
+        this.boardElement.classList.toggle('browsing', !live);
         
         squares.forEach(square => {
             const row = parseInt(square.dataset.row);
             const col = parseInt(square.dataset.col);
-            const piece = this.game.getPiece(row, col);
+            const piece = position.getPiece(row, col);
             
             // Clear previous classes
             square.classList.remove('selected', 'valid-move', 'valid-capture', 'check', 'last-move');
@@ -88,14 +114,14 @@ class ChessUI {
             }
             
             // Highlight selected square
-            if (this.selectedSquare && 
+            if (live && this.selectedSquare && 
                 this.selectedSquare.row === row && 
                 this.selectedSquare.col === col) {
                 square.classList.add('selected');
             }
             
             // Highlight valid moves
-            if (this.game.validMoves.some(m => m.row === row && m.col === col)) {
+            if (live && this.game.validMoves.some(m => m.row === row && m.col === col)) {
                 if (this.game.getPiece(row, col) || 
                     this.game.validMoves.find(m => m.row === row && m.col === col)?.enPassant) {
                     square.classList.add('valid-capture');
@@ -105,24 +131,25 @@ class ChessUI {
             }
             
             // Highlight king in check
-            if (this.game.isCheck) {
-                const kingPos = this.game.findKing(this.game.currentTurn);
+            if (position.isCheck) {
+                const kingPos = position.findKing(position.currentTurn);
                 if (kingPos && kingPos.row === row && kingPos.col === col) {
                     square.classList.add('check');
                 }
             }
             
             // Highlight last move
-            if (this.game.lastMove) {
-                if ((this.game.lastMove.from.row === row && this.game.lastMove.from.col === col) ||
-                    (this.game.lastMove.to.row === row && this.game.lastMove.to.col === col)) {
+            if (position.lastMove) {
+                if ((position.lastMove.from.row === row && position.lastMove.from.col === col) ||
+                    (position.lastMove.to.row === row && position.lastMove.to.col === col)) {
                     square.classList.add('last-move');
                 }
             }
         });
         
-        this.updateTurnDisplay();
-        this.updateCapturedPieces();
+        this.updateTurnDisplay(position);
+        this.updateCapturedPieces(position);
+        this.updateClocks();
         this.updateMoveHistory();
     }
 
@@ -130,7 +157,13 @@ class ChessUI {
      * Handle square click
      */
     handleSquareClick(row, col) {
-        if (this.game.gameOver) return;
+        if (this.game.gameOver || this.readOnly) return;
+        
+        // Clicking the board while browsing goes back to the game
+        if (this.viewNode !== null) {
+            this.showLastMove();
+            return;
+        }
         
         // Check if interaction is allowed (e.g., not AI's turn)
         if (this.canInteract && !this.canInteract()) {
@@ -250,22 +283,70 @@ class ChessUI {
         }
     }
 
+    /**
+     * Close the promotion modal without making the move
+     */
+    cancelPromotion() {
+        this.pendingPromotion = null;
+        this.promotionModal.classList.remove('active');
+    }
+
     /**
      * Show game over modal
      */
     showGameOverModal() {
-        if (this.game.winner === 'draw') {
+        this.hideOfferPrompt();
+        if (!this.game.winner) {
+            this.gameOverTitle.textContent = 'Game Aborted';
+            this.gameOverMessage.textContent = this.game.winReason === 'abandoned'
+                ? 'Both players left the game.'
+                : 'The game was called off before it began.';
+        } else if (this.game.winner === 'draw') {
+            const drawMessages = {
+                'stalemate': 'The game ended in a stalemate.',
+                'insufficient-material': 'Neither side has enough material to checkmate.',
+                'threefold-repetition': 'Draw claimed by threefold repetition.',
+                'fivefold-repetition': 'The same position occurred five times.',
+                'fifty-move-rule': 'Draw claimed under the fifty-move rule.',
+                'seventy-five-move-rule': 'No capture or pawn move in 75 moves.',
+                'timeout-vs-lone-king': 'Time ran out, but the opponent has only a king.',
+                'agreement': 'The players agreed to a draw.'
+            };
             this.gameOverTitle.textContent = 'Draw!';
-            this.gameOverMessage.textContent = 'The game ended in a stalemate.';
+            this.gameOverMessage.textContent = drawMessages[this.game.drawReason] || 'The game ended in a draw.';
         } else {
             const winnerName = this.game.winner === COLORS.WHITE ? 'White' : 'Black';
-            this.gameOverTitle.textContent = 'Checkmate!';
-            this.gameOverMessage.textContent = `${winnerName} wins the game!`;
+            if (this.game.winReason === 'timeout') {
+                this.gameOverTitle.textContent = 'Time Out!';
+                this.gameOverMessage.textContent = `${winnerName} wins on time!`;
+            } else if (this.game.winReason === 'resignation') {
+                const loserName = this.game.winner === COLORS.WHITE ? 'Black' : 'White';
+                this.gameOverTitle.textContent = 'Resignation';
+                this.gameOverMessage.textContent = `${loserName} resigned. ${winnerName} wins the game!`;
+            } else if (this.game.winReason === 'abandonment') {
+                const loserName = this.game.winner === COLORS.WHITE ? 'Black' : 'White';
+                this.gameOverTitle.textContent = 'Abandoned';
+                this.gameOverMessage.textContent = `${loserName} left the game. ${winnerName} wins!`;
+            } else {
+                this.gameOverTitle.textContent = 'Checkmate!';
+                this.gameOverMessage.textContent = `${winnerName} wins the game!`;
+            }
         }
         
+        this.gameOverRating.textContent = '';
         this.gameOverModal.classList.add('active');
     }
 
+    /**
+     * Show a rated game's rating change in the game over modal
+     */
+    showRatingChange({ rating, change }) {
+        const sign = change > 0 ? '+' : change < 0 ? '−' : '±';
+        this.gameOverRating.textContent = `Rating: ${rating} (${sign}${Math.abs(change)})`;
+        this.gameOverRating.classList.toggle('gain', change > 0);
+        this.gameOverRating.classList.toggle('loss', change < 0);
+    }
+
     /**
      * Hide game over modal
      */
@@ -273,14 +354,44 @@ class ChessUI {
         this.gameOverModal.classList.remove('active');
     }
 
+    /**
+     * Show a draw offer or takeback request with Accept and Decline buttons,
+     * or a plain notice if no handlers are given
+     */
+    showOfferPrompt(text, { onAccept = null, onDecline = null } = {}) {
+        const answer = (handler) => () => {
+            this.hideOfferPrompt();
+            handler();
+        };
+        
+        this.offerPromptText.textContent = text;
+        this.offerAcceptBtn.hidden = !onAccept;
+        this.offerAcceptBtn.onclick = onAccept && answer(onAccept);
+        this.offerDeclineBtn.hidden = !onDecline;
+        this.offerDeclineBtn.onclick = onDecline && answer(onDecline);
+        this.offerPrompt.classList.add('active');
+    }
+
+    /**
+     * Hide the draw offer or takeback prompt
+     */
+    hideOfferPrompt() {
+        this.offerPrompt.classList.remove('active');
+    }
+
     /**
      * Update turn display
      */
-    updateTurnDisplay() {
-        const turnText = this.game.currentTurn === COLORS.WHITE ? "White's Turn" : "Black's Turn";
+    updateTurnDisplay(position = this.game) {
+        const turnText = position.currentTurn === COLORS.WHITE ? "White's Turn" : "Black's Turn";
         this.turnDisplay.textContent = turnText;
         
-        if (this.game.isCheck) {
+        if (position !== this.game) {
+            const ply = this.game.getNodePath(this.viewNode).length;
+            this.gameStatus.textContent = this.viewNode.move
+                ? `Viewing ${this.getMoveNumberText(ply)} ${this.game.getMoveNotation(this.viewNode.move)}`
+                : 'Viewing the start';
+        } else if (this.game.isCheck) {
             this.gameStatus.textContent = 'CHECK!';
         } else {
             this.gameStatus.textContent = '';
@@ -290,39 +401,287 @@ class ChessUI {
     /**
      * Update captured pieces display
      */
-    updateCapturedPieces() {
+    updateCapturedPieces(position = this.game) {
         // Pieces captured by white (black pieces)
-        this.capturedByWhite.innerHTML = this.game.capturedPieces.white
+        this.capturedByWhite.innerHTML = position.capturedPieces.white
             .map(p => `<span>${p.symbol}</span>`)
             .join('');
         
         // Pieces captured by black (white pieces)
-        this.capturedByBlack.innerHTML = this.game.capturedPieces.black
+        this.capturedByBlack.innerHTML = position.capturedPieces.black
             .map(p => `<span>${p.symbol}</span>`)
             .join('');
     }
 
+    /**
+     * Update the chess clock displays
+     */
+    updateClocks() {
+        const clockElements = { white: this.whiteClock, black: this.blackClock };
+        
+        for (const [color, element] of Object.entries(clockElements)) {
+            element.hidden = !this.clock;
+            if (!this.clock) continue;
+            
+            const remaining = Math.max(0, this.clock.getRemaining(color));
+            element.textContent = this.formatClockTime(remaining);
+            element.classList.toggle('active', this.clock.activeColor === color);
+            element.classList.toggle('low-time', remaining < 10000);
+            element.classList.toggle('flagged', this.clock.flagged === color);
+        }
+    }
+
+    /**
+     * Format milliseconds as h:mm:ss, m:ss, or s.t under ten seconds
+     */
+    formatClockTime(ms) {
+        if (ms < 10000) {
+            return (Math.floor(ms / 100) / 10).toFixed(1);
+        }
+        
+        const totalSeconds = Math.ceil(ms / 1000);
+        const hours = Math.floor(totalSeconds / 3600);
+        const minutes = Math.floor((totalSeconds % 3600) / 60);
+        const seconds = String(totalSeconds % 60).padStart(2, '0');
+        
+        return hours > 0
+            ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}`
+            : `${minutes}:${seconds}`;
+    }
+
+    /**
+     * Show the AI thinking indicator with the latest search progress,
+     * or hide it when progress is null
+     */
+    updateAIThinking(progress) {
+        this.aiThinking.classList.toggle('active', !!progress);
+        if (!progress) return;
+        
+        if (progress.depth === undefined) {
+            this.aiThinkingStatus.textContent = 'AI is thinking...';
+            return;
+        }
+        
+        const score = (progress.score >= 0 ? '+' : '') + (progress.score / 100).toFixed(2);
+        this.aiThinkingStatus.textContent =
+            `Depth ${progress.depth} · ${progress.bestLine.join(' ')} · ${score} · ` +
+            `${progress.nodes.toLocaleString()} nodes`;
+    }
+
     /**
      * Update move history
+     * The main line is followed by its variations, nested inside each other.
+     * Each move can be clicked to show the position after it
      */
     updateMoveHistory() {
+        const shownNode = this.viewNode || this.game.currentNode;
         this.moveList.innerHTML = '';
         
-        for (let i = 0; i < this.game.moveHistory.length; i += 2) {
-            const moveNumber = Math.floor(i / 2) + 1;
-            const whiteMove = this.game.getMoveNotation(this.game.moveHistory[i]);
-            const blackMove = this.game.moveHistory[i + 1] 
-                ? this.game.getMoveNotation(this.game.moveHistory[i + 1]) 
-                : '';
+        const mainline = this.game.moveTree.children[0];
+        if (mainline) {
+            this.renderLine(this.moveList, mainline, 1, shownNode, false);
+        }
+        
+        this.updateNavigationButtons(shownNode);
+        
+        // Follow the latest move, unless browsing
+        if (this.viewNode === null) {
+            this.moveList.scrollTop = this.moveList.scrollHeight;
+        }
+    }
+
+    /**
+     * Render a line of the move tree into a container, from a node on
+     * through the first child of each node after it. A new entry with a
+     * move number starts at every white move and after every variation
+     */
+    renderLine(container, node, ply, shownNode, isVariation) {
+        let entry = null;
+        
+        for (let current = node; current; current = current.children[0], ply++) {
+            if (!entry || ply % 2 === 1) {
+                entry = document.createElement('div');
+                entry.className = 'move-entry';
+                
+                const moveNumber = document.createElement('span');
+                moveNumber.className = 'move-number';
+                moveNumber.textContent = this.getMoveNumberText(ply);
+                entry.appendChild(moveNumber);
+                container.appendChild(entry);
+            }
+            
+            const move = document.createElement('span');
+            move.className = current === shownNode ? 'move current-move' : 'move';
+            move.textContent = this.game.getMoveNotation(current.move);
+            move.addEventListener('click', () => this.showNode(current));
+            entry.appendChild(move);
             
-            const entry = document.createElement('div');
-            entry.className = 'move-entry';
-            entry.innerHTML = `<span class="move-number">${moveNumber}.</span> ${whiteMove} ${blackMove}`;
-            this.moveList.appendChild(entry);
+            // The alternatives to a variation's first move belong to the line above
+            if (current === node && isVariation) continue;
+            
+            for (const variation of current.parent.children.slice(1)) {
+                container.appendChild(this.createVariationElement(variation, ply, shownNode));
+                entry = null;
+            }
         }
+    }
+
+    /**
+     * Create the element for a variation, with buttons to make it the main
+     * line or delete it unless the board is read-only
+     */
+    createVariationElement(node, ply, shownNode) {
+        const element = document.createElement('div');
+        element.className = 'variation';
         
-        // Scroll to bottom
-        this.moveList.scrollTop = this.moveList.scrollHeight;
+        if (!this.readOnly) {
+            const actions = document.createElement('span');
+            actions.className = 'variation-actions';
+            
+            const promote = document.createElement('button');
+            promote.className = 'variation-btn';
+            promote.textContent = '⇧';
+            promote.title = 'Make this the main line';
+            promote.setAttribute('aria-label', 'Make this the main line');
+            promote.addEventListener('click', () => this.promoteVariation(node));
+            actions.appendChild(promote);
+            
+            const remove = document.createElement('button');
+            remove.className = 'variation-btn';
+            remove.textContent = '✕';
+            remove.title = 'Delete this variation';
+            remove.setAttribute('aria-label', 'Delete this variation');
+            remove.addEventListener('click', () => this.deleteVariation(node));
+            actions.appendChild(remove);
+            
+            element.appendChild(actions);
+        }
+        
+        this.renderLine(element, node, ply, shownNode, true);
+        return element;
+    }
+
+    /**
+     * Get the move number text for a ply: "3." for White, "3..." for Black
+     */
+    getMoveNumberText(ply) {
+        return `${Math.ceil(ply / 2)}${ply % 2 ? '.' : '...'}`;
+    }
+
+    /**
+     * Make a variation the main line
+     */
+    promoteVariation(node) {
+        if (this.game.promoteVariation(node)) {
+            this.render();
+        }
+    }
+
+    /**
+     * Delete a variation. If the game was in it, it goes back to where the
+     * variation branched off, and onVariationDeleted is told so
+     */
+    deleteVariation(node) {
+        const movedBack = this.game.isOnCurrentLine(node);
+        if (!this.game.deleteVariation(node)) return;
+        
+        if (movedBack) {
+            this.selectedSquare = null;
+            this.game.validMoves = [];
+        }
+        this.render();
+        
+        if (this.onVariationDeleted) {
+            this.onVariationDeleted(movedBack);
+        }
+    }
+
+    /**
+     * Get the node the next-move button leads to from a shown node: towards
+     * the live position when on its line, otherwise along the shown line
+     */
+    getNextNode(shownNode) {
+        if (shownNode !== this.game.currentNode && this.game.isOnCurrentLine(shownNode)) {
+            return this.game.getNodePath(this.game.currentNode)[this.game.getNodePath(shownNode).length];
+        }
+        return shownNode.children[0] || null;
+    }
+
+    /**
+     * Enable the move navigation buttons that lead somewhere from the shown node
+     */
+    updateNavigationButtons(shownNode) {
+        const atStart = shownNode === this.game.moveTree;
+        this.navigationButtons.first.disabled = atStart;
+        this.navigationButtons.previous.disabled = atStart;
+        this.navigationButtons.next.disabled = !this.getNextNode(shownNode);
+        this.navigationButtons.last.disabled = this.viewNode === null;
+    }
+
+    /**
+     * Get the position to show: the live game, or a copy of it at the node
+     * being browsed. Browsing ends when that node leaves the move tree
+     */
+    getDisplayedPosition() {
+        if (this.viewNode === null) return this.game;
+        if (this.viewNode === this.game.currentNode || !this.game.hasNode(this.viewNode)) {
+            this.viewNode = null;
+            this.viewPosition = null;
+            return this.game;
+        }
+        
+        if (!this.viewPosition || this.viewPosition.node !== this.viewNode) {
+            this.viewPosition = {
+                node: this.viewNode,
+                game: this.game.getPositionAt(this.viewNode)
+            };
+        }
+        return this.viewPosition.game;
+    }
+
+    /**
+     * Show the position after a node of the move tree without changing
+     * the game. The current node shows the live position again
+     */
+    showNode(node) {
+        this.viewNode = node === this.game.currentNode ? null : node;
+        this.selectedSquare = null;
+        this.game.validMoves = [];
+        this.render();
+    }
+
+    /**
+     * Show the starting position
+     */
+    showFirstMove() {
+        this.showNode(this.game.moveTree);
+    }
+
+    /**
+     * Step back one move
+     */
+    showPreviousMove() {
+        const shownNode = this.viewNode || this.game.currentNode;
+        if (shownNode.parent) {
+            this.showNode(shownNode.parent);
+        }
+    }
+
+    /**
+     * Step forward one move
+     */
+    showNextMove() {
+        const next = this.getNextNode(this.viewNode || this.game.currentNode);
+        if (next) {
+            this.showNode(next);
+        }
+    }
+
+    /**
+     * Go back to the live position
+     */
+    showLastMove() {
+        this.showNode(this.game.currentNode);
     }
 
     /**
@@ -333,13 +692,27 @@ class ChessUI {
         this.initBoard();
     }
 
+    /**
+     * Make the board read-only, e.g. for spectators, or let moves be made again
+     */
+    setReadOnly(readOnly) {
+        this.readOnly = readOnly;
+        this.boardElement.classList.toggle('read-only', readOnly);
+        if (readOnly) {
+            this.deselect();
+        }
+    }
+
     /**
      * Reset the UI
      */
     reset() {
         this.selectedSquare = null;
         this.pendingPromotion = null;
+        this.viewNode = null;
+        this.viewPosition = null;
         this.hideGameOverModal();
+        this.hideOfferPrompt();
         this.initBoard();
     }
 
@@ -0,0 +1,194 @@
+const { loadScripts } = require('./test-helpers/load-scripts');
+const { createFakeDocument } = require('./test-helpers/fake-dom');
+
+const START_FEN = 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1';
+
+let document;
+let game;
+let ui;
+
+beforeEach(() => {
+    document = createFakeDocument();
+    const { ChessGame, ChessUI } = loadScripts(
+        ['chess-pieces.js', 'chess-logic.js', 'chess-ui.js'],
+        ['ChessGame', 'ChessUI'],
+        { document }
+    );
+    game = new ChessGame();
+    ui = new ChessUI(game);
+});
+
+const square = (text) => game.algebraicToSquare(text);
+
+// Play a move by clicking its squares, as a player does
+const click = (from, to) => {
+    ui.handleSquareClick(square(from).row, square(from).col);
+    ui.handleSquareClick(square(to).row, square(to).col);
+};
+
+// Play a move the way moves from the network or the AI arrive
+const receive = (from, to) => {
+    game.validMoves = game.getValidMoves(square(from).row, square(from).col);
+    game.makeMove(square(from).row, square(from).col, square(to).row, square(to).col);
+    game.validMoves = [];
+    ui.render();
+};
+
+const moveElements = () => document.getElementById('move-list').querySelectorAll('.move');
+
+const shownMove = () => moveElements().find(element => element.classList.contains('current-move'));
+
+const shownPiece = (text) => {
+    const { row, col } = square(text);
+    return document.getElementById('chessboard').querySelectorAll('.square')
+        .find(element => element.dataset.row === row && element.dataset.col === col).innerHTML;
+};
+
+const button = (id) => document.getElementById(id);
+
+describe('move list', () => {
+    test('lists the moves and marks the last one', () => {
+        click('e2', 'e4');
+        click('e7', 'e5');
+        
+        expect(moveElements().map(element => element.textContent)).toEqual(['e4', 'e5']);
+        expect(shownMove().textContent).toBe('e5');
+    });
+    
+    test('shows the position after a clicked move without changing the game', () => {
+        click('e2', 'e4');
+        click('e7', 'e5');
+        const fen = game.toFEN();
+        
+        moveElements()[0].click();
+        
+        expect(shownMove().textContent).toBe('e4');
+        expect(shownPiece('e5')).toBe('');
+        expect(shownPiece('e4')).not.toBe('');
+        expect(document.getElementById('game-status').textContent).toBe('Viewing 1. e4');
+        expect(document.getElementById('turn-display').textContent).toBe("Black's Turn");
+        expect(document.getElementById('chessboard').classList.contains('browsing')).toBe(true);
+        expect(game.toFEN()).toBe(fen);
+        expect(game.moveHistory).toHaveLength(2);
+    });
+});
+
+describe('navigation', () => {
+    beforeEach(() => {
+        click('e2', 'e4');
+        click('e7', 'e5');
+        click('g1', 'f3');
+    });
+    
+    test('steps back, forward and to either end', () => {
+        ui.showPreviousMove();
+        expect(shownMove().textContent).toBe('e5');
+        
+        ui.showFirstMove();
+        expect(shownMove()).toBeUndefined();
+        expect(document.getElementById('game-status').textContent).toBe('Viewing the start');
+        expect(ui.getDisplayedPosition().toFEN()).toBe(START_FEN);
+        
+        ui.showNextMove();
+        expect(shownMove().textContent).toBe('e4');
+        
+        ui.showLastMove();
+        expect(ui.viewNode).toBeNull();
+        expect(shownMove().textContent).toBe('Nf3');
+        expect(document.getElementById('chessboard').classList.contains('browsing')).toBe(false);
+    });
+    
+    test('enables only the buttons that lead somewhere', () => {
+        expect(['nav-first-btn', 'nav-prev-btn', 'nav-next-btn', 'nav-last-btn'].map(id => button(id).disabled))
+            .toEqual([false, false, true, true]);
+        
+        ui.showFirstMove();
+        expect(['nav-first-btn', 'nav-prev-btn', 'nav-next-btn', 'nav-last-btn'].map(id => button(id).disabled))
+            .toEqual([true, true, false, false]);
+        
+        // Stepping back from the start stays there
+        ui.showPreviousMove();
+        expect(ui.viewNode).toBe(game.moveTree);
+    });
+    
+    test('stepping forward onto the live position ends browsing', () => {
+        ui.showPreviousMove();
+        ui.showNextMove();
+        
+        expect(ui.viewNode).toBeNull();
+    });
+    
+    test('keeps the browsed position while new moves arrive', () => {
+        ui.showFirstMove();
+        ui.showNextMove();
+        receive('b8', 'c6');
+        
+        expect(shownMove().textContent).toBe('e4');
+        expect(moveElements().map(element => element.textContent)).toEqual(['e4', 'e5', 'Nf3', 'Nc6']);
+        expect(game.currentTurn).toBe('white');
+        
+        ui.showLastMove();
+        expect(shownMove().textContent).toBe('Nc6');
+    });
+    
+    test('clicking the board while browsing goes back to the game, without moving', () => {
+        ui.showFirstMove();
+        click('d7', 'd5');
+        
+        expect(ui.viewNode).toBeNull();
+        expect(game.moveHistory).toHaveLength(3);
+        
+        click('d7', 'd5');
+        expect(game.moveHistory).toHaveLength(4);
+    });
+});
+
+describe('variations', () => {
+    // 1. e4 e5 2. Nf3 with 1... c5 2. Nf3 as a variation, the game on it
+    beforeEach(() => {
+        click('e2', 'e4');
+        click('e7', 'e5');
+        click('g1', 'f3');
+        game.undoMove();
+        game.undoMove();
+        click('c7', 'c5');
+        click('g1', 'f3');
+    });
+    
+    const variations = () => document.getElementById('move-list').querySelectorAll('.variation');
+    
+    const variationButton = (label) => variations()[0].querySelectorAll('.variation-btn')
+        .find(element => element.attributes['aria-label'] === label);
+    
+    test('are listed after the move they replace', () => {
+        expect(moveElements().map(element => element.textContent)).toEqual(['e4', 'e5', 'c5', 'Nf3', 'Nf3']);
+        expect(variations()).toHaveLength(1);
+        expect(variations()[0].querySelectorAll('.move').map(element => element.textContent)).toEqual(['c5', 'Nf3']);
+        expect(variations()[0].querySelectorAll('.move-number').map(element => element.textContent)).toEqual(['1...', '2.']);
+        expect(shownMove()).toBe(variations()[0].querySelectorAll('.move')[1]);
+    });
+    
+    test('can be made the main line', () => {
+        variationButton('Make this the main line').click();
+        
+        expect(moveElements().map(element => element.textContent)).toEqual(['e4', 'c5', 'e5', 'Nf3', 'Nf3']);
+        expect(variations()[0].querySelectorAll('.move').map(element => element.textContent)).toEqual(['e5', 'Nf3']);
+    });
+    
+    test('can be deleted, taking the game back to where it branched', () => {
+        const onVariationDeleted = jest.fn();
+        ui.onVariationDeleted = onVariationDeleted;
+        
+        variationButton('Delete this variation').click();
+        
+        expect(variations()).toHaveLength(0);
+        expect(game.moveHistory.map(move => game.getMoveNotation(move))).toEqual(['e4']);
+        expect(onVariationDeleted).toHaveBeenCalledWith(true);
+    });
+    
+    test('have no buttons on a read-only board', () => {
+        ui.setReadOnly(true);
+        
+        expect(variations()[0].querySelectorAll('.variation-btn')).toEqual([]);
+    });
+});
@@ -7,14 +7,45 @@
 let game;
 let ui;
 let ai;
-let gameMode = 'local'; // 'local', 'multiplayer', 'ai'
+let aiClient;
+let aiSearchId = 0;
+let gameMode = 'local'; // 'local', 'multiplayer', 'ai', 'replay'
 let aiColor = COLORS.BLACK;
 let aiDifficulty = 'medium';
 let isAIThinking = false;
+let pgnTags = {};
+let timeControl = 'none';
+let onlineTimeControl = '10+5';
+let onlineRated = false;
+let roomColor = 'random'; // Color asked for when opening a private room
+let waitingRoomCode = null; // Invite code of the private room we are waiting in
+let agreedTimeControl = null; // Time control the server set for the online game
+let clock = null;
+let clockInterval = null;
+let network = null;
+let playerColor = null; // Assigned color in online games; null when watching one
+let awaitingMoveConfirmation = false;
+let isReconnecting = false; // Lost the connection during an online game
+let reconnectAttempts = 0;
+let reconnectTimer = null;
+let chatMuted = false; // We muted the opponent's chat in the online game
+let historyFilters = {}; // Filters of the game history shown on the My Games screen
+let historyCursor = null; // Cursor of the game history's next page, if any
+let replayColor = null; // Our color in the archived game being replayed
+
+// Most chat lines kept in the chat panel
+const MAX_CHAT_LINES = 100;
+
+// Delays between attempts to rejoin an online game after losing the connection
+const RECONNECT_DELAYS = [1000, 2000, 5000, 10000];
+
+// localStorage key of the online game in progress, to rejoin after a reload
+const ONLINE_GAME_STORAGE_KEY = 'chess-online-game';
 
 // UI Elements
 let modeSelectionScreen;
 let gameScreen;
+let myGamesScreen;
 let matchmakingModal;
 
 /**
@@ -23,91 +54,1054 @@ let matchmakingModal;
 function init() {
     game = new ChessGame();
     ai = new ChessAI('medium');
+    aiClient = new ChessAIClient();
     
     // Get screen elements
     modeSelectionScreen = document.getElementById('mode-selection-screen');
     gameScreen = document.getElementById('game-screen');
+    myGamesScreen = document.getElementById('my-games-screen');
     matchmakingModal = document.getElementById('matchmaking-modal');
     
-    setupModeSelectionListeners();
+    readSignInRedirect();
+    setupModeSelectionListeners();
+    updateAccountStatus();
+    
+    // Pick up an online game left by reloading or closing the page, or
+    // join the private room an invite link points to
+    const savedGameId = getSavedOnlineGame();
+    const roomCode = readRoomLink();
+    if (savedGameId) {
+        rejoinOnlineGame(savedGameId);
+    } else if (roomCode) {
+        document.getElementById('room-code-input').value = roomCode;
+        joinPrivateRoom(roomCode);
+    }
+}
+
+/**
+ * Setup mode selection event listeners
+ */
+function setupModeSelectionListeners() {
+    // Multiplayer button
+    document.getElementById('select-multiplayer-btn').addEventListener('click', () => {
+        startMatchmaking();
+    });
+    
+    // Local play button
+    document.getElementById('select-local-btn').addEventListener('click', () => {
+        gameMode = 'local';
+        startGame('Local Play');
+    });
+    
+    // AI difficulty buttons
+    document.querySelectorAll('.btn-ai-difficulty').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            document.querySelectorAll('.btn-ai-difficulty').forEach(b => b.classList.remove('active'));
+            e.target.classList.add('active');
+            aiDifficulty = e.target.dataset.difficulty;
+        });
+    });
+    
+    // AI play button
+    document.getElementById('select-ai-btn').addEventListener('click', () => {
+        gameMode = 'ai';
+        ai.setDifficulty(aiDifficulty);
+        startGame(`AI - ${aiDifficulty.charAt(0).toUpperCase() + aiDifficulty.slice(1)}`);
+    });
+    
+    // Private rooms: open one to invite a friend, or join one by its code
+    document.getElementById('room-color-select').addEventListener('change', (e) => {
+        roomColor = e.target.value;
+    });
+    document.getElementById('create-room-btn').addEventListener('click', () => {
+        createPrivateRoom();
+    });
+    document.getElementById('join-room-form').addEventListener('submit', (e) => {
+        e.preventDefault();
+        const codeInput = document.getElementById('room-code-input');
+        if (codeInput.value.trim()) {
+            joinPrivateRoom(codeInput.value.trim());
+        } else {
+            codeInput.focus();
+        }
+    });
+    document.getElementById('copy-room-link-btn').addEventListener('click', (e) => {
+        const linkInput = document.getElementById('room-link');
+        linkInput.select();
+        
+        // Without clipboard access (e.g. over plain http) the link stays selected to copy by hand
+        if (!navigator.clipboard) return;
+        navigator.clipboard.writeText(linkInput.value).then(() => {
+            e.target.textContent = 'Copied!';
+        }).catch(() => {});
+    });
+    
+    // Live games to watch
+    document.getElementById('list-games-btn').addEventListener('click', () => {
+        listLiveGames();
+    });
+    
+    // Our finished games, to replay
+    document.getElementById('my-games-btn').addEventListener('click', () => {
+        showMyGames();
+    });
+    document.getElementById('my-games-back-btn').addEventListener('click', () => {
+        leaveOnlineGame();
+        myGamesScreen.style.display = 'none';
+        modeSelectionScreen.style.display = 'flex';
+    });
+    const historyTimeControlSelect = document.getElementById('history-time-control-select');
+    for (const [value, label] of Object.entries(ONLINE_TIME_CONTROLS)) {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        historyTimeControlSelect.appendChild(option);
+    }
+    document.getElementById('history-filters').addEventListener('submit', (e) => {
+        e.preventDefault();
+        searchGameHistory();
+    });
+    document.getElementById('history-more-btn').addEventListener('click', () => {
+        requestGameHistory(historyCursor);
+    });
+    
+    // Cancel matchmaking button
+    document.getElementById('cancel-matchmaking-btn').addEventListener('click', () => {
+        cancelMatchmaking();
+    });
+    
+    // Time control selector
+    const timeControlSelect = document.getElementById('time-control-select');
+    for (const [value, label] of Object.entries(TIME_CONTROL_PRESETS)) {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        timeControlSelect.appendChild(option);
+    }
+    timeControlSelect.value = timeControl;
+    timeControlSelect.addEventListener('change', () => {
+        timeControl = timeControlSelect.value;
+    });
+    
+    // Online time control and rated flag
+    const onlineTimeControlSelect = document.getElementById('online-time-control-select');
+    for (const [value, label] of Object.entries(ONLINE_TIME_CONTROLS)) {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        onlineTimeControlSelect.appendChild(option);
+    }
+    onlineTimeControlSelect.value = onlineTimeControl;
+    onlineTimeControlSelect.addEventListener('change', () => {
+        onlineTimeControl = onlineTimeControlSelect.value;
+    });
+    document.getElementById('rated-checkbox').addEventListener('change', (e) => {
+        onlineRated = e.target.checked;
+    });
+    
+    // Sign in through the sign-in page, which returns here with a token
+    document.getElementById('sign-in-btn').addEventListener('click', () => {
+        window.location.assign(getSignInUrl());
+    });
+    document.getElementById('sign-out-btn').addEventListener('click', () => {
+        signOut();
+        updateAccountStatus();
+    });
+}
+
+/**
+ * Show who is signed in, and offer rated games only to signed-in players
+ */
+function updateAccountStatus() {
+    const player = getSignedInPlayer();
+    document.getElementById('account-status').textContent = player ? `Signed in as ${player.nickname}` : 'Playing as a guest';
+    document.getElementById('sign-in-btn').hidden = !!player || !getSignInUrl();
+    document.getElementById('sign-out-btn').hidden = !player;
+    
+    const ratedCheckbox = document.getElementById('rated-checkbox');
+    ratedCheckbox.disabled = !player;
+    if (!player) {
+        ratedCheckbox.checked = false;
+        onlineRated = false;
+    }
+}
+
+/**
+ * Show the matchmaking modal with a title and status, without a room invite
+ */
+function showMatchmakingModal(title, status) {
+    document.getElementById('matchmaking-title').textContent = title;
+    document.getElementById('matchmaking-status').textContent = status;
+    document.getElementById('room-invite').hidden = true;
+    matchmakingModal.classList.add('active');
+}
+
+/**
+ * Show why the game server could not be reached
+ */
+function showConnectError(error) {
+    // The server turns away guests unless it allows them
+    document.getElementById('matchmaking-status').textContent =
+        getIdToken() ? error.message : `${error.message}. Sign in to play online.`;
+}
+
+/**
+ * Start matchmaking for multiplayer
+ */
+function startMatchmaking() {
+    showMatchmakingModal('Finding Opponent', 'Connecting to game servers...');
+    
+    leaveOnlineGame();
+    network = createNetworkClient();
+    
+    network.joinQueue(onlineTimeControl, onlineRated).catch(showConnectError);
+}
+
+/**
+ * Open a private room with the online time control, and wait for the
+ * friend we invite to join it
+ */
+function createPrivateRoom() {
+    showMatchmakingModal('Private Room', 'Connecting to game servers...');
+    
+    leaveOnlineGame();
+    network = createNetworkClient();
+    
+    network.createRoom(onlineTimeControl, roomColor, onlineRated).catch(showConnectError);
+}
+
+/**
+ * Join a friend's private room by its invite code
+ */
+function joinPrivateRoom(code) {
+    showMatchmakingModal('Joining Room', 'Connecting to game servers...');
+    
+    leaveOnlineGame();
+    network = createNetworkClient();
+    
+    network.joinRoom(code).catch(showConnectError);
+}
+
+/**
+ * Rejoin an online game this browser was playing before the page reloaded
+ */
+function rejoinOnlineGame(gameId) {
+    showMatchmakingModal('Rejoining Game', 'Rejoining your game...');
+    
+    leaveOnlineGame();
+    network = createNetworkClient();
+    
+    network.resumeGame(gameId).catch((error) => {
+        document.getElementById('matchmaking-status').textContent = error.message;
+    });
+}
+
+/**
+ * Ask the game server for the games being played, to pick one to watch
+ */
+function listLiveGames() {
+    const statusEl = document.getElementById('live-games-status');
+    statusEl.textContent = 'Loading live games...';
+    statusEl.hidden = false;
+    
+    if (!network) {
+        network = createNetworkClient();
+    }
+    network.listGames().catch((error) => {
+        statusEl.textContent = error.message;
+        leaveOnlineGame();
+    });
+}
+
+/**
+ * Show the games being played, each with a button to watch it
+ */
+function handleGameList(message) {
+    const statusEl = document.getElementById('live-games-status');
+    statusEl.textContent = message.games.length ? '' : 'No games are being played right now.';
+    statusEl.hidden = message.games.length > 0;
+    
+    const list = document.getElementById('live-games-list');
+    list.innerHTML = '';
+    for (const liveGame of message.games) {
+        const player = (color) => `${liveGame.nicknames[color] || 'Guest'} (${liveGame.ratings[color]})`;
+        const item = document.createElement('li');
+        const description = document.createElement('span');
+        description.textContent = `${player(COLORS.WHITE)} vs ${player(COLORS.BLACK)}, ` +
+            `${liveGame.rated ? 'rated' : 'casual'} ${liveGame.timeControl.name}, ${liveGame.moves} moves`;
+        
+        const watchBtn = document.createElement('button');
+        watchBtn.className = 'btn btn-secondary';
+        watchBtn.textContent = 'Watch';
+        watchBtn.addEventListener('click', () => watchOnlineGame(liveGame.gameId));
+        
+        item.append(description, watchBtn);
+        list.appendChild(item);
+    }
+}
+
+/**
+ * Watch an online game as a spectator
+ */
+function watchOnlineGame(gameId) {
+    showMatchmakingModal('Watching Game', 'Connecting to the game...');
+    
+    leaveOnlineGame();
+    network = createNetworkClient();
+    
+    network.watchGame(gameId).catch(showConnectError);
+}
+
+/**
+ * Show the My Games screen with our most recent finished games
+ */
+function showMyGames() {
+    modeSelectionScreen.style.display = 'none';
+    myGamesScreen.style.display = 'block';
+    searchGameHistory();
+}
+
+/**
+ * Show the first page of our finished games that match the filters
+ */
+function searchGameHistory() {
+    historyFilters = {
+        result: document.getElementById('history-result-select').value,
+        color: document.getElementById('history-color-select').value,
+        timeControl: document.getElementById('history-time-control-select').value,
+        from: document.getElementById('history-from-input').value,
+        to: document.getElementById('history-to-input').value
+    };
+    document.getElementById('history-games-list').innerHTML = '';
+    requestGameHistory(null);
+}
+
+/**
+ * Ask the game server for a page of our finished games: the first page,
+ * or the one after the page a cursor came with
+ */
+function requestGameHistory(cursor) {
+    const statusEl = document.getElementById('history-status');
+    statusEl.textContent = 'Loading your games...';
+    statusEl.hidden = false;
+    document.getElementById('history-more-btn').hidden = true;
+    
+    if (!network) {
+        network = createNetworkClient();
+    }
+    network.listHistory(historyFilters, cursor).catch((error) => {
+        statusEl.textContent = error.message;
+        leaveOnlineGame();
+    });
+}
+
+/**
+ * Add a page of our finished games to the list, each with a button to
+ * replay it
+ */
+function handleGameHistory(message) {
+    const list = document.getElementById('history-games-list');
+    if (!message.after) {
+        list.innerHTML = '';
+    }
+
+    const outcomes = { win: 'Won', loss: 'Lost', draw: 'Drew' };
+    for (const entry of message.games) {
+        const item = document.createElement('li');
+        item.className = `history-game history-${entry.outcome}`;
+        
+        const opponent = `${entry.opponent.nickname || 'Guest'} (${entry.opponent.rating})`;
+        const ratingChange = entry.ratingChange !== undefined
+            ? ` ${entry.ratingChange >= 0 ? '+' : ''}${entry.ratingChange}`
+            : '';
+        const description = document.createElement('span');
+        description.textContent = `${outcomes[entry.outcome]} as ${entry.color} vs ${opponent}, ` +
+            `${entry.rated ? 'rated' : 'casual'} ${entry.timeControl}${ratingChange}, ` +
+            `${entry.moves} moves, ${new Date(entry.finishedAt).toLocaleDateString()}`;
+        
+        const replayBtn = document.createElement('button');
+        replayBtn.className = 'btn btn-secondary';
+        replayBtn.textContent = 'Replay';
+        replayBtn.addEventListener('click', () => openArchivedGame(entry.gameId, entry.color));
+        
+        item.append(description, replayBtn);
+        list.appendChild(item);
+    }
+
+    historyCursor = message.cursor;
+    const statusEl = document.getElementById('history-status');
+    statusEl.textContent = list.children.length ? '' : 'No finished games match.';
+    statusEl.hidden = list.children.length > 0;
+    document.getElementById('history-more-btn').hidden = !historyCursor;
+}
+
+/**
+ * Ask the game server for one of our finished games, to replay it
+ */
+function openArchivedGame(gameId, color) {
+    const statusEl = document.getElementById('history-status');
+    statusEl.textContent = 'Opening the game...';
+    statusEl.hidden = false;
+    replayColor = color;
+    
+    if (!network) {
+        network = createNetworkClient();
+    }
+    network.getArchivedGame(gameId).catch((error) => {
+        statusEl.textContent = error.message;
+        leaveOnlineGame();
+    });
+}
+
+/**
+ * Replay a finished game the server sent as PGN: the board shows it from
+ * our side, and can't be played on
+ */
+function handleArchivedGame(message) {
+    // We went back to the menu before it arrived
+    if (myGamesScreen.style.display !== 'block') return;
+    myGamesScreen.style.display = 'none';
+    document.getElementById('history-status').hidden = true;
+    
+    gameMode = 'replay';
+    startGame('Replay');
+    try {
+        pgnTags = loadPGN(game, message.pgn).tags;
+    } catch (error) {
+        alert(`Could not open the game: ${error.message}`);
+        backToModeSelection();
+        return;
+    }
+    document.getElementById('current-mode-display').textContent =
+        `Replay - ${pgnTags.White} vs ${pgnTags.Black}, ${pgnTags.Event}, ${pgnTags.Date}`;
+    
+    ui.reset();
+    if (ui.flipped !== (replayColor === COLORS.BLACK)) {
+        ui.flipBoard();
+    }
+
+    // Resignations, agreed draws and time forfeits are not in the moves
+    if (game.gameOver) {
+        ui.showGameOverModal();
+        updateUndoButton();
+    } else {
+        adoptServerResult(message);
+    }
+}
+
+/**
+ * Create a client for the game server with its messages wired up
+ */
+function createNetworkClient() {
+    const client = new ChessNetworkClient(getWebSocketUrl());
+    client.onStatus = (message) => {
+        const statusEl = document.getElementById('matchmaking-status');
+        statusEl.textContent = message.rating ? `${message.message} (rating ${message.rating})` : message.message;
+    };
+    client.onMatchFound = handleMatchFound;
+    client.onRoomStatus = handleRoomStatus;
+    client.onGameState = handleGameState;
+    client.onOpponentMove = handleOpponentMove;
+    client.onMovePlayed = handleMovePlayed;
+    client.onMoveConfirmed = handleMoveConfirmed;
+    client.onGameOver = handleOnlineGameOver;
+    client.onDrawOffer = handleDrawOffer;
+    client.onTakebackRequest = handleTakebackRequest;
+    client.onOfferDeclined = handleOfferDeclined;
+    client.onTakeback = handleTakeback;
+    client.onOpponentPresence = handleOpponentPresence;
+    client.onGameList = handleGameList;
+    client.onGameHistory = handleGameHistory;
+    client.onArchivedGame = handleArchivedGame;
+    client.onChatMessage = handleChatMessage;
+    client.onChatMuted = handleChatMuted;
+    client.onError = handleServerError;
+    client.onDisconnect = handleNetworkDisconnect;
+    return client;
+}
+
+/**
+ * Cancel matchmaking
+ */
+function cancelMatchmaking() {
+    matchmakingModal.classList.remove('active');
+    if (network && waitingRoomCode) {
+        network.cancelRoom();
+    } else if (network) {
+        network.leaveQueue();
+    }
+    leaveOnlineGame();
+}
+
+/**
+ * Close the connection to the game server, if any
+ */
+function leaveOnlineGame() {
+    clearTimeout(reconnectTimer);
+    reconnectTimer = null;
+    isReconnecting = false;
+    reconnectAttempts = 0;
+    if (network) {
+        network.disconnect();
+        network = null;
+    }
+    clearSavedOnlineGame();
+    waitingRoomCode = null;
+    playerColor = null;
+    agreedTimeControl = null;
+    awaitingMoveConfirmation = false;
+}
+
+/**
+ * Get the id of the online game saved to rejoin, if any
+ */
+function getSavedOnlineGame() {
+    try {
+        return localStorage.getItem(ONLINE_GAME_STORAGE_KEY);
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Remember the online game in progress, so a reload can rejoin it
+ */
+function saveOnlineGame(gameId) {
+    try {
+        localStorage.setItem(ONLINE_GAME_STORAGE_KEY, gameId);
+    } catch (error) {
+        // Without storage, a reload leaves the game
+    }
+}
+
+/**
+ * Forget the saved online game once it is over or left
+ */
+function clearSavedOnlineGame() {
+    try {
+        localStorage.removeItem(ONLINE_GAME_STORAGE_KEY);
+    } catch (error) {
+        // Nothing was saved
+    }
+}
+
+/**
+ * Show the invite code and link of the private room we opened, while we
+ * wait for our friend to join
+ */
+function handleRoomStatus(message) {
+    if (message.type !== 'room_created') return;
+    
+    waitingRoomCode = message.code;
+    const colorText = message.color === 'random' ? 'a random color' : message.color;
+    document.getElementById('matchmaking-title').textContent = 'Waiting for Your Friend';
+    document.getElementById('matchmaking-status').textContent =
+        `Share the code or link. You play ${colorText}, ${message.rated ? 'rated' : 'casual'} ${message.timeControl.name}.`;
+    document.getElementById('room-code').textContent = message.code;
+    document.getElementById('room-link').value = getRoomLink(message.code);
+    document.getElementById('copy-room-link-btn').textContent = 'Copy Link';
+    document.getElementById('room-invite').hidden = false;
+}
+
+/**
+ * Start an online game once the server has paired us with an opponent, or
+ * our private room's guest has arrived
+ */
+function handleMatchFound(message) {
+    document.getElementById('matchmaking-status').textContent = 'Opponent found! Starting game...';
+    matchmakingModal.classList.remove('active');
+    
+    waitingRoomCode = null;
+    gameMode = 'multiplayer';
+    playerColor = message.color;
+    awaitingMoveConfirmation = false;
+    agreedTimeControl = message.timeControl;
+    saveOnlineGame(message.gameId);
+    
+    startGame(getOnlineModeName(message));
+}
+
+/**
+ * Get the mode display name for an online game from the server's
+ * match_found or game_state message
+ */
+function getOnlineModeName(message) {
+    if (!playerColor) {
+        const player = (color) => {
+            const name = (message.nicknames && message.nicknames[color]) || 'Guest';
+            return message.ratings ? `${name} (${message.ratings[color]})` : name;
+        };
+        const rated = message.rated ? ' (rated)' : '';
+        return `Watching ${agreedTimeControl.name} - ${player(COLORS.WHITE)} vs ${player(COLORS.BLACK)}${rated}`;
+    }
+    
+    const opponentColor = playerColor === COLORS.WHITE ? COLORS.BLACK : COLORS.WHITE;
+    const opponentName = (message.nicknames && message.nicknames[opponentColor]) || 'Guest';
+    const opponent = message.ratings ? ` vs ${opponentName} (${message.ratings[opponentColor]})` : ` vs ${opponentName}`;
+    const rated = message.rated ? ' (rated)' : '';
+    const timeControlName = agreedTimeControl ? ` ${agreedTimeControl.name}` : '';
+    return `Multiplayer${timeControlName} - playing ${playerColor === COLORS.WHITE ? 'White' : 'Black'}${opponent}${rated}`;
+}
+
+/**
+ * Rebuild an online game from the full state the server sent after we
+ * (re)joined or started watching it: replay its moves, then restore the
+ * clock, any pending offer and the opponent's connection status
+ */
+function handleGameState(message) {
+    matchmakingModal.classList.remove('active');
+    clearTimeout(reconnectTimer);
+    reconnectTimer = null;
+    isReconnecting = false;
+    reconnectAttempts = 0;
+    
+    gameMode = 'multiplayer';
+    playerColor = message.color;
+    awaitingMoveConfirmation = false;
+    agreedTimeControl = message.timeControl;
+    
+    startGame(getOnlineModeName(message));
+    for (const networkMove of message.moves) {
+        const move = fromNetworkMove(networkMove);
+        game.validMoves = game.getValidMoves(move.from.row, move.from.col);
+        const moved = game.makeMove(move.from.row, move.from.col, move.to.row, move.to.col, move.promotion);
+        game.validMoves = [];
+        if (!moved) {
+            console.error('Could not replay the move from the server:', networkMove);
+            break;
+        }
+    }
+    if (game.toFEN() !== message.fen) {
+        console.error('Board differs from the server after rejoining:', message.fen);
+    }
+    
+    syncClock(message.clock);
+    ui.render();
+    updateUndoButton();
+    
+    if (message.status !== 'active') {
+        if (game.gameOver) {
+            ui.showGameOverModal();
+        }
+        handleOnlineGameOver({ ...message, ratings: message.ratingChanges });
+        return;
+    }
+    
+    // Spectators only follow the moves
+    if (!playerColor) return;
+    
+    saveOnlineGame(message.gameId);
+    setChatMuted(!!message.chatMuted);
+    if (message.drawOffer) {
+        handleDrawOffer({ by: message.drawOffer });
+    } else if (message.takebackRequest) {
+        handleTakebackRequest({ by: message.takebackRequest });
+    }
+    if (message.opponentReconnectBy) {
+        handleOpponentPresence({ type: 'opponent_disconnected', reconnectBy: message.opponentReconnectBy });
+    }
+}
+
+/**
+ * Play a move received from the opponent
+ */
+function handleOpponentMove(move, message) {
+    if (game.gameOver || game.currentTurn === playerColor) return;
+    
+    game.validMoves = game.getValidMoves(move.from.row, move.from.col);
+    const moved = game.makeMove(move.from.row, move.from.col, move.to.row, move.to.col, move.promotion);
+    game.validMoves = [];
+    
+    if (!moved) {
+        console.error('Ignoring illegal move from the server:', move);
+        return;
+    }
+    
+    pressClock();
+    syncClock(message.clock);
+    ui.hideOfferPrompt();
+    ui.render();
+    if (game.gameOver) {
+        ui.showGameOverModal();
+    }
+    updateUndoButton();
+}
+
+/**
+ * Play a move made in the game we are watching
+ * A move that does not follow the last one we have means we missed some,
+ * so the whole game state is asked for again
+ */
+function handleMovePlayed(move, message) {
+    if (game.gameOver) return;
+    if (message.ply !== game.moveHistory.length + 1) {
+        network.watchGame(message.gameId).catch(() => {});
+        return;
+    }
+    
+    game.validMoves = game.getValidMoves(move.from.row, move.from.col);
+    const moved = game.makeMove(move.from.row, move.from.col, move.to.row, move.to.col, move.promotion);
+    game.validMoves = [];
+    
+    if (!moved) {
+        console.error('Ignoring illegal move from the server:', move);
+        return;
+    }
+    
+    pressClock();
+    syncClock(message.clock);
+    ui.render();
+    if (game.gameOver) {
+        ui.showGameOverModal();
+    }
+}
+
+/**
+ * The server has accepted our last move
+ */
+function handleMoveConfirmed(message) {
+    awaitingMoveConfirmation = false;
+    syncClock(message.clock);
+    ui.hideOfferPrompt();
+    updateUndoButton();
+}
+
+/**
+ * The server has finished the game
+ * Our board normally reached the same result already; if not, adopt the server's.
+ * A move still awaiting confirmation was not played: our flag fell first
+ */
+function handleOnlineGameOver(message) {
+    clearSavedOnlineGame();
+    if (awaitingMoveConfirmation) {
+        awaitingMoveConfirmation = false;
+        game.undoMove(true);
+    }
+    syncClock(message.clock);
+    if (clock) {
+        clock.stop();
+    }
+    if (!game.gameOver) {
+        adoptServerResult(message);
+    }
+    if (message.ratings && playerColor) {
+        ui.showRatingChange(message.ratings[playerColor]);
+    }
+}
+
+/**
+ * End the game with the result the server reported
+ */
+function adoptServerResult(message) {
+    const winners = { '1-0': COLORS.WHITE, '0-1': COLORS.BLACK, '1/2-1/2': 'draw', '*': null };
+    game.gameOver = true;
+    game.winner = winners[message.result];
+    if (game.winner === 'draw') {
+        game.drawReason = message.reason;
+    } else {
+        game.winReason = message.reason;
+    }
+    
+    ui.deselect();
+    ui.showGameOverModal();
+    updateUndoButton();
+}
+
+/**
+ * Show a draw offer: ours waiting for an answer, or the opponent's to accept or decline
+ */
+function handleDrawOffer(message) {
+    if (message.by === playerColor) {
+        ui.showOfferPrompt('Draw offered. Waiting for your opponent...');
+        return;
+    }
+    ui.showOfferPrompt('Your opponent offers a draw.', {
+        onAccept: () => sendGameAction('accept_draw'),
+        onDecline: () => sendGameAction('decline_draw')
+    });
+}
+
+/**
+ * Show a takeback request: ours waiting for an answer, or the opponent's to accept or decline
+ */
+function handleTakebackRequest(message) {
+    if (message.by === playerColor) {
+        ui.showOfferPrompt('Takeback requested. Waiting for your opponent...');
+        return;
+    }
+    ui.showOfferPrompt('Your opponent asks to take back their last move.', {
+        onAccept: () => sendGameAction('accept_takeback'),
+        onDecline: () => sendGameAction('decline_takeback')
+    });
+}
+
+/**
+ * A draw offer or takeback request was declined
+ */
+function handleOfferDeclined(message) {
+    if (message.by === playerColor) {
+        ui.hideOfferPrompt();
+        return;
+    }
+    const offer = message.type === 'draw_declined' ? 'draw offer' : 'takeback request';
+    ui.showOfferPrompt(`Your opponent declined your ${offer}.`);
+}
+
+/**
+ * Take back the moves the server removed from the game
+ */
+function handleTakeback(message) {
+    // A spectator who missed moves asks for the whole game state again
+    if (!playerColor && message.ply !== game.moveHistory.length - message.plies) {
+        network.watchGame(message.gameId).catch(() => {});
+        return;
+    }
+    // The server keeps the game record, so taken back moves are not kept as variations
+    for (let i = 0; i < message.plies; i++) {
+        game.undoMove(true);
+    }
+    if (game.toFEN() !== message.fen) {
+        console.error('Board differs from the server after takeback:', message.fen);
+    }
+    
+    syncClock(message.clock);
+    ui.hideOfferPrompt();
+    ui.cancelPromotion();
+    ui.deselect();
+    updateUndoButton();
+}
+
+/**
+ * Show that the opponent lost their connection, and how long they have to
+ * come back before forfeiting, or that they are back
+ */
+function handleOpponentPresence(message) {
+    if (message.type === 'opponent_reconnected') {
+        ui.showOfferPrompt('Your opponent has reconnected.');
+        return;
+    }
+    const seconds = Math.max(0, Math.round((message.reconnectBy - Date.now()) / 1000));
+    ui.showOfferPrompt(`Your opponent lost their connection. They forfeit if not back within ${seconds} seconds.`);
+}
+
+/**
+ * Show a chat message from the online game, ours included
+ */
+function handleChatMessage(message) {
+    const author = message.from === playerColor
+        ? 'You'
+        : message.nickname || (message.from === COLORS.WHITE ? 'White' : 'Black');
+    addChatLine(message.text, author);
+}
+
+/**
+ * The server has muted or unmuted the opponent's chat for us
+ */
+function handleChatMuted(message) {
+    setChatMuted(message.muted);
+    addChatLine(message.muted ? 'You muted your opponent.' : 'You unmuted your opponent.');
+}
+
+/**
+ * Add a line to the chat panel: a message with its author, or a notice
+ */
+function addChatLine(text, author = null) {
+    const messages = document.getElementById('chat-messages');
+    const line = document.createElement('div');
+    line.className = author ? 'chat-line' : 'chat-line chat-notice';
+    if (author) {
+        const authorEl = document.createElement('span');
+        authorEl.className = 'chat-author';
+        authorEl.textContent = `${author}:`;
+        line.appendChild(authorEl);
+    }
+    line.appendChild(document.createTextNode(text));
+    messages.appendChild(line);
+    
+    while (messages.children.length > MAX_CHAT_LINES) {
+        messages.firstChild.remove();
+    }
+    messages.scrollTop = messages.scrollHeight;
+}
+
+/**
+ * Show whether we muted the opponent's chat
+ */
+function setChatMuted(muted) {
+    chatMuted = muted;
+    document.getElementById('mute-chat-btn').textContent = muted ? 'Unmute Opponent' : 'Mute Opponent';
+}
+
+/**
+ * Empty the chat panel, and show it for online games: spectators read
+ * along, players can also write and mute their opponent
+ */
+function resetChat() {
+    const online = gameMode === 'multiplayer';
+    document.getElementById('chat-panel').hidden = !online;
+    document.getElementById('chat-messages').innerHTML = '';
+    document.getElementById('chat-form').hidden = online && !playerColor;
+    document.getElementById('mute-chat-btn').hidden = online && !playerColor;
+    setChatMuted(false);
+}
+
+/**
+ * Send the message typed in the chat panel
+ */
+function sendChatMessage() {
+    const input = document.getElementById('chat-input');
+    const text = input.value.trim();
+    if (!text || gameMode !== 'multiplayer' || !network) return;
+    
+    try {
+        network.sendChat(text);
+        input.value = '';
+    } catch (error) {
+        handleNetworkDisconnect();
+    }
+}
+
+/**
+ * Mute the opponent's chat, or unmute it
+ */
+function toggleChatMuted() {
+    if (gameMode !== 'multiplayer' || !network) return;
+    
+    try {
+        network.setChatMuted(!chatMuted);
+    } catch (error) {
+        handleNetworkDisconnect();
+    }
 }
 
 /**
- * Setup mode selection event listeners
+ * Send a resign, draw, abort or takeback action for the online game
  */
-function setupModeSelectionListeners() {
-    // Multiplayer button
-    document.getElementById('select-multiplayer-btn').addEventListener('click', () => {
-        startMatchmaking();
-    });
+function sendGameAction(action) {
+    try {
+        network.sendGameAction(action);
+    } catch (error) {
+        handleNetworkDisconnect();
+    }
+}
+
+/**
+ * Handle an error from the server
+ * A rejected move is taken back so the board matches the server again
+ */
+function handleServerError(message) {
+    if (message.action === 'resume_game' && message.code === 'stale_position') {
+        // The game moved on while we were being seated; ask again
+        network.resumeGame(message.gameId).catch(() => {});
+        return;
+    }
+    if (message.action === 'resume_game') {
+        // The game can't be rejoined, e.g. it was not ours or no longer exists
+        matchmakingModal.classList.remove('active');
+        const inGame = gameMode === 'multiplayer' && gameScreen.style.display === 'block';
+        leaveOnlineGame();
+        if (inGame) {
+            alert(`Could not rejoin the game: ${message.message}`);
+            backToModeSelection();
+        }
+        return;
+    }
     
-    // Local play button
-    document.getElementById('select-local-btn').addEventListener('click', () => {
-        gameMode = 'local';
-        startGame('Local Play');
-    });
+    if (message.action === 'watch') {
+        const inGame = gameMode === 'multiplayer' && gameScreen.style.display === 'block';
+        if (inGame) {
+            // Lost track of the game we were watching, e.g. it was removed
+            leaveOnlineGame();
+            alert(`Could not follow the game: ${message.message}`);
+            backToModeSelection();
+            return;
+        }
+        document.getElementById('matchmaking-status').textContent = message.message;
+        return;
+    }
     
-    // AI difficulty buttons
-    document.querySelectorAll('.btn-ai-difficulty').forEach(btn => {
-        btn.addEventListener('click', (e) => {
-            document.querySelectorAll('.btn-ai-difficulty').forEach(b => b.classList.remove('active'));
-            e.target.classList.add('active');
-            aiDifficulty = e.target.dataset.difficulty;
-        });
-    });
+    if (message.action === 'list_history' || message.action === 'get_game') {
+        document.getElementById('history-status').textContent = message.message;
+        document.getElementById('history-status').hidden = false;
+        return;
+    }
+
+    if (message.action === 'chat' || message.action === 'mute_chat' || message.action === 'unmute_chat') {
+        addChatLine(message.message);
+        return;
+    }
     
-    // AI play button
-    document.getElementById('select-ai-btn').addEventListener('click', () => {
-        gameMode = 'ai';
-        ai.setDifficulty(aiDifficulty);
-        startGame(`AI - ${aiDifficulty.charAt(0).toUpperCase() + aiDifficulty.slice(1)}`);
-    });
+    if (message.action === 'join_queue') {
+        document.getElementById('matchmaking-status').textContent = message.message;
+        network.stopQueueRefresh();
+        return;
+    }
     
-    // Cancel matchmaking button
-    document.getElementById('cancel-matchmaking-btn').addEventListener('click', () => {
-        cancelMatchmaking();
-    });
+    if (message.action === 'create_room' || message.action === 'join_room') {
+        document.getElementById('matchmaking-status').textContent = message.message;
+        return;
+    }
+    
+    if (message.action === 'move' && awaitingMoveConfirmation) {
+        awaitingMoveConfirmation = false;
+        game.undoMove(true);
+        ui.hideGameOverModal();
+        ui.deselect();
+        updateUndoButton();
+    }
+    alert(`Server error: ${message.message}`);
 }
 
 /**
- * Start matchmaking for multiplayer
+ * Send the move just made on the board to the server
  */
-function startMatchmaking() {
-    matchmakingModal.classList.add('active');
+function sendNetworkMove() {
+    if (gameMode !== 'multiplayer') return;
     
-    const statusEl = document.getElementById('matchmaking-status');
-    const messages = [
-        'Searching for players...',
-        'Finding a worthy opponent...',
-        'Connecting to game servers...',
-        'Almost there...'
-    ];
-    
-    let messageIndex = 0;
-    const messageInterval = setInterval(() => {
-        messageIndex = (messageIndex + 1) % messages.length;
-        statusEl.textContent = messages[messageIndex];
-    }, 2000);
-    
-    // Simulate matchmaking (in real implementation, this would connect to AWS backend)
-    // For now, we'll show the waiting message and then start a local game
-    setTimeout(() => {
-        clearInterval(messageInterval);
-        statusEl.textContent = 'Opponent found! Starting game...';
-        
-        setTimeout(() => {
-            matchmakingModal.classList.remove('active');
-            gameMode = 'multiplayer';
-            startGame('Multiplayer');
-        }, 1000);
-    }, 5000);
+    awaitingMoveConfirmation = true;
+    try {
+        network.sendMove(game.moveHistory[game.moveHistory.length - 1]);
+    } catch (error) {
+        handleNetworkDisconnect();
+    }
 }
 
 /**
- * Cancel matchmaking
+ * Handle the connection to the game server closing unexpectedly
+ * During an online game, keep trying to rejoin it: the server holds our
+ * seat for a grace period before we forfeit
  */
-function cancelMatchmaking() {
-    matchmakingModal.classList.remove('active');
+function handleNetworkDisconnect() {
+    if (matchmakingModal.classList.contains('active')) {
+        document.getElementById('matchmaking-status').textContent = 'Lost connection to the game server';
+        leaveOnlineGame();
+        return;
+    }
+    
+    // The connection was only used to list live games
+    if (gameMode !== 'multiplayer' || gameScreen.style.display !== 'block') {
+        leaveOnlineGame();
+        return;
+    }
+    if (game.gameOver) {
+        leaveOnlineGame();
+        return;
+    }
+    
+    // Sending on a closed connection reports it too, so only one retry waits at a time
+    if (!network || reconnectTimer) return;
+    isReconnecting = true;
+    ui.deselect();
+    ui.showOfferPrompt('Connection lost. Reconnecting...');
+    
+    const delay = RECONNECT_DELAYS[Math.min(reconnectAttempts, RECONNECT_DELAYS.length - 1)];
+    reconnectAttempts++;
+    reconnectTimer = setTimeout(() => {
+        reconnectTimer = null;
+        // A failed attempt closes the connection, which schedules the next one
+        const rejoin = playerColor ? network.resumeGame(network.gameId) : network.watchGame(network.gameId);
+        rejoin.catch(() => {});
+    }, delay);
 }
 
 /**
@@ -122,20 +1116,32 @@ function startGame(modeDisplayName) {
     document.getElementById('current-mode-display').textContent = modeDisplayName;
     
     // Initialize game and UI
+    cancelAIMove();
     game.reset();
+    pgnTags = {};
     
     // Create UI if not exists, otherwise reset
     if (!ui) {
         ui = new ChessUI(game);
         ui.onMoveComplete = handleMoveComplete;
         ui.onPromotionComplete = handlePromotionComplete;
+        ui.onVariationDeleted = handleVariationDeleted;
         ui.canInteract = canPlayerInteract;
         setupGameEventListeners();
     } else {
         ui.reset();
     }
     
-    isAIThinking = false;
+    resetChat();
+    
+    // Spectators and replays can't move, and spectators see White at the
+    // bottom; online games show the player's own color at the bottom
+    ui.setReadOnly(gameMode === 'replay' || (gameMode === 'multiplayer' && !playerColor));
+    if (ui.flipped !== (gameMode === 'multiplayer' && playerColor === COLORS.BLACK)) {
+        ui.flipBoard();
+    }
+    
+    startClock();
     updateUndoButton();
 }
 
@@ -144,16 +1150,25 @@ function startGame(modeDisplayName) {
  */
 function backToModeSelection() {
     gameScreen.style.display = 'none';
-    modeSelectionScreen.style.display = 'flex';
+    
+    // A replay goes back to the list of games it was opened from
+    if (gameMode === 'replay') {
+        gameMode = 'local';
+        myGamesScreen.style.display = 'block';
+    } else {
+        modeSelectionScreen.style.display = 'flex';
+    }
     
     // Reset game state
+    cancelAIMove();
+    leaveOnlineGame();
+    stopClock();
     if (game) {
         game.reset();
     }
     if (ui) {
         ui.reset();
     }
-    isAIThinking = false;
 }
 
 /**
@@ -162,29 +1177,142 @@ function backToModeSelection() {
 function canPlayerInteract() {
     if (isAIThinking) return false;
     if (gameMode === 'ai' && game.currentTurn === aiColor) return false;
+    if (gameMode === 'multiplayer' && (game.currentTurn !== playerColor || awaitingMoveConfirmation || isReconnecting)) return false;
     return true;
 }
 
 /**
- * Handle move completion - trigger AI if needed
+ * Handle move completion - press the clock, send online moves and trigger AI if needed
  */
 function handleMoveComplete() {
+    if (!pressClock()) return;
+    ui.hideOfferPrompt();
+    sendNetworkMove();
     updateUndoButton();
-    if (gameMode === 'ai' && game.currentTurn === aiColor && !game.gameOver) {
-        setTimeout(() => makeAIMove(), 100);
-    }
+    scheduleAIMove();
 }
 
 /**
- * Handle promotion completion - trigger AI if needed
+ * Handle promotion completion - press the clock, send online moves and trigger AI if needed
  */
 function handlePromotionComplete() {
+    if (!pressClock()) return;
+    ui.hideOfferPrompt();
+    sendNetworkMove();
     updateUndoButton();
+    scheduleAIMove();
+}
+
+/**
+ * Trigger the AI if it is its turn
+ */
+function scheduleAIMove() {
     if (gameMode === 'ai' && game.currentTurn === aiColor && !game.gameOver) {
         setTimeout(() => makeAIMove(), 100);
     }
 }
 
+/**
+ * Create and start a clock for the selected time control
+ */
+function startClock() {
+    stopClock();
+    
+    // Online games use the time control the server agreed for both players;
+    // replays have no clock
+    const stages = gameMode === 'replay' ? null :
+        gameMode === 'multiplayer' ? getOnlineClockStages() : parseTimeControl(timeControl);
+    clock = stages ? new ChessClock(stages) : null;
+    ui.clock = clock;
+    
+    if (clock) {
+        clock.start(game.currentTurn);
+        clockInterval = setInterval(handleClockTick, 100);
+    }
+    ui.updateClocks();
+}
+
+/**
+ * Convert the online game's time control into clock stages
+ */
+function getOnlineClockStages() {
+    if (!agreedTimeControl) return null;
+    return [{
+        moves: null,
+        time: agreedTimeControl.initial,
+        bonusType: 'increment',
+        bonus: agreedTimeControl.increment
+    }];
+}
+
+/**
+ * Set the clock to the times the server keeps for an online game
+ */
+function syncClock(serverClock) {
+    if (!clock || !serverClock) return;
+    clock.setTimes(serverClock, serverClock.running);
+    ui.updateClocks();
+}
+
+/**
+ * Stop the clock and its display updates
+ */
+function stopClock() {
+    clearInterval(clockInterval);
+    clockInterval = null;
+    if (clock) {
+        clock.stop();
+    }
+}
+
+/**
+ * Refresh the clock display and detect flag fall
+ */
+function handleClockTick() {
+    ui.updateClocks();
+    
+    // Online games only end on time when the server says so
+    if (gameMode === 'multiplayer') return;
+    if (!game.gameOver && clock.checkFlag()) {
+        handleFlag(clock.flagged);
+    }
+}
+
+/**
+ * Press the clock after a move
+ * Returns false if the mover's flag fell first, in which case the move is
+ * taken back and the game ends on time
+ */
+function pressClock() {
+    if (!clock) return true;
+    
+    if (gameMode !== 'multiplayer' && clock.checkFlag()) {
+        game.undoMove(true);
+        handleFlag(clock.flagged);
+        return false;
+    }
+    
+    if (game.gameOver) {
+        clock.stop();
+    } else {
+        clock.press();
+    }
+    ui.updateClocks();
+    return true;
+}
+
+/**
+ * End the game when a player's flag falls
+ */
+function handleFlag(color) {
+    cancelAIMove();
+    game.timeout(color);
+    ui.cancelPromotion();
+    ui.deselect();
+    ui.showGameOverModal();
+    updateUndoButton();
+}
+
 /**
  * Setup game event listeners
  */
@@ -195,70 +1323,421 @@ function setupGameEventListeners() {
     // New game button
     document.getElementById('new-game-btn').addEventListener('click', newGame);
     
-    // Undo button
+    // Undo and redo buttons
     document.getElementById('undo-btn').addEventListener('click', undoMove);
+    document.getElementById('redo-btn').addEventListener('click', redoMove);
+    
+    // Claim draw button
+    document.getElementById('claim-draw-btn').addEventListener('click', claimDraw);
+    
+    // Draw offer, resign and abort buttons
+    document.getElementById('offer-draw-btn').addEventListener('click', offerDraw);
+    document.getElementById('resign-btn').addEventListener('click', resignGame);
+    document.getElementById('abort-btn').addEventListener('click', abortGame);
+    
+    // Chat panel
+    document.getElementById('chat-form').addEventListener('submit', (e) => {
+        e.preventDefault();
+        sendChatMessage();
+    });
+    document.getElementById('mute-chat-btn').addEventListener('click', toggleChatMuted);
     
     // Flip board button
     document.getElementById('flip-board-btn').addEventListener('click', () => {
         ui.flipBoard();
     });
     
+    // Move navigation: browse earlier positions without changing the game
+    document.getElementById('nav-first-btn').addEventListener('click', () => ui.showFirstMove());
+    document.getElementById('nav-prev-btn').addEventListener('click', () => ui.showPreviousMove());
+    document.getElementById('nav-next-btn').addEventListener('click', () => ui.showNextMove());
+    document.getElementById('nav-last-btn').addEventListener('click', () => ui.showLastMove());
+    document.addEventListener('keydown', handleNavigationKey);
+    
     // Play again button
     document.getElementById('play-again-btn').addEventListener('click', newGame);
+    
+    // PGN export/import buttons
+    document.getElementById('export-pgn-btn').addEventListener('click', exportGamePGN);
+    
+    const pgnFileInput = document.getElementById('pgn-file-input');
+    document.getElementById('import-pgn-btn').addEventListener('click', () => {
+        pgnFileInput.click();
+    });
+    pgnFileInput.addEventListener('change', async () => {
+        const file = pgnFileInput.files[0];
+        pgnFileInput.value = '';
+        if (file) {
+            importGamePGN(await file.text());
+        }
+    });
+}
+
+/**
+ * Step through the moves with the arrow keys, Home and End, unless typing
+ */
+function handleNavigationKey(e) {
+    if (gameScreen.style.display !== 'block' || e.altKey || e.ctrlKey || e.metaKey) return;
+    if (['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) return;
+    
+    const steps = {
+        ArrowLeft: () => ui.showPreviousMove(),
+        ArrowRight: () => ui.showNextMove(),
+        Home: () => ui.showFirstMove(),
+        End: () => ui.showLastMove()
+    };
+    if (!steps[e.key]) return;
+    e.preventDefault();
+    steps[e.key]();
+}
+
+/**
+ * Get player names for PGN tags based on the game mode
+ */
+function getPlayerNames() {
+    if (gameMode !== 'ai') {
+        return { White: 'White', Black: 'Black' };
+    }
+    const aiName = `Computer (${aiDifficulty.charAt(0).toUpperCase() + aiDifficulty.slice(1)})`;
+    return aiColor === COLORS.WHITE
+        ? { White: aiName, Black: 'Player' }
+        : { White: 'Player', Black: aiName };
+}
+
+/**
+ * Download the current game as a PGN file
+ */
+function exportGamePGN() {
+    const pgn = exportPGN(game, { ...getPlayerNames(), ...pgnTags });
+    const blob = new Blob([pgn], { type: 'application/x-chess-pgn' });
+    const url = URL.createObjectURL(blob);
+    
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `game-vibe-chess-${Date.now()}.pgn`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Replace the current game with one loaded from PGN text
+ */
+function importGamePGN(text) {
+    if (gameMode === 'multiplayer' || gameMode === 'replay') return;
+    cancelAIMove();
+    const previousPGN = exportPGN(game, pgnTags);
+    
+    try {
+        const { tags, result } = loadPGN(game, text);
+        applyPGNResult(game, tags.Result || result);
+        pgnTags = tags;
+    } catch (error) {
+        // Put the previous game back before reporting the problem
+        try {
+            applyPGNResult(game, loadPGN(game, previousPGN).result);
+        } catch (restoreError) {
+            console.error('Could not restore the previous game:', restoreError);
+            game.reset();
+            pgnTags = {};
+        }
+        alert(`Could not import PGN: ${error.message}`);
+    }
+    
+    ui.reset();
+    startClock();
+    if (game.gameOver) {
+        stopClock();
+        ui.showGameOverModal();
+    }
+    updateUndoButton();
+    scheduleAIMove();
 }
 
 /**
  * Start a new game
  */
 function newGame() {
+    // Online, a new game means finding a new opponent; spectators go
+    // back to pick another game, and replays to pick another of our games
+    if (gameMode === 'replay') {
+        backToModeSelection();
+        return;
+    }
+    if (gameMode === 'multiplayer') {
+        const spectating = !playerColor;
+        backToModeSelection();
+        if (!spectating) {
+            startMatchmaking();
+        }
+        return;
+    }
+    
+    cancelAIMove();
     game.reset();
     ui.reset();
-    isAIThinking = false;
+    pgnTags = {};
+    startClock();
     updateUndoButton();
 }
 
 /**
  * Undo the last move
+ * Online, ask the opponent to agree to take it back instead
  */
 function undoMove() {
-    if (isAIThinking) return;
+    if (gameMode === 'multiplayer') {
+        sendGameAction('request_takeback');
+        return;
+    }
+    cancelAIMove();
     
-    // In AI mode, undo two moves (AI's move and player's move)
-    if (gameMode === 'ai' && game.moveHistory.length >= 2) {
-        game.undoMove();
-        game.undoMove();
-    } else {
+    // In AI mode, keep undoing until it is the player's turn again
+    game.undoMove();
+    if (gameMode === 'ai' && game.currentTurn === aiColor && game.moveHistory.length > 0) {
         game.undoMove();
     }
     
+    if (clock) {
+        clock.setActiveColor(game.currentTurn);
+    }
+    
     ui.deselect();
     ui.render();
     updateUndoButton();
 }
 
 /**
- * Update undo button state
+ * Redo the move undone last
+ * Against the AI, its undone reply is redone too, or it plays a new one
+ */
+function redoMove() {
+    if (gameMode === 'multiplayer' || gameMode === 'replay' || clock?.flagged || !canPlayerInteract()) return;
+    if (!game.redoMove()) return;
+    if (gameMode === 'ai' && game.currentTurn === aiColor && !game.gameOver) {
+        game.redoMove();
+    }
+    
+    if (clock) {
+        clock.setActiveColor(game.currentTurn);
+        if (game.gameOver) {
+            clock.stop();
+        }
+    }
+    
+    ui.deselect();
+    if (game.gameOver) {
+        ui.showGameOverModal();
+    }
+    updateUndoButton();
+    scheduleAIMove();
+}
+
+/**
+ * Handle a deleted variation the game was in: it went back to where the
+ * variation branched off, so the turn may have passed to the AI
+ */
+function handleVariationDeleted(movedBack) {
+    if (!movedBack) return;
+    cancelAIMove();
+    
+    // In AI mode, go back to the player's turn as undo does
+    if (gameMode === 'ai' && game.currentTurn === aiColor && game.moveHistory.length > 0) {
+        game.undoMove();
+    }
+    
+    if (clock) {
+        clock.setActiveColor(game.currentTurn);
+    }
+    
+    ui.deselect();
+    updateUndoButton();
+}
+
+/**
+ * Claim a draw by repetition or the fifty-move rule
+ */
+function claimDraw() {
+    if (gameMode === 'multiplayer' || !canPlayerInteract() || !game.claimDraw()) return;
+    
+    if (clock) {
+        clock.stop();
+    }
+    ui.deselect();
+    updateUndoButton();
+    ui.showGameOverModal();
+}
+
+/**
+ * Update undo, redo, claim draw, resign, abort and import button state
+ * Online games can't be claimed or replaced locally, moves are only taken
+ * back when the opponent agrees, and a game can be aborted instead of
+ * resigned until the player has moved. Spectators and replays get none of these
  */
 function updateUndoButton() {
+    if (gameMode === 'replay') {
+        for (const id of ['undo-btn', 'redo-btn', 'claim-draw-btn', 'resign-btn', 'offer-draw-btn', 'import-pgn-btn']) {
+            document.getElementById(id).disabled = true;
+        }
+        document.getElementById('abort-btn').hidden = true;
+        document.getElementById('resign-btn').hidden = false;
+        return;
+    }
+
+    const online = gameMode === 'multiplayer';
+    const ownMoves = game.moveHistory.filter(move => move.piece.color === playerColor).length;
+    
     const undoBtn = document.getElementById('undo-btn');
-    undoBtn.disabled = game.moveHistory.length === 0 || isAIThinking;
+    undoBtn.textContent = online ? 'Request Takeback' : 'Undo Move';
+    undoBtn.disabled = online
+        ? game.gameOver || ownMoves === 0 || awaitingMoveConfirmation
+        : game.moveHistory.length === 0 || !!clock?.flagged;
+    document.getElementById('redo-btn').disabled = online || game.currentNode.children.length === 0 || !!clock?.flagged;
+    
+    const claimDrawBtn = document.getElementById('claim-draw-btn');
+    claimDrawBtn.disabled = online || !game.getClaimableDraw() || !canPlayerInteract();
+    
+    const spectating = online && !playerColor;
+    const canAbort = online && !spectating && !game.gameOver && ownMoves === 0;
+    document.getElementById('abort-btn').hidden = !canAbort;
+    document.getElementById('resign-btn').hidden = canAbort;
+    document.getElementById('resign-btn').disabled = game.gameOver || spectating;
+    document.getElementById('offer-draw-btn').disabled = game.gameOver || spectating;
+    
+    document.getElementById('import-pgn-btn').disabled = online;
+}
+
+/**
+ * Get the color of the player acting at this screen: their own color online
+ * and against the AI, the side to move in local play
+ */
+function getActingColor() {
+    if (gameMode === 'multiplayer') return playerColor;
+    if (gameMode === 'ai') return aiColor === COLORS.WHITE ? COLORS.BLACK : COLORS.WHITE;
+    return game.currentTurn;
+}
+
+/**
+ * Resign the game
+ * Online, the server ends the game and reports the result
+ */
+function resignGame() {
+    if (game.gameOver) return;
+    const colorName = getActingColor() === COLORS.WHITE ? 'White' : 'Black';
+    if (!confirm(gameMode === 'local' ? `Resign the game for ${colorName}?` : 'Resign the game?')) return;
+    
+    if (gameMode === 'multiplayer') {
+        sendGameAction('resign');
+        return;
+    }
+    game.resign(getActingColor());
+    showEndedGame();
+}
+
+/**
+ * Abort an online game before the player's first move
+ */
+function abortGame() {
+    if (gameMode === 'multiplayer' && !game.gameOver) {
+        sendGameAction('abort');
+    }
+}
+
+/**
+ * Offer a draw: online to the opponent, locally to the other player at
+ * the board, and against the AI to the computer, which decides at once
+ */
+function offerDraw() {
+    if (game.gameOver) return;
+    
+    if (gameMode === 'multiplayer') {
+        sendGameAction('offer_draw');
+        return;
+    }
+    
+    if (gameMode === 'ai') {
+        if (ai.acceptsDraw(game, aiColor)) {
+            game.agreeDraw();
+            showEndedGame();
+        } else {
+            ui.showOfferPrompt('The computer declines your draw offer.');
+        }
+        return;
+    }
+    
+    const colorName = game.currentTurn === COLORS.WHITE ? 'White' : 'Black';
+    ui.showOfferPrompt(`${colorName} offers a draw.`, {
+        onAccept: () => {
+            if (game.gameOver) return;
+            game.agreeDraw();
+            showEndedGame();
+        },
+        onDecline: () => {}
+    });
+}
+
+/**
+ * Show the end of a local or AI game ended by resignation or agreement
+ */
+function showEndedGame() {
+    cancelAIMove();
+    if (clock) {
+        clock.stop();
+    }
+    ui.cancelPromotion();
+    ui.deselect();
+    ui.showGameOverModal();
+    updateUndoButton();
+}
+
+/**
+ * Cancel a pending or running AI move
+ */
+function cancelAIMove() {
+    aiSearchId++;
+    if (aiClient) {
+        aiClient.cancel();
+    }
+    if (ui) {
+        ui.updateAIThinking(null);
+    }
+    isAIThinking = false;
 }
 
 /**
  * Make AI move
+ * The search runs in a worker; any await may be interrupted by
+ * cancelAIMove(), in which case the result is discarded
  */
 async function makeAIMove() {
     if (game.gameOver || isAIThinking) return;
     if (game.currentTurn !== aiColor) return;
     
+    const searchId = ++aiSearchId;
     isAIThinking = true;
     updateUndoButton();
+    ui.updateAIThinking({});
     
     // Add slight delay for better UX
     await new Promise(resolve => setTimeout(resolve, 300));
+    if (searchId !== aiSearchId) return;
     
-    // Get AI move
-    const move = ai.getBestMove(game);
+    // Get AI move, budgeting thinking time from the AI's clock
+    const timeLimit = clock ? ai.getTimeBudget(clock, aiColor) : null;
+    let move;
+    try {
+        move = await aiClient.search(game, {
+            difficulty: ai.difficulty,
+            timeLimit,
+            onProgress: (progress) => ui.updateAIThinking(progress)
+        });
+    } catch (error) {
+        console.error('AI search failed:', error);
+        move = null;
+    }
+    if (searchId !== aiSearchId) return;
+    ui.updateAIThinking(null);
     
     if (move) {
         // Select the piece first (for visual feedback)
@@ -266,6 +1745,7 @@ async function makeAIMove() {
         ui.render();
         
         await new Promise(resolve => setTimeout(resolve, 200));
+        if (searchId !== aiSearchId) return;
         
         // Determine promotion piece if needed
         let promotionPiece = null;
@@ -278,10 +1758,12 @@ async function makeAIMove() {
         
         ui.selectedSquare = null;
         game.validMoves = [];
-        ui.render();
         
-        if (game.gameOver) {
-            ui.showGameOverModal();
+        if (pressClock()) {
+            ui.render();
+            if (game.gameOver) {
+                ui.showGameOverModal();
+            }
         }
     }
     
@@ -0,0 +1,96 @@
+/**
+ * Fake DOM
+ * Just enough of the document for the jest tests to run the UI scripts:
+ * elements with classes, children, text and click listeners
+ */
+
+class FakeElement {
+    constructor(tagName, id = null) {
+        this.tagName = tagName.toUpperCase();
+        this.id = id;
+        this.children = [];
+        this.dataset = {};
+        this.attributes = {};
+        this.listeners = {};
+        this.textContent = '';
+        this.classNames = new Set();
+        this.classList = {
+            add: (...names) => names.forEach(name => this.classNames.add(name)),
+            remove: (...names) => names.forEach(name => this.classNames.delete(name)),
+            contains: (name) => this.classNames.has(name),
+            toggle: (name, force = !this.classNames.has(name)) => {
+                if (force) this.classNames.add(name);
+                else this.classNames.delete(name);
+                return force;
+            }
+        };
+    }
+
+    get className() {
+        return [...this.classNames].join(' ');
+    }
+
+    set className(value) {
+        this.classNames = new Set(value.split(/\s+/).filter(Boolean));
+    }
+
+    // Setting markup drops the children; it is kept as text to read back
+    get innerHTML() {
+        return this.markup || '';
+    }
+
+    set innerHTML(value) {
+        this.markup = value;
+        this.children = [];
+    }
+
+    appendChild(child) {
+        this.children.push(child);
+        return child;
+    }
+
+    setAttribute(name, value) {
+        this.attributes[name] = String(value);
+    }
+
+    addEventListener(type, listener) {
+        (this.listeners[type] = this.listeners[type] || []).push(listener);
+    }
+
+    click() {
+        (this.listeners.click || []).forEach(listener => listener({ target: this }));
+        if (this.onclick) this.onclick({ target: this });
+    }
+
+    /**
+     * Find descendants by class name, e.g. '.square'
+     */
+    querySelectorAll(selector) {
+        const className = selector.replace(/^\./, '');
+        const found = [];
+        const visit = (element) => {
+            for (const child of element.children) {
+                if (child.classList.contains(className)) found.push(child);
+                visit(child);
+            }
+        };
+        visit(this);
+        return found;
+    }
+}
+
+/**
+ * Create a document whose getElementById makes each element on first use
+ */
+const createFakeDocument = () => {
+    const elements = new Map();
+    return {
+        createElement: (tagName) => new FakeElement(tagName),
+        getElementById: (id) => {
+            if (!elements.has(id)) elements.set(id, new FakeElement('div', id));
+            return elements.get(id);
+        }
+    };
+};
+
+module.exports = { createFakeDocument };
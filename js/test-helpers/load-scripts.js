@@ -0,0 +1,20 @@
+/**
+ * Test Script Loader
+ * Runs browser scripts in a sandbox for the jest tests, in the order
+ * index.html loads them, and returns the globals they declare
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+/**
+ * Load scripts from js/ and get the named top-level declarations
+ * The sandbox gets the globals given, e.g. a fake WebSocket
+ */
+const loadScripts = (files, names, globals = {}) => {
+    const source = files.map(file => fs.readFileSync(path.join(__dirname, '..', file), 'utf8')).join('\n');
+    return vm.runInNewContext(`${source}\n;({ ${names.join(', ')} })`, { ...globals });
+};
+
+module.exports = { loadScripts };
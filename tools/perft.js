@@ -0,0 +1,245 @@
+#!/usr/bin/env node
+/**
+ * Perft Runner
+ * Counts the leaf nodes of the move tree to verify ChessGame's move generator
+ *
+ * Usage:
+ *   node tools/perft.js                       Run the reference positions
+ *   node tools/perft.js --full                Run the reference positions to every known depth
+ *   node tools/perft.js --fen "<fen>" --depth 3 [--divide]
+ *
+ * --divide reports the node count under each root move, which narrows a
+ * mismatch against another engine down to a single move
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// Browser scripts that make up the rules engine, in load order
+const ENGINE_FILES = ['chess-pieces.js', 'chess-logic.js'];
+
+const START_FEN = 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1';
+
+// Reference positions with known node counts by depth
+// https://www.chessprogramming.org/Perft_Results
+// quickDepth keeps the default run to a few seconds
+const REFERENCE_POSITIONS = [
+    {
+        name: 'Start position',
+        fen: START_FEN,
+        counts: [20, 400, 8902, 197281, 4865609],
+        quickDepth: 4
+    },
+    {
+        name: 'Kiwipete (castling, pins, en passant)',
+        fen: 'r3k2r/p1ppqpb1/bn2pnp1/3PN3/1p2P3/2N2Q1p/PPPBBPPP/R3K2R w KQkq - 0 1',
+        counts: [48, 2039, 97862, 4085603],
+        quickDepth: 3
+    },
+    {
+        name: 'Position 3 (en passant discovered check)',
+        fen: '8/2p5/3p4/KP5r/1R3p1k/8/4P1P1/8 w - - 0 1',
+        counts: [14, 191, 2812, 43238, 674624],
+        quickDepth: 4
+    },
+    {
+        name: 'Position 4 (promotions, castling rights)',
+        fen: 'r3k2r/Pppp1ppp/1b3nbN/nP6/BBP1P3/q4N2/Pp1P2PP/R2Q1RK1 w kq - 0 1',
+        counts: [6, 264, 9467, 422333],
+        quickDepth: 3
+    },
+    {
+        name: 'Position 5 (promotion with capture)',
+        fen: 'rnbq1k1r/pp1Pbppp/2p5/8/2B5/8/PPP1NnPP/RNBQK2R w KQ - 1 8',
+        counts: [44, 1486, 62379, 2103487],
+        quickDepth: 3
+    },
+    {
+        name: 'Position 6 (middlegame)',
+        fen: 'r4rk1/1pp1qppp/p1np1n2/2b1p1B1/2B1P1b1/P1NP1N2/1PP1QPPP/R4RK1 w - - 0 10',
+        counts: [46, 2079, 89890, 3894594],
+        quickDepth: 3
+    }
+];
+
+const PROMOTION_PIECES = ['queen', 'rook', 'bishop', 'knight'];
+const PROMOTION_LETTERS = { queen: 'q', rook: 'r', bishop: 'b', knight: 'n' };
+
+/**
+ * Load the browser engine scripts into a sandbox and return ChessGame
+ */
+function loadEngine() {
+    const source = ENGINE_FILES
+        .map(file => fs.readFileSync(path.join(__dirname, '..', 'js', file), 'utf8'))
+        .join('\n');
+    return vm.runInNewContext(`${source}\nChessGame;`, {});
+}
+
+/**
+ * Expand a legal move into one entry per promotion piece
+ */
+function expandPromotions(move) {
+    if (!move.to.promotion) return [{ move, promotionPiece: undefined }];
+    return PROMOTION_PIECES.map(promotionPiece => ({ move, promotionPiece }));
+}
+
+/**
+ * Count leaf nodes to the given depth
+ */
+function perft(game, depth) {
+    if (depth === 0) return 1;
+    
+    const moves = game.getAllValidMoves(game.currentTurn);
+    if (depth === 1) {
+        return moves.reduce((count, move) => count + (move.to.promotion ? PROMOTION_PIECES.length : 1), 0);
+    }
+    
+    let nodes = 0;
+    for (const move of moves) {
+        for (const { promotionPiece } of expandPromotions(move)) {
+            const record = game.applyMove(move, promotionPiece);
+            nodes += perft(game, depth - 1);
+            game.unapplyMove(record);
+        }
+    }
+    return nodes;
+}
+
+/**
+ * Count leaf nodes under each root move
+ * Returns [{ move: 'e2e4', nodes }] sorted by move
+ */
+function divide(game, depth) {
+    const results = [];
+    
+    for (const move of game.getAllValidMoves(game.currentTurn)) {
+        for (const { promotionPiece } of expandPromotions(move)) {
+            const name = game.squareToAlgebraic(move.from) + game.squareToAlgebraic(move.to) +
+                (promotionPiece ? PROMOTION_LETTERS[promotionPiece] : '');
+            const record = game.applyMove(move, promotionPiece);
+            results.push({ move: name, nodes: perft(game, depth - 1) });
+            game.unapplyMove(record);
+        }
+    }
+    
+    return results.sort((a, b) => a.move.localeCompare(b.move));
+}
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs(argv) {
+    const options = { fen: null, depth: null, divide: false, full: false };
+    
+    for (let i = 0; i < argv.length; i++) {
+        switch (argv[i]) {
+            case '--fen':
+                options.fen = argv[++i];
+                break;
+            case '--depth':
+                options.depth = parseInt(argv[++i]);
+                break;
+            case '--divide':
+                options.divide = true;
+                break;
+            case '--full':
+                options.full = true;
+                break;
+            default:
+                throw new Error(`Unknown argument '${argv[i]}'`);
+        }
+    }
+    
+    if (options.depth !== null && !(options.depth >= 1)) {
+        throw new Error('--depth must be a positive integer');
+    }
+    
+    return options;
+}
+
+/**
+ * Run perft (or divide) for a single position
+ */
+function runPosition(ChessGame, fen, depth, showDivide) {
+    const game = new ChessGame();
+    game.loadFEN(fen);
+    const startedAt = Date.now();
+    
+    let nodes;
+    if (showDivide) {
+        const results = divide(game, depth);
+        for (const { move, nodes: count } of results) {
+            console.log(`${move}: ${count}`);
+        }
+        console.log(`\nMoves: ${results.length}`);
+        nodes = results.reduce((total, result) => total + result.nodes, 0);
+    } else {
+        nodes = perft(game, depth);
+    }
+    
+    console.log(`Nodes: ${nodes} (depth ${depth}, ${Date.now() - startedAt} ms)`);
+}
+
+/**
+ * Run the reference positions and compare against the known counts
+ * Returns true if every count matched
+ */
+function runReferenceSuite(ChessGame, { depth, full }) {
+    let failures = 0;
+    
+    for (const position of REFERENCE_POSITIONS) {
+        const game = new ChessGame();
+        game.loadFEN(position.fen);
+        
+        const maxDepth = Math.min(depth || (full ? position.counts.length : position.quickDepth), position.counts.length);
+        console.log(position.name);
+        
+        for (let d = 1; d <= maxDepth; d++) {
+            const startedAt = Date.now();
+            const nodes = perft(game, d);
+            const expected = position.counts[d - 1];
+            const status = nodes === expected ? 'ok' : `FAIL (expected ${expected})`;
+            if (nodes !== expected) failures++;
+            
+            console.log(`  depth ${d}: ${nodes} ${status} [${Date.now() - startedAt} ms]`);
+        }
+        
+        // The position must be fully restored after searching
+        if (game.toFEN() !== position.fen) {
+            failures++;
+            console.log(`  FAIL position not restored: ${game.toFEN()}`);
+        }
+    }
+    
+    console.log(failures === 0 ? '\nAll perft counts match' : `\n${failures} perft check(s) failed`);
+    return failures === 0;
+}
+
+function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(error.message);
+        process.exitCode = 2;
+        return;
+    }
+    
+    const ChessGame = loadEngine();
+    
+    if (options.fen || options.divide) {
+        runPosition(ChessGame, options.fen || START_FEN, options.depth || 1, options.divide);
+        return;
+    }
+    
+    if (!runReferenceSuite(ChessGame, options)) {
+        process.exitCode = 1;
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { loadEngine, perft, divide, REFERENCE_POSITIONS };
@@ -0,0 +1,33 @@
+const { loadEngine, perft, divide, REFERENCE_POSITIONS } = require('./perft');
+
+// Deep enough to reach castling, en passant, promotions and pins in every
+// reference position, shallow enough for the test run
+const TEST_DEPTH = 3;
+
+const ChessGame = loadEngine();
+
+const fromFEN = (fen) => {
+    const game = new ChessGame();
+    game.loadFEN(fen);
+    return game;
+};
+
+describe('perft', () => {
+    test.each(REFERENCE_POSITIONS.map(position => [position.name, position]))('%s', (name, position) => {
+        const game = fromFEN(position.fen);
+        
+        for (let depth = 1; depth <= TEST_DEPTH; depth++) {
+            expect([depth, perft(game, depth)]).toEqual([depth, position.counts[depth - 1]]);
+        }
+        expect(game.toFEN()).toBe(position.fen);
+    });
+    
+    test('divide splits the count by root move', () => {
+        const [start] = REFERENCE_POSITIONS;
+        const results = divide(fromFEN(start.fen), 2);
+        
+        expect(results).toHaveLength(20);
+        expect(results.find(result => result.move === 'e2e4').nodes).toBe(20);
+        expect(results.reduce((total, result) => total + result.nodes, 0)).toBe(start.counts[1]);
+    });
+});